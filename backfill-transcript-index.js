@@ -0,0 +1,34 @@
+/**
+ * Builds the transcript search index from existing master transcripts
+ * Run with: node backfill-transcript-index.js [instanceId]
+ * Without an instance ID, every instance under ./instances is backfilled.
+ */
+const fs = require('fs');
+const path = require('path');
+const TranscriptIndexManager = require('./modules/managers/TranscriptIndexManager');
+
+const instancesDir = path.join(__dirname, 'instances');
+const instanceIds = process.argv[2]
+  ? [process.argv[2]]
+  : fs.existsSync(instancesDir)
+    ? fs.readdirSync(instancesDir, { withFileTypes: true })
+        .filter(item => item.isDirectory())
+        .map(item => item.name)
+    : [];
+
+if (instanceIds.length === 0) {
+  console.error('No instances found to backfill');
+  process.exit(1);
+}
+
+for (const instanceId of instanceIds) {
+  console.log(`🔍 Backfilling transcript index for instance ${instanceId}...`);
+
+  const index = new TranscriptIndexManager({
+    instanceId,
+    baseDir: path.join(instancesDir, instanceId, 'transcripts')
+  });
+  const stats = index.backfill();
+
+  console.log(`✅ ${instanceId}: ${stats.messages} messages, ${stats.sessions} conversations, ${stats.files} files`);
+}
@@ -0,0 +1,62 @@
+// buttons/broadcast/confirmBroadcast.js
+const Button = require('../../templates/Button');
+
+class ConfirmBroadcastButton extends Button {
+  constructor() {
+    super({
+      regex: /^broadcast_(send|cancel)_.+$/
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      const broadcastManager = instance?.managers?.broadcastManager;
+      if (!broadcastManager) {
+        await interaction.update({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+      
+      const [, action, id] = interaction.customId.match(/^broadcast_(send|cancel)_(.+)$/);
+      const campaign = broadcastManager.getCampaign(id);
+      if (!campaign || campaign.status !== 'draft') {
+        await interaction.update({
+          content: '❌ This broadcast was already sent or discarded.',
+          components: []
+        });
+        return;
+      }
+      
+      if (action === 'cancel') {
+        broadcastManager.stop(id);
+        await interaction.update({
+          content: `🗑️ Broadcast \`${campaign.id}\` discarded.`,
+          components: []
+        });
+        return;
+      }
+      
+      await interaction.deferUpdate();
+      const result = await broadcastManager.start(id, interaction.channel);
+      
+      await interaction.editReply({
+        content: result.success
+          ? `✅ Broadcast \`${campaign.id}\` started. Progress is posted in this channel; use \`/broadcast stop id:${campaign.id}\` to stop it.`
+          : `❌ ${result.error}`,
+        components: []
+      });
+      
+      console.log(`[DiscordCommands] Broadcast ${campaign.id} started by ${interaction.user.tag}`);
+    } catch (error) {
+      console.error('Error handling broadcast confirmation:', error);
+      await interaction.followUp({
+        content: `❌ Error: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+}
+
+module.exports = new ConfirmBroadcastButton();
@@ -0,0 +1,65 @@
+// buttons/broadcast/openBroadcastComposer.js
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const Button = require('../../templates/Button');
+
+class OpenBroadcastComposerButton extends Button {
+  constructor() {
+    super({
+      regex: /^broadcast_compose_.+$/
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      const broadcastManager = instance?.managers?.broadcastManager;
+      if (!broadcastManager) {
+        await interaction.reply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const campaign = broadcastManager.getCampaign(interaction.customId.replace('broadcast_compose_', ''));
+      if (!campaign || campaign.status !== 'draft') {
+        await interaction.reply({
+          content: '❌ This broadcast was already sent or discarded.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const contentInput = new TextInputBuilder()
+        .setCustomId('broadcast_content')
+        .setLabel('Message ({name} = customer name)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('Hi {name}! Our prices change on the 1st of next month…')
+        .setMaxLength(3500)
+        .setRequired(true);
+      
+      if (campaign.content) {
+        contentInput.setValue(campaign.content);
+      }
+      
+      const modal = new ModalBuilder()
+        .setCustomId(`broadcast_modal_${campaign.id}`)
+        .setTitle(`Broadcast ${campaign.id}`)
+        .addComponents(new ActionRowBuilder().addComponents(contentInput));
+      
+      await interaction.showModal(modal);
+    } catch (error) {
+      console.error(`Error showing broadcast modal:`, error);
+      
+      try {
+        await interaction.reply({
+          content: `❌ Error showing broadcast form: ${error.message}`,
+          ephemeral: true
+        });
+      } catch (replyError) {
+        console.error(`Error sending error message: ${replyError.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new OpenBroadcastComposerButton();
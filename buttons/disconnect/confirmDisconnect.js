@@ -38,7 +38,7 @@ class ConfirmDisconnectButton extends Button {
       console.log(`Performing full cleanup for instance ${instanceId}`);
 
       // Call disconnect with full cleanup
-      const disconnected = await InstanceManager.disconnectInstance(guildId, true);
+      const disconnected = await InstanceManager.disconnectInstance(guildId, true, instanceId);
       
       if (!disconnected) {
         await interaction.editReply({
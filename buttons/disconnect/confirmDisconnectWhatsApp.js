@@ -83,7 +83,7 @@ class ConfirmDisconnectWhatsAppButton extends Button {
       });
       
       // Stop connection and clean auth files but don't remove instance
-      const success = await InstanceManager.disconnectInstance(guildId, false);
+      const success = await InstanceManager.disconnectInstance(guildId, false, instanceId);
       
       if (success) {
         // Clean auth files more thoroughly
@@ -31,6 +31,7 @@ class EditBackToMainButton extends Button {
         sendClosingMessage: true,
         transcriptsEnabled: true,
         vouchEnabled: true,
+        claimLock: false,
         ...instance.customSettings // Override with actual instance settings
       };
       
@@ -51,7 +52,17 @@ class EditBackToMainButton extends Button {
             .setCustomId('edit_vouch_category')
             .setLabel('Vouch Messages')
             .setStyle(ButtonStyle.Primary)
-            .setEmoji('⭐')
+            .setEmoji('⭐'),
+          new ButtonBuilder()
+            .setCustomId('edit_hours_category')
+            .setLabel('Business Hours')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🕘'),
+          new ButtonBuilder()
+            .setCustomId('edit_transcript_category')
+            .setLabel('Transcripts')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('📄')
         );
       
       // Create a row for feature toggles
@@ -68,7 +79,15 @@ class EditBackToMainButton extends Button {
           new ButtonBuilder()
             .setCustomId('toggle_closing_messages')
             .setLabel(`Closing Messages: ${currentSettings.sendClosingMessage !== false ? 'Enabled' : 'Disabled'}`)
-            .setStyle(currentSettings.sendClosingMessage !== false ? ButtonStyle.Success : ButtonStyle.Secondary)
+            .setStyle(currentSettings.sendClosingMessage !== false ? ButtonStyle.Success : ButtonStyle.Secondary),
+          new ButtonBuilder()
+            .setCustomId('toggle_claim_lock')
+            .setLabel(`Claim Lock: ${currentSettings.claimLock === true ? 'Enabled' : 'Disabled'}`)
+            .setStyle(currentSettings.claimLock === true ? ButtonStyle.Success : ButtonStyle.Secondary),
+          new ButtonBuilder()
+            .setCustomId('edit_notifications_category')
+            .setLabel(`Notifications: ${currentSettings.notifications?.enabled ? 'Enabled' : 'Disabled'}`)
+            .setStyle(currentSettings.notifications?.enabled ? ButtonStyle.Success : ButtonStyle.Secondary)
         );
       
       // Update with main menu
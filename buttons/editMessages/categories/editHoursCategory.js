@@ -0,0 +1,84 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const Button = require('../../../templates/Button');
+const BusinessHours = require('../../../utils/BusinessHours');
+
+class EditHoursCategoryButton extends Button {
+  constructor() {
+    super({
+      customId: 'edit_hours_category'
+    });
+  }
+  
+  /**
+   * Build the business hours settings view
+   * @param {Object} instance - Server instance
+   * @returns {Object} - Message payload ({ content, components })
+   */
+  buildView(instance) {
+    const config = {
+      ...BusinessHours.getDefaults(),
+      ...(instance.customSettings?.businessHours || {})
+    };
+    
+    const holidays = config.holidays.length > 0 ? config.holidays.join(', ') : 'None';
+    const status = config.enabled
+      ? (BusinessHours.isOpen(config) ? '🟢 Open now' : `🌙 Closed - opens ${BusinessHours.formatNextOpen(config)}`)
+      : '⚪ Disabled - tickets are always handled as open';
+    
+    const settingsRow = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId('toggle_business_hours')
+          .setLabel(`Business Hours: ${config.enabled ? 'Enabled' : 'Disabled'}`)
+          .setStyle(config.enabled ? ButtonStyle.Success : ButtonStyle.Secondary),
+        new ButtonBuilder()
+          .setCustomId('edit_business_hours')
+          .setLabel('Edit Schedule')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('📅'),
+        new ButtonBuilder()
+          .setCustomId('edit_after_hours_message')
+          .setLabel('After-Hours Message')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('🌙')
+      );
+    
+    const backRow = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId('edit_back_to_main')
+          .setLabel('Back to Categories')
+          .setStyle(ButtonStyle.Secondary)
+      );
+    
+    return {
+      content: `🕘 **Business Hours**\n\n**Status:** ${status}\n**Timezone:** ${config.timezone}\n` +
+        `**Schedule:**\n\`\`\`\n${BusinessHours.formatSchedule(config.schedule)}\n\`\`\`` +
+        `**Holidays:** ${holidays}\n**After-hours notice:** at most once every ${config.noticeCooldownMinutes} minutes per customer`,
+      components: [settingsRow, backRow]
+    };
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      // Get instance
+      if (!instance) {
+        await interaction.update({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+      
+      await interaction.update(this.buildView(instance));
+    } catch (error) {
+      console.error('Error handling business hours category click:', error);
+      await interaction.update({
+        content: `❌ Error: ${error.message}`,
+        components: []
+      });
+    }
+  }
+}
+
+module.exports = new EditHoursCategoryButton();
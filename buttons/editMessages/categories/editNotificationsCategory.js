@@ -0,0 +1,114 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelSelectMenuBuilder,
+  ChannelType,
+  RoleSelectMenuBuilder,
+  UserSelectMenuBuilder
+} = require('discord.js');
+const Button = require('../../../templates/Button');
+const NotificationManager = require('../../../modules/managers/NotificationManager');
+
+class EditNotificationsCategoryButton extends Button {
+  constructor() {
+    super({
+      customId: 'edit_notifications_category'
+    });
+  }
+
+  /**
+   * Build the new ticket notification settings view
+   * @param {Object} instance - Server instance
+   * @returns {Object} - Message payload ({ content, components })
+   */
+  buildView(instance) {
+    const config = {
+      ...NotificationManager.getDefaults(),
+      ...(instance.customSettings?.notifications || {})
+    };
+
+    const roleSelect = new RoleSelectMenuBuilder()
+      .setCustomId('notify_role_select')
+      .setPlaceholder('Role to ping for new tickets')
+      .setMinValues(0)
+      .setMaxValues(1);
+    if (config.roleId) roleSelect.setDefaultRoles(config.roleId);
+
+    const userSelect = new UserSelectMenuBuilder()
+      .setCustomId('notify_user_select')
+      .setPlaceholder('On-call user to ping for new tickets')
+      .setMinValues(0)
+      .setMaxValues(1);
+    if (config.userId) userSelect.setDefaultUsers(config.userId);
+
+    const feedSelect = new ChannelSelectMenuBuilder()
+      .setCustomId('notify_feed_select')
+      .setPlaceholder('Ticket feed channel')
+      .setChannelTypes(ChannelType.GuildText)
+      .setMinValues(0)
+      .setMaxValues(1);
+    if (config.feedChannelId) feedSelect.setDefaultChannels(config.feedChannelId);
+
+    const settingsRow = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId('toggle_notifications')
+          .setLabel(`Notifications: ${config.enabled ? 'Enabled' : 'Disabled'}`)
+          .setStyle(config.enabled ? ButtonStyle.Success : ButtonStyle.Secondary),
+        new ButtonBuilder()
+          .setCustomId('edit_notify_escalation')
+          .setLabel('Escalation')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('⏰'),
+        new ButtonBuilder()
+          .setCustomId('edit_back_to_main')
+          .setLabel('Back to Categories')
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+    const escalation = config.escalateAfterMinutes > 0
+      ? `ping again after ${config.escalateAfterMinutes} minutes without an agent reply`
+      : 'off';
+
+    return {
+      content: `🔔 **New Ticket Notifications**\n\n` +
+        `**Status:** ${config.enabled ? '🟢 Enabled' : '⚪ Disabled'}\n` +
+        `**Ping role:** ${config.roleId ? `<@&${config.roleId}>` : 'None'}\n` +
+        `**On-call user:** ${config.userId ? `<@${config.userId}>` : 'None'}\n` +
+        `**Ticket feed:** ${config.feedChannelId ? `<#${config.feedChannelId}>` : 'None'}\n` +
+        `**Escalation:** ${escalation}\n\n` +
+        `Clear a selection to stop pinging that role, user or channel.`,
+      components: [
+        new ActionRowBuilder().addComponents(roleSelect),
+        new ActionRowBuilder().addComponents(userSelect),
+        new ActionRowBuilder().addComponents(feedSelect),
+        settingsRow
+      ],
+      allowedMentions: { parse: [] }
+    };
+  }
+
+  async execute(interaction, instance) {
+    try {
+      // Get instance
+      if (!instance) {
+        await interaction.update({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+
+      await interaction.update(this.buildView(instance));
+    } catch (error) {
+      console.error('Error handling notifications category click:', error);
+      await interaction.update({
+        content: `❌ Error: ${error.message}`,
+        components: []
+      });
+    }
+  }
+}
+
+module.exports = new EditNotificationsCategoryButton();
@@ -0,0 +1,90 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const Button = require('../../../templates/Button');
+const RendererRegistry = require('../../../modules/renderers/RendererRegistry');
+
+class EditTranscriptCategoryButton extends Button {
+  constructor() {
+    super({
+      customId: 'edit_transcript_category'
+    });
+  }
+
+  /**
+   * Build the transcript format settings view
+   * @param {Object} instance - Server instance
+   * @returns {Object} - Message payload ({ content, components })
+   */
+  buildView(instance) {
+    const formats = RendererRegistry.getFormats();
+    const selected = (instance.customSettings?.transcriptFormats || ['html'])
+      .filter(format => RendererRegistry.isValidFormat(format));
+
+    const formatRow = new ActionRowBuilder()
+      .addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId('transcript_formats_select')
+          .setPlaceholder('Choose transcript formats')
+          .setMinValues(1)
+          .setMaxValues(formats.length)
+          .addOptions(formats.map(format => ({
+            label: format.label,
+            value: format.format,
+            description: format.description.substring(0, 100),
+            default: selected.includes(format.format)
+          })))
+      );
+
+    const voiceEnabled = instance.customSettings?.voiceTranscription === true;
+    const speech = instance.managers?.speechToText?.config;
+
+    const backRow = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId('toggle_voice_transcription')
+          .setLabel(`Voice Note Transcription: ${voiceEnabled ? 'Enabled' : 'Disabled'}`)
+          .setStyle(voiceEnabled ? ButtonStyle.Success : ButtonStyle.Secondary)
+          .setEmoji('🎙️'),
+        new ButtonBuilder()
+          .setCustomId('edit_back_to_main')
+          .setLabel('Back to Categories')
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+    const labels = formats
+      .filter(format => selected.includes(format.format))
+      .map(format => format.label);
+
+    return {
+      content: `📄 **Transcripts**\n\n**Formats posted to the transcript channel:** ${labels.join(', ') || 'HTML'}\n\n` +
+        `The HTML master transcript is always kept on disk with every past session. ` +
+        `Other formats cover the ticket that was just closed.\n\n` +
+        `🎙️ **Voice notes:** ${voiceEnabled ? 'transcribed' : 'not transcribed'}` +
+        (speech ? ` (engine: ${speech.backend}, language: ${speech.language}` +
+          `${speech.binaryPath ? '' : ', set `STT_BINARY_PATH` on the bot host if the engine is not on PATH'})` : ''),
+      components: [formatRow, backRow]
+    };
+  }
+
+  async execute(interaction, instance) {
+    try {
+      // Get instance
+      if (!instance) {
+        await interaction.update({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+
+      await interaction.update(this.buildView(instance));
+    } catch (error) {
+      console.error('Error handling transcript category click:', error);
+      await interaction.update({
+        content: `❌ Error: ${error.message}`,
+        components: []
+      });
+    }
+  }
+}
+
+module.exports = new EditTranscriptCategoryButton();
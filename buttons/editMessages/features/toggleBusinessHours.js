@@ -0,0 +1,58 @@
+// buttons/editMessages/features/toggleBusinessHours.js
+const Button = require('../../../templates/Button');
+const BusinessHours = require('../../../utils/BusinessHours');
+const EditHoursCategory = require('../categories/editHoursCategory');
+
+class ToggleBusinessHoursButton extends Button {
+  constructor() {
+    super({
+      customId: 'toggle_business_hours'
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      // First defer the update to prevent timeout
+      if (!interaction.deferred && !interaction.replied) {
+        await interaction.deferUpdate().catch(err => {
+          console.error(`Error deferring toggle business hours:`, err);
+        });
+      }
+      
+      if (!instance) {
+        await interaction.editReply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+      
+      const current = {
+        ...BusinessHours.getDefaults(),
+        ...(instance.customSettings?.businessHours || {})
+      };
+      const newEnabled = !current.enabled;
+      
+      console.log(`[ToggleBusinessHours] Toggling business hours from ${current.enabled} to ${newEnabled}`);
+      
+      await instance.saveSettings({
+        businessHours: { ...current, enabled: newEnabled }
+      });
+      
+      await interaction.editReply(EditHoursCategory.buildView(instance));
+    } catch (error) {
+      console.error(`[ToggleBusinessHours] Error toggling business hours:`, error);
+      
+      try {
+        await interaction.editReply({
+          content: `❌ Error: ${error.message}`,
+          components: []
+        });
+      } catch (replyError) {
+        console.error(`[ToggleBusinessHours] Error sending error message:`, replyError);
+      }
+    }
+  }
+}
+
+module.exports = new ToggleBusinessHoursButton();
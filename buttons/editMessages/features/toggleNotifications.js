@@ -0,0 +1,65 @@
+// buttons/editMessages/features/toggleNotifications.js
+const Button = require('../../../templates/Button');
+const NotificationManager = require('../../../modules/managers/NotificationManager');
+const EditNotificationsCategory = require('../categories/editNotificationsCategory');
+
+class ToggleNotificationsButton extends Button {
+  constructor() {
+    super({
+      customId: 'toggle_notifications'
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      // First defer the update to prevent timeout
+      if (!interaction.deferred && !interaction.replied) {
+        await interaction.deferUpdate().catch(err => {
+          console.error(`Error deferring toggle notifications:`, err);
+        });
+      }
+
+      if (!instance) {
+        await interaction.editReply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+
+      const current = {
+        ...NotificationManager.getDefaults(),
+        ...(instance.customSettings?.notifications || {})
+      };
+      const newEnabled = !current.enabled;
+
+      console.log(`[ToggleNotifications] Toggling notifications from ${current.enabled} to ${newEnabled}`);
+
+      await instance.saveSettings({
+        notifications: { ...current, enabled: newEnabled }
+      });
+
+      await interaction.editReply(EditNotificationsCategory.buildView(instance));
+
+      if (newEnabled && !current.roleId && !current.userId && !current.feedChannelId) {
+        await interaction.followUp({
+          content: 'ℹ️ Notifications are on, but nobody will be pinged yet. Pick a role, an on-call user or a feed channel.',
+          ephemeral: true
+        });
+      }
+    } catch (error) {
+      console.error(`[ToggleNotifications] Error toggling notifications:`, error);
+
+      try {
+        await interaction.editReply({
+          content: `❌ Error: ${error.message}`,
+          components: []
+        });
+      } catch (replyError) {
+        console.error(`[ToggleNotifications] Error sending error message:`, replyError);
+      }
+    }
+  }
+}
+
+module.exports = new ToggleNotificationsButton();
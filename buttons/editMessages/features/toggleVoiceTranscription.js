@@ -0,0 +1,51 @@
+// buttons/editMessages/features/toggleVoiceTranscription.js
+const Button = require('../../../templates/Button');
+const EditTranscriptCategory = require('../categories/editTranscriptCategory');
+
+class ToggleVoiceTranscriptionButton extends Button {
+  constructor() {
+    super({
+      customId: 'toggle_voice_transcription'
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      // First defer the update to prevent timeout
+      if (!interaction.deferred && !interaction.replied) {
+        await interaction.deferUpdate().catch(err => {
+          console.error(`Error deferring toggle voice transcription:`, err);
+        });
+      }
+      
+      if (!instance) {
+        await interaction.editReply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+      
+      const newEnabled = instance.customSettings?.voiceTranscription !== true;
+      
+      console.log(`[ToggleVoiceTranscription] Setting voice transcription to ${newEnabled}`);
+      
+      await instance.saveSettings({ voiceTranscription: newEnabled });
+      
+      await interaction.editReply(EditTranscriptCategory.buildView(instance));
+    } catch (error) {
+      console.error(`[ToggleVoiceTranscription] Error toggling voice transcription:`, error);
+      
+      try {
+        await interaction.editReply({
+          content: `❌ Error: ${error.message}`,
+          components: []
+        });
+      } catch (replyError) {
+        console.error(`[ToggleVoiceTranscription] Error sending error message:`, replyError);
+      }
+    }
+  }
+}
+
+module.exports = new ToggleVoiceTranscriptionButton();
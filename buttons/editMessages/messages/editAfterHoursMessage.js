@@ -0,0 +1,65 @@
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const Button = require('../../../templates/Button');
+
+class EditAfterHoursMessageButton extends Button {
+  constructor() {
+    super({
+      customId: 'edit_after_hours_message'
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      // Get instance
+      if (!instance) {
+        await interaction.reply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Get current settings
+      const currentSettings = instance.customSettings || {};
+      
+      // Current after-hours message with default fallback
+      const currentValue = currentSettings.afterHoursMessage ||
+        "Thanks for reaching out, {name}! 🌙 Our team is currently offline. We open again {nextOpen} and will reply as soon as we're back.";
+      
+      // Create modal
+      const modal = new ModalBuilder()
+        .setCustomId('edit_after_hours_modal')
+        .setTitle('Edit After-Hours Message');
+      
+      // Create text input with current value
+      const textInput = new TextInputBuilder()
+        .setCustomId('after_hours_message')
+        .setLabel('Sent outside business hours ({nextOpen})')
+        .setStyle(TextInputStyle.Paragraph)
+        .setValue(currentValue)
+        .setPlaceholder("We're closed right now, we open {nextOpen}.")
+        .setRequired(true);
+      
+      // Add input to modal
+      const actionRow = new ActionRowBuilder().addComponents(textInput);
+      modal.addComponents(actionRow);
+      
+      // Show the modal
+      await interaction.showModal(modal);
+    } catch (error) {
+      console.error(`Error showing edit after-hours modal:`, error);
+      
+      // Handle errors
+      try {
+        await interaction.reply({
+          content: `❌ Error showing edit form: ${error.message}`,
+          ephemeral: true
+        });
+      } catch (replyError) {
+        console.error(`Error sending error message: ${replyError.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new EditAfterHoursMessageButton();
@@ -0,0 +1,91 @@
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const Button = require('../../../templates/Button');
+const BusinessHours = require('../../../utils/BusinessHours');
+
+class EditBusinessHoursButton extends Button {
+  constructor() {
+    super({
+      customId: 'edit_business_hours'
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      // Get instance
+      if (!instance) {
+        await interaction.reply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      // Current schedule with default fallback
+      const config = {
+        ...BusinessHours.getDefaults(),
+        ...(instance.customSettings?.businessHours || {})
+      };
+      
+      // Create modal
+      const modal = new ModalBuilder()
+        .setCustomId('edit_business_hours_modal')
+        .setTitle('Edit Business Hours');
+      
+      const timezoneInput = new TextInputBuilder()
+        .setCustomId('timezone')
+        .setLabel('Timezone (IANA name)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(config.timezone)
+        .setPlaceholder('Europe/London')
+        .setRequired(true);
+      
+      const scheduleInput = new TextInputBuilder()
+        .setCustomId('schedule')
+        .setLabel('Weekly schedule (one rule per line)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setValue(BusinessHours.formatSchedule(config.schedule))
+        .setPlaceholder('mon-fri 09:00-17:00\nsat 10:00-13:00\nsun closed')
+        .setRequired(true);
+      
+      const holidaysInput = new TextInputBuilder()
+        .setCustomId('holidays')
+        .setLabel('Holidays (YYYY-MM-DD, comma separated)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setValue(config.holidays.join(', '))
+        .setPlaceholder('2026-12-25, 2027-01-01')
+        .setRequired(false);
+      
+      const cooldownInput = new TextInputBuilder()
+        .setCustomId('notice_cooldown')
+        .setLabel('Minutes between after-hours notices')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(config.noticeCooldownMinutes))
+        .setPlaceholder('60')
+        .setRequired(true);
+      
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(timezoneInput),
+        new ActionRowBuilder().addComponents(scheduleInput),
+        new ActionRowBuilder().addComponents(holidaysInput),
+        new ActionRowBuilder().addComponents(cooldownInput)
+      );
+      
+      // Show the modal
+      await interaction.showModal(modal);
+    } catch (error) {
+      console.error(`Error showing business hours modal:`, error);
+      
+      // Handle errors
+      try {
+        await interaction.reply({
+          content: `❌ Error showing edit form: ${error.message}`,
+          ephemeral: true
+        });
+      } catch (replyError) {
+        console.error(`Error sending error message: ${replyError.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new EditBusinessHoursButton();
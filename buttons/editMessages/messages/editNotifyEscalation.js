@@ -0,0 +1,63 @@
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const Button = require('../../../templates/Button');
+const NotificationManager = require('../../../modules/managers/NotificationManager');
+
+class EditNotifyEscalationButton extends Button {
+  constructor() {
+    super({
+      customId: 'edit_notify_escalation'
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      // Get instance
+      if (!instance) {
+        await interaction.reply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const config = {
+        ...NotificationManager.getDefaults(),
+        ...(instance.customSettings?.notifications || {})
+      };
+
+      // Create modal
+      const modal = new ModalBuilder()
+        .setCustomId('edit_notify_escalation_modal')
+        .setTitle('Escalate Unanswered Tickets');
+
+      const minutesInput = new TextInputBuilder()
+        .setCustomId('escalate_minutes')
+        .setLabel('Ping again after N minutes (0 = off)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(config.escalateAfterMinutes))
+        .setPlaceholder('15')
+        .setRequired(true);
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(minutesInput)
+      );
+
+      // Show the modal
+      await interaction.showModal(modal);
+    } catch (error) {
+      console.error(`Error showing escalation modal:`, error);
+
+      // Handle errors
+      try {
+        await interaction.reply({
+          content: `❌ Error showing edit form: ${error.message}`,
+          ephemeral: true
+        });
+      } catch (replyError) {
+        console.error(`Error sending error message: ${replyError.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new EditNotifyEscalationButton();
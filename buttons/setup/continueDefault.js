@@ -66,6 +66,8 @@ class ContinueDefaultButton extends Button {
         // Generate QR code
         qrCode = await QRCodeUtils.generateQRCode({
           guildId,
+          instanceId: setupParams.instanceId,
+          name: setupParams.name,
           categoryId: setupParams.categoryId,
           transcriptChannelId: setupParams.transcriptChannelId,
           vouchChannelId: setupParams.vouchChannelId,
@@ -132,7 +134,7 @@ class ContinueDefaultButton extends Button {
       // Display QR code
       try {
         const { displayQRCode } = require('../../utils/qrCodeUtils');
-        await displayQRCode(interaction, qrCode, guildId);
+        await displayQRCode(interaction, qrCode, guildId, setupParams.instanceId || guildId);
       } catch (displayError) {
         console.error(`[ContinueDefault] Error displaying QR code:`, displayError);
         await interaction.editReply({
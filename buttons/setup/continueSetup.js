@@ -91,7 +91,7 @@ class ContinueSetupButton extends Button {
       // CRITICAL: Save settings directly to instance folder first
       try {
         // Create instance directory
-        const instanceDir = path.join(__dirname, '..', '..', 'instances', guildId);
+        const instanceDir = path.join(__dirname, '..', '..', 'instances', setupParams.instanceId || guildId);
         if (!fs.existsSync(instanceDir)) {
           fs.mkdirSync(instanceDir, { recursive: true });
         }
@@ -111,6 +111,8 @@ class ContinueSetupButton extends Button {
       // Only pass essential connection information to QR generator, not all settings
       const qrCode = await InstanceManager.generateQRCode({
         guildId,
+        instanceId: setupParams.instanceId,
+        name: setupParams.name,
         categoryId: setupParams.categoryId,
         transcriptChannelId: setupParams.transcriptChannelId,
         vouchChannelId: setupParams.vouchChannelId,
@@ -125,7 +127,9 @@ class ContinueSetupButton extends Button {
   
         // Even if already connected, ensure instance has correct settings
         try {
-          const existingInstance = InstanceManager.getInstanceByGuildId(guildId);
+          const existingInstance = setupParams.instanceId
+            ? InstanceManager.getInstanceById(setupParams.instanceId)
+            : InstanceManager.getInstanceByGuildId(guildId);
           if (existingInstance) {
             await InstanceManager.saveInstanceSettings(existingInstance.instanceId, customSettings);
             console.log(`[ContinueSetup] Saved settings to existing instance ${existingInstance.instanceId}`);
@@ -178,7 +182,7 @@ class ContinueSetupButton extends Button {
   
       // Display QR code
       const { displayQRCode } = require('../../utils/qrCodeUtils');
-      await displayQRCode(interaction, qrCode, guildId);
+      await displayQRCode(interaction, qrCode, guildId, setupParams.instanceId || guildId);
   
       // Clean up setup params
       try {
@@ -0,0 +1,91 @@
+// buttons/snippets/openSnippetEditor.js
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const Button = require('../../templates/Button');
+
+class OpenSnippetEditorButton extends Button {
+  constructor() {
+    super({
+      regex: /^snippet_(create|edit_.+)$/
+    });
+  }
+  
+  matches(customId) {
+    return customId === 'snippet_create' || customId.startsWith('snippet_edit_');
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      const snippetManager = instance?.managers?.snippetManager;
+      if (!snippetManager) {
+        await interaction.reply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const isEdit = interaction.customId.startsWith('snippet_edit_');
+      const snippet = isEdit
+        ? snippetManager.getSnippet(interaction.customId.replace('snippet_edit_', ''))
+        : null;
+      
+      if (isEdit && !snippet) {
+        await interaction.reply({
+          content: '❌ Snippet not found. It may have been deleted.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Create modal
+      const modal = new ModalBuilder()
+        .setCustomId(isEdit ? `snippet_modal_${snippet.name}` : 'snippet_modal')
+        .setTitle(isEdit ? `Edit Snippet: ${snippet.name}`.substring(0, 45) : 'New Snippet');
+      
+      if (!isEdit) {
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('snippet_name')
+              .setLabel('Name (used with /reply and !s)')
+              .setStyle(TextInputStyle.Short)
+              .setPlaceholder('refund-policy')
+              .setMaxLength(32)
+              .setRequired(true)
+          )
+        );
+      }
+      
+      const contentInput = new TextInputBuilder()
+        .setCustomId('snippet_content')
+        .setLabel('Message ({name}, {phoneNumber})')
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('Hi {name}! Refunds are processed within 5 business days.')
+        .setMaxLength(4000)
+        .setRequired(true);
+      
+      if (snippet) {
+        contentInput.setValue(snippet.content);
+      }
+      
+      modal.addComponents(new ActionRowBuilder().addComponents(contentInput));
+      
+      // Show the modal
+      await interaction.showModal(modal);
+    } catch (error) {
+      console.error(`Error showing snippet modal:`, error);
+      
+      // Handle errors
+      try {
+        await interaction.reply({
+          content: `❌ Error showing edit form: ${error.message}`,
+          ephemeral: true
+        });
+      } catch (replyError) {
+        console.error(`Error sending error message: ${replyError.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new OpenSnippetEditorButton();
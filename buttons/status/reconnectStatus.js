@@ -85,6 +85,8 @@ class ReconnectStatusButton extends Button {
         
         const qrCode = await generateQRCode({
           guildId: interaction.guild.id,
+          instanceId: instance.instanceId,
+          name: instance.name,
           categoryId: instance.categoryId,
           transcriptChannelId: instance.transcriptChannelId,
           vouchChannelId: instance.vouchChannelId,
@@ -115,7 +117,7 @@ class ReconnectStatusButton extends Button {
         }
         
         // Show QR code
-        await displayQRCode(interaction, qrCode, interaction.guild.id);
+        await displayQRCode(interaction, qrCode, interaction.guild.id, instance.instanceId);
         
       } catch (qrError) {
         console.error(`Error during QR reconnect:`, qrError);
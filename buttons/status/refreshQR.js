@@ -89,6 +89,8 @@ class RefreshQRButton extends Button {
         // Generate a new QR code
         const qrCode = await generateQRCode({
           guildId: interaction.guild.id,
+          instanceId: instance.instanceId,
+          name: instance.name,
           categoryId: instance.categoryId,
           transcriptChannelId: instance.transcriptChannelId,
           vouchChannelId: instance.vouchChannelId || instance.transcriptChannelId,
@@ -114,7 +116,7 @@ class RefreshQRButton extends Button {
         }
         
         // Display the QR code
-        await displayQRCode(interaction, qrCode, interaction.guild.id);
+        await displayQRCode(interaction, qrCode, interaction.guild.id, instance.instanceId);
       } catch (qrError) {
         console.error(`Error generating QR code:`, qrError);
         
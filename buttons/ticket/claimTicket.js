@@ -0,0 +1,101 @@
+// buttons/ticket/claimTicket.js
+
+const Button = require('../../templates/Button');
+
+class ClaimTicketButton extends Button {
+  constructor() {
+    super({
+      customId: 'claim-ticket'
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      console.log(`[ClaimTicketButton] Processing claim interaction in channel: ${interaction.channelId}`);
+
+      await interaction.deferReply({ ephemeral: true });
+
+      // Get instance if not provided
+      if (!instance && interaction.client._instanceRoutes) {
+        const categoryId = interaction.channel.parentId;
+
+        if (categoryId && interaction.client._instanceRoutes.has(categoryId)) {
+          instance = interaction.client._instanceRoutes.get(categoryId).instance;
+        } else {
+          for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+            if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+              instance = routeInfo.instance;
+              break;
+            }
+          }
+        }
+      }
+
+      const ticketManager = instance?.managers?.ticketManager || instance?.ticketManager;
+      const channelManager = instance?.managers?.channelManager || instance?.channelManager;
+
+      if (!ticketManager || typeof ticketManager.claimTicket !== 'function') {
+        console.error(`[ClaimTicketButton] No ticket manager available`);
+        await interaction.editReply({
+          content: "❌ System error: Ticket manager not available. Please report this issue."
+        });
+        return false;
+      }
+
+      // Make sure this is an active ticket channel
+      if (channelManager && !channelManager.getPhoneNumberByChannelId(interaction.channelId)) {
+        await interaction.editReply({
+          content: "❌ This button can only be used in an active WhatsApp ticket channel."
+        });
+        return false;
+      }
+
+      const existingClaim = ticketManager.getTicketClaim(interaction.channelId);
+
+      if (existingClaim) {
+        if (existingClaim.agentId === interaction.user.id) {
+          await interaction.editReply({
+            content: "ℹ️ You have already claimed this ticket. Use `/ticket unclaim` to release it."
+          });
+        } else {
+          await interaction.editReply({
+            content: `❌ This ticket is already claimed by <@${existingClaim.agentId}>. Use \`/ticket transfer\` to reassign it.`
+          });
+        }
+        return false;
+      }
+
+      const claim = await ticketManager.claimTicket(interaction.channelId, interaction.member);
+      if (!claim) {
+        await interaction.editReply({
+          content: "❌ Failed to claim ticket. Please try again later."
+        });
+        return false;
+      }
+
+      await interaction.channel.send({
+        content: `🙋 This ticket has been claimed by <@${claim.agentId}>.`,
+        allowedMentions: { parse: [] }
+      });
+
+      await interaction.editReply({
+        content: "✅ You have claimed this ticket."
+      });
+      return true;
+    } catch (error) {
+      console.error(`[ClaimTicketButton] Error handling claim ticket:`, error);
+
+      try {
+        await interaction.editReply({
+          content: `❌ Error claiming ticket: ${error.message}`
+        });
+      } catch (replyError) {
+        console.error(`[ClaimTicketButton] Error sending error reply:`, replyError);
+      }
+
+      return false;
+    }
+  }
+}
+
+module.exports = new ClaimTicketButton();
@@ -0,0 +1,75 @@
+// buttons/ticket/snoozeIdle.js
+
+const Button = require('../../templates/Button');
+
+class SnoozeIdleButton extends Button {
+  constructor() {
+    super({
+      customId: 'idle_snooze'
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      // Get instance if not provided
+      if (!instance && interaction.client._instanceRoutes) {
+        const categoryId = interaction.channel.parentId;
+
+        if (categoryId && interaction.client._instanceRoutes.has(categoryId)) {
+          instance = interaction.client._instanceRoutes.get(categoryId).instance;
+        } else {
+          for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+            if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+              instance = routeInfo.instance;
+              break;
+            }
+          }
+        }
+      }
+
+      const idleManager = instance?.managers?.idleManager;
+      if (!idleManager) {
+        await interaction.editReply({
+          content: "❌ System error: Idle ticket manager not available. Please report this issue."
+        });
+        return false;
+      }
+
+      const closeAt = idleManager.snooze(interaction.channelId, interaction.user.id);
+      if (!closeAt) {
+        await interaction.editReply({
+          content: "❌ This button can only be used in an active WhatsApp ticket channel."
+        });
+        return false;
+      }
+
+      // Retire the warning so the button can't be pressed twice
+      await interaction.message.edit({
+        content: `${interaction.message.content}\n💤 Snoozed by <@${interaction.user.id}> - closes <t:${Math.floor(closeAt / 1000)}:R> unless the customer replies.`,
+        components: [],
+        allowedMentions: { parse: [] }
+      });
+
+      await interaction.editReply({
+        content: `✅ Auto-close postponed to <t:${Math.floor(closeAt / 1000)}:f>.`
+      });
+      return true;
+    } catch (error) {
+      console.error(`[SnoozeIdleButton] Error snoozing idle ticket:`, error);
+
+      try {
+        await interaction.editReply({
+          content: `❌ Error snoozing ticket: ${error.message}`
+        });
+      } catch (replyError) {
+        console.error(`[SnoozeIdleButton] Error sending error reply:`, replyError);
+      }
+
+      return false;
+    }
+  }
+}
+
+module.exports = new SnoozeIdleButton();
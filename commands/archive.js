@@ -0,0 +1,136 @@
+// commands/archive.js
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+
+class ArchiveCommand extends Command {
+  constructor() {
+    super({
+      name: 'archive',
+      description: 'Keep closed tickets as read-only channels instead of deleting them',
+      permissions: PermissionFlagsBits.ManageGuild,
+      subcommands: [
+        {
+          name: 'enable',
+          description: 'Move closed tickets to an archive category',
+          options: [
+            {
+              type: 'channel',
+              name: 'category',
+              description: 'Category for closed tickets',
+              required: true,
+              channelTypes: [ChannelType.GuildCategory]
+            },
+            {
+              type: 'string',
+              name: 'on_return',
+              description: 'What happens when the customer writes again (default: reopen)',
+              required: false,
+              choices: [
+                { name: 'Reopen the archived channel', value: 'reopen' },
+                { name: 'New channel with a summary of the last ticket', value: 'summary' }
+              ]
+            }
+          ]
+        },
+        {
+          name: 'disable',
+          description: 'Delete channels of closed tickets again'
+        },
+        {
+          name: 'status',
+          description: 'Show the archive settings'
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      const ticketManager = instance?.managers?.ticketManager;
+      if (!ticketManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const archiveMode = {
+        enabled: false,
+        categoryId: null,
+        onReturn: 'reopen',
+        ...(instance.customSettings?.archiveMode || {})
+      };
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'enable': {
+          const category = interaction.options.getChannel('category');
+          if (
+            category.id === instance.categoryId ||
+            instance.managers.departmentManager?.hasCategory(category.id)
+          ) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ Pick a different category than the one open tickets are created in."
+            });
+            return;
+          }
+
+          const onReturn = interaction.options.getString('on_return') || archiveMode.onReturn;
+          await instance.saveSettings({
+            archiveMode: { enabled: true, categoryId: category.id, onReturn }
+          });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ Closed tickets will be moved to **${category.name}** as read-only channels.\n` +
+              (onReturn === 'reopen'
+                ? "When a customer writes again, their archived channel is reopened."
+                : "When a customer writes again, a new channel is created with a summary of their last ticket.")
+          });
+          return;
+        }
+
+        case 'disable': {
+          await instance.saveSettings({ archiveMode: { ...archiveMode, enabled: false } });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: "✅ Archive mode disabled. Closed ticket channels will be deleted. Already archived channels are kept."
+          });
+          return;
+        }
+
+        case 'status': {
+          await InteractionTracker.safeEdit(interaction, {
+            content: `🗂️ **Archive mode is ${archiveMode.enabled ? 'on' : 'off'}**\n` +
+              `**Category:** ${archiveMode.categoryId ? `<#${archiveMode.categoryId}>` : 'Not set'}\n` +
+              `**Returning customers:** ${archiveMode.onReturn === 'reopen' ? 'Reopen archived channel' : 'New channel with summary'}\n` +
+              `**Archived tickets:** ${ticketManager.archivedTickets.size}`
+          });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling archive command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new ArchiveCommand();
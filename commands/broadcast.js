@@ -0,0 +1,280 @@
+// commands/broadcast.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+
+class BroadcastCommand extends Command {
+  constructor() {
+    super({
+      name: 'broadcast',
+      description: 'Send announcements to your WhatsApp customers',
+      permissions: PermissionFlagsBits.ManageGuild,
+      subcommands: [
+        {
+          name: 'new',
+          description: 'Compose a new broadcast',
+          options: [
+            {
+              type: 'string',
+              name: 'audience',
+              description: 'Who receives the broadcast',
+              required: true,
+              choices: [
+                { name: 'All customers', value: 'all' },
+                { name: 'Active in the last N days', value: 'active' },
+                { name: 'Customers with a tag', value: 'tagged' }
+              ]
+            },
+            {
+              type: 'integer',
+              name: 'days',
+              description: 'For "active": days since their last message (default 30)',
+              required: false,
+              minValue: 1,
+              maxValue: 365
+            },
+            {
+              type: 'string',
+              name: 'tag',
+              description: 'For "tagged": the customer tag',
+              required: false
+            },
+            {
+              type: 'attachment',
+              name: 'media',
+              description: 'Image, video or document to send with the message',
+              required: false
+            }
+          ]
+        },
+        {
+          name: 'list',
+          description: 'Show recent broadcasts'
+        },
+        {
+          name: 'status',
+          description: 'Show delivery progress of a broadcast',
+          options: [
+            {
+              type: 'string',
+              name: 'id',
+              description: 'Broadcast ID',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'stop',
+          description: 'Stop a running broadcast or discard a draft',
+          options: [
+            {
+              type: 'string',
+              name: 'id',
+              description: 'Broadcast ID',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'resume',
+          description: 'Continue a broadcast that was interrupted by a restart or lost connection',
+          options: [
+            {
+              type: 'string',
+              name: 'id',
+              description: 'Broadcast ID',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'tag',
+          description: 'Tag a customer for targeted broadcasts',
+          options: [
+            {
+              type: 'string',
+              name: 'number',
+              description: 'Customer phone number',
+              required: true
+            },
+            {
+              type: 'string',
+              name: 'tag',
+              description: 'Tag, e.g. wholesale',
+              required: true
+            },
+            {
+              type: 'boolean',
+              name: 'remove',
+              description: 'Remove the tag instead of adding it',
+              required: false
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      const broadcastManager = instance?.managers?.broadcastManager;
+      if (!broadcastManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'new': {
+          const audience = {
+            type: interaction.options.getString('audience'),
+            days: interaction.options.getInteger('days') || 30,
+            tag: interaction.options.getString('tag')
+          };
+
+          if (audience.type === 'tagged' && !instance.managers.userCardManager.normalizeTag(audience.tag)) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Give a `tag` for a tagged audience." });
+            return;
+          }
+
+          const campaign = await broadcastManager.createDraft({
+            audience,
+            attachment: interaction.options.getAttachment('media'),
+            createdBy: interaction.user.id
+          });
+
+          const count = Object.keys(campaign.recipients).length;
+          if (count === 0) {
+            broadcastManager.stop(campaign.id);
+            await InteractionTracker.safeEdit(interaction, {
+              content: `ℹ️ No customers match **${broadcastManager.describeAudience(audience)}** (opted-out customers are excluded).`
+            });
+            return;
+          }
+
+          // Modals can't be shown from a deferred command, so offer a button
+          const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId(`broadcast_compose_${campaign.id}`)
+              .setLabel('Write Message')
+              .setStyle(ButtonStyle.Primary)
+              .setEmoji('📝')
+          );
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `📣 **New Broadcast \`${campaign.id}\`**\n\n` +
+              `**Audience:** ${broadcastManager.describeAudience(audience)} (${count} customers)\n` +
+              `**Media:** ${campaign.media?.originalName || 'None'}\n\n` +
+              `Write the message next. You'll see a preview before anything is sent.`,
+            components: [row]
+          });
+          return;
+        }
+
+        case 'list': {
+          const campaigns = broadcastManager.getAllCampaigns();
+          if (campaigns.length === 0) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "ℹ️ No broadcasts yet. Use `/broadcast new` to create one."
+            });
+            return;
+          }
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle('📣 Broadcasts')
+            .setDescription(
+              campaigns.slice(0, 15).map(campaign => {
+                const counts = broadcastManager.getCounts(campaign);
+                const preview = (campaign.content || '*no message*').replace(/\s+/g, ' ').substring(0, 60);
+                return `**\`${campaign.id}\`** · ${campaign.status} · ${counts.total - counts.pending}/${counts.total} · <t:${Math.floor(campaign.createdAt / 1000)}:R>\n${preview}`;
+              }).join('\n\n')
+            );
+
+          await InteractionTracker.safeEdit(interaction, { embeds: [embed] });
+          return;
+        }
+
+        case 'status': {
+          const campaign = broadcastManager.getCampaign(interaction.options.getString('id'));
+          if (!campaign) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Broadcast not found. Use `/broadcast list` to see broadcasts." });
+            return;
+          }
+
+          await InteractionTracker.safeEdit(interaction, { embeds: [broadcastManager.buildProgressEmbed(campaign)] });
+          return;
+        }
+
+        case 'stop': {
+          const id = interaction.options.getString('id');
+          if (!broadcastManager.stop(id)) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ That broadcast isn't running or waiting to be sent." });
+            return;
+          }
+
+          await InteractionTracker.safeEdit(interaction, { content: `✅ Broadcast \`${broadcastManager.getCampaign(id).id}\` stopped.` });
+          return;
+        }
+
+        case 'resume': {
+          const result = await broadcastManager.start(interaction.options.getString('id'), interaction.channel);
+          await InteractionTracker.safeEdit(interaction, {
+            content: result.success ? "✅ Broadcast resumed. Progress is posted in this channel." : `❌ ${result.error}`
+          });
+          return;
+        }
+
+        case 'tag': {
+          const phoneNumber = interaction.options.getString('number').replace(/\D/g, '');
+          const tag = interaction.options.getString('tag');
+          const userCardManager = instance.managers.userCardManager;
+
+          if (!userCardManager.getUserInfo(phoneNumber)) {
+            await InteractionTracker.safeEdit(interaction, { content: `❌ No customer with number +${phoneNumber}.` });
+            return;
+          }
+
+          const tags = interaction.options.getBoolean('remove')
+            ? await userCardManager.removeTag(phoneNumber, tag)
+            : await userCardManager.addTag(phoneNumber, tag);
+
+          if (!tags) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Tags can only contain letters, numbers, `-` and `_`." });
+            return;
+          }
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ Tags for +${phoneNumber}: ${tags.length ? tags.map(t => `\`${t}\``).join(', ') : 'none'}`
+          });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling broadcast command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new BroadcastCommand();
@@ -0,0 +1,133 @@
+// commands/csat.js
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+const CsatManager = require('../modules/managers/CsatManager');
+
+class CsatCommand extends Command {
+  constructor() {
+    super({
+      name: 'csat',
+      description: 'Customer satisfaction surveys after tickets close',
+      permissions: PermissionFlagsBits.ManageGuild,
+      subcommands: [
+        {
+          name: 'enable',
+          description: 'Ask customers for a 1-5 rating when their ticket closes',
+          options: [
+            {
+              type: 'channel',
+              name: 'channel',
+              description: 'Channel for the results (leave empty to only collect them)',
+              required: false,
+              channelTypes: [ChannelType.GuildText]
+            }
+          ]
+        },
+        {
+          name: 'disable',
+          description: 'Stop sending satisfaction surveys'
+        },
+        {
+          name: 'report',
+          description: 'Average ratings per agent and period',
+          options: [
+            {
+              type: 'integer',
+              name: 'period',
+              description: 'Time range (default: last 30 days)',
+              required: false,
+              choices: [
+                { name: 'Last 7 days', value: 7 },
+                { name: 'Last 30 days', value: 30 },
+                { name: 'Last 90 days', value: 90 },
+                { name: 'All time', value: 0 }
+              ]
+            },
+            {
+              type: 'user',
+              name: 'agent',
+              description: 'Only this agent\'s tickets',
+              required: false
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      const csatManager = instance?.managers?.csatManager;
+      if (!csatManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const csat = { ...CsatManager.getDefaults(), ...(instance.customSettings?.csat || {}) };
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'enable': {
+          const channel = interaction.options.getChannel('channel');
+          await instance.saveSettings({
+            csat: { ...csat, enabled: true, channelId: channel ? channel.id : csat.channelId }
+          });
+
+          const resultsChannel = channel ? channel.id : csat.channelId;
+          await InteractionTracker.safeEdit(interaction, {
+            content: "✅ Customers will be asked to rate their ticket after it closes.\n" +
+              (resultsChannel
+                ? `Results are posted in <#${resultsChannel}>.`
+                : "Results are only collected. Add `channel` to post them somewhere.") +
+              "\nSee the scores with `/csat report`."
+          });
+          return;
+        }
+
+        case 'disable': {
+          await instance.saveSettings({ csat: { ...csat, enabled: false } });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: "✅ Satisfaction surveys disabled. Collected ratings are kept."
+          });
+          return;
+        }
+
+        case 'report': {
+          const period = interaction.options.getInteger('period');
+          const agent = interaction.options.getUser('agent');
+
+          await InteractionTracker.safeEdit(interaction, {
+            embeds: [csatManager.buildReport(period ?? 30, agent?.id)]
+          });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling csat command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new CsatCommand();
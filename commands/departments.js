@@ -0,0 +1,274 @@
+// commands/departments.js
+const { ChannelType, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+const DepartmentManager = require('../modules/managers/DepartmentManager');
+
+class DepartmentsCommand extends Command {
+  constructor() {
+    super({
+      name: 'departments',
+      description: 'Let customers pick a department before their ticket is created',
+      permissions: PermissionFlagsBits.ManageGuild,
+      subcommands: [
+        {
+          name: 'add',
+          description: 'Add a department or update an existing one',
+          options: [
+            {
+              type: 'string',
+              name: 'name',
+              description: 'Department name shown in the menu',
+              required: true
+            },
+            {
+              type: 'channel',
+              name: 'category',
+              description: 'Category for tickets of this department',
+              required: true,
+              channelTypes: [ChannelType.GuildCategory]
+            },
+            {
+              type: 'role',
+              name: 'role',
+              description: 'Role to ping when a ticket is opened',
+              required: false
+            },
+            {
+              type: 'string',
+              name: 'intro',
+              description: 'Intro message sent to the customer ({name}, {department})',
+              required: false
+            }
+          ]
+        },
+        {
+          name: 'remove',
+          description: 'Remove a department',
+          options: [
+            {
+              type: 'string',
+              name: 'name',
+              description: 'Department name or menu number',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'enable',
+          description: 'Show the department menu to new customers'
+        },
+        {
+          name: 'disable',
+          description: 'Create tickets without asking for a department'
+        },
+        {
+          name: 'menu',
+          description: 'Change the menu message',
+          options: [
+            {
+              type: 'string',
+              name: 'message',
+              description: 'Menu message ({name}, {menu}, \\n for a new line)',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'list',
+          description: 'Show the configured departments'
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      if (!instance?.managers?.departmentManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const departments = {
+        ...DepartmentManager.getDefaults(),
+        ...(instance.customSettings?.departments || {})
+      };
+      const list = Array.isArray(departments.list) ? [...departments.list] : [];
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'add': {
+          const name = interaction.options.getString('name').trim().substring(0, 50);
+          const category = interaction.options.getChannel('category');
+          const role = interaction.options.getRole('role');
+          const intro = interaction.options.getString('intro');
+          const id = DepartmentManager.toId(name);
+
+          if (!id) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ The department name needs at least one letter or number."
+            });
+            return;
+          }
+
+          // Department tickets must stay routed to this WhatsApp number
+          const route = interaction.client._instanceRoutes?.get(category.id);
+          if (route && route.instanceId !== instance.instanceId) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ That category is used by another WhatsApp number. Please pick a different one."
+            });
+            return;
+          }
+
+          if (category.id === instance.customSettings?.archiveMode?.categoryId) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ That category holds archived tickets. Please pick a different one."
+            });
+            return;
+          }
+
+          const index = list.findIndex(department => department.id === id);
+          if (index === -1 && list.length >= DepartmentManager.MAX_DEPARTMENTS) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: `❌ You can have at most ${DepartmentManager.MAX_DEPARTMENTS} departments. Remove one first.`
+            });
+            return;
+          }
+
+          const existing = index === -1 ? {} : list[index];
+          const department = {
+            id,
+            name,
+            categoryId: category.id,
+            roleId: role ? role.id : existing.roleId || null,
+            introMessage: intro !== null ? intro : existing.introMessage || null
+          };
+
+          if (index === -1) {
+            list.push(department);
+          } else {
+            list[index] = department;
+          }
+
+          await instance.saveSettings({ departments: { ...departments, list } });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ Department **${name}** ${index === -1 ? 'added' : 'updated'}. Tickets go to **${category.name}**` +
+              (department.roleId ? ` and ping <@&${department.roleId}>.` : '.') +
+              (departments.enabled ? '' : "\nUse `/departments enable` to show the menu to new customers.")
+          });
+          return;
+        }
+
+        case 'remove': {
+          const input = interaction.options.getString('name').trim();
+          const number = parseInt(input, 10);
+          const index = /^\d+$/.test(input)
+            ? number - 1
+            : list.findIndex(department =>
+              department.id === DepartmentManager.toId(input) ||
+              department.name.toLowerCase() === input.toLowerCase()
+            );
+
+          if (index < 0 || index >= list.length) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: `❌ No department found for "${input}". Use \`/departments list\` to see them.`
+            });
+            return;
+          }
+
+          const [removed] = list.splice(index, 1);
+          await instance.saveSettings({
+            departments: { ...departments, list, enabled: departments.enabled && list.length > 0 }
+          });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ Department **${removed.name}** removed.` +
+              (departments.enabled && list.length === 0 ? " The menu is now off because no departments are left." : '')
+          });
+          return;
+        }
+
+        case 'enable': {
+          if (list.length === 0) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ Add at least one department with `/departments add` first."
+            });
+            return;
+          }
+
+          await instance.saveSettings({ departments: { ...departments, enabled: true } });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ New customers will pick one of ${list.length} department(s) before their ticket is created.`
+          });
+          return;
+        }
+
+        case 'disable': {
+          await instance.saveSettings({ departments: { ...departments, enabled: false } });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: "✅ Department menu disabled. New tickets go to the main ticket category."
+          });
+          return;
+        }
+
+        case 'menu': {
+          const menuMessage = interaction.options.getString('message').replace(/\\n/g, '\n');
+          await instance.saveSettings({ departments: { ...departments, menuMessage } });
+
+          const preview = instance.managers.departmentManager.buildMenu(interaction.user.username);
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ Menu message updated. Preview:\n\n${preview}`
+          });
+          return;
+        }
+
+        case 'list': {
+          const embed = new EmbedBuilder()
+            .setColor(departments.enabled ? 0x00ae86 : 0x808080)
+            .setTitle(`🏷️ Departments (${departments.enabled ? 'menu on' : 'menu off'})`)
+            .setDescription(
+              list.length > 0
+                ? list.map((department, index) =>
+                  `**${index + 1}. ${department.name}**\n` +
+                  `Category: <#${department.categoryId}>` +
+                  (department.roleId ? ` • Ping: <@&${department.roleId}>` : '') +
+                  (department.introMessage ? `\nIntro: ${department.introMessage.substring(0, 100)}` : '')
+                ).join('\n\n')
+                : "No departments yet. Add one with `/departments add`."
+            )
+            .addFields({ name: 'Menu message', value: departments.menuMessage.substring(0, 1024) });
+
+          await InteractionTracker.safeEdit(interaction, { embeds: [embed] });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling departments command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new DepartmentsCommand();
@@ -2,6 +2,9 @@ const { ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = re
 const Command = require('../templates/Command');
 const InstanceManager = require("../core/InstanceManager");
 const InteractionTracker = require('../utils/InteractionTracker');
+const InstanceSelector = require('../utils/InstanceSelector');
+const fs = require('fs');
+const path = require('path');
 
 class DisconnectWhatsAppCommand extends Command {
   constructor() {
@@ -30,6 +33,10 @@ class DisconnectWhatsAppCommand extends Command {
         });
         return;
       }
+
+      // Servers with several WhatsApp numbers pick which one to disconnect
+      instance = await InstanceSelector.resolve(interaction, instance, this.name);
+      if (!instance) return;
       
       // Check if service is already inactive
       let isInactive = false;
@@ -1,6 +1,7 @@
 // commands/editMessages.js
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
 const Command = require('../templates/Command');
+const InstanceSelector = require('../utils/InstanceSelector');
 
 class EditMessagesCommand extends Command {
   constructor() {
@@ -50,6 +51,10 @@ class EditMessagesCommand extends Command {
         }
       }
 
+      // Servers with several WhatsApp numbers pick which one to edit
+      instance = await InstanceSelector.resolve(interaction, instance, this.name);
+      if (!instance) return;
+
       // Get current settings with proper defaults
       const currentSettings = {
         welcomeMessage: "Welcome to Support! 😊 We're here to help. What's your name so we can get you connected?",
@@ -62,6 +67,7 @@ class EditMessagesCommand extends Command {
         sendClosingMessage: true,
         transcriptsEnabled: true,
         vouchEnabled: true,
+        claimLock: false,
         ...instance.customSettings // Override with actual instance settings
       };
 
@@ -82,7 +88,17 @@ class EditMessagesCommand extends Command {
             .setCustomId('edit_vouch_category')
             .setLabel('Vouch Messages')
             .setStyle(ButtonStyle.Primary)
-            .setEmoji('⭐')
+            .setEmoji('⭐'),
+          new ButtonBuilder()
+            .setCustomId('edit_hours_category')
+            .setLabel('Business Hours')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🕘'),
+          new ButtonBuilder()
+            .setCustomId('edit_transcript_category')
+            .setLabel('Transcripts')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('📄')
         );
 
       // Create a row for feature toggles
@@ -99,7 +115,15 @@ class EditMessagesCommand extends Command {
           new ButtonBuilder()
             .setCustomId('toggle_closing_messages')
             .setLabel(`Closing Messages: ${currentSettings.sendClosingMessage !== false ? 'Enabled' : 'Disabled'}`)
-            .setStyle(currentSettings.sendClosingMessage !== false ? ButtonStyle.Success : ButtonStyle.Secondary)
+            .setStyle(currentSettings.sendClosingMessage !== false ? ButtonStyle.Success : ButtonStyle.Secondary),
+          new ButtonBuilder()
+            .setCustomId('toggle_claim_lock')
+            .setLabel(`Claim Lock: ${currentSettings.claimLock === true ? 'Enabled' : 'Disabled'}`)
+            .setStyle(currentSettings.claimLock === true ? ButtonStyle.Success : ButtonStyle.Secondary),
+          new ButtonBuilder()
+            .setCustomId('edit_notifications_category')
+            .setLabel(`Notifications: ${currentSettings.notifications?.enabled ? 'Enabled' : 'Disabled'}`)
+            .setStyle(currentSettings.notifications?.enabled ? ButtonStyle.Success : ButtonStyle.Secondary)
         );
 
       // Send message with category buttons
@@ -0,0 +1,221 @@
+// commands/groups.js
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+
+class GroupsCommand extends Command {
+  constructor() {
+    super({
+      name: 'groups',
+      description: 'Bridge WhatsApp group chats into ticket channels',
+      permissions: PermissionFlagsBits.ManageGuild,
+      subcommands: [
+        {
+          name: 'enable',
+          description: 'Turn group mode on (only allowlisted groups are bridged)'
+        },
+        {
+          name: 'disable',
+          description: 'Turn group mode off'
+        },
+        {
+          name: 'available',
+          description: 'Show the WhatsApp groups this number is in'
+        },
+        {
+          name: 'add',
+          description: 'Allow a WhatsApp group to be bridged',
+          options: [
+            {
+              type: 'string',
+              name: 'group_id',
+              description: 'Group ID from /groups available',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'remove',
+          description: 'Stop bridging a WhatsApp group',
+          options: [
+            {
+              type: 'string',
+              name: 'group_id',
+              description: 'Group ID from /groups list',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'list',
+          description: 'Show the allowlisted groups'
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      const groupManager = instance?.managers?.groupManager;
+      if (!groupManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const groupMode = instance.customSettings?.groupMode || { enabled: false, groups: {} };
+      const groups = { ...(groupMode.groups || {}) };
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'enable':
+        case 'disable': {
+          const enabled = subcommand === 'enable';
+          await instance.saveSettings({ groupMode: { ...groupMode, groups, enabled } });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: enabled
+              ? `✅ Group mode enabled. ${Object.keys(groups).length} allowlisted group(s) will be bridged. Use \`/groups add\` to allow more.`
+              : "✅ Group mode disabled. Group messages are no longer bridged."
+          });
+          return;
+        }
+
+        case 'available': {
+          const whatsAppClient = instance.clients?.whatsAppClient;
+          if (!whatsAppClient?.isReady) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ WhatsApp is not connected." });
+            return;
+          }
+
+          const available = await whatsAppClient.getGroups();
+          if (available.length === 0) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "ℹ️ This WhatsApp number is not in any groups."
+            });
+            return;
+          }
+
+          const embed = new EmbedBuilder()
+            .setColor(0x25d366)
+            .setTitle('👥 WhatsApp Groups')
+            .setDescription(
+              available.slice(0, 25).map(group =>
+                `${groups[group.id] ? '✅' : '▫️'} **${group.subject || 'Unnamed group'}** (${group.size} members)\n\`${group.id}\``
+              ).join('\n\n')
+            )
+            .setFooter({ text: '✅ = allowlisted. Allow a group with /groups add group_id:<id>' });
+
+          if (available.length > 25) {
+            embed.addFields({ name: 'More', value: `…and ${available.length - 25} more groups` });
+          }
+
+          await InteractionTracker.safeEdit(interaction, { embeds: [embed] });
+          return;
+        }
+
+        case 'add': {
+          const groupId = groupManager.toGroupId(interaction.options.getString('group_id').trim());
+          if (!/^[\d-]+$/.test(groupId)) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ That doesn't look like a group ID. Use `/groups available` to find it."
+            });
+            return;
+          }
+
+          // Make sure we're actually in the group and pick up its name
+          const whatsAppClient = instance.clients?.whatsAppClient;
+          let name = null;
+          if (whatsAppClient?.isReady) {
+            try {
+              const metadata = await whatsAppClient.getGroupMetadata(groupId);
+              name = metadata?.subject || null;
+            } catch (metadataError) {
+              await InteractionTracker.safeEdit(interaction, {
+                content: `❌ Could not find group \`${groupId}\`: ${metadataError.message}`
+              });
+              return;
+            }
+          }
+
+          groups[groupId] = {
+            name: name || `Group ${groupId}`,
+            addedBy: interaction.user.id,
+            addedAt: Date.now()
+          };
+          await instance.saveSettings({ groupMode: { ...groupMode, groups } });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ **${groups[groupId].name}** will be bridged to a ticket channel.` +
+              (groupMode.enabled ? '' : '\n\n⚠️ Group mode is off. Turn it on with `/groups enable`.')
+          });
+          return;
+        }
+
+        case 'remove': {
+          const groupId = groupManager.toGroupId(interaction.options.getString('group_id').trim());
+          if (!groups[groupId]) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ That group is not allowlisted. Use `/groups list` to see allowlisted groups."
+            });
+            return;
+          }
+
+          const { name } = groups[groupId];
+          delete groups[groupId];
+          await instance.saveSettings({ groupMode: { ...groupMode, groups } });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ **${name}** is no longer bridged. Its ticket channel stays open until closed.`
+          });
+          return;
+        }
+
+        case 'list': {
+          const entries = Object.entries(groups);
+          if (entries.length === 0) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: `ℹ️ No groups allowlisted yet. Use \`/groups available\` and \`/groups add\`.\n\nGroup mode is **${groupMode.enabled ? 'on' : 'off'}**.`
+            });
+            return;
+          }
+
+          const embed = new EmbedBuilder()
+            .setColor(0x25d366)
+            .setTitle(`👥 Bridged Groups (group mode ${groupMode.enabled ? 'on' : 'off'})`)
+            .setDescription(
+              entries.slice(0, 25).map(([id, group]) =>
+                `**${group.name}**\n\`${id}\` · added by <@${group.addedBy}> <t:${Math.floor(group.addedAt / 1000)}:R>`
+              ).join('\n\n')
+            );
+
+          await InteractionTracker.safeEdit(interaction, { embeds: [embed] });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling groups command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new GroupsCommand();
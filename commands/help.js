@@ -28,7 +28,7 @@ class HelpCommand extends Command {
       .addFields(
         {
           name: "/setup",
-          value: "Set up a new WhatsApp connection for this server",
+          value: "Set up a new WhatsApp connection for this server (`add:True` connects another number with its own category)",
         },
         { name: "/status", value: "Check the status of your WhatsApp bridge" },
         {
@@ -0,0 +1,181 @@
+// commands/idle.js
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+const IdleManager = require('../modules/managers/IdleManager');
+
+class IdleCommand extends Command {
+  constructor() {
+    super({
+      name: 'idle',
+      description: 'Remind quiet customers and auto-close idle tickets',
+      permissions: PermissionFlagsBits.ManageGuild,
+      subcommands: [
+        {
+          name: 'enable',
+          description: 'Turn idle reminders and auto-close on'
+        },
+        {
+          name: 'disable',
+          description: 'Turn idle reminders and auto-close off'
+        },
+        {
+          name: 'set',
+          description: 'Change the idle policy (0 hours turns a step off)',
+          options: [
+            {
+              type: 'integer',
+              name: 'nudge_after',
+              description: 'Hours without a customer reply before they get a reminder',
+              required: false,
+              minValue: 0,
+              maxValue: 720
+            },
+            {
+              type: 'integer',
+              name: 'close_after',
+              description: 'Hours without a customer reply before the ticket closes',
+              required: false,
+              minValue: 0,
+              maxValue: 2160
+            },
+            {
+              type: 'integer',
+              name: 'warn_before',
+              description: 'Hours agents are warned in the channel before the close',
+              required: false,
+              minValue: 0,
+              maxValue: 72
+            },
+            {
+              type: 'integer',
+              name: 'snooze',
+              description: 'Hours the snooze button keeps a ticket open',
+              required: false,
+              minValue: 1,
+              maxValue: 720
+            },
+            {
+              type: 'string',
+              name: 'message',
+              description: 'Reminder sent to the customer ({name} = their name)',
+              required: false
+            }
+          ]
+        },
+        {
+          name: 'status',
+          description: 'Show the idle policy'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Build an embed describing the idle policy
+   * @param {Object} policy - settings.idlePolicy
+   * @returns {EmbedBuilder}
+   */
+  buildPolicyEmbed(policy) {
+    const hours = (value) => (value ? `${value}h` : 'Off');
+
+    return new EmbedBuilder()
+      .setColor(policy.enabled ? 0x57f287 : 0x99aab5)
+      .setTitle(`💤 Idle Tickets (${policy.enabled ? 'on' : 'off'})`)
+      .addFields(
+        { name: 'Reminder after', value: hours(policy.nudgeAfterHours), inline: true },
+        { name: 'Auto-close after', value: hours(policy.closeAfterHours), inline: true },
+        { name: 'Warn agents', value: policy.warnBeforeHours ? `${policy.warnBeforeHours}h before` : 'Right before', inline: true },
+        { name: 'Snooze', value: `${policy.snoozeHours}h`, inline: true },
+        { name: 'Reminder message', value: policy.nudgeMessage.substring(0, 1024) }
+      )
+      .setFooter({ text: 'Times count from the customer\'s last message' });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      if (!instance?.managers?.idleManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const policy = { ...IdleManager.getDefaults(), ...(instance.customSettings?.idlePolicy || {}) };
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'enable':
+        case 'disable': {
+          policy.enabled = subcommand === 'enable';
+          await instance.saveSettings({ idlePolicy: policy });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: policy.enabled ? "✅ Idle reminders and auto-close enabled." : "✅ Idle reminders and auto-close disabled.",
+            embeds: [this.buildPolicyEmbed(policy)]
+          });
+          return;
+        }
+
+        case 'set': {
+          const changes = {
+            nudgeAfterHours: interaction.options.getInteger('nudge_after'),
+            closeAfterHours: interaction.options.getInteger('close_after'),
+            warnBeforeHours: interaction.options.getInteger('warn_before'),
+            snoozeHours: interaction.options.getInteger('snooze'),
+            nudgeMessage: interaction.options.getString('message')
+          };
+
+          for (const [key, value] of Object.entries(changes)) {
+            if (value !== null && value !== undefined) {
+              policy[key] = value;
+            }
+          }
+
+          if (policy.closeAfterHours && policy.nudgeAfterHours >= policy.closeAfterHours) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ The reminder has to go out before the ticket closes (`nudge_after` < `close_after`)."
+            });
+            return;
+          }
+
+          await instance.saveSettings({ idlePolicy: policy });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: "✅ Idle policy updated." +
+              (policy.enabled ? '' : '\n\n⚠️ Idle handling is off. Turn it on with `/idle enable`.'),
+            embeds: [this.buildPolicyEmbed(policy)]
+          });
+          return;
+        }
+
+        case 'status': {
+          await InteractionTracker.safeEdit(interaction, { embeds: [this.buildPolicyEmbed(policy)] });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling idle command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new IdleCommand();
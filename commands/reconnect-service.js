@@ -2,6 +2,7 @@ const { ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = re
 const Command = require('../templates/Command');
 const InstanceManager = require("../core/InstanceManager");
 const InteractionTracker = require('../utils/InteractionTracker');
+const InstanceSelector = require('../utils/InstanceSelector');
 const fs = require('fs');
 const path = require('path');
 
@@ -33,7 +34,11 @@ class ReconnectServiceCommand extends Command {
         });
         return;
       }
-      
+
+      // Servers with several WhatsApp numbers pick which one to reconnect
+      instance = await InstanceSelector.resolve(interaction, instance, this.name);
+      if (!instance) return;
+
       // Check if instance is actually marked as inactive
       let isInactive = false;
       let settingsPath = null;
@@ -0,0 +1,57 @@
+// commands/reply.js
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+
+class ReplyCommand extends Command {
+  constructor() {
+    super({
+      name: 'reply',
+      description: 'Send a saved snippet to the customer in this ticket',
+      options: [
+        {
+          type: 'string',
+          name: 'snippet',
+          description: 'Snippet name (see /snippets list)',
+          required: true
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        const categoryId = interaction.channel?.parentId;
+
+        if (categoryId && interaction.client._instanceRoutes.has(categoryId)) {
+          instance = interaction.client._instanceRoutes.get(categoryId).instance;
+        }
+      }
+
+      const discordHandler = instance?.handlers?.discordHandler;
+      if (!discordHandler) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ This command can only be used in WhatsApp ticket channels."
+        });
+        return;
+      }
+
+      const name = interaction.options.getString('snippet');
+      const result = await discordHandler.sendSnippet(interaction.channel, name, interaction.member);
+
+      await InteractionTracker.safeEdit(interaction, {
+        content: result.success ? `✅ Snippet \`${name}\` sent to the customer.` : `❌ ${result.error}`
+      });
+    } catch (error) {
+      console.error("Error handling reply command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new ReplyCommand();
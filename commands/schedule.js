@@ -0,0 +1,229 @@
+// commands/schedule.js
+const { EmbedBuilder } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+const BusinessHours = require('../utils/BusinessHours');
+const Duration = require('../utils/Duration');
+
+// Furthest ahead a message can be scheduled
+const MAX_SCHEDULE_MS = 90 * 24 * 60 * 60 * 1000;
+
+class ScheduleCommand extends Command {
+  constructor() {
+    super({
+      name: 'schedule',
+      description: 'Send a message to this ticket\'s customer later',
+      subcommands: [
+        {
+          name: 'send',
+          description: 'Schedule a message (give either "in" or "at")',
+          options: [
+            {
+              type: 'string',
+              name: 'message',
+              description: 'Message to send',
+              required: true
+            },
+            {
+              type: 'string',
+              name: 'in',
+              description: 'Delay, e.g. 30m, 2h, 1d 4h',
+              required: false
+            },
+            {
+              type: 'string',
+              name: 'at',
+              description: 'Date and time (YYYY-MM-DD HH:MM or HH:MM) in the business hours timezone',
+              required: false
+            }
+          ]
+        },
+        {
+          name: 'list',
+          description: 'Show pending scheduled messages for this ticket'
+        },
+        {
+          name: 'cancel',
+          description: 'Cancel a scheduled message',
+          options: [
+            {
+              type: 'string',
+              name: 'id',
+              description: 'ID from /schedule list',
+              required: true
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Work out when to send from the "at" option
+   * @param {string} value - "YYYY-MM-DD HH:MM" or "HH:MM"
+   * @param {string} timezone - IANA timezone
+   * @returns {number|null} - Timestamp or null if invalid
+   */
+  parseAt(value, timezone) {
+    const match = value.trim().match(/^(?:(\d{4}-\d{2}-\d{2})[ T])?(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const [, date, hours, minutes] = match;
+    if (parseInt(hours, 10) > 23 || parseInt(minutes, 10) > 59) return null;
+    const time = `${hours.padStart(2, '0')}:${minutes}`;
+
+    if (date) {
+      if (isNaN(Date.parse(`${date}T00:00:00Z`))) return null;
+      return BusinessHours.toTimestamp(date, time, timezone);
+    }
+
+    // Time only: the next time the clock shows it
+    const today = BusinessHours.getLocalParts(new Date(), timezone).date;
+    let timestamp = BusinessHours.toTimestamp(today, time, timezone);
+    if (timestamp <= Date.now()) {
+      const tomorrow = BusinessHours.getLocalParts(new Date(timestamp + 24 * 60 * 60 * 1000), timezone).date;
+      timestamp = BusinessHours.toTimestamp(tomorrow, time, timezone);
+    }
+    return timestamp;
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      const scheduleManager = instance?.managers?.scheduleManager;
+      if (!scheduleManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const phoneNumber = instance.managers.channelManager.getPhoneNumberByChannelId(interaction.channelId);
+      if (!phoneNumber) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ Use this command inside a WhatsApp ticket channel."
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'send': {
+          // Respect the claim lock - only the assigned agent can message the customer
+          const claim = instance.managers.ticketManager.getTicketClaim(interaction.channelId);
+          if (instance.handlers?.discordHandler?.claimLock && claim && claim.agentId !== interaction.user.id) {
+            await InteractionTracker.safeEdit(interaction, { content: `❌ This ticket is claimed by <@${claim.agentId}>.` });
+            return;
+          }
+
+          const inValue = interaction.options.getString('in');
+          const atValue = interaction.options.getString('at');
+          if (!!inValue === !!atValue) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ Give either `in` (e.g. `2h`) or `at` (e.g. `2026-01-31 09:00`)."
+            });
+            return;
+          }
+
+          const timezone = instance.customSettings?.businessHours?.timezone || 'UTC';
+          let sendAt;
+          if (inValue) {
+            const delay = Duration.parse(inValue);
+            if (!delay) {
+              await InteractionTracker.safeEdit(interaction, { content: "❌ Couldn't read that delay. Try `30m`, `2h` or `1d 4h`." });
+              return;
+            }
+            sendAt = Date.now() + delay;
+          } else {
+            sendAt = this.parseAt(atValue, timezone);
+            if (!sendAt) {
+              await InteractionTracker.safeEdit(interaction, { content: "❌ Couldn't read that time. Use `YYYY-MM-DD HH:MM` or `HH:MM`." });
+              return;
+            }
+          }
+
+          if (sendAt <= Date.now()) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ That time is in the past." });
+            return;
+          }
+          if (sendAt - Date.now() > MAX_SCHEDULE_MS) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Messages can be scheduled up to 90 days ahead." });
+            return;
+          }
+
+          const item = scheduleManager.schedule({
+            channelId: interaction.channelId,
+            phoneNumber,
+            content: interaction.options.getString('message'),
+            agentId: interaction.user.id,
+            agentName: interaction.member?.nickname || interaction.user.username,
+            sendAt
+          });
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `⏰ Scheduled \`${item.id}\` for <t:${Math.floor(sendAt / 1000)}:F> (<t:${Math.floor(sendAt / 1000)}:R>).` +
+              (atValue ? ` Read as ${timezone} time.` : '')
+          });
+          return;
+        }
+
+        case 'list': {
+          const pending = scheduleManager.getPending(interaction.channelId);
+          if (pending.length === 0) {
+            await InteractionTracker.safeEdit(interaction, { content: "ℹ️ No scheduled messages for this ticket." });
+            return;
+          }
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle('⏰ Scheduled Messages')
+            .setDescription(
+              pending.slice(0, 20).map(item => {
+                const preview = item.content.replace(/\s+/g, ' ').substring(0, 80);
+                return `**\`${item.id}\`** · <t:${Math.floor(item.sendAt / 1000)}:f> · by <@${item.agentId}>\n${preview}${item.content.length > 80 ? '…' : ''}`;
+              }).join('\n\n')
+            )
+            .setFooter({ text: 'Cancel with /schedule cancel id:<id>' });
+
+          await InteractionTracker.safeEdit(interaction, { embeds: [embed] });
+          return;
+        }
+
+        case 'cancel': {
+          const item = scheduleManager.cancel(interaction.options.getString('id'), interaction.channelId);
+          if (!item) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "❌ No pending message with that ID in this ticket. Use `/schedule list` to see them."
+            });
+            return;
+          }
+
+          await InteractionTracker.safeEdit(interaction, { content: `✅ Scheduled message \`${item.id}\` cancelled.` });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling schedule command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new ScheduleCommand();
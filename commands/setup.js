@@ -8,7 +8,21 @@ class SetupCommand extends Command {
     super({
       name: 'setup',
       description: 'Set up a WhatsApp connection for this server',
-      permissions: PermissionFlagsBits.Administrator
+      permissions: PermissionFlagsBits.Administrator,
+      options: [
+        {
+          type: 'boolean',
+          name: 'add',
+          description: 'Connect another WhatsApp number with its own ticket category',
+          required: false
+        },
+        {
+          type: 'string',
+          name: 'name',
+          description: 'Name for this number, e.g. Sales or Support',
+          required: false
+        }
+      ]
     });
   }
   
@@ -30,8 +44,9 @@ class SetupCommand extends Command {
 
       // Check if an instance already exists
       const existingInstance = InstanceManager.getInstanceByGuildId(guildId);
+      const addNumber = interaction.options.getBoolean('add') === true;
 
-      if (existingInstance) {
+      if (existingInstance && !addNumber) {
         // Option to reconnect
         const row = new ActionRowBuilder().addComponents(
           new ButtonBuilder()
@@ -49,27 +64,44 @@ class SetupCommand extends Command {
         );
 
         await InteractionTracker.safeEdit(interaction, {
-          content: "WhatsApp is already configured for this server. What would you like to do?",
+          content: "WhatsApp is already configured for this server. What would you like to do?\n\n" +
+            "To connect another WhatsApp number, use `/setup add:True`.",
           components: [row],
         });
 
         return; // Let the button handlers take over from here
       }
 
-      // New setup process
-      // Step 1: Select ticket category
+      // New setup process - every number gets its own instance and category
+      const instanceId = existingInstance ? InstanceManager.getNextInstanceId(guildId) : guildId;
+      const name = interaction.options.getString('name') || null;
+
+      // Step 1: Select ticket category (not one another number already uses)
+      const usedCategoryIds = new Set(
+        Object.values(InstanceManager.configs || {})
+          .filter((config) => config.guildId === guildId)
+          .map((config) => String(config.categoryId))
+      );
       const categories = interaction.guild.channels.cache.filter(
-        (c) => c.type === ChannelType.GuildCategory
+        (c) => c.type === ChannelType.GuildCategory && !usedCategoryIds.has(c.id)
       );
 
       if (categories.size === 0) {
         await InteractionTracker.safeEdit(interaction, {
-          content: "❌ No categories found in this server. Please create a category first.",
+          content: usedCategoryIds.size > 0
+            ? "❌ Every category is already used by a WhatsApp number. Please create a new category first."
+            : "❌ No categories found in this server. Please create a category first.",
           components: [],
         });
         return;
       }
 
+      // Start from fresh setup parameters for this number
+      if (global.setupStorage) {
+        global.setupStorage.cleanupSetupParams(guildId);
+        global.setupStorage.saveSetupParams(guildId, { guildId, instanceId, name });
+      }
+
       // Create options for select menu - limit to first 25 categories
       const options = categories
         .map((category) => ({
@@ -91,7 +123,9 @@ class SetupCommand extends Command {
 
       // Use the tracker for safe editing
       await InteractionTracker.safeEdit(interaction, {
-        content: "Please select a category for WhatsApp support tickets:",
+        content: existingInstance
+          ? `Connecting another WhatsApp number${name ? ` (**${name}**)` : ''}.\n\nPlease select a category for its support tickets:`
+          : "Please select a category for WhatsApp support tickets:",
         components: [categorySelectRow],
       });
     } catch (error) {
@@ -0,0 +1,204 @@
+// commands/snippets.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+
+class SnippetsCommand extends Command {
+  constructor() {
+    super({
+      name: 'snippets',
+      description: 'Manage canned responses agents can send to customers',
+      permissions: PermissionFlagsBits.ManageMessages,
+      subcommands: [
+        {
+          name: 'list',
+          description: 'Show all saved snippets'
+        },
+        {
+          name: 'create',
+          description: 'Create a new snippet'
+        },
+        {
+          name: 'edit',
+          description: 'Edit the text of a snippet',
+          options: [
+            {
+              type: 'string',
+              name: 'name',
+              description: 'Snippet name',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'delete',
+          description: 'Delete a snippet',
+          options: [
+            {
+              type: 'string',
+              name: 'name',
+              description: 'Snippet name',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'media',
+          description: 'Attach media to a snippet (leave file empty to remove it)',
+          options: [
+            {
+              type: 'string',
+              name: 'name',
+              description: 'Snippet name',
+              required: true
+            },
+            {
+              type: 'attachment',
+              name: 'file',
+              description: 'Image, video, audio or document to send with the snippet',
+              required: false
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      const snippetManager = instance?.managers?.snippetManager;
+      if (!snippetManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'list': {
+          const snippets = snippetManager.getAllSnippets();
+          if (snippets.length === 0) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: "ℹ️ No snippets yet. Use `/snippets create` to add one."
+            });
+            return;
+          }
+
+          const embed = new EmbedBuilder()
+            .setColor(0x5865f2)
+            .setTitle('💬 Snippets')
+            .setDescription(
+              snippets.slice(0, 25).map(snippet => {
+                const preview = snippet.content.replace(/\s+/g, ' ').substring(0, 80);
+                return `**${snippet.name}**${snippet.media ? ' 📎' : ''}\n${preview}${snippet.content.length > 80 ? '…' : ''}`;
+              }).join('\n\n')
+            )
+            .setFooter({ text: 'Send with /reply snippet:<name> or !s <name> in a ticket channel' });
+
+          if (snippets.length > 25) {
+            embed.addFields({ name: 'More', value: `…and ${snippets.length - 25} more snippets` });
+          }
+
+          await InteractionTracker.safeEdit(interaction, { embeds: [embed] });
+          return;
+        }
+
+        case 'create': {
+          // Modals can't be shown from a deferred command, so offer a button
+          const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId('snippet_create')
+              .setLabel('Open Snippet Editor')
+              .setStyle(ButtonStyle.Primary)
+              .setEmoji('📝')
+          );
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: "📝 **New Snippet**\n\nUse `{name}` and `{phoneNumber}` to insert the customer's details.",
+            components: [row]
+          });
+          return;
+        }
+
+        case 'edit': {
+          const snippet = snippetManager.getSnippet(interaction.options.getString('name'));
+          if (!snippet) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Snippet not found. Use `/snippets list` to see available snippets." });
+            return;
+          }
+
+          const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId(`snippet_edit_${snippet.name}`)
+              .setLabel('Open Snippet Editor')
+              .setStyle(ButtonStyle.Primary)
+              .setEmoji('📝')
+          );
+
+          await InteractionTracker.safeEdit(interaction, {
+            content: `📝 **Edit Snippet \`${snippet.name}\`**`,
+            components: [row]
+          });
+          return;
+        }
+
+        case 'delete': {
+          const name = interaction.options.getString('name');
+          if (!snippetManager.deleteSnippet(name)) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Snippet not found. Use `/snippets list` to see available snippets." });
+            return;
+          }
+
+          await InteractionTracker.safeEdit(interaction, { content: `✅ Snippet \`${snippetManager.normalizeName(name)}\` deleted.` });
+          return;
+        }
+
+        case 'media': {
+          const name = interaction.options.getString('name');
+          const file = interaction.options.getAttachment('file');
+
+          if (!snippetManager.getSnippet(name)) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Snippet not found. Use `/snippets list` to see available snippets." });
+            return;
+          }
+
+          if (!file) {
+            snippetManager.clearSnippetMedia(name);
+            await InteractionTracker.safeEdit(interaction, { content: `✅ Media removed from snippet \`${snippetManager.normalizeName(name)}\`.` });
+            return;
+          }
+
+          const snippet = await snippetManager.setSnippetMedia(name, file);
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ Attached \`${snippet.media.originalName}\` to snippet \`${snippet.name}\`.`
+          });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling snippets command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new SnippetsCommand();
@@ -1,6 +1,8 @@
 // commands/status.js
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
 const Command = require('../templates/Command');
+const InstanceSelector = require('../utils/InstanceSelector');
+const TicketPriority = require('../utils/TicketPriority');
 
 class StatusCommand extends Command {
   constructor() {
@@ -86,6 +88,10 @@ class StatusCommand extends Command {
         return;
       }
 
+      // Servers with several WhatsApp numbers pick which one to check
+      instance = await InstanceSelector.resolve(interaction, instance, this.name);
+      if (!instance) return;
+
       // Get instance status without using getStatus directly
       let status = {
         instanceId: instance.instanceId || 'unknown',
@@ -120,6 +126,17 @@ class StatusCommand extends Command {
         }
       }
       
+      // Break open tickets down by priority and tag
+      let ticketMeta = null;
+      if (instance.managers?.ticketManager && typeof instance.managers.ticketManager.getMetaCounts === 'function') {
+        try {
+          const channelIds = Object.values(instance.managers.channelManager.getChannelMap());
+          ticketMeta = instance.managers.ticketManager.getMetaCounts(channelIds);
+        } catch (metaError) {
+          console.error(`[StatusCommand] Error counting ticket priorities:`, metaError);
+        }
+      }
+
       // Try to get user count
       if (instance.managers?.userCardManager && typeof instance.managers.userCardManager.getUserCardCount === 'function') {
         try {
@@ -157,6 +174,32 @@ class StatusCommand extends Command {
         .setFooter({ text: "Last updated" })
         .setTimestamp();
 
+      if (ticketMeta && status.activeTickets > 0) {
+        const priorities = TicketPriority.getLevels()
+          .map(level => `${level.emoji} ${level.label}: ${ticketMeta.priorities[level.value]}`)
+          .join('\n');
+        const topTags = Object.entries(ticketMeta.tags)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([tag, count]) => `\`#${tag}\` ${count}`)
+          .join(' • ');
+
+        const activeIndex = embed.data.fields.findIndex(field => field.name === "Active Tickets");
+        embed.spliceFields(activeIndex + 1, 0,
+          { name: "By Priority", value: priorities, inline: true },
+          { name: "Tags", value: topTags || "None", inline: true }
+        );
+      }
+
+      // Say which number this is when the server has several
+      if (InstanceSelector.getGuildInstances(interaction.guildId).length > 1) {
+        embed.spliceFields(2, 0, {
+          name: "WhatsApp Number",
+          value: InstanceSelector.getLabel(instance, interaction.guild),
+          inline: true
+        });
+      }
+
       // Add reconnect button if disconnected
       const components = [];
       if (!status.isConnected) {
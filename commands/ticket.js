@@ -0,0 +1,269 @@
+// commands/ticket.js
+const { PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+const TicketPriority = require('../utils/TicketPriority');
+
+class TicketCommand extends Command {
+  constructor() {
+    super({
+      name: 'ticket',
+      description: 'Manage the WhatsApp ticket in this channel',
+      subcommands: [
+        {
+          name: 'claim',
+          description: 'Assign this ticket to yourself'
+        },
+        {
+          name: 'unclaim',
+          description: 'Release your assignment on this ticket'
+        },
+        {
+          name: 'transfer',
+          description: 'Reassign this ticket to another agent',
+          options: [
+            {
+              type: 'user',
+              name: 'agent',
+              description: 'Agent to take over the ticket',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'priority',
+          description: 'Set the priority of this ticket',
+          options: [
+            {
+              type: 'string',
+              name: 'level',
+              description: 'Priority level',
+              required: true,
+              choices: TicketPriority.getLevels().map(level => ({
+                name: `${level.emoji} ${level.label}`,
+                value: level.value
+              }))
+            }
+          ]
+        },
+        {
+          name: 'tag',
+          description: 'Add or remove tags on this ticket',
+          options: [
+            {
+              type: 'string',
+              name: 'add',
+              description: 'Tags to add, comma separated',
+              required: false
+            },
+            {
+              type: 'string',
+              name: 'remove',
+              description: 'Tags to remove, comma separated',
+              required: false
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        const categoryId = interaction.channel?.parentId;
+
+        if (categoryId && interaction.client._instanceRoutes.has(categoryId)) {
+          instance = interaction.client._instanceRoutes.get(categoryId).instance;
+        }
+      }
+
+      const ticketManager = instance?.managers?.ticketManager;
+      const channelManager = instance?.managers?.channelManager;
+
+      if (!ticketManager || !channelManager) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ WhatsApp bridge is not set up for this channel. Please use `/setup` first."
+        });
+        return;
+      }
+
+      // Only valid inside an active ticket channel
+      const channelId = interaction.channelId;
+      if (!channelManager.getPhoneNumberByChannelId(channelId)) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ This command can only be used in WhatsApp ticket channels."
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const claim = ticketManager.getTicketClaim(channelId);
+      const isClaimer = claim && claim.agentId === interaction.user.id;
+      const canManage = interaction.memberPermissions?.has(PermissionFlagsBits.ManageChannels);
+
+      switch (subcommand) {
+        case 'claim': {
+          if (claim) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: isClaimer
+                ? "ℹ️ You have already claimed this ticket."
+                : `❌ This ticket is already claimed by <@${claim.agentId}>. Use \`/ticket transfer\` to reassign it.`
+            });
+            return;
+          }
+
+          const newClaim = await ticketManager.claimTicket(channelId, interaction.member);
+          if (!newClaim) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Failed to claim ticket." });
+            return;
+          }
+
+          await interaction.channel.send({
+            content: `🙋 This ticket has been claimed by <@${newClaim.agentId}>.`,
+            allowedMentions: { parse: [] }
+          });
+          await InteractionTracker.safeEdit(interaction, { content: "✅ You have claimed this ticket." });
+          return;
+        }
+
+        case 'unclaim': {
+          if (!claim) {
+            await InteractionTracker.safeEdit(interaction, { content: "ℹ️ This ticket is not claimed." });
+            return;
+          }
+
+          if (!isClaimer && !canManage) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: `❌ Only <@${claim.agentId}> or a channel manager can release this ticket.`
+            });
+            return;
+          }
+
+          await ticketManager.unclaimTicket(channelId);
+          await interaction.channel.send({
+            content: `🔓 <@${claim.agentId}> is no longer assigned to this ticket.`,
+            allowedMentions: { parse: [] }
+          });
+          await InteractionTracker.safeEdit(interaction, { content: "✅ Ticket released." });
+          return;
+        }
+
+        case 'transfer': {
+          const agent = interaction.options.getMember('agent');
+
+          if (!agent || agent.user.bot) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Please choose a valid agent from this server." });
+            return;
+          }
+
+          if (claim && !isClaimer && !canManage) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: `❌ Only <@${claim.agentId}> or a channel manager can transfer this ticket.`
+            });
+            return;
+          }
+
+          if (!interaction.channel.permissionsFor(agent)?.has(PermissionFlagsBits.ViewChannel)) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: `❌ <@${agent.id}> cannot see this ticket channel.`
+            });
+            return;
+          }
+
+          const newClaim = await ticketManager.claimTicket(channelId, agent);
+          if (!newClaim) {
+            await InteractionTracker.safeEdit(interaction, { content: "❌ Failed to transfer ticket." });
+            return;
+          }
+
+          await interaction.channel.send({
+            content: `🔁 Ticket transferred${claim ? ` from <@${claim.agentId}>` : ''} to <@${newClaim.agentId}> by <@${interaction.user.id}>.`,
+            allowedMentions: { users: [newClaim.agentId] }
+          });
+          await InteractionTracker.safeEdit(interaction, { content: `✅ Ticket transferred to <@${newClaim.agentId}>.` });
+          return;
+        }
+
+        case 'priority': {
+          const priority = interaction.options.getString('level');
+          const level = TicketPriority.get(priority);
+
+          if (ticketManager.getTicketMeta(channelId).priority === priority) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: `ℹ️ This ticket already has ${level.label.toLowerCase()} priority.`
+            });
+            return;
+          }
+
+          await ticketManager.updateTicketMeta(channelId, { priority }, interaction.member);
+
+          await interaction.channel.send({
+            content: `${level.emoji} Priority set to **${level.label}** by <@${interaction.user.id}>.`,
+            allowedMentions: { parse: [] }
+          });
+          await InteractionTracker.safeEdit(interaction, { content: `✅ Priority set to ${TicketPriority.format(priority)}.` });
+          return;
+        }
+
+        case 'tag': {
+          const toAdd = TicketPriority.parseTags(interaction.options.getString('add'));
+          const toRemove = TicketPriority.parseTags(interaction.options.getString('remove'));
+          const current = ticketManager.getTicketMeta(channelId).tags;
+
+          if (toAdd.length === 0 && toRemove.length === 0) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: current.length > 0
+                ? `🏷️ Tags: ${current.map(tag => `\`#${tag}\``).join(' ')}`
+                : "🏷️ This ticket has no tags. Add some with `/ticket tag add:`."
+            });
+            return;
+          }
+
+          const tags = [...new Set([...current, ...toAdd])].filter(tag => !toRemove.includes(tag));
+          if (tags.length > TicketPriority.MAX_TAGS) {
+            await InteractionTracker.safeEdit(interaction, {
+              content: `❌ A ticket can have at most ${TicketPriority.MAX_TAGS} tags.`
+            });
+            return;
+          }
+
+          const added = tags.filter(tag => !current.includes(tag));
+          const removed = current.filter(tag => !tags.includes(tag));
+          if (added.length === 0 && removed.length === 0) {
+            await InteractionTracker.safeEdit(interaction, { content: "ℹ️ Tags are unchanged." });
+            return;
+          }
+
+          await ticketManager.updateTicketMeta(channelId, { tags }, interaction.member);
+
+          const changes = [
+            ...added.map(tag => `+\`#${tag}\``),
+            ...removed.map(tag => `-\`#${tag}\``)
+          ];
+          await interaction.channel.send({
+            content: `🏷️ Tags updated by <@${interaction.user.id}>: ${changes.join(' ')}`,
+            allowedMentions: { parse: [] }
+          });
+          await InteractionTracker.safeEdit(interaction, {
+            content: `✅ Tags: ${tags.length > 0 ? tags.map(tag => `\`#${tag}\``).join(' ') : 'none'}`
+          });
+          return;
+        }
+
+        default:
+          await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+      }
+    } catch (error) {
+      console.error("Error handling ticket command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new TicketCommand();
@@ -0,0 +1,155 @@
+// commands/transcripts.js
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+
+class TranscriptsCommand extends Command {
+  constructor() {
+    super({
+      name: 'transcripts',
+      description: 'Search saved ticket transcripts',
+      permissions: PermissionFlagsBits.ManageMessages,
+      subcommands: [
+        {
+          name: 'search',
+          description: 'Search past conversations',
+          options: [
+            {
+              type: 'string',
+              name: 'query',
+              description: 'Words to search for',
+              required: true
+            },
+            {
+              type: 'string',
+              name: 'user',
+              description: 'Customer name or phone number',
+              required: false
+            },
+            {
+              type: 'string',
+              name: 'from',
+              description: 'Earliest date (YYYY-MM-DD)',
+              required: false
+            },
+            {
+              type: 'string',
+              name: 'to',
+              description: 'Latest date (YYYY-MM-DD)',
+              required: false
+            }
+          ]
+        },
+        {
+          name: 'backfill',
+          description: 'Index transcripts saved before search was available'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Parse a YYYY-MM-DD option into a timestamp
+   * @param {string|null} value - Option value
+   * @param {boolean} endOfDay - Use the end of the day instead of the start
+   * @returns {number|null|undefined} - Timestamp, null if not given, undefined if invalid
+   */
+  parseDate(value, endOfDay = false) {
+    if (!value) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+
+    const time = Date.parse(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`);
+    return isNaN(time) ? undefined : time;
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      const searchIndex = instance?.managers?.transcriptManager?.searchIndex;
+      if (!searchIndex) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'backfill') {
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+          await InteractionTracker.safeEdit(interaction, {
+            content: "❌ You need the Manage Server permission to run a backfill."
+          });
+          return;
+        }
+
+        const stats = searchIndex.backfill();
+        await InteractionTracker.safeEdit(interaction, {
+          content: `✅ Backfill complete: indexed ${stats.messages} messages from ${stats.sessions} conversations in ${stats.files} transcript files.`
+        });
+        return;
+      }
+
+      const query = interaction.options.getString('query');
+      const user = interaction.options.getString('user');
+      const from = this.parseDate(interaction.options.getString('from'));
+      const to = this.parseDate(interaction.options.getString('to'), true);
+
+      if (from === undefined || to === undefined) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ Dates must be in the format `YYYY-MM-DD`."
+        });
+        return;
+      }
+
+      const { total, results } = searchIndex.search(query, { user, from, to, limit: 10 });
+
+      if (total === 0) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: `🔍 No transcript messages found for \`${query}\`.`
+        });
+        return;
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(0x5865f2)
+        .setTitle(`🔍 Transcript search: ${query}`.substring(0, 256))
+        .setFooter({ text: `Showing ${results.length} of ${total} matches${user ? ` for ${user}` : ''}` });
+
+      for (const { message, ticket, snippet } of results) {
+        const time = Math.floor(message.timestamp / 1000);
+        const link = ticket?.transcriptUrl
+          ? `[Transcript](${ticket.transcriptUrl})`
+          : ticket?.transcriptPath
+            ? `📁 \`${ticket.transcriptPath}\``
+            : '';
+        const customer = ticket ? `${ticket.username} (${ticket.phoneNumber})` : 'Unknown customer';
+
+        embed.addFields({
+          name: `${message.role === 'customer' ? '👤' : '🎧'} ${message.author} · ${customer}`.substring(0, 256),
+          value: `<t:${time}:f>${ticket?.channelName ? ` · #${ticket.channelName}` : ''}\n> ${snippet}\n${link}`.substring(0, 1024)
+        });
+      }
+
+      await InteractionTracker.safeEdit(interaction, { embeds: [embed] });
+    } catch (error) {
+      console.error("Error handling transcripts command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new TranscriptsCommand();
@@ -0,0 +1,106 @@
+// commands/whatsapp.js
+const { PermissionFlagsBits } = require('discord.js');
+const Command = require('../templates/Command');
+const InteractionTracker = require('../utils/InteractionTracker');
+
+class WhatsAppCommand extends Command {
+  constructor() {
+    super({
+      name: 'whatsapp',
+      description: 'Reach out to customers on WhatsApp',
+      permissions: PermissionFlagsBits.ManageMessages,
+      subcommands: [
+        {
+          name: 'start',
+          description: 'Start a conversation with a customer and open a ticket',
+          options: [
+            {
+              type: 'string',
+              name: 'number',
+              description: 'Phone number with country code, e.g. +15551234567',
+              required: true
+            },
+            {
+              type: 'string',
+              name: 'message',
+              description: 'Opening message sent to the customer',
+              required: true
+            },
+            {
+              type: 'string',
+              name: 'name',
+              description: 'Customer name (defaults to their WhatsApp name)',
+              required: false
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction, { ephemeral: true });
+
+      // Get instance - if not provided in the command call
+      if (!instance && interaction.client._instanceRoutes) {
+        for (const [_, routeInfo] of interaction.client._instanceRoutes.entries()) {
+          if (routeInfo.instance && routeInfo.instance.guildId === interaction.guildId) {
+            instance = routeInfo.instance;
+            break;
+          }
+        }
+      }
+
+      const discordHandler = instance?.handlers?.discordHandler;
+      if (!discordHandler) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ No WhatsApp bridge is configured for this server. Use `/setup` to set one up."
+        });
+        return;
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand !== 'start') {
+        await InteractionTracker.safeEdit(interaction, { content: "❌ Unknown subcommand." });
+        return;
+      }
+
+      // E.164: optional "+", country code, up to 15 digits
+      const rawNumber = interaction.options.getString('number').replace(/[\s().-]/g, '');
+      if (!/^\+?[1-9]\d{6,14}$/.test(rawNumber)) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ Enter the number in international format with the country code, e.g. `+15551234567`."
+        });
+        return;
+      }
+      const phoneNumber = rawNumber.replace(/^\+/, '');
+
+      const name = interaction.options.getString('name')?.trim() || null;
+      const message = interaction.options.getString('message');
+
+      const result = await discordHandler.startConversation(
+        phoneNumber,
+        name,
+        message,
+        interaction.member
+      );
+
+      if (!result.success) {
+        await InteractionTracker.safeEdit(interaction, { content: `❌ ${result.error}` });
+        return;
+      }
+
+      await InteractionTracker.safeEdit(interaction, {
+        content: `✅ Message sent to +${phoneNumber}. Ticket opened in <#${result.channel.id}>.`
+      });
+    } catch (error) {
+      console.error("Error handling whatsapp command:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`
+      });
+    }
+  }
+}
+
+module.exports = new WhatsAppCommand();
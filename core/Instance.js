@@ -4,6 +4,11 @@ const path = require("path");
 const EventBus = require("./EventBus");
 const EventController = require("../controllers/EventController");
 const MentionProcessor = require("../utils/mentionProcessor");
+const BusinessHours = require("../utils/BusinessHours");
+const IdleManager = require("../modules/managers/IdleManager");
+const CsatManager = require("../modules/managers/CsatManager");
+const DepartmentManager = require("../modules/managers/DepartmentManager");
+const NotificationManager = require("../modules/managers/NotificationManager");
 
 /**
  * Instance class for managing a WhatsApp-Discord bridge instance
@@ -16,6 +21,7 @@ class Instance {
   constructor(options) {
     this.instanceId = options.instanceId;
     this.guildId = options.guildId;
+    this.name = options.name || null;
     this.categoryId = options.categoryId;
     this.transcriptChannelId = options.transcriptChannelId;
     this.vouchChannelId = options.vouchChannelId;
@@ -206,9 +212,42 @@ class Instance {
     const UserCardManager = require("../modules/managers/UserCardManager");
     const TranscriptManager = require("../modules/managers/TranscriptManager");
     const TicketManager = require("../modules/managers/TicketManager");
+    const MessageMapManager = require("../modules/managers/MessageMapManager");
+    const SnippetManager = require("../modules/managers/SnippetManager");
+    const SpeechToText = require("../modules/speech/SpeechToText");
+    const GroupManager = require("../modules/managers/GroupManager");
+    const BroadcastManager = require("../modules/managers/BroadcastManager");
+    const ScheduleManager = require("../modules/managers/ScheduleManager");
+    const TicketRegistryManager = require("../modules/managers/TicketRegistryManager");
 
     this.managers.channelManager = new ChannelManager(this.instanceId);
+    this.managers.messageMapManager = new MessageMapManager(this.instanceId);
+    this.managers.snippetManager = new SnippetManager(this.instanceId, {
+      assetsDir: this.paths.assets,
+    });
     this.managers.userCardManager = new UserCardManager(this.instanceId);
+    this.managers.speechToText = new SpeechToText({
+      instanceId: this.instanceId,
+      tempDir: this.paths.temp,
+    });
+    this.managers.groupManager = new GroupManager(this.instanceId);
+    this.managers.scheduleManager = new ScheduleManager(this.instanceId);
+    this.managers.idleManager = new IdleManager(this.instanceId);
+    this.managers.csatManager = new CsatManager(this.instanceId, {
+      discordClient: this.discordClient,
+    });
+    this.managers.departmentManager = new DepartmentManager(this.instanceId);
+    this.managers.ticketRegistryManager = new TicketRegistryManager(
+      this.instanceId
+    );
+    this.managers.notificationManager = new NotificationManager(
+      this.instanceId,
+      { discordClient: this.discordClient }
+    );
+    this.managers.broadcastManager = new BroadcastManager(this.instanceId, {
+      assetsDir: this.paths.assets,
+      discordClient: this.discordClient,
+    });
     this.managers.transcriptManager = new TranscriptManager({
       instanceId: this.instanceId,
       transcriptChannelId: this.transcriptChannelId,
@@ -236,6 +275,31 @@ class Instance {
     this.managers.ticketManager.setTranscriptManager(
       this.managers.transcriptManager
     );
+    this.managers.ticketManager.setMessageMapManager(
+      this.managers.messageMapManager
+    );
+    this.managers.ticketManager.setScheduleManager(
+      this.managers.scheduleManager
+    );
+    this.managers.ticketManager.setCsatManager(this.managers.csatManager);
+    this.managers.ticketManager.setNotificationManager(
+      this.managers.notificationManager
+    );
+    this.managers.ticketManager.setTicketRegistryManager(
+      this.managers.ticketRegistryManager
+    );
+    this.managers.notificationManager.setChannelManager(
+      this.managers.channelManager
+    );
+    this.managers.csatManager.setGroupManager(this.managers.groupManager);
+    this.managers.idleManager.setManagers({
+      channelManager: this.managers.channelManager,
+      userCardManager: this.managers.userCardManager,
+      ticketManager: this.managers.ticketManager,
+    });
+    this.managers.broadcastManager.setUserCardManager(
+      this.managers.userCardManager
+    );
 
     return true;
   }
@@ -361,6 +425,14 @@ class Instance {
         this.handlers.whatsAppHandler.reopenTicketMessage =
           this.customSettings.reopenTicketMessage;
       }
+      if (this.customSettings.afterHoursMessage) {
+        this.handlers.whatsAppHandler.afterHoursMessage =
+          this.customSettings.afterHoursMessage;
+      }
+      if (this.customSettings.businessHours) {
+        this.handlers.whatsAppHandler.businessHours =
+          this.customSettings.businessHours;
+      }
     }
 
     // Initialize Discord handler
@@ -379,6 +451,44 @@ class Instance {
       }
     );
 
+    // Share the message mapping between both directions
+    this.handlers.whatsAppHandler.setMessageMapManager(
+      this.managers.messageMapManager
+    );
+    this.handlers.discordHandler.setMessageMapManager(
+      this.managers.messageMapManager
+    );
+    this.handlers.discordHandler.setSnippetManager(
+      this.managers.snippetManager
+    );
+    this.handlers.whatsAppHandler.setSpeechToText(this.managers.speechToText);
+    this.handlers.whatsAppHandler.setGroupManager(this.managers.groupManager);
+    this.handlers.discordHandler.setGroupManager(this.managers.groupManager);
+    this.handlers.whatsAppHandler.setBroadcastManager(
+      this.managers.broadcastManager
+    );
+    this.handlers.whatsAppHandler.setCsatManager(this.managers.csatManager);
+    this.handlers.whatsAppHandler.setDepartmentManager(
+      this.managers.departmentManager
+    );
+    this.handlers.discordHandler.setDepartmentManager(
+      this.managers.departmentManager
+    );
+    this.handlers.discordHandler.setNotificationManager(
+      this.managers.notificationManager
+    );
+    this.handlers.whatsAppHandler.setTicketRegistryManager(
+      this.managers.ticketRegistryManager
+    );
+    this.handlers.discordHandler.setTicketRegistryManager(
+      this.managers.ticketRegistryManager
+    );
+
+    // Apply claim lock
+    if (this.customSettings?.claimLock) {
+      this.handlers.discordHandler.claimLock = true;
+    }
+
     // Connect vouch handler to Discord handler
     if (this.handlers.vouchHandler) {
       this.handlers.discordHandler.vouchHandler = this.handlers.vouchHandler;
@@ -389,6 +499,18 @@ class Instance {
     this.managers.userCardManager.setWhatsAppClient(
       this.clients.whatsAppClient
     );
+    this.managers.broadcastManager.setWhatsAppClient(
+      this.clients.whatsAppClient
+    );
+    this.managers.idleManager.setWhatsAppClient(this.clients.whatsAppClient);
+    this.managers.csatManager.setWhatsAppClient(this.clients.whatsAppClient);
+
+    // Scheduled messages go out through the Discord handler's relay
+    this.managers.scheduleManager.start((item) =>
+      this.handlers.discordHandler.sendScheduledMessage(item)
+    );
+    this.managers.idleManager.start();
+    this.managers.notificationManager.start();
 
     return true;
   }
@@ -427,6 +549,50 @@ class Instance {
     console.log(
       `[Instance:${this.instanceId}] Route set up for category ${this.categoryId}`
     );
+
+    this._setupDepartmentRoutes();
+  }
+
+  /**
+   * Route department ticket categories to this instance, dropping
+   * categories of departments that were removed
+   * @private
+   */
+  _setupDepartmentRoutes() {
+    const routes = this.discordClient?._instanceRoutes;
+    if (!routes || !this.managers.departmentManager) return;
+
+    const categoryIds = this.managers.departmentManager.getCategoryIds();
+
+    for (const categoryId of this._departmentRoutes || []) {
+      if (
+        !categoryIds.includes(categoryId) &&
+        categoryId !== this.categoryId &&
+        routes.get(categoryId)?.instanceId === this.instanceId
+      ) {
+        routes.delete(categoryId);
+      }
+    }
+
+    this._departmentRoutes = [];
+    for (const categoryId of categoryIds) {
+      const existing = routes.get(categoryId);
+
+      // Never take over another number's ticket category
+      if (existing && existing.instanceId !== this.instanceId) {
+        console.warn(
+          `[Instance:${this.instanceId}] Department category ${categoryId} is already routed to ${existing.instanceId}`
+        );
+        continue;
+      }
+
+      routes.set(categoryId, {
+        instanceId: this.instanceId,
+        handler: this.handlers.discordHandler,
+        instance: this,
+      });
+      this._departmentRoutes.push(categoryId);
+    }
   }
 
   /**
@@ -708,6 +874,15 @@ class Instance {
         this.startConnectionRefreshTimer();
       }
 
+      // Background checks stopped by disconnect() resume with the connection
+      if (this.connected && this.handlers.discordHandler) {
+        this.managers.idleManager?.start();
+        this.managers.scheduleManager?.start((item) =>
+          this.handlers.discordHandler.sendScheduledMessage(item)
+        );
+        this.managers.notificationManager?.start();
+      }
+
       return success;
     } catch (error) {
       console.error(
@@ -897,6 +1072,12 @@ class Instance {
       this.reconnecting = false;
       this.stopConnectionRefreshTimer();
 
+      // Stop background checks so a replaced instance can't act on its tickets
+      // (connect() starts them again)
+      this.managers.idleManager?.stop();
+      this.managers.scheduleManager?.stop();
+      this.managers.notificationManager?.stop();
+
       if (!this.clients.whatsAppClient) {
         console.log(
           `[Instance:${this.instanceId}] No WhatsApp client to disconnect`
@@ -928,10 +1109,18 @@ class Instance {
 
       // Clean up Discord routes
       if (this.discordClient && this.discordClient._instanceRoutes) {
-        // Only remove our own route
+        // Only remove our own routes
         this.discordClient._instanceRoutes.delete(this.categoryId);
+        for (const categoryId of this._departmentRoutes || []) {
+          this.discordClient._instanceRoutes.delete(categoryId);
+        }
+        this._departmentRoutes = [];
       }
 
+      // Write batched changes before going away
+      this.managers.messageMapManager?.flush();
+      this.managers.ticketRegistryManager?.flush();
+
       // Clean temporary files
       this.cleanTempFiles();
 
@@ -1061,6 +1250,20 @@ class Instance {
           sendClosingMessage: true,
           transcriptsEnabled: true,
           vouchEnabled: true,
+          claimLock: false,
+          afterHoursMessage:
+            "Thanks for reaching out, {name}! 🌙 Our team is currently offline. We open again {nextOpen} and will reply as soon as we're back.",
+          businessHours: BusinessHours.getDefaults(),
+          transcriptFormats: ["html"],
+          voiceTranscription: false,
+          groupMode: { enabled: false, groups: {} },
+          broadcastOptOutKeyword: "STOP",
+          broadcastOptInKeyword: "START",
+          idlePolicy: IdleManager.getDefaults(),
+          archiveMode: { enabled: false, categoryId: null, onReturn: "reopen" },
+          csat: CsatManager.getDefaults(),
+          departments: DepartmentManager.getDefaults(),
+          notifications: NotificationManager.getDefaults(),
         };
 
         // Save default settings
@@ -1137,6 +1340,13 @@ class Instance {
           this.handlers.whatsAppHandler.reopenTicketMessage =
             settings.reopenTicketMessage;
         }
+        if (settings.afterHoursMessage) {
+          this.handlers.whatsAppHandler.afterHoursMessage =
+            settings.afterHoursMessage;
+        }
+        if (settings.businessHours) {
+          this.handlers.whatsAppHandler.businessHours = settings.businessHours;
+        }
       }
 
       // Apply to Vouch handler
@@ -1177,6 +1387,17 @@ class Instance {
             settings.newTicketMessage
           );
         }
+
+        if (settings.archiveMode) {
+          this.managers.ticketManager.setArchiveMode(settings.archiveMode);
+        }
+      }
+
+      // Apply to Discord handler
+      if (this.handlers.discordHandler) {
+        if (settings.hasOwnProperty("claimLock")) {
+          this.handlers.discordHandler.claimLock = !!settings.claimLock;
+        }
       }
 
       // Apply to TranscriptManager
@@ -1185,6 +1406,55 @@ class Instance {
           this.managers.transcriptManager.isDisabled =
             !settings.transcriptsEnabled;
         }
+        if (Array.isArray(settings.transcriptFormats)) {
+          this.managers.transcriptManager.transcriptFormats =
+            settings.transcriptFormats;
+        }
+      }
+
+      // Apply to speech-to-text
+      if (this.managers.speechToText) {
+        if (settings.hasOwnProperty("voiceTranscription")) {
+          this.managers.speechToText.enabled = !!settings.voiceTranscription;
+        }
+      }
+
+      // Apply broadcast opt-out / opt-in keywords
+      if (this.managers.broadcastManager) {
+        if (settings.broadcastOptOutKeyword) {
+          this.managers.broadcastManager.optOutKeyword =
+            settings.broadcastOptOutKeyword;
+        }
+        if (settings.broadcastOptInKeyword) {
+          this.managers.broadcastManager.optInKeyword =
+            settings.broadcastOptInKeyword;
+        }
+      }
+
+      // Apply idle ticket policy
+      if (this.managers.idleManager && settings.idlePolicy) {
+        this.managers.idleManager.setConfig(settings.idlePolicy);
+      }
+
+      // Apply satisfaction survey settings
+      if (this.managers.csatManager && settings.csat) {
+        this.managers.csatManager.setConfig(settings.csat);
+      }
+
+      // Apply new ticket notification rules
+      if (this.managers.notificationManager && settings.notifications) {
+        this.managers.notificationManager.setConfig(settings.notifications);
+      }
+
+      // Apply department menu and keep department categories routed here
+      if (this.managers.departmentManager && settings.departments) {
+        this.managers.departmentManager.setConfig(settings.departments);
+        this._setupDepartmentRoutes();
+      }
+
+      // Apply group mode allowlist
+      if (this.managers.groupManager && settings.groupMode) {
+        this.managers.groupManager.setConfig(settings.groupMode);
       }
 
       // Apply special channels to ChannelManager if present
@@ -1306,6 +1576,7 @@ class Instance {
     return {
       instanceId: this.instanceId,
       guildId: this.guildId,
+      name: this.name,
       isConnected: this.isConnected(),
       serviceActive: this.serviceActive,
       activeTickets: this.managers.channelManager
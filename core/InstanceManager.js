@@ -45,6 +45,7 @@ class InstanceManager {
         // Create a clean copy with ONLY identification info
         serializable[instanceId] = {
           guildId: config.guildId,
+          name: config.name || null,
           categoryId: String(config.categoryId), // Convert BigInt to string
           transcriptChannelId: config.transcriptChannelId ? String(config.transcriptChannelId) : null,
           vouchChannelId: config.vouchChannelId ? String(config.vouchChannelId) : null,
@@ -115,11 +116,64 @@ class InstanceManager {
     
     return null;
   }
+
+  /**
+   * Get a live instance by its ID
+   * @param {string} instanceId - Instance ID
+   * @returns {Object|null} - Instance or null
+   */
+  getInstanceById(instanceId) {
+    if (!instanceId) return null;
+    return this.instances.get(instanceId) || null;
+  }
+
+  /**
+   * Get every live instance connected to a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Array<Object>} - Instances, the guild's first number first
+   */
+  getInstancesByGuildId(guildId) {
+    const instances = [];
+
+    for (const instance of this.instances.values()) {
+      if (instance.guildId === guildId) {
+        instances.push(instance);
+      }
+    }
+
+    // Keep the original (guild ID) instance first so lists are stable
+    return instances.sort((a, b) => {
+      if (a.instanceId === guildId) return -1;
+      if (b.instanceId === guildId) return 1;
+      return a.instanceId.localeCompare(b.instanceId, undefined, { numeric: true });
+    });
+  }
+
+  /**
+   * Get a free instance ID for a new WhatsApp number in a guild.
+   * The first number uses the guild ID, further ones get a numeric suffix.
+   * @param {string} guildId - Guild ID
+   * @returns {string} - Instance ID
+   */
+  getNextInstanceId(guildId) {
+    const isTaken = (id) => this.instances.has(id) || !!this.configs?.[id];
+
+    if (!isTaken(guildId)) {
+      return guildId;
+    }
+
+    let index = 2;
+    while (isTaken(`${guildId}-${index}`)) {
+      index++;
+    }
+
+    return `${guildId}-${index}`;
+  }
   
   async createInstance(options) {
     try {
-      // Use guild ID as instance ID for simplicity
-      const instanceId = options.guildId;
+      // The guild ID is the instance ID of a server's first number
+      const instanceId = options.instanceId || options.guildId;
       
       console.log(`Creating instance ${instanceId} for guild ${options.guildId}...`);
       
@@ -133,6 +187,7 @@ class InstanceManager {
       const instance = new Instance({
         instanceId: instanceId,
         guildId: options.guildId,
+        name: options.name,
         categoryId: options.categoryId,
         transcriptChannelId: options.transcriptChannelId,
         vouchChannelId: options.vouchChannelId,
@@ -149,6 +204,7 @@ class InstanceManager {
       // Store the minimal configuration for future reference
       this.configs[instanceId] = {
         guildId: options.guildId,
+        name: options.name || null,
         categoryId: options.categoryId,
         transcriptChannelId: options.transcriptChannelId || null,
         vouchChannelId: options.vouchChannelId || null,
@@ -199,6 +255,7 @@ class InstanceManager {
             instance = new Instance({
               instanceId,
               guildId: config.guildId,
+              name: config.name,
               categoryId: config.categoryId,
               transcriptChannelId: config.transcriptChannelId,
               vouchChannelId: config.vouchChannelId,
@@ -320,18 +377,21 @@ class InstanceManager {
     return await QRCodeUtils.generateQRCode(options);
   }
     
-  async disconnectInstance(guildId, fullCleanup = false) {
+  async disconnectInstance(guildId, fullCleanup = false, instanceId = null) {
     try {
-      console.log(`Disconnecting instance for guild ${guildId}...`);
+      console.log(`Disconnecting instance ${instanceId || ''} for guild ${guildId}...`);
       
-      const instance = this.getInstanceByGuildId(guildId);
+      // Servers with several numbers pass the instance to disconnect
+      const instance = instanceId
+        ? this.getInstanceById(instanceId)
+        : this.getInstanceByGuildId(guildId);
       if (!instance) {
         console.log(`No instance found for guild ${guildId}`);
         return false;
       }
       
       // Get the instance ID
-      const instanceId = instance.instanceId;
+      instanceId = instance.instanceId;
       
       // Backup settings before disconnect
       let storedSettings = null;
@@ -231,8 +231,8 @@ class ModuleLoader {
       }
     }
     
-    // FIXED: Only use isStringSelectMenu
-    if (interaction.isStringSelectMenu()) {
+    // String menus plus the role, user and channel pickers
+    if (interaction.isAnySelectMenu()) {
       // Find select menu handler by customId or regex
       for (const handler of this.selectMenus.values()) {
         if (
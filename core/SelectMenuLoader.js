@@ -1,4 +1,4 @@
-// core/SelectMenuLoader.js - Fixed to use only isStringSelectMenu()
+// core/SelectMenuLoader.js - Handles string, role, user and channel select menus
 const fs = require('fs');
 const path = require('path');
 const InteractionTracker = require('../utils/InteractionTracker');
@@ -82,8 +82,8 @@ class SelectMenuLoader {
    * @returns {Promise<boolean>} - Whether the interaction was handled
    */
   async handleInteraction(interaction, instance) {
-    // FIXED: Only use isStringSelectMenu (non-deprecated method)
-    if (!interaction.isStringSelectMenu()) return false;
+    // String menus plus the role, user and channel pickers
+    if (!interaction.isAnySelectMenu()) return false;
     
     const handler = this.getHandler(interaction.customId);
     
@@ -1,6 +1,23 @@
 // core/interactionHandler.js
 const ModuleLoader = require("./ModuleLoader");
 const InteractionTracker = require("../utils/InteractionTracker");
+const InstanceSelector = require("../utils/InstanceSelector");
+
+// Components of the /setup flow, routed to the number being set up
+const SETUP_COMPONENT_IDS = new Set([
+  "category_select",
+  "use_transcript_channel",
+  "no_transcript_channel",
+  "transcript_select",
+  "use_vouch_channel",
+  "no_vouch_channel",
+  "same_vouch_channel",
+  "different_vouch_channel",
+  "vouch_select",
+  "customize_messages",
+  "continue_setup",
+  "continue_default",
+]);
 
 /**
  * Main Discord interaction handler (FIXED)
@@ -200,6 +217,40 @@ class InteractionHandler {
     }
   }
 
+  /**
+   * Instance for the components of a /setup run that adds another number.
+   * Keeps the setup steps away from the numbers that are already connected.
+   * @param {Interaction} interaction - Discord interaction
+   * @returns {Object|null} - Instance object or null
+   */
+  getPendingSetupInstance(interaction) {
+    if (!interaction.customId || !SETUP_COMPONENT_IDS.has(interaction.customId)) {
+      return null;
+    }
+
+    const setupParams = global.setupStorage?.getSetupParams?.(interaction.guildId);
+    if (!setupParams?.instanceId) return null;
+
+    const existing = InstanceSelector.getGuildInstances(interaction.guildId).find(
+      (inst) => inst.instanceId === setupParams.instanceId
+    );
+    if (existing) return existing;
+
+    console.log(
+      `[InteractionHandler] Using pending setup instance: ${setupParams.instanceId}`
+    );
+    return {
+      instanceId: setupParams.instanceId,
+      guildId: interaction.guildId,
+      name: setupParams.name || null,
+      customSettings: {},
+      isConnected: function () {
+        return false;
+      },
+      isTemporary: true,
+    };
+  }
+
   /**
    * Find instance for an interaction without using InstanceManager directly
    * @param {Interaction} interaction - Discord interaction
@@ -229,6 +280,12 @@ class InteractionHandler {
         };
       }
 
+      // Setup steps belong to the number being set up
+      const pendingInstance = this.getPendingSetupInstance(interaction);
+      if (pendingInstance) {
+        return pendingInstance;
+      }
+
       // Look for instance in route map first
       if (interaction.client._instanceRoutes) {
         // Try by channel's parent category
@@ -249,6 +306,34 @@ class InteractionHandler {
           }
         }
 
+        // Try the ticket channel itself (mapped or archived tickets)
+        const channelInstance = InstanceSelector.findInstanceForChannel(
+          interaction.client,
+          interaction.channel
+        );
+        if (channelInstance) {
+          console.log(
+            `[InteractionHandler] Found instance via channel: ${channelInstance.instanceId}`
+          );
+          return channelInstance;
+        }
+      }
+
+      // Then the number the user picked on a server with several numbers
+      const rememberedId = InstanceSelector.getRemembered(interaction);
+      if (rememberedId) {
+        const remembered = InstanceSelector.getGuildInstances(
+          interaction.guildId
+        ).find((inst) => inst.instanceId === rememberedId);
+        if (remembered) {
+          console.log(
+            `[InteractionHandler] Using selected instance: ${rememberedId}`
+          );
+          return remembered;
+        }
+      }
+
+      if (interaction.client._instanceRoutes) {
         // Try all routes for guild match
         for (const [
           _,
@@ -278,8 +363,13 @@ class InteractionHandler {
         if (fs.existsSync(configPath)) {
           const configs = JSON.parse(fs.readFileSync(configPath, "utf8"));
 
-          // Find config for this guild
-          for (const [instanceId, config] of Object.entries(configs)) {
+          // Find config for this guild, preferring the number the user picked
+          const rememberedConfigId = InstanceSelector.getRemembered(interaction);
+          const entries = Object.entries(configs).sort(
+            ([a], [b]) => (b === rememberedConfigId) - (a === rememberedConfigId)
+          );
+
+          for (const [instanceId, config] of entries) {
             if (config.guildId === interaction.guildId) {
               console.log(
                 `[InteractionHandler] Created instance from config with ID: ${instanceId}`
@@ -590,7 +680,7 @@ class InteractionHandler {
       }
 
       // Handle select menus
-      if (interaction.isStringSelectMenu()) {
+      if (interaction.isAnySelectMenu()) {
         console.log(
           `[InteractionHandler] Processing select menu: ${interaction.customId}`
         );
@@ -710,6 +800,25 @@ class InteractionHandler {
         }
       }
 
+      // Ticket channels outside their number's category (e.g. moved by hand)
+      const channelInstance = InstanceSelector.findInstanceForChannel(
+        message.client,
+        message.channel
+      );
+      if (channelInstance?.handlers?.discordHandler?.handleDiscordMessage) {
+        try {
+          await channelInstance.handlers.discordHandler.handleDiscordMessage(
+            message
+          );
+          return true;
+        } catch (channelError) {
+          console.error(
+            `[InteractionHandler] Error in channel message handler for ${channelInstance.instanceId}:`,
+            channelError
+          );
+        }
+      }
+
       // Look for any instance with matching guild ID as fallback
       if (message.client._instanceRoutes) {
         for (const [_, routeInfo] of message.client._instanceRoutes.entries()) {
@@ -0,0 +1,33 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles Discord message deletions in ticket channels
+ */
+class MessageDeleteEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'messageDelete'
+    });
+  }
+  
+  /**
+   * Process a deleted Discord message
+   * @param {Message} message - Deleted message (may be partial)
+   */
+  async execute(message) {
+    try {
+      if (!message.guild || !message.channel) return;
+      
+      const routeInfo = message.client._instanceRoutes?.get(message.channel.parentId);
+      const handler = routeInfo?.handler || routeInfo?.instance?.handlers?.discordHandler;
+      
+      if (handler && typeof handler.handleDiscordMessageDelete === 'function') {
+        await handler.handleDiscordMessageDelete(message);
+      }
+    } catch (error) {
+      console.error('Error handling Discord message delete:', error);
+    }
+  }
+}
+
+module.exports = new MessageDeleteEvent();
@@ -0,0 +1,35 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles agent reactions added to messages in ticket channels
+ */
+class MessageReactionAddEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'messageReactionAdd'
+    });
+  }
+  
+  /**
+   * Process a added reaction
+   * @param {MessageReaction} reaction - Reaction (may be partial)
+   * @param {User} user - User who reacted
+   */
+  async execute(reaction, user) {
+    try {
+      const channel = reaction.message?.channel;
+      if (!channel || !reaction.message.guildId || user.bot) return;
+      
+      const routeInfo = reaction.client._instanceRoutes?.get(channel.parentId);
+      const handler = routeInfo?.handler || routeInfo?.instance?.handlers?.discordHandler;
+      
+      if (handler && typeof handler.handleDiscordReaction === 'function') {
+        await handler.handleDiscordReaction(reaction, user, true);
+      }
+    } catch (error) {
+      console.error('Error handling Discord reaction add:', error);
+    }
+  }
+}
+
+module.exports = new MessageReactionAddEvent();
@@ -0,0 +1,44 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles Discord message edits in ticket channels
+ */
+class MessageUpdateEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'messageUpdate'
+    });
+  }
+  
+  /**
+   * Process an edited Discord message
+   * @param {Message} oldMessage - Message before the edit (may be partial)
+   * @param {Message} newMessage - Message after the edit (may be partial)
+   */
+  async execute(oldMessage, newMessage) {
+    try {
+      if (!newMessage.guild) return;
+      
+      // Make sure we have the full message
+      if (newMessage.partial) {
+        newMessage = await newMessage.fetch();
+      }
+      
+      if (newMessage.author?.bot) return;
+      
+      // Embeds resolving also fire messageUpdate - only care about content changes
+      if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
+      
+      const routeInfo = newMessage.client._instanceRoutes?.get(newMessage.channel.parentId);
+      const handler = routeInfo?.handler || routeInfo?.instance?.handlers?.discordHandler;
+      
+      if (handler && typeof handler.handleDiscordMessageEdit === 'function') {
+        await handler.handleDiscordMessageEdit(newMessage);
+      }
+    } catch (error) {
+      console.error('Error handling Discord message edit:', error);
+    }
+  }
+}
+
+module.exports = new MessageUpdateEvent();
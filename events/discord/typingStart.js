@@ -0,0 +1,33 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles agents typing in ticket channels
+ */
+class TypingStartEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'typingStart'
+    });
+  }
+  
+  /**
+   * Process a typing start
+   * @param {Typing} typing - Typing state
+   */
+  async execute(typing) {
+    try {
+      if (!typing.guild || !typing.channel || typing.user?.bot) return;
+      
+      const routeInfo = typing.client._instanceRoutes?.get(typing.channel.parentId);
+      const handler = routeInfo?.handler || routeInfo?.instance?.handlers?.discordHandler;
+      
+      if (handler && typeof handler.handleDiscordTyping === 'function') {
+        await handler.handleDiscordTyping(typing);
+      }
+    } catch (error) {
+      console.error('Error handling Discord typing start:', error);
+    }
+  }
+}
+
+module.exports = new TypingStartEvent();
@@ -0,0 +1,33 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles WhatsApp message edit events
+ */
+class MessageEditEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'message_edit'
+    });
+  }
+  
+  /**
+   * Process an edited WhatsApp message
+   * @param {Object} instance - WhatsApp instance
+   * @param {Object} message - Protocol message carrying the edit
+   * @param {Object} update - Parsed update ({ key, editedMessage })
+   */
+  async execute(instance, message, update) {
+    try {
+      if (!instance || !instance.handlers || !instance.handlers.whatsAppHandler) {
+        console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] No WhatsApp handler available for instance`);
+        return;
+      }
+      
+      await instance.handlers.whatsAppHandler.handleMessageEdit(message, update);
+    } catch (error) {
+      console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] Error handling WhatsApp message edit:`, error);
+    }
+  }
+}
+
+module.exports = new MessageEditEvent();
@@ -0,0 +1,33 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles WhatsApp reactions from customers
+ */
+class MessageReactionEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'message_reaction'
+    });
+  }
+  
+  /**
+   * Process a WhatsApp reaction
+   * @param {Object} instance - WhatsApp instance
+   * @param {Object} message - Reaction message
+   * @param {Object} update - Parsed reaction ({ key, text })
+   */
+  async execute(instance, message, update) {
+    try {
+      if (!instance || !instance.handlers || !instance.handlers.discordHandler) {
+        console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] No Discord handler available for instance`);
+        return;
+      }
+      
+      await instance.handlers.discordHandler.handleWhatsAppReaction(update.key, update.text);
+    } catch (error) {
+      console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] Error handling WhatsApp reaction:`, error);
+    }
+  }
+}
+
+module.exports = new MessageReactionEvent();
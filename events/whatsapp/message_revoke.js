@@ -0,0 +1,33 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles WhatsApp message revoke events
+ */
+class MessageRevokeEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'message_revoke'
+    });
+  }
+  
+  /**
+   * Process a WhatsApp "delete for everyone"
+   * @param {Object} instance - WhatsApp instance
+   * @param {Object} message - Protocol message carrying the revoke
+   * @param {Object} update - Parsed update ({ key })
+   */
+  async execute(instance, message, update) {
+    try {
+      if (!instance || !instance.handlers || !instance.handlers.whatsAppHandler) {
+        console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] No WhatsApp handler available for instance`);
+        return;
+      }
+      
+      await instance.handlers.whatsAppHandler.handleMessageRevoke(message, update);
+    } catch (error) {
+      console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] Error handling WhatsApp message revoke:`, error);
+    }
+  }
+}
+
+module.exports = new MessageRevokeEvent();
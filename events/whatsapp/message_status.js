@@ -0,0 +1,38 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles WhatsApp delivery / read receipts for relayed agent and broadcast messages
+ */
+class MessageStatusEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'message_status'
+    });
+  }
+  
+  /**
+   * Process a receipt update
+   * @param {Object} instance - WhatsApp instance
+   * @param {Object} key - Key of the message the receipt belongs to
+   * @param {string} status - "sent", "delivered" or "read"
+   */
+  async execute(instance, key, status) {
+    try {
+      if (!instance || !instance.handlers || !instance.handlers.discordHandler) {
+        console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] No Discord handler available for instance`);
+        return;
+      }
+      
+      // Broadcast messages have no Discord copy
+      if (instance.managers?.broadcastManager?.handleMessageStatus(key, status)) {
+        return;
+      }
+      
+      await instance.handlers.discordHandler.handleMessageStatus(key, status);
+    } catch (error) {
+      console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] Error handling WhatsApp message status:`, error);
+    }
+  }
+}
+
+module.exports = new MessageStatusEvent();
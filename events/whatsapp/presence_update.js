@@ -0,0 +1,33 @@
+const EventHandler = require('../../templates/EventHandler');
+
+/**
+ * Handles WhatsApp presence (typing) updates from customers
+ */
+class PresenceUpdateEvent extends EventHandler {
+  constructor() {
+    super({
+      event: 'presence_update'
+    });
+  }
+  
+  /**
+   * Process a presence update
+   * @param {Object} instance - WhatsApp instance
+   * @param {string} jid - Customer JID
+   * @param {string} presence - Presence type ("composing", "recording", "paused", ...)
+   */
+  async execute(instance, jid, presence) {
+    try {
+      if (!instance || !instance.handlers || !instance.handlers.whatsAppHandler) {
+        console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] No WhatsApp handler available for instance`);
+        return;
+      }
+      
+      await instance.handlers.whatsAppHandler.handlePresenceUpdate(jid, presence);
+    } catch (error) {
+      console.error(`[WhatsAppEvent:${instance?.instanceId || 'unknown'}] Error handling WhatsApp presence update:`, error);
+    }
+  }
+}
+
+module.exports = new PresenceUpdateEvent();
@@ -70,7 +70,7 @@ class QREvent extends EventHandler {
       }
       
       // Update QR code message if we have stored data
-      if (global.qrCodeMessages && global.qrCodeMessages.has(instance.guildId)) {
+      if (global.qrCodeMessages && global.qrCodeMessages.has(instance.instanceId)) {
         await this.updateQRCodeMessage(instance, qr);
       }
       
@@ -114,7 +114,7 @@ class QREvent extends EventHandler {
    */
   async updateQRCodeMessage(instance, qr) {
     try {
-      const storedData = global.qrCodeMessages.get(instance.guildId);
+      const storedData = global.qrCodeMessages.get(instance.instanceId);
       if (!storedData) {
         return;
       }
@@ -129,7 +129,7 @@ class QREvent extends EventHandler {
       // IMPROVED: Use central utility for QR code display
       try {
         const qrUtils = require('../../utils/qrCodeUtils');
-        await qrUtils.displayQRCode(interaction, qr, instance.guildId);
+        await qrUtils.displayQRCode(interaction, qr, instance.guildId, instance.instanceId);
       } catch (displayError) {
         console.error(`[WhatsAppEvent:${instance.instanceId}] Error updating QR code message:`, displayError);
         
@@ -38,8 +38,8 @@ class ReadyEvent extends EventHandler {
       }
       
       // Update QR code message if we have stored data
-      if (global.qrCodeMessages && global.qrCodeMessages.has(instance.guildId)) {
-        const { interaction, embedData } = global.qrCodeMessages.get(instance.guildId);
+      if (global.qrCodeMessages && global.qrCodeMessages.has(instance.instanceId)) {
+        const { interaction, embedData } = global.qrCodeMessages.get(instance.instanceId);
         
         try {
           if (interaction && interaction.editReply) {
@@ -78,7 +78,7 @@ class ReadyEvent extends EventHandler {
             });
             
             // Clean up stored data
-            global.qrCodeMessages.delete(instance.guildId);
+            global.qrCodeMessages.delete(instance.instanceId);
             
             console.log(`[WhatsAppEvent:${instance.instanceId}] QR code message updated to show successful connection`);
           }
@@ -0,0 +1,75 @@
+// modals/broadcast/broadcastModal.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const Modal = require('../../templates/Modal');
+
+class BroadcastModal extends Modal {
+  constructor() {
+    super({
+      regex: /^broadcast_modal_.+$/
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      const broadcastManager = instance?.managers?.broadcastManager;
+      if (!broadcastManager) {
+        await interaction.reply({
+          content: "❌ Server instance not found. Please set up the WhatsApp bridge first.",
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const id = interaction.customId.replace('broadcast_modal_', '');
+      const campaign = broadcastManager.setContent(id, interaction.fields.getTextInputValue('broadcast_content'));
+      if (!campaign) {
+        await interaction.reply({
+          content: "❌ This broadcast was already sent or discarded.",
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Preview as the first recipient will see it
+      const recipients = Object.values(campaign.recipients);
+      const preview = broadcastManager.render(campaign, recipients[0]?.name);
+      const sample = recipients.slice(0, 5).map(recipient => recipient.name || 'Unnamed customer').join(', ');
+      
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`broadcast_send_${campaign.id}`)
+          .setLabel(`Send to ${recipients.length} customers`)
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('📣'),
+        new ButtonBuilder()
+          .setCustomId(`broadcast_compose_${campaign.id}`)
+          .setLabel('Edit Message')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('📝'),
+        new ButtonBuilder()
+          .setCustomId(`broadcast_cancel_${campaign.id}`)
+          .setLabel('Discard')
+          .setStyle(ButtonStyle.Danger)
+      );
+      
+      await interaction.reply({
+        content: `📣 **Preview of broadcast \`${campaign.id}\`**\n\n` +
+          `**Audience:** ${broadcastManager.describeAudience(campaign.audience)} (${recipients.length} customers: ${sample}${recipients.length > 5 ? ', …' : ''})\n` +
+          `**Media:** ${campaign.media?.originalName || 'None'}\n\n` +
+          `${preview.split('\n').map(line => `> ${line}`).join('\n')}\n\n` +
+          `Messages go out a few seconds apart to stay within WhatsApp limits.`,
+        components: [row],
+        ephemeral: true
+      });
+    } catch (error) {
+      console.error(`Error processing broadcast modal submission:`, error);
+      
+      await interaction.reply({
+        content: `❌ Error saving broadcast: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+}
+
+module.exports = new BroadcastModal();
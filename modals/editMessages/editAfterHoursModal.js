@@ -0,0 +1,57 @@
+// modals/editAfterHoursModal.js
+const Modal = require('../../templates/Modal');
+const BusinessHours = require('../../utils/BusinessHours');
+
+class EditAfterHoursModal extends Modal {
+  constructor() {
+    super({
+      customId: 'edit_after_hours_modal'
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      // Get after-hours message value
+      const afterHoursMessage = interaction.fields.getTextInputValue('after_hours_message');
+      
+      // Get the instance
+      if (!instance) {
+        await interaction.reply({
+          content: "❌ Server instance not found. Please set up the WhatsApp bridge first.",
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Save and apply settings
+      await instance.saveSettings({ afterHoursMessage });
+      
+      // Show preview with variables replaced
+      const config = {
+        ...BusinessHours.getDefaults(),
+        ...(instance.customSettings?.businessHours || {})
+      };
+      const previewMessage = afterHoursMessage
+        .replace(/{name}/g, 'John Doe')
+        .replace(/{nextOpen}/g, BusinessHours.formatNextOpen(config));
+      
+      // Confirm to user
+      await interaction.reply({
+        content: `✅ After-hours message has been updated!\n\n**New Message:**\n${previewMessage}`,
+        ephemeral: true
+      });
+      
+      console.log(`[DiscordCommands] After-hours message updated successfully by ${interaction.user.tag}`);
+    } catch (error) {
+      console.error(`Error processing after-hours modal submission:`, error);
+      
+      // Handle errors
+      await interaction.reply({
+        content: `❌ Error updating after-hours message: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+}
+
+module.exports = new EditAfterHoursModal();
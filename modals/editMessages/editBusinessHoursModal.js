@@ -0,0 +1,91 @@
+// modals/editBusinessHoursModal.js
+const Modal = require('../../templates/Modal');
+const BusinessHours = require('../../utils/BusinessHours');
+
+class EditBusinessHoursModal extends Modal {
+  constructor() {
+    super({
+      customId: 'edit_business_hours_modal'
+    });
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      // Get the instance
+      if (!instance) {
+        await interaction.reply({
+          content: "❌ Server instance not found. Please set up the WhatsApp bridge first.",
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const timezone = interaction.fields.getTextInputValue('timezone').trim();
+      if (!BusinessHours.isValidTimezone(timezone)) {
+        await interaction.reply({
+          content: `❌ Unknown timezone \`${timezone}\`. Use an IANA name such as \`Europe/London\` or \`America/New_York\`.`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const cooldown = parseInt(interaction.fields.getTextInputValue('notice_cooldown'), 10);
+      if (isNaN(cooldown) || cooldown < 0) {
+        await interaction.reply({
+          content: "❌ The notice cooldown must be a number of minutes (0 or more).",
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Parse errors are shown to the user as-is
+      let schedule, holidays;
+      try {
+        schedule = BusinessHours.parseSchedule(interaction.fields.getTextInputValue('schedule'));
+        holidays = BusinessHours.parseHolidays(interaction.fields.getTextInputValue('holidays'));
+      } catch (parseError) {
+        await interaction.reply({
+          content: `❌ ${parseError.message}\n\nUse one rule per line, e.g. \`mon-fri 09:00-17:00\`, \`sat 10:00-13:00, 14:00-16:00\` or \`sun closed\`.`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const businessHours = {
+        ...BusinessHours.getDefaults(),
+        ...(instance.customSettings?.businessHours || {}),
+        timezone,
+        schedule,
+        holidays,
+        noticeCooldownMinutes: cooldown
+      };
+      
+      // Save and apply settings
+      await instance.saveSettings({ businessHours });
+      
+      const status = !businessHours.enabled
+        ? "⚠️ Business hours are currently **disabled**. Enable them from `/edit-messages` → Business Hours."
+        : BusinessHours.isOpen(businessHours)
+          ? "🟢 Open now."
+          : `🌙 Closed now - opens ${BusinessHours.formatNextOpen(businessHours)}.`;
+      
+      // Confirm to user
+      await interaction.reply({
+        content: `✅ Business hours have been updated!\n\n**Timezone:** ${timezone}\n\`\`\`\n${BusinessHours.formatSchedule(schedule)}\n\`\`\`**Holidays:** ${holidays.length > 0 ? holidays.join(', ') : 'None'}\n\n${status}`,
+        ephemeral: true
+      });
+      
+      console.log(`[DiscordCommands] Business hours updated successfully by ${interaction.user.tag}`);
+    } catch (error) {
+      console.error(`Error processing business hours modal submission:`, error);
+      
+      // Handle errors
+      await interaction.reply({
+        content: `❌ Error updating business hours: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+}
+
+module.exports = new EditBusinessHoursModal();
@@ -0,0 +1,70 @@
+// modals/editNotifyEscalationModal.js
+const Modal = require('../../templates/Modal');
+const NotificationManager = require('../../modules/managers/NotificationManager');
+
+class EditNotifyEscalationModal extends Modal {
+  constructor() {
+    super({
+      customId: 'edit_notify_escalation_modal'
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      // Get the instance
+      if (!instance) {
+        await interaction.reply({
+          content: "❌ Server instance not found. Please set up the WhatsApp bridge first.",
+          ephemeral: true
+        });
+        return;
+      }
+
+      const minutes = parseInt(interaction.fields.getTextInputValue('escalate_minutes'), 10);
+      if (isNaN(minutes) || minutes < 0 || minutes > 1440) {
+        await interaction.reply({
+          content: "❌ The escalation delay must be a number of minutes between 0 and 1440.",
+          ephemeral: true
+        });
+        return;
+      }
+
+      const notifications = {
+        ...NotificationManager.getDefaults(),
+        ...(instance.customSettings?.notifications || {}),
+        escalateAfterMinutes: minutes
+      };
+
+      // Save and apply settings
+      await instance.saveSettings({ notifications });
+
+      let status = minutes > 0
+        ? `✅ Unanswered tickets will be escalated with a second ping after **${minutes} minutes**.`
+        : "✅ Escalation turned off.";
+      if (minutes > 0 && !notifications.roleId && !notifications.userId) {
+        status += "\n\n⚠️ Pick a role or on-call user to ping, otherwise there is nobody to escalate to.";
+      }
+      if (!notifications.enabled) {
+        status += "\n\n⚠️ Notifications are currently **disabled**. Enable them from `/edit-messages` → Notifications.";
+      }
+
+      // Confirm to user
+      await interaction.reply({
+        content: status,
+        ephemeral: true
+      });
+
+      console.log(`[DiscordCommands] Ticket escalation set to ${minutes} minutes by ${interaction.user.tag}`);
+    } catch (error) {
+      console.error(`Error processing escalation modal submission:`, error);
+
+      // Handle errors
+      await interaction.reply({
+        content: `❌ Error updating escalation: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+}
+
+module.exports = new EditNotifyEscalationModal();
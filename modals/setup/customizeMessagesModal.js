@@ -86,7 +86,7 @@ class CustomizeMessagesModal extends Modal {
       // CRITICAL: Save settings directly to instance folder
       try {
         // Create instance directory
-        const instanceDir = path.join(__dirname, '..', '..', 'instances', guildId);
+        const instanceDir = path.join(__dirname, '..', '..', 'instances', setupParams?.instanceId || guildId);
         if (!fs.existsSync(instanceDir)) {
           fs.mkdirSync(instanceDir, { recursive: true });
         }
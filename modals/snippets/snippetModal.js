@@ -0,0 +1,74 @@
+// modals/snippets/snippetModal.js
+const Modal = require('../../templates/Modal');
+
+class SnippetModal extends Modal {
+  constructor() {
+    super({
+      regex: /^snippet_modal(_.+)?$/
+    });
+  }
+  
+  matches(customId) {
+    return customId === 'snippet_modal' || customId.startsWith('snippet_modal_');
+  }
+  
+  async execute(interaction, instance) {
+    try {
+      const snippetManager = instance?.managers?.snippetManager;
+      if (!snippetManager) {
+        await interaction.reply({
+          content: "❌ Server instance not found. Please set up the WhatsApp bridge first.",
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const isEdit = interaction.customId.startsWith('snippet_modal_');
+      const name = isEdit
+        ? interaction.customId.replace('snippet_modal_', '')
+        : interaction.fields.getTextInputValue('snippet_name');
+      const content = interaction.fields.getTextInputValue('snippet_content');
+      
+      if (!snippetManager.normalizeName(name)) {
+        await interaction.reply({
+          content: "❌ Snippet names can only contain letters, numbers, `-` and `_`.",
+          ephemeral: true
+        });
+        return;
+      }
+      
+      if (!isEdit && snippetManager.getSnippet(name)) {
+        await interaction.reply({
+          content: `❌ A snippet called \`${snippetManager.normalizeName(name)}\` already exists. Use \`/snippets edit\` to change it.`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const snippet = snippetManager.setSnippet(name, content, interaction.user.id);
+      
+      // Show preview with variables replaced
+      const previewMessage = snippetManager.render(snippet, {
+        name: 'John Doe',
+        phoneNumber: '+1234567890'
+      });
+      
+      await interaction.reply({
+        content: `✅ Snippet \`${snippet.name}\` has been ${isEdit ? 'updated' : 'created'}!\n\n**Preview:**\n${previewMessage}\n\nUse \`/snippets media\` to attach a file.`,
+        ephemeral: true
+      });
+      
+      console.log(`[DiscordCommands] Snippet ${snippet.name} saved by ${interaction.user.tag}`);
+    } catch (error) {
+      console.error(`Error processing snippet modal submission:`, error);
+      
+      // Handle errors
+      await interaction.reply({
+        content: `❌ Error saving snippet: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+}
+
+module.exports = new SnippetModal();
@@ -3,6 +3,8 @@ const { EmbedBuilder } = require('discord.js');
 const Modal = require('../../templates/Modal');
 const fs = require('fs');
 const path = require('path');
+const TicketUtil = require('../../utils/TicketUtil');
+const TicketPriority = require('../../utils/TicketPriority');
 
 class EditTicketModal extends Modal {
   constructor() {
@@ -167,18 +169,15 @@ class EditTicketModal extends Modal {
       
       // 4. Update channel name to match the new username
       try {
-        // Format new channel name
-        const formattedUsername = username
-          .toLowerCase()
-          .replace(/[^a-z0-9]/g, "-")
-          .replace(/-+/g, "-")
-          .substring(0, 25);
-        
-        const newChannelName = `📋-${formattedUsername}`;
-        
         // Get current channel
         const channel = interaction.channel;
         
+        // Format new channel name, keeping the priority emoji
+        const newChannelName = TicketPriority.channelName(
+          username,
+          instance?.managers?.ticketManager?.getTicketMeta(channel.id).priority
+        );
+        
         // Check if name needs to change
         if (channel.name !== newChannelName) {
           // Check permissions
@@ -272,6 +271,9 @@ class EditTicketModal extends Modal {
               }
             ])
             .setTimestamp();
+          
+          // Keep extra fields such as the assigned agent
+          TicketUtil.carryOverFields(embed, ticketEmbed.embeds[0]);
             
           // Update the message
           await ticketEmbed.edit({ 
@@ -308,6 +310,9 @@ class EditTicketModal extends Modal {
                 }
               ])
               .setTimestamp();
+            
+            // Keep extra fields such as the assigned agent
+            TicketUtil.carryOverFields(embed, embedMessage.embeds[0]);
               
             // Update the message
             await embedMessage.edit({ 
@@ -5,6 +5,7 @@ const {
   DisconnectReason,
   Browsers,
   downloadMediaMessage,
+  proto,
 } = require("@whiskeysockets/baileys");
 const EventEmitter = require("events");
 const fs = require("fs");
@@ -39,6 +40,9 @@ class BaileysClient extends EventEmitter {
     this.showQrCode = false;
     this.isReady = false;
     this.socket = null;
+
+    // Chats we asked WhatsApp to send presence (typing) updates for
+    this.presenceSubscriptions = new Set();
     this.logger =
       global.pinoCompatLogger?.child({
         module: `BaileysClient:${this.instanceId}`,
@@ -448,6 +452,8 @@ class BaileysClient extends EventEmitter {
         // Reset connection retries on successful connection
         this.connectionRetries = 0;
         this.isReady = true;
+        // Presence subscriptions don't survive a new connection
+        this.presenceSubscriptions.clear();
         console.log(`[BaileysClient:${this.instanceId}] Connected to WhatsApp`);
         this.emit("ready");
       }
@@ -464,11 +470,251 @@ class BaileysClient extends EventEmitter {
           const fromMe = msg.key?.fromMe === true;
           if (fromMe) continue;
 
+          // Edits and "delete for everyone" arrive as protocol messages
+          const protocolUpdate = this.getProtocolUpdate(msg);
+          if (protocolUpdate) {
+            this.emit(protocolUpdate.event, msg, protocolUpdate);
+            continue;
+          }
+
+          // Ask for typing updates from customers who write to us
+          this.subscribePresence(msg.key?.remoteJid);
+
           // Process the message
           this.emit("message", msg);
         }
       }
     });
+
+    // Typing / recording indicators
+    this.socket.ev.on("presence.update", ({ id, presences }) => {
+      if (!id || id.endsWith("@g.us") || !presences) return;
+
+      for (const presence of Object.values(presences)) {
+        if (presence?.lastKnownPresence) {
+          this.emit("presence_update", id, presence.lastKnownPresence);
+        }
+      }
+    });
+
+    // Delivery / read state of messages we sent
+    this.socket.ev.on("messages.update", (updates) => {
+      for (const { key, update } of updates) {
+        if (!key?.fromMe || update?.status == null) continue;
+
+        const status = this.getReceiptStatus(update.status);
+        if (status) {
+          this.emit("message_status", key, status);
+        }
+      }
+    });
+
+    // Per-recipient receipts
+    this.socket.ev.on("message-receipt.update", (receipts) => {
+      for (const { key, receipt } of receipts) {
+        if (!key?.fromMe || !receipt) continue;
+
+        if (receipt.readTimestamp || receipt.playedTimestamp) {
+          this.emit("message_status", key, "read");
+        } else if (receipt.receiptTimestamp) {
+          this.emit("message_status", key, "delivered");
+        }
+      }
+    });
+  }
+
+  /**
+   * React to a message (empty emoji removes our reaction)
+   * @param {string} to - Recipient ID
+   * @param {Object} key - Key of the message to react to
+   * @param {string} emoji - Reaction emoji
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendReaction(to, key, emoji) {
+    try {
+      if (!this.socket || !this.isReady) {
+        throw new Error("Client not initialized or not ready");
+      }
+
+      const recipient = this.formatJid(to);
+
+      return await this.socket.sendMessage(recipient, {
+        react: { text: emoji, key },
+      });
+    } catch (error) {
+      console.error(
+        `[BaileysClient:${this.instanceId}] Error sending reaction:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to presence updates of a chat (once per connection)
+   * @param {string} jid - Chat JID
+   */
+  async subscribePresence(jid) {
+    try {
+      if (!jid || jid.endsWith("@g.us") || jid === "status@broadcast") return;
+      if (!this.socket || this.presenceSubscriptions.has(jid)) return;
+
+      this.presenceSubscriptions.add(jid);
+      await this.socket.presenceSubscribe(jid);
+    } catch (error) {
+      this.presenceSubscriptions.delete(jid);
+      console.error(
+        `[BaileysClient:${this.instanceId}] Error subscribing to presence of ${jid}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Send our presence (e.g. "composing" or "paused") to a chat
+   * @param {string} to - Recipient ID
+   * @param {string} presence - Presence type
+   */
+  async sendPresence(to, presence) {
+    try {
+      if (!this.socket || !this.isReady) {
+        throw new Error("Client not initialized or not ready");
+      }
+
+      const recipient = this.formatJid(to);
+      await this.socket.sendPresenceUpdate(presence, recipient);
+    } catch (error) {
+      console.error(
+        `[BaileysClient:${this.instanceId}] Error sending presence:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a phone number or group ID into a WhatsApp JID
+   * @param {string} to - Phone number, group ID or full JID
+   * @returns {string} - JID
+   */
+  formatJid(to) {
+    const id = String(to);
+    if (id.includes("@")) return id;
+
+    // Group IDs are "<creator>-<timestamp>" or longer than any phone number
+    if (id.includes("-") || id.replace(/\D/g, "").length > 15) {
+      return `${id}@g.us`;
+    }
+
+    return `${id}@s.whatsapp.net`;
+  }
+
+  /**
+   * Check whether a number has a WhatsApp account
+   * @param {string} number - Phone number with country code
+   * @returns {Promise<boolean>} - Whether the number is on WhatsApp
+   * @throws {Error} - When the lookup itself fails (the answer is unknown)
+   */
+  async isRegisteredUser(number) {
+    try {
+      if (!this.socket || !this.isReady) {
+        throw new Error("Client not initialized or not ready");
+      }
+
+      const [result] = await this.socket.onWhatsApp(
+        this.formatJid(number).split("@")[0]
+      );
+      return result ? !!result.exists : false;
+    } catch (error) {
+      console.error(
+        `[BaileysClient:${this.instanceId}] Error checking user registration:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * List the groups this WhatsApp account is a member of
+   * @returns {Promise<Array<Object>>} - { id, subject, size }
+   */
+  async getGroups() {
+    if (!this.socket || !this.isReady) {
+      throw new Error("Client not initialized or not ready");
+    }
+
+    const groups = await this.socket.groupFetchAllParticipating();
+    return Object.values(groups).map((group) => ({
+      id: group.id.replace(/@g\.us$/, ""),
+      subject: group.subject,
+      size: group.participants?.length || 0,
+    }));
+  }
+
+  /**
+   * Get a group's metadata
+   * @param {string} groupId - Group ID or JID
+   * @returns {Promise<Object>} - Baileys group metadata
+   */
+  async getGroupMetadata(groupId) {
+    if (!this.socket || !this.isReady) {
+      throw new Error("Client not initialized or not ready");
+    }
+
+    return await this.socket.groupMetadata(this.formatJid(groupId));
+  }
+
+  /**
+   * Map a Baileys message status code to a receipt state
+   * @param {number} code - proto.WebMessageInfo.Status value
+   * @returns {string|null} - "sent", "delivered", "read" or null
+   */
+  getReceiptStatus(code) {
+    const statuses = proto.WebMessageInfo.Status;
+
+    if (code >= statuses.READ) return "read";
+    if (code === statuses.DELIVERY_ACK) return "delivered";
+    if (code === statuses.SERVER_ACK) return "sent";
+    return null;
+  }
+
+  /**
+   * Detect edit / revoke protocol messages and reactions
+   * @param {Object} msg - WhatsApp message
+   * @returns {Object|null} - { event, key, editedMessage|text } or null for regular messages
+   */
+  getProtocolUpdate(msg) {
+    // Reactions (empty text means the reaction was removed)
+    const reaction = msg.message?.reactionMessage;
+    if (reaction?.key) {
+      return {
+        event: "message_reaction",
+        key: reaction.key,
+        text: reaction.text || "",
+      };
+    }
+
+
+    const protocolMessage =
+      msg.message?.protocolMessage ||
+      msg.message?.editedMessage?.message?.protocolMessage;
+    if (!protocolMessage || !protocolMessage.key) return null;
+
+    const types = proto.Message.ProtocolMessage.Type;
+
+    if (protocolMessage.type === types.REVOKE) {
+      return { event: "message_revoke", key: protocolMessage.key };
+    }
+
+    if (protocolMessage.type === types.MESSAGE_EDIT) {
+      return {
+        event: "message_edit",
+        key: protocolMessage.key,
+        editedMessage: protocolMessage.editedMessage,
+      };
+    }
+
+    return null;
   }
 
   /**
@@ -613,21 +859,29 @@ class BaileysClient extends EventEmitter {
    * Send a text message
    * @param {string} to - Recipient ID
    * @param {string} text - Message text
+   * @param {Object} [options] - Extra send options (e.g. { quoted })
+   * @param {string[]} [options.mentions] - JIDs mentioned in the text (groups)
    * @returns {Promise<Object>} - Send result
    */
-  async sendTextMessage(to, text) {
+  async sendTextMessage(to, text, options = {}) {
     try {
       if (!this.socket || !this.isReady) {
         throw new Error("Client not initialized or not ready");
       }
 
       // Make sure recipient ID has proper format
-      const recipient = to.includes("@s.whatsapp.net")
-        ? to
-        : `${to}@s.whatsapp.net`;
+      const recipient = this.formatJid(to);
+
+      // Mentions belong to the message content, the rest are send options
+      const { mentions, ...sendOptions } = options;
+      const content = mentions?.length ? { text, mentions } : { text };
 
       // Send the message
-      const result = await this.socket.sendMessage(recipient, { text });
+      const result = await this.socket.sendMessage(
+        recipient,
+        content,
+        sendOptions
+      );
       return result;
     } catch (error) {
       console.error(
@@ -638,12 +892,62 @@ class BaileysClient extends EventEmitter {
     }
   }
 
+  /**
+   * Edit a previously sent text message
+   * @param {string} to - Recipient ID
+   * @param {Object} key - Key of the message to edit
+   * @param {string} text - New message text
+   * @returns {Promise<Object>} - Send result
+   */
+  async editMessage(to, key, text) {
+    try {
+      if (!this.socket || !this.isReady) {
+        throw new Error("Client not initialized or not ready");
+      }
+
+      const recipient = this.formatJid(to);
+
+      return await this.socket.sendMessage(recipient, { text, edit: key });
+    } catch (error) {
+      console.error(
+        `[BaileysClient:${this.instanceId}] Error editing message:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a previously sent message for everyone
+   * @param {string} to - Recipient ID
+   * @param {Object} key - Key of the message to delete
+   * @returns {Promise<Object>} - Send result
+   */
+  async deleteMessage(to, key) {
+    try {
+      if (!this.socket || !this.isReady) {
+        throw new Error("Client not initialized or not ready");
+      }
+
+      const recipient = this.formatJid(to);
+
+      return await this.socket.sendMessage(recipient, { delete: key });
+    } catch (error) {
+      console.error(
+        `[BaileysClient:${this.instanceId}] Error deleting message:`,
+        error
+      );
+      throw error;
+    }
+  }
+
   /**
    * Send a media message
    * @param {string} to - Recipient ID
    * @param {Object} media - Media object
-   * @param {string} caption - Media caption
-   * @returns {Promise<Object>} - Send result
+   * @param {string} caption - Media caption (sent as a separate text for audio,
+   *   which WhatsApp can't caption)
+   * @returns {Promise<Object>} - Send result of the media message
    */
   async sendMediaMessage(to, media, caption = "") {
     try {
@@ -652,9 +956,7 @@ class BaileysClient extends EventEmitter {
       }
 
       // Make sure recipient ID has proper format
-      const recipient = to.includes("@s.whatsapp.net")
-        ? to
-        : `${to}@s.whatsapp.net`;
+      const recipient = this.formatJid(to);
 
       // Determine media type and prepare message
       let message = {};
@@ -687,6 +989,12 @@ class BaileysClient extends EventEmitter {
 
       // Send the message
       const result = await this.socket.sendMessage(recipient, message);
+
+      // Audio has no caption, so the text follows as its own message
+      if (message.audio && caption && caption.trim()) {
+        await this.socket.sendMessage(recipient, { text: caption });
+      }
+
       return result;
     } catch (error) {
       console.error(
@@ -709,9 +1017,7 @@ class BaileysClient extends EventEmitter {
       }
 
       // Make sure user ID has proper format
-      const user = userId.includes("@s.whatsapp.net")
-        ? userId
-        : `${userId}@s.whatsapp.net`;
+      const user = this.formatJid(userId);
 
       // Get profile picture
       const ppUrl = await this.socket.profilePictureUrl(user, "image");
@@ -737,9 +1043,7 @@ class BaileysClient extends EventEmitter {
       }
 
       // Make sure user ID has proper format
-      const user = userId.includes("@s.whatsapp.net")
-        ? userId
-        : `${userId}@s.whatsapp.net`;
+      const user = this.formatJid(userId);
 
       // Get contact
       const contact = await this.socket.contacts[user];
@@ -346,8 +346,8 @@ class BaileysMedia {
     }
   }
   
-  // Send an audio message
-  async sendAudio(recipient, audioPath, isVoiceNote = false) {
+  // Send an audio message (options: converted = already Ogg/Opus, seconds, waveform = 64 values 0-100)
+  async sendAudio(recipient, audioPath, isVoiceNote = false, options = {}) {
     try {
       // Ensure initialized
       if (this.client && !this.client.isReady) {
@@ -388,8 +388,12 @@ class BaileysMedia {
         throw new Error('Invalid audio input type');
       }
       
+      if (isVoiceNote && options.converted) {
+        mimetype = 'audio/ogg; codecs=opus';
+      }
+      
       // FIXED: Always convert voice notes to OGG format for better compatibility
-      if (isVoiceNote && await this.checkFfmpeg()) {
+      if (isVoiceNote && !options.converted && await this.checkFfmpeg()) {
         try {
           // Create a temporary file for the voice note
           const tempInput = path.join(this.client?.tempDir || './temp', `voice_in_${Date.now()}`);
@@ -446,6 +450,14 @@ class BaileysMedia {
         ptt: isVoiceNote, // This flag makes it a voice note (push-to-talk)
       };
       
+      // Duration and waveform let WhatsApp draw a normal voice note bubble
+      if (options.seconds) {
+        messageOptions.seconds = options.seconds;
+      }
+      if (isVoiceNote && options.waveform) {
+        messageOptions.waveform = options.waveform;
+      }
+      
       // Send the audio or voice note
       const result = await this.client.socket.sendMessage(jid, messageOptions);
       
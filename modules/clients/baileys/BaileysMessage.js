@@ -330,6 +330,32 @@ class BaileysMessage {
       return null;
     }
   }
+  
+  /**
+   * Get the ID of the message being quoted
+   * @param {Object} message - WhatsApp message
+   * @returns {string|null} - Quoted message ID (stanzaId) or null
+   */
+  getQuotedMessageId(message) {
+    try {
+      if (!this.hasQuotedMessage(message)) {
+        return null;
+      }
+      
+      const content = message.message;
+      const contextInfo = content.extendedTextMessage?.contextInfo ||
+        content.imageMessage?.contextInfo ||
+        content.videoMessage?.contextInfo ||
+        content.audioMessage?.contextInfo ||
+        content.documentMessage?.contextInfo ||
+        content.stickerMessage?.contextInfo;
+      
+      return contextInfo?.stanzaId || null;
+    } catch (error) {
+      console.error(`[BaileysMessage:${this.instanceId}] Error getting quoted message ID:`, error);
+      return null;
+    }
+  }
 }
 
 module.exports = BaileysMessage;
\ No newline at end of file
@@ -9,12 +9,26 @@ const {
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
+  MessageFlags,
 } = require("discord.js");
 const fs = require("fs");
 const path = require("path");
 const axios = require("axios");
 const BaileysMedia = require("../clients/baileys/BaileysMedia.js");
 const MentionProcessor = require("../../utils/mentionProcessor.js");
+const TicketUtil = require("../../utils/TicketUtil.js");
+const TicketPriority = require("../../utils/TicketPriority.js");
+const mediaConverter = require("../managers/MediaConverter");
+
+// Reactions used to show WhatsApp delivery state on relayed agent messages.
+// Discord reactions are single emoji, so the double ticks are approximated
+// (🔵 for WhatsApp's blue ticks). The reaction currently shown is stored in the
+// message map, so a customer reacting with the same emoji is told apart.
+const RECEIPT_REACTIONS = {
+  sent: "✔️",
+  delivered: "☑️",
+  read: "🔵",
+};
 
 /**
  * Handles Discord events and interactions
@@ -51,6 +65,30 @@ class DiscordHandler {
     this.vouchHandler = null; // Set externally
     this.customCloseMessage = null;
 
+    // When enabled, only the agent who claimed a ticket can message the customer
+    this.claimLock = false;
+
+    // Discord <-> WhatsApp message mapping (set externally)
+    this.messageMapManager = null;
+
+    // Canned responses (set externally)
+    this.snippetManager = null;
+
+    // Opt-in WhatsApp group bridging (set externally)
+    this.groupManager = null;
+
+    // Department categories also hold tickets (set externally)
+    this.departmentManager = null;
+
+    // New ticket pings and escalations (set externally)
+    this.notificationManager = null;
+
+    // Message counts and first response times (set externally)
+    this.ticketRegistryManager = null;
+
+    // Pending "paused" presence timers per ticket channel
+    this.typingTimers = new Map();
+
     this.instanceId = options.instanceId || "default";
     this.tempDir = options.tempDir || path.join(__dirname, "..", "..", "temp");
     this.assetsDir =
@@ -68,14 +106,108 @@ class DiscordHandler {
     );
   }
 
+  /**
+   * Set message map manager
+   * @param {Object} messageMapManager - Message map manager
+   */
+  setMessageMapManager(messageMapManager) {
+    this.messageMapManager = messageMapManager;
+  }
+
+  /**
+   * Set snippet manager
+   * @param {Object} snippetManager - Snippet manager
+   */
+  setSnippetManager(snippetManager) {
+    this.snippetManager = snippetManager;
+  }
+
+  /**
+   * Set group manager used for group chat bridging
+   * @param {Object} groupManager - GroupManager instance
+   */
+  setGroupManager(groupManager) {
+    this.groupManager = groupManager;
+  }
+
+  /**
+   * Set department manager whose categories also hold tickets
+   * @param {Object} departmentManager - DepartmentManager instance
+   */
+  setDepartmentManager(departmentManager) {
+    this.departmentManager = departmentManager;
+  }
+
+  /**
+   * Set notification manager, told when an agent answers a ticket
+   * @param {Object} notificationManager - NotificationManager instance
+   */
+  setNotificationManager(notificationManager) {
+    this.notificationManager = notificationManager;
+  }
+
+  /**
+   * Set ticket registry that counts agent messages
+   * @param {Object} ticketRegistryManager - TicketRegistryManager instance
+   */
+  setTicketRegistryManager(ticketRegistryManager) {
+    this.ticketRegistryManager = ticketRegistryManager;
+  }
+
+  /**
+   * Send a Discord voice message as a WhatsApp push-to-talk voice note
+   * @param {Object} mediaHandler - BaileysMedia instance
+   * @param {string} phoneNumber - WhatsApp phone number
+   * @param {string} filePath - Downloaded voice message
+   * @param {Object} attachment - Discord attachment (duration in seconds, base64 waveform)
+   * @returns {Promise<Object>} - WhatsApp send result
+   */
+  async sendVoiceMessage(mediaHandler, phoneNumber, filePath, attachment) {
+    const voiceOptions = {
+      seconds: attachment.duration ? Math.max(1, Math.round(attachment.duration)) : undefined,
+      waveform: attachment.waveform
+        ? mediaConverter.resampleWaveform(Buffer.from(attachment.waveform, "base64"))
+        : null,
+    };
+
+    let voicePath = null;
+    try {
+      voicePath = await mediaConverter.convertToVoiceNote(filePath, {
+        outputDir: this.tempDir,
+      });
+      voiceOptions.converted = true;
+    } catch (error) {
+      // BaileysMedia still tries its own conversion
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Could not transcode voice message, sending original:`,
+        error.message
+      );
+    }
+
+    try {
+      return await mediaHandler.sendAudio(
+        phoneNumber,
+        voicePath || filePath,
+        true,
+        voiceOptions
+      );
+    } finally {
+      if (voicePath) {
+        mediaConverter.cleanup(voicePath);
+      }
+    }
+  }
+
   /**
    * Handle a media file from a Discord attachment
    * @param {Object} attachment - Discord attachment
    * @param {string} phoneNumber - WhatsApp phone number
    * @param {string} content - Text content to send with media
-   * @returns {Promise<boolean>} - Success
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.voiceMessage] - The Discord message is a recorded voice message
+   * @returns {Promise<Object|boolean>} - WhatsApp send result, or false on failure
    */
-  async handleAttachment(attachment, phoneNumber, content = "") {
+  async handleAttachment(attachment, phoneNumber, content = "", options = {}) {
     try {
       console.log(
         `[DiscordHandler:${this.instanceId}] Processing attachment: ${attachment.name} (${attachment.contentType})`
@@ -96,15 +228,19 @@ class DiscordHandler {
       const isGif =
         attachment.contentType === "image/gif" ||
         attachment.name?.endsWith(".gif");
+      // Discord voice messages carry a flag and a waveform
+      const isVoiceMessage =
+        options.voiceMessage === true || !!attachment.waveform;
       // FIXED: Improve voice detection - look for opus format or voice indicators in name
       const isVoice =
-        isAudio &&
-        (attachment.name?.includes("voice") ||
-          attachment.name?.includes("ptt") ||
-          attachment.contentType?.includes("opus") ||
-          (attachment.name?.endsWith(".ogg") &&
-            attachment.contentType?.includes("audio")));
-      const isDocument = !isImage && !isVideo && !isAudio && !isGif;
+        isVoiceMessage ||
+        (isAudio &&
+          (attachment.name?.includes("voice") ||
+            attachment.name?.includes("ptt") ||
+            attachment.contentType?.includes("opus") ||
+            (attachment.name?.endsWith(".ogg") &&
+              attachment.contentType?.includes("audio"))));
+      const isDocument = !isImage && !isVideo && !isAudio && !isGif && !isVoice;
 
       // Create a dedicated BaileysMedia instance with proper client reference
       const BaileysMedia = require("../clients/baileys/BaileysMedia.js");
@@ -134,6 +270,11 @@ class DiscordHandler {
           result = await mediaHandler.sendImage(phoneNumber, tempPath, content);
         } else if (isVideo) {
           result = await mediaHandler.sendVideo(phoneNumber, tempPath, content);
+        } else if (isVoiceMessage) {
+          console.log(
+            `[DiscordHandler:${this.instanceId}] Sending Discord voice message as voice note: ${attachment.name}`
+          );
+          result = await this.sendVoiceMessage(mediaHandler, phoneNumber, tempPath, attachment);
         } else if (isVoice) {
           // FIXED: Add more detailed logging for voice notes
           console.log(
@@ -213,7 +354,11 @@ class DiscordHandler {
 
       // Check if this is in a category we're monitoring
       const categoryId = message.channel.parentId;
-      if (!categoryId || categoryId !== this.categoryId) {
+      if (
+        !categoryId ||
+        (categoryId !== this.categoryId &&
+          !this.departmentManager?.hasCategory(categoryId))
+      ) {
         return false;
       }
 
@@ -235,37 +380,20 @@ class DiscordHandler {
         return false;
       }
 
-      // Format the message content
-      let content = message.content || "";
-
-      // Process mentions in the message content
-      const guildId = message.guild.id;
-
-      // Get special channels with careful access paths to avoid circular dependencies
-      let specialChannels = {};
-      try {
-        if (this.customSettings?.specialChannels) {
-          specialChannels = this.customSettings.specialChannels;
-        } else if (this.instance?.customSettings?.specialChannels) {
-          specialChannels = this.instance.customSettings.specialChannels;
+      // Respect the claim lock - only the assigned agent is relayed
+      if (this.claimLock && this.ticketManager) {
+        const claim = this.ticketManager.getTicketClaim(message.channel.id);
+        if (claim && claim.agentId !== message.author.id) {
+          console.log(
+            `[DiscordHandler:${this.instanceId}] Not relaying message from ${message.author.id}, ticket is claimed by ${claim.agentId}`
+          );
+          await message.react("🔒");
+          return false;
         }
-      } catch (err) {
-        // Silently continue if we can't access special channels
-      }
-
-      // Process mentions in the content
-      if (content && this.discordClient) {
-        content = MentionProcessor.convertDiscordMentionsToText(
-          content,
-          this.discordClient,
-          guildId,
-          specialChannels
-        );
       }
 
-      // Add agent prefix
-      const agentName = message.member?.nickname || message.author.username;
-      content = `*${agentName}*: ${content}`;
+      // Format the message content
+      const content = this.formatOutgoingContent(message);
 
       // FIXED: Handle attachments with the text message properly
       if (message.attachments.size > 0) {
@@ -287,10 +415,17 @@ class DiscordHandler {
             const success = await this.handleAttachment(
               attachment,
               phoneNumber,
-              attachmentContent
+              attachmentContent,
+              {
+                voiceMessage: message.flags?.has(MessageFlags.IsVoiceMessage),
+              }
             );
 
             if (success) {
+              // The first sent attachment carries the text, so map that one
+              if (successCount === 0) {
+                this.recordOutgoingMessage(message, success);
+              }
               successCount++;
             } else {
               // Add reaction for the specific failed media type
@@ -333,9 +468,20 @@ class DiscordHandler {
           }
         }
 
+        if (successCount > 0) {
+          this.recordAgentReply(
+            message.channel.id,
+            message.member || message.author
+          );
+        }
+
         // React based on success ratio
         if (successCount === totalAttachments) {
-          await message.react("✅");
+          if (this.messageMapManager?.getByDiscordId(message.id)) {
+            await this.addSentReaction(message);
+          } else {
+            await message.react("✅");
+          }
         } else if (successCount > 0) {
           await message.react("⚠️"); // Some attachments failed
         } else {
@@ -348,8 +494,32 @@ class DiscordHandler {
       } else {
         // No attachments, just send the text message
         try {
-          await this.whatsAppClient.sendTextMessage(phoneNumber, content);
-          await message.react("✅");
+          const quoted = await this.getQuotedForReply(message);
+          const sendOptions = quoted ? { quoted } : {};
+          let text = content;
+
+          // In group tickets "@Name" / "@+number" become real mentions
+          if (this.groupManager?.isGroupTicket(phoneNumber)) {
+            const built = this.groupManager.buildMentions(phoneNumber, content);
+            text = built.text;
+            sendOptions.mentions = built.mentions;
+          }
+
+          const sent = await this.whatsAppClient.sendTextMessage(
+            phoneNumber,
+            text,
+            sendOptions
+          );
+          this.recordOutgoingMessage(message, sent);
+          this.recordAgentReply(
+            message.channel.id,
+            message.member || message.author
+          );
+          if (sent?.key) {
+            await this.addSentReaction(message);
+          } else {
+            await message.react("✅");
+          }
         } catch (textError) {
           console.error(
             `[DiscordHandler:${this.instanceId}] Error sending text message:`,
@@ -381,6 +551,401 @@ class DiscordHandler {
     }
   }
 
+  /**
+   * An agent's reply reached the customer (typed, snippet or scheduled)
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} [member] - Agent who replied
+   */
+  recordAgentReply(channelId, member = null) {
+    // Someone answered, so the ticket won't be escalated
+    this.notificationManager?.markAnswered(channelId);
+
+    // Message count and first response time
+    this.ticketRegistryManager?.recordMessage(channelId, "agent", member);
+  }
+
+  /**
+   * Build the WhatsApp text for an agent message (mentions resolved, agent prefix)
+   * @param {Object} message - Discord message
+   * @returns {string} - Formatted content
+   */
+  formatOutgoingContent(message) {
+    let content = message.content || "";
+
+    // Process mentions in the message content
+    const guildId = message.guild.id;
+
+    // Get special channels with careful access paths to avoid circular dependencies
+    let specialChannels = {};
+    try {
+      if (this.customSettings?.specialChannels) {
+        specialChannels = this.customSettings.specialChannels;
+      } else if (this.instance?.customSettings?.specialChannels) {
+        specialChannels = this.instance.customSettings.specialChannels;
+      }
+    } catch (err) {
+      // Silently continue if we can't access special channels
+    }
+
+    // Process mentions in the content
+    if (content && this.discordClient) {
+      content = MentionProcessor.convertDiscordMentionsToText(
+        content,
+        this.discordClient,
+        guildId,
+        specialChannels
+      );
+    }
+
+    // Add agent prefix
+    const agentName = message.member?.nickname || message.author.username;
+    return `*${agentName}*: ${content}`;
+  }
+
+  /**
+   * Build the WhatsApp quoted message for a Discord reply
+   * @param {Object} message - Discord message
+   * @returns {Promise<Object|null>} - Quoted message for Baileys or null
+   */
+  async getQuotedForReply(message) {
+    try {
+      const referenceId = message.reference?.messageId;
+      if (!referenceId || !this.messageMapManager) return null;
+
+      const mapping = this.messageMapManager.getByDiscordId(referenceId);
+      if (!mapping) return null;
+
+      // Quote preview text, without the bridge's name prefixes
+      let quotedText = "";
+      try {
+        const referenced = await message.fetchReference();
+        quotedText = (referenced.content || "")
+          .replace(/^\*\*[^*]+\*\*:\s*/, "")
+          .replace(/^\*[^*]+\*:\s*/, "");
+      } catch (fetchError) {
+        // Referenced message may be gone, the key is enough to quote it
+      }
+
+      return {
+        key: mapping.waKey,
+        message: { conversation: quotedText },
+      };
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error resolving reply reference:`,
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Remember which WhatsApp message a relayed Discord message became
+   * @param {Object} message - Discord message
+   * @param {Object} sendResult - Result of the WhatsApp send (contains key)
+   */
+  recordOutgoingMessage(message, sendResult) {
+    if (!this.messageMapManager || !sendResult?.key) return;
+
+    this.messageMapManager.addMapping(
+      message.channel.id,
+      message.id,
+      sendResult.key,
+      "outgoing"
+    );
+  }
+
+  /**
+   * Handle an edited agent message - edits the WhatsApp copy
+   * @param {Object} message - Edited Discord message
+   * @returns {Promise<boolean>} - Success
+   */
+  async handleDiscordMessageEdit(message) {
+    try {
+      if (message.author?.bot || !this.messageMapManager) return false;
+
+      const mapping = this.messageMapManager.getByDiscordId(message.id);
+      if (!mapping || mapping.direction !== "outgoing") return false;
+
+      const content = this.formatOutgoingContent(message);
+      await this.whatsAppClient.editMessage(
+        mapping.waKey.remoteJid,
+        mapping.waKey,
+        content
+      );
+
+      console.log(
+        `[DiscordHandler:${this.instanceId}] Synced edit of message ${message.id} to WhatsApp`
+      );
+      return true;
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error syncing message edit:`,
+        error
+      );
+
+      try {
+        await message.react("⚠️");
+      } catch (reactError) {
+        /* Ignore reaction errors */
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Handle a deleted agent message - revokes the WhatsApp copy
+   * @param {Object} message - Deleted Discord message (may be partial)
+   * @returns {Promise<boolean>} - Success
+   */
+  async handleDiscordMessageDelete(message) {
+    try {
+      if (!this.messageMapManager) return false;
+
+      const mapping = this.messageMapManager.getByDiscordId(message.id);
+      if (!mapping) return false;
+
+      // Only agent messages can be revoked; customer messages just lose their mapping
+      if (mapping.direction === "outgoing") {
+        await this.whatsAppClient.deleteMessage(
+          mapping.waKey.remoteJid,
+          mapping.waKey
+        );
+        console.log(
+          `[DiscordHandler:${this.instanceId}] Revoked WhatsApp copy of deleted message ${message.id}`
+        );
+      }
+
+      this.messageMapManager.removeByDiscordId(message.id);
+      return true;
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error syncing message delete:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Handle an agent typing in a ticket channel - shows "typing..." to the customer
+   * @param {Object} typing - Discord typing state
+   * @returns {Promise<boolean>} - Whether presence was sent
+   */
+  async handleDiscordTyping(typing) {
+    try {
+      if (typing.user?.bot) return false;
+
+      const channelId = typing.channel.id;
+      const phoneNumber = this.channelManager.getPhoneNumberByChannelId(channelId);
+      if (!phoneNumber) return false;
+
+      // Agents blocked by the claim lock can't reply, so don't pretend they are
+      if (this.claimLock && this.ticketManager) {
+        const claim = this.ticketManager.getTicketClaim(channelId);
+        if (claim && claim.agentId !== typing.user?.id) return false;
+      }
+
+      const pending = this.typingTimers.get(channelId);
+      if (pending) {
+        clearTimeout(pending);
+      } else {
+        await this.whatsAppClient.sendPresence(phoneNumber, "composing");
+      }
+
+      // Discord typing lasts ~10 seconds; stop composing if nothing follows
+      this.typingTimers.set(
+        channelId,
+        setTimeout(() => {
+          this.typingTimers.delete(channelId);
+          this.whatsAppClient
+            .sendPresence(phoneNumber, "paused")
+            .catch(() => {});
+        }, 10000)
+      );
+
+      return true;
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error sending typing presence:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Mirror a customer's WhatsApp reaction onto the matching Discord message
+   * @param {Object} key - Key of the WhatsApp message that was reacted to
+   * @param {string} emoji - Reaction emoji ("" when removed)
+   * @returns {Promise<boolean>} - Whether the Discord message was updated
+   */
+  async handleWhatsAppReaction(key, emoji) {
+    try {
+      if (!this.messageMapManager || !key?.id) return false;
+
+      const mapping = this.messageMapManager.getByWhatsAppId(key.id);
+      if (!mapping) return false;
+
+      const channel = await this.discordClient.channels
+        .fetch(mapping.channelId)
+        .catch(() => null);
+      const message = await channel?.messages
+        .fetch(mapping.discordMessageId)
+        .catch(() => null);
+      if (!message) return false;
+
+      // WhatsApp allows one reaction per person, so drop the previous one -
+      // unless the same emoji is also the message's receipt reaction
+      const previous = mapping.reactions?.customer;
+      if (previous && previous !== emoji && previous !== mapping.reactions?.status) {
+        const reaction = message.reactions.cache.find(
+          (r) => r.emoji.name === previous
+        );
+        if (reaction?.me) {
+          await reaction.users.remove(this.discordClient.user.id).catch(() => {});
+        }
+      }
+
+      if (emoji) {
+        await message.react(emoji);
+      }
+
+      this.messageMapManager.setReaction(mapping, "customer", emoji);
+      return true;
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error mirroring WhatsApp reaction:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Mirror an agent's reaction on a customer message to WhatsApp
+   * @param {Object} reaction - Discord message reaction
+   * @param {Object} user - User who reacted
+   * @param {boolean} added - True when added, false when removed
+   * @returns {Promise<boolean>} - Whether a WhatsApp reaction was sent
+   */
+  async handleDiscordReaction(reaction, user, added) {
+    try {
+      // Bot reactions are bridge status markers or mirrored customer reactions
+      if (user.bot || !this.messageMapManager) return false;
+
+      if (reaction.partial) {
+        reaction = await reaction.fetch();
+      }
+
+      const mapping = this.messageMapManager.getByDiscordId(reaction.message.id);
+      if (!mapping || mapping.direction !== "incoming") return false;
+
+      // Server emoji don't exist on WhatsApp
+      if (reaction.emoji.id) return false;
+
+      if (this.claimLock && this.ticketManager) {
+        const claim = this.ticketManager.getTicketClaim(mapping.channelId);
+        if (claim && claim.agentId !== user.id) return false;
+      }
+
+      const emoji = reaction.emoji.name;
+      const current = mapping.reactions?.agent;
+
+      // Only clear the WhatsApp reaction if it's the one being removed
+      if (!added && current !== emoji) return false;
+
+      await this.whatsAppClient.sendReaction(
+        mapping.waKey.remoteJid,
+        mapping.waKey,
+        added ? emoji : ""
+      );
+      this.messageMapManager.setReaction(mapping, "agent", added ? emoji : null);
+      return true;
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error mirroring Discord reaction:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Handle a WhatsApp delivery/read receipt for an agent message
+   * @param {Object} key - WhatsApp message key
+   * @param {string} status - "sent", "delivered" or "read"
+   * @returns {Promise<boolean>} - Whether the Discord reaction was updated
+   */
+  async handleMessageStatus(key, status) {
+    try {
+      if (!this.messageMapManager || !key?.id) return false;
+
+      // Only move forward (a late "delivered" must not undo "read")
+      const mapping = this.messageMapManager.updateStatus(key.id, status);
+      if (!mapping || mapping.direction !== "outgoing") return false;
+
+      const channel = await this.discordClient.channels
+        .fetch(mapping.channelId)
+        .catch(() => null);
+      if (!channel) return false;
+
+      const message = await channel.messages
+        .fetch(mapping.discordMessageId)
+        .catch(() => null);
+      if (!message) return false;
+
+      await this.setReceiptReaction(message, status, mapping);
+      return true;
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error updating message status:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * React with the "sent" receipt on a relayed message
+   * @param {Object} message - Discord message (already in the message map)
+   */
+  async addSentReaction(message) {
+    await message.react(RECEIPT_REACTIONS.sent);
+    this.messageMapManager?.setReaction(
+      this.messageMapManager.getByDiscordId(message.id),
+      "status",
+      RECEIPT_REACTIONS.sent
+    );
+  }
+
+  /**
+   * Replace the bot's receipt reaction on a relayed message
+   * @param {Object} message - Discord message
+   * @param {string} status - "sent", "delivered" or "read"
+   * @param {Object} mapping - Message map entry of the message
+   */
+  async setReceiptReaction(message, status, mapping) {
+    const emoji = RECEIPT_REACTIONS[status];
+    if (!emoji) return;
+
+    // Remove the previous receipt, unless the customer reacted with the same emoji
+    const previous = mapping.reactions?.status || RECEIPT_REACTIONS.sent;
+    if (previous !== emoji && previous !== mapping.reactions?.customer) {
+      const reaction = message.reactions.cache.find(
+        (r) => r.emoji.name === previous
+      );
+      if (reaction?.me) {
+        await reaction.users
+          .remove(this.discordClient.user.id)
+          .catch(() => {});
+      }
+    }
+
+    await message.react(emoji);
+    this.messageMapManager.setReaction(mapping, "status", emoji);
+  }
+
   /**
    * Handle Discord command
    * @param {Object} message - Discord message
@@ -394,6 +959,8 @@ class DiscordHandler {
         return await this.handleCloseCommand(message);
       case "!vouch":
         return await this.handleVouchCommand(message);
+      case "!s":
+        return await this.handleSnippetCommand(message);
       case "!help":
         return await this.handleHelpCommand(message);
       default:
@@ -402,7 +969,262 @@ class DiscordHandler {
   }
 
   /**
-   * Handle close command
+   * Handle snippet command (!s <name>)
+   * @param {Object} message - Discord message
+   * @returns {Promise<boolean>} - Success
+   */
+  async handleSnippetCommand(message) {
+    try {
+      const name = message.content.split(" ").slice(1).join(" ").trim();
+      if (!name) {
+        await message.reply("❌ Usage: `!s <name>` - see `/snippets list` for available snippets.");
+        return false;
+      }
+
+      const result = await this.sendSnippet(message.channel, name, message.member);
+      if (!result.success) {
+        await message.reply(`❌ ${result.error}`);
+        return false;
+      }
+
+      await message.react("✅");
+      return true;
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error handling snippet command:`,
+        error
+      );
+      await message.reply(`❌ Error: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Send a snippet to the customer of a ticket channel and post a copy in the channel
+   * @param {Object} channel - Ticket channel
+   * @param {string} name - Snippet name
+   * @param {Object} member - Agent sending the snippet
+   * @returns {Promise<Object>} - { success, error }
+   */
+  async sendSnippet(channel, name, member) {
+    try {
+      const phoneNumber = this.channelManager.getPhoneNumberByChannelId(channel.id);
+      if (!phoneNumber) {
+        return { success: false, error: "This is not an active WhatsApp ticket channel." };
+      }
+
+      if (!this.snippetManager) {
+        return { success: false, error: "Snippets are not available for this server." };
+      }
+
+      if (this.claimLock && this.ticketManager) {
+        const claim = this.ticketManager.getTicketClaim(channel.id);
+        if (claim && claim.agentId !== member.id) {
+          return { success: false, error: `This ticket is claimed by <@${claim.agentId}>.` };
+        }
+      }
+
+      const snippet = this.snippetManager.getSnippet(name);
+      if (!snippet) {
+        return { success: false, error: `Snippet \`${name}\` not found. Use \`/snippets list\` to see available snippets.` };
+      }
+
+      // Same placeholders as the ticket messages
+      const userInfo = this.userCardManager?.getUserInfo(phoneNumber);
+      const text = this.snippetManager.render(snippet, {
+        name: userInfo?.username,
+        phoneNumber,
+      });
+
+      const agentName = member?.nickname || member?.user?.username || "Support";
+      const waText = `*${agentName}*: ${text}`;
+      const mediaPath = this.snippetManager.getMediaPath(snippet);
+
+      let sent;
+      if (mediaPath) {
+        sent = await this.whatsAppClient.sendMediaMessage(
+          phoneNumber,
+          {
+            data: fs.readFileSync(mediaPath),
+            mimetype: snippet.media.mimetype,
+            filename: snippet.media.originalName,
+          },
+          waText
+        );
+      } else {
+        sent = await this.whatsAppClient.sendTextMessage(phoneNumber, waText);
+      }
+      this.recordAgentReply(channel.id, member);
+
+      // Copy in the channel so agents and transcripts see what was sent
+      const copy = await channel.send({
+        content: `💬 **${agentName}** *(snippet \`${snippet.name}\`)*: ${text}`,
+        files: mediaPath ? [mediaPath] : [],
+        allowedMentions: { parse: [] },
+      });
+      this.recordOutgoingMessage(copy, sent);
+      if (sent?.key) {
+        await this.addSentReaction(copy);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error sending snippet:`,
+        error
+      );
+      return { success: false, error: `Failed to send snippet: ${error.message}` };
+    }
+  }
+
+  /**
+   * Send a scheduled message to a ticket's customer and post a copy in the channel
+   * @param {Object} item - Scheduled item (see ScheduleManager)
+   * @returns {Promise<Object>} - { success, retry, error }
+   */
+  async sendScheduledMessage(item) {
+    try {
+      if (!this.whatsAppClient?.isReady) {
+        return { success: false, retry: true };
+      }
+
+      // The ticket may have been closed (or reopened in a new channel) meanwhile
+      const phoneNumber = this.channelManager.getPhoneNumberByChannelId(item.channelId);
+      if (!phoneNumber || phoneNumber !== item.phoneNumber) {
+        return { success: false, error: "Ticket is no longer open" };
+      }
+
+      const channel = await this.ticketManager.getDiscordChannel(item.channelId);
+      if (!channel) {
+        return { success: false, error: "Ticket channel not found" };
+      }
+
+      let text = `*${item.agentName}*: ${item.content}`;
+      const sendOptions = {};
+      if (this.groupManager?.isGroupTicket(phoneNumber)) {
+        const built = this.groupManager.buildMentions(phoneNumber, text);
+        text = built.text;
+        sendOptions.mentions = built.mentions;
+      }
+
+      const sent = await this.whatsAppClient.sendTextMessage(phoneNumber, text, sendOptions);
+      this.recordAgentReply(item.channelId, {
+        id: item.agentId,
+        displayName: item.agentName,
+      });
+
+      // Copy in the channel so agents and transcripts see what was sent
+      const copy = await channel.send({
+        content: `💬 **${item.agentName}** *(scheduled message)*: ${item.content}`,
+        allowedMentions: { parse: [] },
+      });
+      this.recordOutgoingMessage(copy, sent);
+      if (sent?.key) {
+        await this.addSentReaction(copy);
+      }
+
+      console.log(
+        `[DiscordHandler:${this.instanceId}] Sent scheduled message ${item.id} to ${phoneNumber}`
+      );
+      return { success: true };
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error sending scheduled message ${item.id}:`,
+        error
+      );
+
+      // Let the agent know it didn't go out
+      const channel = await this.ticketManager.getDiscordChannel(item.channelId).catch(() => null);
+      await channel?.send({
+        content: `⚠️ Scheduled message \`${item.id}\` from **${item.agentName}** could not be sent: ${error.message}`,
+        allowedMentions: { parse: [] },
+      }).catch(() => {});
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Start a conversation with a customer who hasn't messaged us yet
+   * @param {string} phoneNumber - Customer number (digits only, with country code)
+   * @param {string|null} name - Customer name (looked up when empty)
+   * @param {string} text - Opening message
+   * @param {Object} member - Agent starting the conversation
+   * @returns {Promise<Object>} - { success, channel, error }
+   */
+  async startConversation(phoneNumber, name, text, member) {
+    try {
+      if (!this.whatsAppClient?.isReady) {
+        return { success: false, error: "WhatsApp is not connected." };
+      }
+
+      const existingChannelId = this.channelManager.getUserChannel(phoneNumber);
+      if (existingChannelId) {
+        return { success: false, error: `This customer already has an open ticket: <#${existingChannelId}>` };
+      }
+
+      let registered;
+      try {
+        registered = await this.whatsAppClient.isRegisteredUser(phoneNumber);
+      } catch (lookupError) {
+        return {
+          success: false,
+          error: `Could not verify whether +${phoneNumber} is on WhatsApp (${lookupError.message}). Please try again.`,
+        };
+      }
+      if (!registered) {
+        return { success: false, error: `+${phoneNumber} is not on WhatsApp.` };
+      }
+
+      // Name given > known customer > WhatsApp contact > number
+      const userInfo = this.userCardManager?.getUserInfo(phoneNumber);
+      const username =
+        name ||
+        (userInfo?.username !== "Unknown User" ? userInfo?.username : null) ||
+        (await this.whatsAppClient.getContactName(phoneNumber)) ||
+        `+${phoneNumber}`;
+
+      // A user card means the customer skips the "what's your name?" prompt when they reply
+      await this.userCardManager.updateUserInfo(phoneNumber, username);
+
+      const channel = await this.ticketManager.createTicket(phoneNumber, username, {
+        initiatedBy: member,
+      });
+      if (!channel) {
+        return { success: false, error: "Could not create the ticket channel." };
+      }
+
+      const agentName = member?.nickname || member?.user?.username || "Support";
+      const sent = await this.whatsAppClient.sendTextMessage(
+        phoneNumber,
+        `*${agentName}*: ${text}`
+      );
+
+      // Copy in the channel so agents and transcripts see what was sent
+      const copy = await channel.send({
+        content: `💬 **${agentName}** *(opening message)*: ${text}`,
+        allowedMentions: { parse: [] },
+      });
+      this.recordOutgoingMessage(copy, sent);
+      if (sent?.key) {
+        await this.addSentReaction(copy);
+      }
+
+      console.log(
+        `[DiscordHandler:${this.instanceId}] ${agentName} started a conversation with ${phoneNumber} in ${channel.id}`
+      );
+      return { success: true, channel };
+    } catch (error) {
+      console.error(
+        `[DiscordHandler:${this.instanceId}] Error starting conversation:`,
+        error
+      );
+      return { success: false, error: `Failed to start conversation: ${error.message}` };
+    }
+  }
+
+  /**
+   * Handle close command (!close [reason])
    * @param {Object} message - Discord message
    * @returns {Promise<boolean>} - Success
    */
@@ -410,11 +1232,14 @@ class DiscordHandler {
     try {
       // Get channel ID
       const channelId = message.channel.id;
+      const note = message.content.split(" ").slice(1).join(" ").trim();
 
       // Try to close the ticket
       const success = await this.ticketManager.closeTicket(
         channelId,
-        this.customCloseMessage !== false
+        this.customCloseMessage !== false,
+        null,
+        { closedBy: message.member || message.author, note }
       );
 
       if (!success) {
@@ -505,7 +1330,7 @@ class DiscordHandler {
         .setDescription("Here are the commands you can use in this channel:")
         .addFields(
           {
-            name: "!close",
+            name: "!close [reason]",
             value: "Close this ticket and save a transcript",
             inline: false,
           },
@@ -514,6 +1339,11 @@ class DiscordHandler {
             value: "Send vouch instructions to the customer",
             inline: false,
           },
+          {
+            name: "!s <name>",
+            value: "Send a saved snippet to the customer (see `/snippets list`)",
+            inline: false,
+          },
           { name: "!help", value: "Show this help message", inline: false }
         )
         .setFooter({ text: `WhatsApp Bridge | ${this.instanceId}` });
@@ -660,7 +1490,9 @@ class DiscordHandler {
       // Try to close the ticket
       const success = await this.ticketManager.closeTicket(
         channelId,
-        this.customCloseMessage !== false
+        this.customCloseMessage !== false,
+        null,
+        { closedBy: interaction.member || interaction.user }
       );
 
       if (!success) {
@@ -873,13 +1705,11 @@ class DiscordHandler {
             if (channelId) {
               const channel = this.discordClient.channels.cache.get(channelId);
               if (channel) {
-                // Format new channel name
-                const formattedUsername = newUsername
-                  .toLowerCase()
-                  .replace(/[^a-z0-9]/g, "-")
-                  .replace(/-+/g, "-")
-                  .substring(0, 25);
-                const newChannelName = `📋-${formattedUsername}`;
+                // Format new channel name, keeping the priority emoji
+                const newChannelName = TicketPriority.channelName(
+                  newUsername,
+                  this.ticketManager?.getTicketMeta(channelId).priority
+                );
 
                 if (channel.name !== newChannelName) {
                   await channel.setName(newChannelName, "Updated username");
@@ -970,6 +1800,9 @@ class DiscordHandler {
           )
           .setTimestamp(originalEmbed.timestamp);
 
+        // Keep extra fields such as the assigned agent
+        TicketUtil.carryOverFields(updatedEmbed, originalEmbed);
+
         // Preserve the original button components
         await embedMessage.edit({
           embeds: [updatedEmbed],
@@ -2,6 +2,7 @@
 const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const fs = require('fs');
 const path = require('path');
+const TicketUtil = require('../../utils/TicketUtil');
 
 /**
  * Handles vouch commands and processing
@@ -410,9 +411,9 @@ class VouchHandler {
       
       if (!channel) return ["Support Team"];
       
-      const messages = await channel.messages.fetch({ limit: 100 });
+      const { messages } = await TicketUtil.fetchAllMessages(channel);
       
-      for (const [_, message] of messages) {
+      for (const message of messages) {
         if (!message.author.bot && message.member && message.content.trim().length > 0) {
           const authorName = message.member.displayName || message.author.username;
           helpers.add(authorName);
@@ -3,6 +3,9 @@ const fs = require("fs");
 const path = require("path");
 const axios = require("axios");
 const MentionProcessor = require("../../utils/mentionProcessor");
+const BaileysMessage = require("../clients/baileys/BaileysMessage");
+const BusinessHours = require("../../utils/BusinessHours");
+const TicketUtil = require("../../utils/TicketUtil");
 
 /**
  * WhatsAppHandler class for handling WhatsApp interactions
@@ -38,6 +41,18 @@ class WhatsAppHandler {
 
     this.mentionProcessor = options.mentionProcessor;
 
+    // Discord <-> WhatsApp message mapping (set externally)
+    this.messageMapManager = null;
+
+    // Message helper for quoted replies
+    this.baileysMessage = new BaileysMessage({
+      instanceId: this.instanceId,
+      tempDir: this.tempDir,
+    });
+
+    // Last time we showed "typing" per ticket channel
+    this.typingShownAt = new Map();
+
     // Create temp directory if it doesn't exist
     if (!fs.existsSync(this.tempDir)) {
       fs.mkdirSync(this.tempDir, { recursive: true });
@@ -50,18 +65,102 @@ class WhatsAppHandler {
       "Nice to meet you, {name}! 😊 I'm setting up your support ticket right now. Our team will be with you soon to help with your request!";
     this.reopenTicketMessage =
       "Welcome back, {name}! 👋 Our team will continue assisting you with your request.";
+    this.afterHoursMessage =
+      "Thanks for reaching out, {name}! 🌙 Our team is currently offline. We open again {nextOpen} and will reply as soon as we're back.";
+
+    // Business hours (null = always open), set from instance settings
+    this.businessHours = null;
+
+    // Last after-hours notice per customer
+    this.afterHoursNoticeAt = new Map();
+
+    // Voice note transcription (set externally)
+    this.speechToText = null;
+
+    // Opt-in WhatsApp group bridging (set externally)
+    this.groupManager = null;
+
+    // Broadcast opt-out keywords (set externally)
+    this.broadcastManager = null;
+    this.csatManager = null;
+
+    // Optional department menu before the first ticket (set externally)
+    this.departmentManager = null;
+
+    // Message counts per ticket (set externally)
+    this.ticketRegistryManager = null;
 
     console.log(`[WhatsAppHandler:${this.instanceId}] Initialized`);
   }
 
-  
-/**
+  /**
+   * Set message map manager
+   * @param {Object} messageMapManager - Message map manager
+   */
+  setMessageMapManager(messageMapManager) {
+    this.messageMapManager = messageMapManager;
+  }
+
+  /**
+   * Set speech-to-text used for voice notes
+   * @param {Object} speechToText - SpeechToText instance
+   */
+  setSpeechToText(speechToText) {
+    this.speechToText = speechToText;
+  }
+
+  /**
+   * Set group manager used for group chat bridging
+   * @param {Object} groupManager - GroupManager instance
+   */
+  setGroupManager(groupManager) {
+    this.groupManager = groupManager;
+  }
+
+  /**
+   * Set broadcast manager used for the opt-out keyword
+   * @param {Object} broadcastManager - BroadcastManager instance
+   */
+  setBroadcastManager(broadcastManager) {
+    this.broadcastManager = broadcastManager;
+  }
+
+  /**
+   * Set CSAT manager that takes survey answers
+   * @param {Object} csatManager - CsatManager instance
+   */
+  setCsatManager(csatManager) {
+    this.csatManager = csatManager;
+  }
+
+  /**
+   * Set department manager for the menu shown to new customers
+   * @param {Object} departmentManager - DepartmentManager instance
+   */
+  setDepartmentManager(departmentManager) {
+    this.departmentManager = departmentManager;
+  }
+
+  /**
+   * Set ticket registry that counts customer messages
+   * @param {Object} ticketRegistryManager - TicketRegistryManager instance
+   */
+  setTicketRegistryManager(ticketRegistryManager) {
+    this.ticketRegistryManager = ticketRegistryManager;
+  }
+
+  /**
    * Handle incoming WhatsApp message - FIXED for better vouch detection
    * @param {Object} message - WhatsApp message
    * @returns {Promise<boolean>} - Success status
    */
   async handleMessage(message) {
     try {
+      // Group chats are only bridged when the group is allowlisted
+      if (message.key?.remoteJid?.endsWith("@g.us")) {
+        return await this.handleGroupMessage(message);
+      }
+
       // Extract user ID
       const userId = this.channelManager.extractUserIdFromMessage(message);
       if (!userId) {
@@ -75,6 +174,24 @@ class WhatsAppHandler {
       const content = this.getTextFromMessage(message);
       const hasMedia = this.isMediaMessage(message);
 
+      // Broadcast opt-out / opt-in keywords are answered by the bot
+      // (still relayed when the customer has an open ticket). Only known
+      // customers can opt out, and only opted-out ones opt back in - anyone
+      // else saying "Start"/"Stop" goes through the normal welcome flow.
+      const keyword = this.broadcastManager?.matchKeyword(content);
+      const keywordCard = keyword ? this.userCardManager.getUserInfo(userId) : null;
+      if (
+        keyword &&
+        keywordCard?.username &&
+        keywordCard.username !== "Unknown User" &&
+        (keyword === "out" || keywordCard.optedOut === true)
+      ) {
+        await this.handleBroadcastKeyword(userId, keyword);
+        if (!this.channelManager.getUserChannel(userId)) {
+          return true;
+        }
+      }
+
       // CRITICAL FIX: Check for vouch FIRST before any other processing
       // Look for "Vouch!" in text content OR in media captions
       let isVouchMessage = false;
@@ -119,6 +236,18 @@ class WhatsAppHandler {
         }
       }
 
+      // Answers to the satisfaction survey sent when the last ticket closed
+      // (vouches are never taken as survey comments)
+      if (
+        this.csatManager &&
+        !hasMedia &&
+        !isVouchMessage &&
+        !this.channelManager.getUserChannel(userId) &&
+        (await this.csatManager.handleReply(userId, content))
+      ) {
+        return true;
+      }
+
       // CRITICAL FIX: Get existing user info FIRST and log it
       const existingUserInfo = this.userCardManager.getUserInfo(userId);
       console.log(
@@ -181,21 +310,37 @@ class WhatsAppHandler {
           );
           this.userCardManager.setUserInfo(userId, username);
 
-          // Send intro message
-          const introMessage = (
-            this.introMessage || "Nice to meet you, {name}!"
-          ).replace(/{name}/g, username);
-          await this.whatsAppClient.sendTextMessage(userId, introMessage);
+          // Let the customer pick a department first
+          if (this.departmentManager?.isEnabled()) {
+            await this.whatsAppClient.sendTextMessage(
+              userId,
+              this.departmentManager.buildMenu(username)
+            );
+            userState.stage = "department";
+            userState.menuAttempts = 0;
+            this.userState.set(userId, userState);
+            return true;
+          }
 
-          // Create ticket
-          const ticketCreated = await this.ticketManager.createTicket(
-            userId,
-            username
-          );
-          userState.stage = "active";
-          userState.hasTicket = ticketCreated;
-          this.userState.set(userId, userState);
-          return ticketCreated;
+          return await this.openFirstTicket(userId, userState, null);
+
+        case "department": {
+          const department = this.departmentManager?.isEnabled()
+            ? this.departmentManager.parseChoice(content)
+            : null;
+
+          // Ask again a couple of times, then fall back to the default category
+          if (!department && this.departmentManager?.isEnabled() && ++userState.menuAttempts < 3) {
+            await this.whatsAppClient.sendTextMessage(
+              userId,
+              `Sorry, I didn't catch that.\n\n${this.departmentManager.buildMenu(userState.username)}`
+            );
+            this.userState.set(userId, userState);
+            return true;
+          }
+
+          return await this.openFirstTicket(userId, userState, department);
+        }
 
         case "active":
           // CRITICAL FIX: Better handle existing user case
@@ -208,6 +353,9 @@ class WhatsAppHandler {
             console.log(
               `[WhatsAppHandler:${this.instanceId}] Using existing channel ${channelId} for ${userId}`
             );
+            if (this.isAfterHours()) {
+              await this.sendAfterHoursNotice(userId, userState.username);
+            }
             return await this.processMessage(message, userId, channelId);
           }
 
@@ -235,11 +383,21 @@ class WhatsAppHandler {
             );
             const newTicket = await this.ticketManager.createTicket(
               userId,
-              username
+              username,
+              {
+                department: this.departmentManager?.getDepartment(
+                  existingUserInfo?.department
+                ),
+              }
             );
             userState.hasTicket = !!newTicket;
             this.userState.set(userId, userState);
 
+            if (newTicket && this.isAfterHours()) {
+              await this.sendAfterHoursNotice(userId, username);
+              await this.tagAfterHoursTicket(newTicket);
+            }
+
             // If ticket created successfully, forward the current message
             if (newTicket) {
               return await this.processMessage(message, userId, newTicket.id);
@@ -265,6 +423,219 @@ class WhatsAppHandler {
     }
   }
 
+  /**
+   * Send the intro message and create a new customer's first ticket
+   * @param {string} userId - Customer number
+   * @param {Object} userState - Conversation state
+   * @param {Object|null} department - Department the customer picked
+   * @returns {Promise<Object|null>} - Created channel
+   */
+  async openFirstTicket(userId, userState, department) {
+    const username = userState.username;
+
+    // Returning customers go back to the same department
+    if (department) {
+      await this.userCardManager.mergeUserInfo(userId, {
+        department: department.id,
+      });
+    }
+
+    // Send intro message
+    const introMessage = (
+      department?.introMessage ||
+      this.introMessage ||
+      "Nice to meet you, {name}!"
+    )
+      .replace(/{name}/g, username)
+      .replace(/{department}/g, department?.name || "support");
+    await this.whatsAppClient.sendTextMessage(userId, introMessage);
+
+    // Create ticket
+    const ticketCreated = await this.ticketManager.createTicket(
+      userId,
+      username,
+      { department }
+    );
+    if (ticketCreated && this.isAfterHours()) {
+      await this.sendAfterHoursNotice(userId, username);
+      await this.tagAfterHoursTicket(ticketCreated);
+    }
+    userState.stage = "active";
+    userState.hasTicket = ticketCreated;
+    this.userState.set(userId, userState);
+    return ticketCreated;
+  }
+
+  /**
+   * Opt a customer out of (or back into) broadcasts
+   * @param {string} userId - Customer number
+   * @param {string} keyword - "out" or "in"
+   * @returns {Promise<boolean>} - Success status
+   */
+  async handleBroadcastKeyword(userId, keyword) {
+    try {
+      const optedOut = keyword === "out";
+      await this.userCardManager.mergeUserInfo(userId, {
+        optedOut,
+        optedOutAt: optedOut ? Date.now() : null,
+      });
+
+      console.log(
+        `[WhatsAppHandler:${this.instanceId}] ${userId} opted ${keyword} of broadcasts`
+      );
+
+      await this.whatsAppClient.sendTextMessage(
+        userId,
+        optedOut
+          ? `You won't receive announcements from us anymore. Reply ${this.broadcastManager.optInKeyword} to subscribe again.`
+          : `You're subscribed to our announcements again. Reply ${this.broadcastManager.optOutKeyword} to stop.`
+      );
+      return true;
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error handling broadcast keyword:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Handle a message from a WhatsApp group (group mode)
+   * Groups skip the name prompt and vouch flow; the group is the "customer".
+   * @param {Object} message - WhatsApp message
+   * @returns {Promise<string|boolean>} - Mirrored Discord message ID, or false
+   */
+  async handleGroupMessage(message) {
+    try {
+      const jid = message.key.remoteJid;
+      if (!this.groupManager?.isAllowed(jid)) {
+        return false;
+      }
+
+      const groupId = this.groupManager.toGroupId(jid);
+      const group = this.groupManager.getGroup(jid);
+      const groupName = group.name || `Group ${groupId}`;
+
+      // Remember who is in the group so mentions can be resolved both ways
+      const participant = this.channelManager.cleanPhoneNumber(
+        message.key.participant || message.participant
+      );
+      if (participant && message.pushName) {
+        this.groupManager.rememberParticipant(
+          jid,
+          participant,
+          message.pushName
+        );
+      }
+
+      // The group name is the ticket's "username"
+      const existingUserInfo = this.userCardManager.getUserInfo(groupId);
+      if (existingUserInfo?.username !== groupName) {
+        await this.userCardManager.updateUserInfo(groupId, groupName);
+      }
+
+      let channelId = this.channelManager.getUserChannel(groupId);
+      if (!channelId) {
+        console.log(
+          `[WhatsAppHandler:${this.instanceId}] Creating group ticket for ${groupName} (${groupId})`
+        );
+        const newTicket = await this.ticketManager.createTicket(
+          groupId,
+          groupName
+        );
+        if (!newTicket) return false;
+
+        if (this.isAfterHours()) {
+          await this.sendAfterHoursNotice(groupId, groupName);
+          await this.tagAfterHoursTicket(newTicket);
+        }
+        channelId = newTicket.id;
+      } else if (this.isAfterHours()) {
+        await this.sendAfterHoursNotice(groupId, groupName);
+      }
+
+      return await this.processMessage(message, groupId, channelId);
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error handling group message:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Check whether we're currently outside business hours
+   * @returns {boolean}
+   */
+  isAfterHours() {
+    try {
+      return !BusinessHours.isOpen(this.businessHours);
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error checking business hours:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Tell a customer we're closed (at most once per cooldown)
+   * @param {string} userId - Customer phone number
+   * @param {string} username - Customer name
+   * @returns {Promise<boolean>} - Whether the notice was sent
+   */
+  async sendAfterHoursNotice(userId, username) {
+    try {
+      const cooldownMinutes = this.businessHours?.noticeCooldownMinutes ?? 60;
+      const lastNotice = this.afterHoursNoticeAt.get(userId) || 0;
+      if (Date.now() - lastNotice < cooldownMinutes * 60 * 1000) {
+        return false;
+      }
+
+      const notice = this.afterHoursMessage
+        .replace(/{name}/g, username || "there")
+        .replace(/{nextOpen}/g, BusinessHours.formatNextOpen(this.businessHours));
+
+      await this.whatsAppClient.sendTextMessage(userId, notice);
+      this.afterHoursNoticeAt.set(userId, Date.now());
+      return true;
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error sending after-hours notice:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Mark a newly created ticket as opened after hours
+   * @param {Object} channel - Ticket channel
+   */
+  async tagAfterHoursTicket(channel) {
+    try {
+      if (!channel?.send) return;
+
+      const infoMessage = await TicketUtil.findTicketInfoMessage(channel);
+      if (infoMessage) {
+        await TicketUtil.setTicketInfoField(infoMessage, "Tags", "🌙 After hours");
+      }
+
+      await channel.send({
+        content: `🌙 This ticket was opened outside business hours. The customer was told we open ${BusinessHours.formatNextOpen(this.businessHours)}.`,
+        allowedMentions: { parse: [] },
+      });
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error tagging after-hours ticket:`,
+        error
+      );
+    }
+  }
+
   /**
    * Sanitize username input
    * @param {string} input - Raw username input
@@ -297,12 +668,15 @@ class WhatsAppHandler {
    * @param {Object} message - WhatsApp message
    * @param {string} sender - Sender ID
    * @param {string} channelId - Discord channel ID
-   * @returns {Promise<boolean>} - Success status
+   * @returns {Promise<string|boolean>} - Mirrored Discord message ID, or false on failure
    */
   async processMessage(message, sender, channelId) {
     try {
+      this.ticketRegistryManager?.recordMessage(channelId, "customer");
+
       // Get the text content from the message
       const text = this.getTextFromMessage(message);
+      let result;
 
       // Check for different media types
       // First check for stickers specifically
@@ -310,7 +684,7 @@ class WhatsAppHandler {
         console.log(
           `[WhatsAppHandler:${this.instanceId}] Detected sticker message`
         );
-        return await this.handleStickerMessage(
+        result = await this.handleStickerMessage(
           message,
           sender,
           channelId,
@@ -319,11 +693,11 @@ class WhatsAppHandler {
       }
 
       // Check for other media types
-      if (message.message?.imageMessage) {
+      else if (message.message?.imageMessage) {
         console.log(
           `[WhatsAppHandler:${this.instanceId}] Detected image message`
         );
-        return await this.handleMediaMessage(
+        result = await this.handleMediaMessage(
           message,
           sender,
           channelId,
@@ -334,7 +708,7 @@ class WhatsAppHandler {
         console.log(
           `[WhatsAppHandler:${this.instanceId}] Detected video message`
         );
-        return await this.handleMediaMessage(
+        result = await this.handleMediaMessage(
           message,
           sender,
           channelId,
@@ -345,7 +719,7 @@ class WhatsAppHandler {
         console.log(
           `[WhatsAppHandler:${this.instanceId}] Detected document message`
         );
-        return await this.handleMediaMessage(
+        result = await this.handleMediaMessage(
           message,
           sender,
           channelId,
@@ -360,7 +734,7 @@ class WhatsAppHandler {
             isVoice ? "voice" : "audio"
           } message`
         );
-        return await this.handleMediaMessage(
+        result = await this.handleMediaMessage(
           message,
           sender,
           channelId,
@@ -371,19 +745,26 @@ class WhatsAppHandler {
         console.log(
           `[WhatsAppHandler:${this.instanceId}] Detected location message`
         );
-        return await this.handleLocationMessage(message, sender, channelId);
+        result = await this.handleLocationMessage(message, sender, channelId);
       } else if (message.message?.contactMessage) {
         console.log(
           `[WhatsAppHandler:${this.instanceId}] Detected contact message`
         );
-        return await this.handleContactMessage(message, sender, channelId);
+        result = await this.handleContactMessage(message, sender, channelId);
       } else {
         // Default to text message handling
         console.log(
           `[WhatsAppHandler:${this.instanceId}] Detected text message`
         );
-        return await this.handleTextMessage(message, sender, channelId);
+        result = await this.handleTextMessage(message, sender, channelId);
       }
+
+      // Handlers return the ID of the mirrored Discord message
+      if (typeof result === "string") {
+        this.recordIncomingMessage(channelId, result, message);
+      }
+
+      return result;
     } catch (error) {
       console.error(
         `[WhatsAppHandler:${this.instanceId}] Error processing message:`,
@@ -393,6 +774,233 @@ class WhatsAppHandler {
     }
   }
 
+  /**
+   * Remember which Discord message a WhatsApp message was mirrored to
+   * @param {string} channelId - Ticket channel ID
+   * @param {string} discordMessageId - Discord message ID
+   * @param {Object} message - WhatsApp message
+   */
+  recordIncomingMessage(channelId, discordMessageId, message) {
+    if (!this.messageMapManager || !message?.key?.id) return;
+
+    this.messageMapManager.addMapping(
+      channelId,
+      discordMessageId,
+      message.key,
+      "incoming"
+    );
+  }
+
+  /**
+   * Fetch the Discord message that mirrors a WhatsApp message
+   * @param {string} waMessageId - WhatsApp message key ID
+   * @returns {Promise<Object|null>} - { mapping, discordMessage } or null
+   */
+  async getMirroredDiscordMessage(waMessageId) {
+    if (!this.messageMapManager || !waMessageId) return null;
+
+    const mapping = this.messageMapManager.getByWhatsAppId(waMessageId);
+    if (!mapping) return null;
+
+    const channel = await this.ticketManager.getDiscordChannel(
+      mapping.channelId
+    );
+    if (!channel) return null;
+
+    try {
+      const discordMessage = await channel.messages.fetch(
+        mapping.discordMessageId
+      );
+      return { mapping, discordMessage };
+    } catch (fetchError) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Mirrored message ${mapping.discordMessageId} not found:`,
+        fetchError.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Handle a customer editing a WhatsApp message
+   * @param {Object} message - Protocol message carrying the edit
+   * @param {Object} update - { key, editedMessage }
+   * @returns {Promise<boolean>} - Success status
+   */
+  async handleMessageEdit(message, update) {
+    try {
+      const mirrored = await this.getMirroredDiscordMessage(update?.key?.id);
+      if (!mirrored || mirrored.mapping.direction !== "incoming") {
+        return false;
+      }
+
+      const newText =
+        this.getTextFromMessage({
+          key: update.key,
+          message: update.editedMessage,
+        }) ||
+        update.editedMessage?.imageMessage?.caption ||
+        update.editedMessage?.videoMessage?.caption;
+      if (!newText) return false;
+
+      const sender = this.getSenderFromMessage(message);
+      const userInfo = this.userCardManager.getUserInfo(sender);
+      const username = userInfo?.username || "Unknown User";
+      const senderName = this.getSenderName(message, username);
+
+      await mirrored.discordMessage.edit({
+        content: `**${senderName}**: ${newText} *(edited)*`,
+        allowedMentions: { parse: [] },
+      });
+
+      console.log(
+        `[WhatsAppHandler:${this.instanceId}] Synced customer edit to Discord message ${mirrored.discordMessage.id}`
+      );
+      return true;
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error handling message edit:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Handle a customer deleting a WhatsApp message for everyone
+   * @param {Object} message - Protocol message carrying the revoke
+   * @param {Object} update - { key }
+   * @returns {Promise<boolean>} - Success status
+   */
+  async handleMessageRevoke(message, update) {
+    try {
+      const mirrored = await this.getMirroredDiscordMessage(update?.key?.id);
+      if (!mirrored || mirrored.mapping.direction !== "incoming") {
+        return false;
+      }
+
+      // Keep the "**name**: " prefix and strike through the rest
+      const original = mirrored.discordMessage.content || "";
+      const match = original.match(/^(\*\*.*?\*\*: )([\s\S]*)$/);
+      const prefix = match ? match[1] : "";
+      const body = (match ? match[2] : original).trim();
+
+      await mirrored.discordMessage.edit({
+        content: `${prefix}${body ? `~~${body}~~ ` : ""}*(deleted by customer)*`,
+        allowedMentions: { parse: [] },
+      });
+
+      console.log(
+        `[WhatsAppHandler:${this.instanceId}] Marked Discord message ${mirrored.discordMessage.id} as deleted`
+      );
+      return true;
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error handling message revoke:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Show a customer's typing indicator in their ticket channel
+   * @param {string} jid - Customer JID
+   * @param {string} presence - Baileys presence ("composing", "recording", "paused", ...)
+   * @returns {Promise<boolean>} - Whether a typing indicator was shown
+   */
+  async handlePresenceUpdate(jid, presence) {
+    try {
+      if (presence !== "composing" && presence !== "recording") return false;
+
+      const phoneNumber = this.channelManager.cleanPhoneNumber(jid);
+      const channelId = this.channelManager.getUserChannel(phoneNumber);
+      if (!channelId) return false;
+
+      // Discord shows typing for ~10 seconds, don't resend more often than that
+      const lastShown = this.typingShownAt.get(channelId) || 0;
+      if (Date.now() - lastShown < 8000) return false;
+      this.typingShownAt.set(channelId, Date.now());
+
+      const channel =
+        await this.ticketManager?.discordClient?.channels
+          .fetch(channelId)
+          .catch(() => null);
+      if (!channel) return false;
+
+      await channel.sendTyping();
+      return true;
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error showing typing indicator:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Work out how a quoted WhatsApp message should be shown in Discord
+   * @param {Object} message - WhatsApp message
+   * @returns {Object} - { replyTo } when the quoted message is mirrored, { quoteText } otherwise
+   */
+  getReplyOptions(message) {
+    try {
+      if (!this.baileysMessage.hasQuotedMessage(message)) {
+        return {};
+      }
+
+      // Prefer a real Discord reply to the mirrored message
+      const quotedId = this.baileysMessage.getQuotedMessageId(message);
+      const mapping = this.messageMapManager?.getByWhatsAppId(quotedId);
+      if (mapping) {
+        return { replyTo: mapping.discordMessageId };
+      }
+
+      // Otherwise fall back to showing the quoted text
+      const quotedText = this.baileysMessage.extractMessageText({
+        message: this.baileysMessage.getQuotedMessage(message),
+      });
+      return quotedText ? { quoteText: quotedText } : {};
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error resolving quoted message:`,
+        error
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Name shown in front of a forwarded message
+   * In groups this is the participant ("Name (+number)"), otherwise the customer.
+   * @param {Object} message - WhatsApp message
+   * @param {string} username - Customer (or group) name from the user card
+   * @returns {string}
+   */
+  getSenderName(message, username) {
+    const jid = message?.key?.remoteJid;
+    const participant = message?.key?.participant || message?.participant;
+    if (!jid?.endsWith("@g.us") || !participant) {
+      return username;
+    }
+
+    const number = this.channelManager.cleanPhoneNumber(participant);
+    const name =
+      message.pushName || this.groupManager?.getParticipantName(jid, number);
+    return name ? `${name} (+${number})` : `+${number}`;
+  }
+
+  /**
+   * Options for forwarding a message to Discord (reply target and sender name)
+   * @param {Object} message - WhatsApp message
+   * @param {string} senderName - Name shown in front of the message
+   * @returns {Object} - Options for TicketManager.forwardUserMessage
+   */
+  getForwardOptions(message, senderName) {
+    return { ...this.getReplyOptions(message), senderName };
+  }
+
   /**
    * Get sender ID from message
    * @param {Object} message - WhatsApp message
@@ -530,6 +1138,7 @@ class WhatsAppHandler {
       // Get user info
       const userInfo = this.userCardManager.getUserInfo(sender);
       const username = userInfo?.username || "Unknown User";
+      const senderName = this.getSenderName(message, username);
 
       // Let's skip the placeholder message to eliminate any possible interference
 
@@ -557,7 +1166,7 @@ class WhatsAppHandler {
         fs.writeFileSync(tempFilePath, mediaData.buffer);
 
         // Create content string
-        const content = `**${username}**: ${caption || ""} [Sticker]`;
+        const content = `**${senderName}**: ${caption || ""} [Sticker]`;
 
         // Forward to Discord
         const success = await this.ticketManager.forwardUserMessage(
@@ -566,7 +1175,8 @@ class WhatsAppHandler {
             content: content,
             files: [tempFilePath],
           },
-          true
+          true,
+          this.getForwardOptions(message, senderName)
         );
 
         // Cleanup immediately after forwarding (no delay)
@@ -586,10 +1196,11 @@ class WhatsAppHandler {
         // Just send a text message indicating sticker was received
         await this.ticketManager.forwardUserMessage(
           sender,
-          `**${username}**: ${
+          `**${senderName}**: ${
             caption || ""
           } [Sticker - could not be displayed]`,
-          false
+          false,
+          { senderName }
         );
 
         // Still return true since we did handle the message in some way
@@ -620,10 +1231,25 @@ class WhatsAppHandler {
       // Get user info
       const userInfo = this.userCardManager.getUserInfo(sender);
       const username = userInfo?.username || "Unknown User";
+      const senderName = this.getSenderName(message, username);
 
       // Process any channel mentions in the text
       let processedText = text;
 
+      // Show group mentions ("@15551234567") as participant names
+      const remoteJid = message.key?.remoteJid;
+      if (this.groupManager && remoteJid?.endsWith("@g.us")) {
+        const ownNumber = this.channelManager.cleanPhoneNumber(
+          this.whatsAppClient?.socket?.user?.id?.split(":")[0]
+        );
+        processedText = this.groupManager.resolveMentions(
+          remoteJid,
+          text,
+          message.message?.extendedTextMessage?.contextInfo?.mentionedJid,
+          ownNumber
+        );
+      }
+
       // Access necessary references for mention processing
       const discordClient = this.ticketManager?.discordClient;
       const guildId = this.ticketManager?.guildId;
@@ -647,7 +1273,7 @@ class WhatsAppHandler {
       // Process mentions if we have the needed references
       if (discordClient && guildId) {
         processedText = MentionProcessor.processChannelAndUserMentions(
-          text,
+          processedText,
           discordClient,
           guildId,
           specialChannels
@@ -658,12 +1284,14 @@ class WhatsAppHandler {
       const success = await this.ticketManager.forwardUserMessage(
         sender,
         processedText,
-        false
+        false,
+        this.getForwardOptions(message, senderName)
       );
 
       // Update the user's status and last activity
       if (userInfo) {
-        this.userCardManager.setUserInfo(sender, username, {
+        this.userCardManager.mergeUserInfo(sender, {
+          username,
           lastMessage: text,
           lastActivity: Date.now(),
           status: "active",
@@ -680,6 +1308,41 @@ class WhatsAppHandler {
     }
   }
 
+  /**
+   * Transcribe a voice note and post the text as a reply to the forwarded audio
+   * @param {string} sender - Sender ID
+   * @param {string} username - Name shown for the speaker
+   * @param {string} filepath - Path to the audio file
+   * @param {string} audioMessageId - Discord message ID of the forwarded audio
+   * @returns {Promise<boolean>} - Whether text was posted
+   */
+  async postVoiceTranscript(sender, username, filepath, audioMessageId) {
+    try {
+      const text = await this.speechToText.transcribe(filepath);
+      if (!text) {
+        console.log(
+          `[WhatsAppHandler:${this.instanceId}] No speech recognized in ${filepath}`
+        );
+        return false;
+      }
+
+      // Parsed by the transcript/search tooling as a customer message
+      const sentId = await this.ticketManager.forwardUserMessage(
+        sender,
+        `🎙️ **${username}** *(voice note)*: ${text}`,
+        false,
+        { replyTo: audioMessageId, senderName: username }
+      );
+      return !!sentId;
+    } catch (error) {
+      console.error(
+        `[WhatsAppHandler:${this.instanceId}] Error transcribing voice note:`,
+        error
+      );
+      return false;
+    }
+  }
+
   /**
    * Handle media message (image, video, document, audio)
    * @param {Object} message - WhatsApp message
@@ -700,6 +1363,7 @@ class WhatsAppHandler {
       // Get user info
       const userInfo = this.userCardManager.getUserInfo(sender);
       const username = userInfo?.username || "Unknown User";
+      const senderName = this.getSenderName(message, username);
 
       // If caption not provided, extract it from the message
       if (!caption) {
@@ -718,10 +1382,11 @@ class WhatsAppHandler {
       // Create a waiting message to notify that media is being processed
       const placeholderId = await this.ticketManager.forwardUserMessage(
         sender,
-        `**${username}**: ${
+        `**${senderName}**: ${
           caption ? caption : ""
         } *[${mediaType} downloading...]*`,
-        false
+        false,
+        { senderName }
       );
 
       // Download media
@@ -748,10 +1413,11 @@ class WhatsAppHandler {
           );
           await this.ticketManager.forwardUserMessage(
             sender,
-            `**${username}**: ${
+            `**${senderName}**: ${
               caption ? caption : ""
             } *[${mediaType} download failed]*`,
-            false
+            false,
+            { senderName }
           );
           return false;
         }
@@ -766,10 +1432,11 @@ class WhatsAppHandler {
         );
         await this.ticketManager.forwardUserMessage(
           sender,
-          `**${username}**: ${
+          `**${senderName}**: ${
             caption ? caption : ""
           } *[Error downloading media: ${downloadError.message}]*`,
-          false
+          false,
+          { senderName }
         );
         return false;
       }
@@ -815,7 +1482,7 @@ class WhatsAppHandler {
       }
 
       // Create content with username and caption
-      const formattedContent = `**${username}**: ${caption || ""}${mediaLabel}`;
+      const formattedContent = `**${senderName}**: ${caption || ""}${mediaLabel}`;
 
       // Forward the media to Discord
       const success = await this.ticketManager.forwardUserMessage(
@@ -824,18 +1491,29 @@ class WhatsAppHandler {
           content: formattedContent,
           files: [filepath],
         },
-        true
+        true,
+        this.getForwardOptions(message, senderName)
       );
 
       // Update the user's status and last activity
       if (userInfo && success) {
-        this.userCardManager.setUserInfo(sender, username, {
+        this.userCardManager.mergeUserInfo(sender, {
+          username,
           lastMessage: caption || `[${mediaType}]`,
           lastActivity: Date.now(),
           status: "active",
         });
       }
 
+      // Transcribe voice notes in the background and post the text under the audio
+      if (
+        success &&
+        (mediaType === "voice" || mediaType === "audio") &&
+        this.speechToText?.isActive()
+      ) {
+        this.postVoiceTranscript(sender, senderName, filepath, success);
+      }
+
       // Cleanup temp file after delay to ensure Discord has time to process it
       setTimeout(() => {
         try {
@@ -888,21 +1566,24 @@ class WhatsAppHandler {
       // Get user info
       const userInfo = this.userCardManager.getUserInfo(sender);
       const username = userInfo?.username || "Unknown User";
+      const senderName = this.getSenderName(message, username);
 
       // Generate Google Maps link
       const mapsLink = `https://www.google.com/maps?q=${latitude},${longitude}`;
 
       // Forward location message
-      const locationText = `**${username}**: 📍 *Location shared*\n${mapsLink}`;
+      const locationText = `**${senderName}**: 📍 *Location shared*\n${mapsLink}`;
       const success = await this.ticketManager.forwardUserMessage(
         sender,
         locationText,
-        false
+        false,
+        this.getForwardOptions(message, senderName)
       );
 
       // Update the user's status and last activity
       if (userInfo) {
-        this.userCardManager.setUserInfo(sender, username, {
+        this.userCardManager.mergeUserInfo(sender, {
+          username,
           lastMessage: "[Location]",
           lastActivity: Date.now(),
           status: "active",
@@ -948,9 +1629,10 @@ class WhatsAppHandler {
       // Get user info
       const userInfo = this.userCardManager.getUserInfo(sender);
       const username = userInfo?.username || "Unknown User";
+      const senderName = this.getSenderName(message, username);
 
       // Forward contact message
-      let contactText = `**${username}**: 📒 *Contact shared*\nName: ${contactName}`;
+      let contactText = `**${senderName}**: 📒 *Contact shared*\nName: ${contactName}`;
       if (contactPhone) {
         contactText += `\nPhone: ${contactPhone}`;
       }
@@ -958,12 +1640,14 @@ class WhatsAppHandler {
       const success = await this.ticketManager.forwardUserMessage(
         sender,
         contactText,
-        false
+        false,
+        this.getForwardOptions(message, senderName)
       );
 
       // Update the user's status and last activity
       if (userInfo) {
-        this.userCardManager.setUserInfo(sender, username, {
+        this.userCardManager.mergeUserInfo(sender, {
+          username,
           lastMessage: "[Contact]",
           lastActivity: Date.now(),
           status: "active",
@@ -0,0 +1,641 @@
+// modules/managers/BroadcastManager.js
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { EmbedBuilder } = require("discord.js");
+
+// WhatsApp bans numbers that blast messages, so sends are spread out:
+// a random pause between messages and a longer break after every batch
+const MIN_DELAY_MS = 4000;
+const MAX_DELAY_MS = 9000;
+const BATCH_SIZE = 25;
+const BATCH_PAUSE_MS = 60000;
+// Back-off when WhatsApp reports we're over the rate limit
+const RATE_LIMIT_PAUSE_MS = 5 * 60000;
+// Don't edit the progress embed more often than this
+const PROGRESS_INTERVAL_MS = 5000;
+
+// Receipt states only move forward
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3 };
+
+/**
+ * Sends announcements to the customers stored in the user cards
+ *
+ * Campaign shape (broadcasts.json, keyed by ID):
+ * {
+ *   id, status: "draft" | "sending" | "interrupted" | "completed" | "cancelled",
+ *   audience: { type: "all" | "active" | "tagged", days, tag },
+ *   content, media: { file, mimetype, originalName } | null,
+ *   createdBy, createdAt, startedAt, finishedAt,
+ *   progressMessage: { channelId, messageId } | null,
+ *   recipients: { "<phone>": { name, status, messageId, error, updatedAt } }
+ * }
+ */
+class BroadcastManager {
+  /**
+   * Create a new broadcast manager
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Options
+   * @param {string} [options.assetsDir] - Directory for broadcast media
+   * @param {Object} [options.discordClient] - Discord client (progress embeds)
+   */
+  constructor(instanceId = "default", options = {}) {
+    this.instanceId = instanceId;
+    this.discordClient = options.discordClient || null;
+    this.userCardManager = null;
+    this.whatsAppClient = null;
+
+    // Customers reply with these to leave / rejoin broadcasts
+    this.optOutKeyword = "STOP";
+    this.optInKeyword = "START";
+
+    // id -> campaign
+    this.campaigns = new Map();
+
+    // WhatsApp message ID -> { campaignId, phoneNumber } for receipts
+    this.messageIndex = new Map();
+
+    // Campaign IDs with a stop request
+    this.stopRequests = new Set();
+
+    this.baseDir = path.join(__dirname, "..", "..", "instances", this.instanceId);
+    this.broadcastsPath = path.join(this.baseDir, "broadcasts.json");
+    this.assetsDir = options.assetsDir || path.join(this.baseDir, "assets");
+
+    this.loadCampaigns();
+  }
+
+  /**
+   * Set user card manager (the audience)
+   * @param {Object} userCardManager - User card manager
+   */
+  setUserCardManager(userCardManager) {
+    this.userCardManager = userCardManager;
+  }
+
+  /**
+   * Set WhatsApp client used for sending
+   * @param {Object} whatsAppClient - WhatsApp client
+   */
+  setWhatsAppClient(whatsAppClient) {
+    this.whatsAppClient = whatsAppClient;
+  }
+
+  /**
+   * Load campaigns from disk
+   */
+  loadCampaigns() {
+    try {
+      if (!fs.existsSync(this.broadcastsPath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.broadcastsPath, "utf8"));
+      for (const [id, campaign] of Object.entries(data)) {
+        // A restart stops any campaign that was in flight
+        if (campaign.status === "sending") {
+          campaign.status = "interrupted";
+        }
+        this.campaigns.set(id, campaign);
+
+        for (const [phoneNumber, recipient] of Object.entries(campaign.recipients || {})) {
+          if (recipient.messageId) {
+            this.messageIndex.set(recipient.messageId, { campaignId: id, phoneNumber });
+          }
+        }
+      }
+
+      console.log(
+        `[BroadcastManager:${this.instanceId}] Loaded ${this.campaigns.size} broadcasts`
+      );
+    } catch (error) {
+      console.error(
+        `[BroadcastManager:${this.instanceId}] Error loading broadcasts:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save campaigns to disk
+   */
+  saveCampaigns() {
+    try {
+      if (!fs.existsSync(this.baseDir)) {
+        fs.mkdirSync(this.baseDir, { recursive: true });
+      }
+
+      const data = Object.fromEntries(this.campaigns.entries());
+      fs.writeFileSync(this.broadcastsPath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[BroadcastManager:${this.instanceId}] Error saving broadcasts:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get a campaign by ID
+   * @param {string} id - Campaign ID
+   * @returns {Object|null}
+   */
+  getCampaign(id) {
+    return this.campaigns.get(String(id || "").toLowerCase()) || null;
+  }
+
+  /**
+   * Get all campaigns, newest first
+   * @returns {Array<Object>}
+   */
+  getAllCampaigns() {
+    return [...this.campaigns.values()].sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Whether a message is the opt-out (or opt-in) keyword
+   * @param {string} text - Message text
+   * @returns {string|null} - "out", "in" or null
+   */
+  matchKeyword(text) {
+    const word = String(text || "").trim().toUpperCase();
+    if (!word) return null;
+    if (word === this.optOutKeyword.toUpperCase()) return "out";
+    if (word === this.optInKeyword.toUpperCase()) return "in";
+    return null;
+  }
+
+  /**
+   * Pick the customers for an audience
+   * @param {Object} audience - { type, days, tag }
+   * @returns {Array<Object>} - { phoneNumber, name }
+   */
+  getAudience(audience) {
+    if (!this.userCardManager) return [];
+
+    const since = audience.type === "active"
+      ? Date.now() - (audience.days || 30) * 24 * 60 * 60 * 1000
+      : 0;
+    const tag = this.userCardManager.normalizeTag(audience.tag);
+    const recipients = [];
+
+    for (const [phoneNumber, card] of this.userCardManager.getAllUserCards()) {
+      // Only real phone numbers (group tickets also have cards)
+      if (!/^\d{7,15}$/.test(phoneNumber)) continue;
+      if (card.optedOut) continue;
+
+      if (audience.type === "active") {
+        const lastActive = card.lastActivity || card.lastSeen || 0;
+        if (lastActive < since) continue;
+      } else if (audience.type === "tagged") {
+        if (!tag || !(card.tags || []).includes(tag)) continue;
+      }
+
+      recipients.push({
+        phoneNumber,
+        name: card.username !== "Unknown User" ? card.username : null,
+      });
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Describe an audience for embeds
+   * @param {Object} audience - { type, days, tag }
+   * @returns {string}
+   */
+  describeAudience(audience) {
+    if (audience.type === "active") return `Active in the last ${audience.days} days`;
+    if (audience.type === "tagged") return `Tagged \`${audience.tag}\``;
+    return "All customers";
+  }
+
+  /**
+   * Create a draft campaign with its recipient list
+   * @param {Object} options - Draft options
+   * @param {Object} options.audience - { type, days, tag }
+   * @param {Object} [options.attachment] - Discord attachment to send with the message
+   * @param {string} options.createdBy - Discord user ID
+   * @returns {Promise<Object>} - Draft campaign
+   */
+  async createDraft({ audience, attachment = null, createdBy }) {
+    const id = Date.now().toString(36);
+
+    const recipients = {};
+    for (const recipient of this.getAudience(audience)) {
+      recipients[recipient.phoneNumber] = {
+        name: recipient.name,
+        status: "pending",
+        messageId: null,
+        error: null,
+        updatedAt: null,
+      };
+    }
+
+    const campaign = {
+      id,
+      status: "draft",
+      audience,
+      content: "",
+      media: null,
+      createdBy,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      progressMessage: null,
+      recipients,
+    };
+
+    if (attachment) {
+      campaign.media = await this.downloadMedia(id, attachment);
+    }
+
+    this.campaigns.set(id, campaign);
+    this.saveCampaigns();
+    return campaign;
+  }
+
+  /**
+   * Download broadcast media into the instance assets directory
+   * @param {string} id - Campaign ID
+   * @param {Object} attachment - Discord attachment ({ url, name, contentType })
+   * @returns {Promise<Object>} - { file, mimetype, originalName }
+   * @private
+   */
+  async downloadMedia(id, attachment) {
+    if (!fs.existsSync(this.assetsDir)) {
+      fs.mkdirSync(this.assetsDir, { recursive: true });
+    }
+
+    const response = await axios.get(attachment.url, {
+      responseType: "arraybuffer",
+    });
+
+    const ext = path.extname(attachment.name || "").toLowerCase() || ".bin";
+    const file = `broadcast_${id}${ext}`;
+    fs.writeFileSync(path.join(this.assetsDir, file), Buffer.from(response.data));
+
+    return {
+      file,
+      mimetype: attachment.contentType || "application/octet-stream",
+      originalName: attachment.name || file,
+    };
+  }
+
+  /**
+   * Get the full path of a campaign's media file
+   * @param {Object} campaign - Campaign
+   * @returns {string|null}
+   */
+  getMediaPath(campaign) {
+    if (!campaign?.media?.file) return null;
+
+    const mediaPath = path.join(this.assetsDir, campaign.media.file);
+    return fs.existsSync(mediaPath) ? mediaPath : null;
+  }
+
+  /**
+   * Set the message text of a draft
+   * @param {string} id - Campaign ID
+   * @param {string} content - Message ({name} placeholder)
+   * @returns {Object|null} - Campaign or null if it isn't a draft
+   */
+  setContent(id, content) {
+    const campaign = this.getCampaign(id);
+    if (!campaign || campaign.status !== "draft") return null;
+
+    campaign.content = content;
+    this.saveCampaigns();
+    return campaign;
+  }
+
+  /**
+   * Build the text a customer receives
+   * @param {Object} campaign - Campaign
+   * @param {string|null} name - Customer name
+   * @returns {string}
+   */
+  render(campaign, name) {
+    return (
+      `${(campaign.content || "").replace(/{name}/g, name || "there")}\n\n` +
+      `_Reply ${this.optOutKeyword} to stop receiving announcements._`
+    );
+  }
+
+  /**
+   * Count recipients per status
+   * @param {Object} campaign - Campaign
+   * @returns {Object} - { total, pending, sent, delivered, read, failed, skipped }
+   */
+  getCounts(campaign) {
+    const counts = { total: 0, pending: 0, sent: 0, delivered: 0, read: 0, failed: 0, skipped: 0 };
+    for (const recipient of Object.values(campaign.recipients || {})) {
+      counts.total++;
+      counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Build the progress / summary embed of a campaign
+   * @param {Object} campaign - Campaign
+   * @returns {EmbedBuilder}
+   */
+  buildProgressEmbed(campaign) {
+    const counts = this.getCounts(campaign);
+    const done = counts.total - counts.pending;
+    const colors = {
+      draft: 0x5865f2,
+      sending: 0xfee75c,
+      interrupted: 0xe67e22,
+      completed: 0x57f287,
+      cancelled: 0xed4245,
+    };
+
+    const embed = new EmbedBuilder()
+      .setColor(colors[campaign.status] || 0x5865f2)
+      .setTitle(`📣 Broadcast \`${campaign.id}\` — ${campaign.status}`)
+      .setDescription((campaign.content || "*No message yet*").substring(0, 1000))
+      .addFields(
+        { name: "Audience", value: this.describeAudience(campaign.audience), inline: true },
+        { name: "Progress", value: `${done}/${counts.total}`, inline: true },
+        { name: "Media", value: campaign.media?.originalName || "None", inline: true },
+        {
+          name: "Delivery",
+          value:
+            `📤 Sent: ${counts.sent}\n📬 Delivered: ${counts.delivered}\n👀 Read: ${counts.read}\n` +
+            `❌ Failed: ${counts.failed}\n⏭️ Skipped: ${counts.skipped}\n⏳ Pending: ${counts.pending}`,
+          inline: false,
+        }
+      )
+      .setTimestamp();
+
+    if (campaign.startedAt) {
+      embed.setFooter({ text: `Started ${new Date(campaign.startedAt).toLocaleString()}` });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Edit the progress embed in Discord
+   * @param {Object} campaign - Campaign
+   */
+  async updateProgressMessage(campaign) {
+    try {
+      if (!campaign.progressMessage || !this.discordClient) return;
+
+      const channel = await this.discordClient.channels
+        .fetch(campaign.progressMessage.channelId)
+        .catch(() => null);
+      const message = await channel?.messages
+        .fetch(campaign.progressMessage.messageId)
+        .catch(() => null);
+      if (!message) return;
+
+      await message.edit({ embeds: [this.buildProgressEmbed(campaign)] });
+    } catch (error) {
+      console.error(
+        `[BroadcastManager:${this.instanceId}] Error updating progress embed:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Start (or resume) sending a campaign in the background
+   * @param {string} id - Campaign ID
+   * @param {Object} [progressChannel] - Discord channel for the progress embed
+   * @returns {Promise<Object>} - { success, error }
+   */
+  async start(id, progressChannel = null) {
+    const campaign = this.getCampaign(id);
+    if (!campaign) {
+      return { success: false, error: "Broadcast not found." };
+    }
+    if (!["draft", "interrupted"].includes(campaign.status)) {
+      return { success: false, error: `This broadcast is already ${campaign.status}.` };
+    }
+    if (!campaign.content) {
+      return { success: false, error: "This broadcast has no message yet." };
+    }
+    if (!this.whatsAppClient?.isReady) {
+      return { success: false, error: "WhatsApp is not connected." };
+    }
+
+    campaign.status = "sending";
+    campaign.startedAt = campaign.startedAt || Date.now();
+
+    if (progressChannel) {
+      const message = await progressChannel.send({
+        embeds: [this.buildProgressEmbed(campaign)],
+      });
+      campaign.progressMessage = { channelId: progressChannel.id, messageId: message.id };
+    }
+    this.saveCampaigns();
+
+    console.log(
+      `[BroadcastManager:${this.instanceId}] Starting broadcast ${campaign.id} to ${this.getCounts(campaign).pending} recipients`
+    );
+
+    // Runs for minutes or hours; progress goes to the embed
+    this.run(campaign).catch((error) => {
+      console.error(
+        `[BroadcastManager:${this.instanceId}] Broadcast ${campaign.id} failed:`,
+        error
+      );
+      campaign.status = "interrupted";
+      this.saveCampaigns();
+      this.updateProgressMessage(campaign);
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Ask a running campaign to stop after the current message
+   * @param {string} id - Campaign ID
+   * @returns {boolean} - Whether the campaign could be stopped
+   */
+  stop(id) {
+    const campaign = this.getCampaign(id);
+    if (!campaign) return false;
+
+    if (campaign.status === "sending") {
+      this.stopRequests.add(campaign.id);
+      return true;
+    }
+
+    if (["draft", "interrupted"].includes(campaign.status)) {
+      campaign.status = "cancelled";
+      campaign.finishedAt = Date.now();
+      this.saveCampaigns();
+      this.updateProgressMessage(campaign);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Send to every pending recipient, throttled
+   * @param {Object} campaign - Campaign
+   * @private
+   */
+  async run(campaign) {
+    const mediaPath = this.getMediaPath(campaign);
+    const media = mediaPath
+      ? {
+          data: fs.readFileSync(mediaPath),
+          mimetype: campaign.media.mimetype,
+          filename: campaign.media.originalName,
+        }
+      : null;
+
+    let sentInBatch = 0;
+    let lastProgressAt = 0;
+
+    for (const [phoneNumber, recipient] of Object.entries(campaign.recipients)) {
+      if (recipient.status !== "pending") continue;
+
+      if (this.stopRequests.has(campaign.id)) {
+        this.stopRequests.delete(campaign.id);
+        campaign.status = "cancelled";
+        break;
+      }
+
+      // Lost the connection: keep the rest pending so it can be resumed
+      if (!this.whatsAppClient?.isReady) {
+        campaign.status = "interrupted";
+        break;
+      }
+
+      // Customers can opt out while the campaign is running
+      const card = this.userCardManager?.getUserInfo(phoneNumber);
+      if (card?.optedOut) {
+        this.setRecipientStatus(recipient, "skipped", "Opted out");
+        continue;
+      }
+
+      if (sentInBatch >= BATCH_SIZE) {
+        await this.sleep(BATCH_PAUSE_MS);
+        sentInBatch = 0;
+      }
+
+      await this.sendToRecipient(campaign, phoneNumber, recipient, media);
+      sentInBatch++;
+      this.saveCampaigns();
+
+      if (Date.now() - lastProgressAt > PROGRESS_INTERVAL_MS) {
+        lastProgressAt = Date.now();
+        await this.updateProgressMessage(campaign);
+      }
+
+      await this.sleep(MIN_DELAY_MS + Math.random() * (MAX_DELAY_MS - MIN_DELAY_MS));
+    }
+
+    if (campaign.status === "sending") {
+      campaign.status = "completed";
+    }
+    if (campaign.status !== "interrupted") {
+      campaign.finishedAt = Date.now();
+    }
+    this.saveCampaigns();
+    await this.updateProgressMessage(campaign);
+
+    console.log(
+      `[BroadcastManager:${this.instanceId}] Broadcast ${campaign.id} ${campaign.status}: ${JSON.stringify(this.getCounts(campaign))}`
+    );
+  }
+
+  /**
+   * Send the campaign message to one customer (retries once after a rate limit)
+   * @param {Object} campaign - Campaign
+   * @param {string} phoneNumber - Customer number
+   * @param {Object} recipient - Recipient entry
+   * @param {Object|null} media - { data, mimetype, filename }
+   * @private
+   */
+  async sendToRecipient(campaign, phoneNumber, recipient, media) {
+    const text = this.render(campaign, recipient.name);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const sent = media
+          ? await this.whatsAppClient.sendMediaMessage(phoneNumber, media, text)
+          : await this.whatsAppClient.sendTextMessage(phoneNumber, text);
+
+        recipient.messageId = sent?.key?.id || null;
+        if (recipient.messageId) {
+          this.messageIndex.set(recipient.messageId, {
+            campaignId: campaign.id,
+            phoneNumber,
+          });
+        }
+        this.setRecipientStatus(recipient, "sent");
+        return;
+      } catch (error) {
+        const rateLimited = /rate-overlimit|429/i.test(
+          `${error.message} ${error.data || ""}`
+        );
+        if (rateLimited && attempt === 0) {
+          console.warn(
+            `[BroadcastManager:${this.instanceId}] Rate limited during broadcast ${campaign.id}, pausing`
+          );
+          await this.sleep(RATE_LIMIT_PAUSE_MS);
+          continue;
+        }
+
+        this.setRecipientStatus(recipient, "failed", error.message);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Update a recipient's delivery state
+   * @param {Object} recipient - Recipient entry
+   * @param {string} status - New status
+   * @param {string} [error] - Failure reason
+   * @private
+   */
+  setRecipientStatus(recipient, status, error = null) {
+    recipient.status = status;
+    recipient.error = error;
+    recipient.updatedAt = Date.now();
+  }
+
+  /**
+   * Record a delivery / read receipt for a broadcast message
+   * @param {Object} key - WhatsApp message key
+   * @param {string} status - "sent", "delivered" or "read"
+   * @returns {boolean} - Whether the receipt belonged to a broadcast
+   */
+  handleMessageStatus(key, status) {
+    const entry = this.messageIndex.get(key?.id);
+    if (!entry) return false;
+
+    const campaign = this.campaigns.get(entry.campaignId);
+    const recipient = campaign?.recipients?.[entry.phoneNumber];
+    if (!recipient) return false;
+
+    if ((STATUS_RANK[status] || 0) > (STATUS_RANK[recipient.status] || 0)) {
+      this.setRecipientStatus(recipient, status);
+      this.saveCampaigns();
+    }
+    return true;
+  }
+
+  /**
+   * Wait
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   * @private
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = BroadcastManager;
@@ -0,0 +1,445 @@
+// modules/managers/CsatManager.js
+const fs = require("fs");
+const path = require("path");
+const { EmbedBuilder } = require("discord.js");
+
+// Surveys nobody answers within this time are dropped
+const RATING_WINDOW_MS = 24 * 60 * 60 * 1000;
+// After rating, only a reply within a few minutes counts as a comment;
+// anything later is a new message and can open a ticket
+const COMMENT_WINDOW_MS = 5 * 60 * 1000;
+
+const STARS = ["", "⭐", "⭐⭐", "⭐⭐⭐", "⭐⭐⭐⭐", "⭐⭐⭐⭐⭐"];
+
+/**
+ * Asks customers to rate a ticket after it closes and stores the scores
+ *
+ * Interactive buttons and list messages aren't delivered to regular WhatsApp
+ * accounts through the Web API, so the prompt asks for a numbered reply.
+ *
+ * Survey shape (csat.json, keyed by ID):
+ * {
+ *   id, phoneNumber, username, channelId, agentId, agentName,
+ *   status: "awaiting_rating" | "awaiting_comment" | "completed",
+ *   sentAt, rating, ratedAt, comment, summaryMessage: { channelId, messageId } | null
+ * }
+ */
+class CsatManager {
+  /**
+   * Create a new CSAT manager
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Options
+   * @param {Object} [options.discordClient] - Discord client (summary posts)
+   */
+  constructor(instanceId = "default", options = {}) {
+    this.instanceId = instanceId;
+    this.discordClient = options.discordClient || null;
+    this.whatsAppClient = null;
+    this.groupManager = null;
+
+    const defaults = CsatManager.getDefaults();
+    this.enabled = defaults.enabled;
+    this.channelId = defaults.channelId;
+    this.ratingPrompt = defaults.ratingPrompt;
+    this.commentPrompt = defaults.commentPrompt;
+    this.thanksMessage = defaults.thanksMessage;
+
+    // id -> survey
+    this.surveys = new Map();
+
+    this.baseDir = path.join(__dirname, "..", "..", "instances", this.instanceId);
+    this.csatPath = path.join(this.baseDir, "csat.json");
+
+    this.loadSurveys();
+  }
+
+  /**
+   * Default survey settings (settings.csat)
+   * @returns {Object}
+   */
+  static getDefaults() {
+    return {
+      enabled: false,
+      channelId: null,
+      ratingPrompt:
+        "How happy are you with the help you got, {name}? Reply with a number:\n\n5 - Excellent\n4 - Good\n3 - Okay\n2 - Poor\n1 - Very poor",
+      commentPrompt:
+        "Thanks! Anything you'd like to add? Reply with a short comment, or *skip*.",
+      thanksMessage: "Thank you for your feedback! 🙏",
+    };
+  }
+
+  /**
+   * Apply survey settings
+   * @param {Object} config - settings.csat
+   */
+  setConfig(config = {}) {
+    const merged = { ...CsatManager.getDefaults(), ...config };
+
+    this.enabled = !!merged.enabled;
+    this.channelId = merged.channelId || null;
+    this.ratingPrompt = merged.ratingPrompt;
+    this.commentPrompt = merged.commentPrompt;
+    this.thanksMessage = merged.thanksMessage;
+  }
+
+  /**
+   * Set WhatsApp client used for the survey
+   * @param {Object} whatsAppClient - WhatsApp client
+   */
+  setWhatsAppClient(whatsAppClient) {
+    this.whatsAppClient = whatsAppClient;
+  }
+
+  /**
+   * Set group manager (group tickets aren't surveyed)
+   * @param {Object} groupManager - Group manager
+   */
+  setGroupManager(groupManager) {
+    this.groupManager = groupManager;
+  }
+
+  /**
+   * Load surveys from disk
+   */
+  loadSurveys() {
+    try {
+      if (!fs.existsSync(this.csatPath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.csatPath, "utf8"));
+      for (const [id, survey] of Object.entries(data)) {
+        this.surveys.set(id, survey);
+      }
+
+      console.log(
+        `[CsatManager:${this.instanceId}] Loaded ${this.surveys.size} surveys`
+      );
+    } catch (error) {
+      console.error(
+        `[CsatManager:${this.instanceId}] Error loading surveys:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save surveys to disk (unanswered surveys are dropped once they expire)
+   */
+  saveSurveys() {
+    try {
+      if (!fs.existsSync(this.baseDir)) {
+        fs.mkdirSync(this.baseDir, { recursive: true });
+      }
+
+      const cutoff = Date.now() - RATING_WINDOW_MS;
+      for (const [id, survey] of this.surveys.entries()) {
+        if (survey.status === "awaiting_rating" && survey.sentAt < cutoff) {
+          this.surveys.delete(id);
+        }
+      }
+
+      const data = Object.fromEntries(this.surveys.entries());
+      fs.writeFileSync(this.csatPath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[CsatManager:${this.instanceId}] Error saving surveys:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Send the rating prompt for a closed ticket
+   * @param {Object} ticket - Closed ticket
+   * @param {string} ticket.phoneNumber - Customer number
+   * @param {string} ticket.username - Customer name
+   * @param {string} ticket.channelId - Ticket channel ID
+   * @param {string} [ticket.agentId] - Discord user ID of the agent
+   * @param {string} [ticket.agentName] - Agent name
+   * @returns {Promise<Object|null>} - Survey, or null if none was sent
+   */
+  async sendSurvey({ phoneNumber, username, channelId, agentId = null, agentName = null }) {
+    try {
+      if (!this.enabled || !this.whatsAppClient?.isReady) return null;
+      if (this.groupManager?.isGroupTicket(phoneNumber)) return null;
+
+      const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+      const survey = {
+        id,
+        phoneNumber,
+        username,
+        channelId,
+        agentId,
+        agentName,
+        status: "awaiting_rating",
+        sentAt: Date.now(),
+        rating: null,
+        ratedAt: null,
+        comment: null,
+        summaryMessage: null,
+      };
+
+      // Only the latest ticket of a customer can be rated
+      for (const pending of this.surveys.values()) {
+        if (pending.phoneNumber === phoneNumber && pending.status === "awaiting_rating") {
+          this.surveys.delete(pending.id);
+        }
+      }
+
+      await this.whatsAppClient.sendTextMessage(
+        phoneNumber,
+        this.ratingPrompt.replace(/{name}/g, username || "there")
+      );
+
+      this.surveys.set(id, survey);
+      this.saveSurveys();
+
+      console.log(
+        `[CsatManager:${this.instanceId}] Sent survey ${id} to ${phoneNumber}`
+      );
+      return survey;
+    } catch (error) {
+      console.error(
+        `[CsatManager:${this.instanceId}] Error sending survey:`,
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Get the survey a customer's message would answer
+   * @param {string} phoneNumber - Customer number
+   * @returns {Object|null}
+   */
+  getOpenSurvey(phoneNumber) {
+    const now = Date.now();
+    let latest = null;
+
+    for (const survey of this.surveys.values()) {
+      if (survey.phoneNumber !== phoneNumber) continue;
+
+      const open =
+        (survey.status === "awaiting_rating" && now - survey.sentAt < RATING_WINDOW_MS) ||
+        (survey.status === "awaiting_comment" && now - survey.ratedAt < COMMENT_WINDOW_MS);
+
+      if (open && (!latest || survey.sentAt > latest.sentAt)) {
+        latest = survey;
+      }
+    }
+
+    return latest;
+  }
+
+  /**
+   * Read a 1-5 rating from a reply ("4", "4/5", "4️⃣", "⭐⭐⭐⭐")
+   * @param {string} text - Reply text
+   * @returns {number|null}
+   */
+  parseRating(text) {
+    const input = String(text || "").trim();
+
+    const number = input.match(/^([1-5])(?:️?⃣)?(?:\s*(?:\/\s*5|stars?|⭐))?[.!]?$/i);
+    if (number) return parseInt(number[1], 10);
+
+    const stars = input.match(/^(?:⭐\s*){1,5}$/u);
+    if (stars) return (input.match(/⭐/gu) || []).length;
+
+    return null;
+  }
+
+  /**
+   * Handle a customer message that may answer a survey
+   * @param {string} phoneNumber - Customer number
+   * @param {string} text - Message text
+   * @returns {Promise<boolean>} - Whether the message was consumed
+   */
+  async handleReply(phoneNumber, text) {
+    try {
+      const survey = this.getOpenSurvey(phoneNumber);
+      if (!survey || !text) return false;
+
+      if (survey.status === "awaiting_rating") {
+        const rating = this.parseRating(text);
+        if (!rating) return false;
+
+        survey.rating = rating;
+        survey.ratedAt = Date.now();
+        survey.status = "awaiting_comment";
+        this.saveSurveys();
+
+        await this.whatsAppClient.sendTextMessage(phoneNumber, this.commentPrompt);
+        await this.postSummary(survey);
+        return true;
+      }
+
+      // Comment stage - a vouch is not a comment
+      if (/^vouch!/i.test(text.trim())) return false;
+
+      survey.comment = /^skip\.?$/i.test(text.trim()) ? null : text.trim().substring(0, 1000);
+      survey.status = "completed";
+      this.saveSurveys();
+
+      await this.whatsAppClient.sendTextMessage(phoneNumber, this.thanksMessage);
+      if (survey.comment) {
+        await this.postSummary(survey);
+      }
+      return true;
+    } catch (error) {
+      console.error(
+        `[CsatManager:${this.instanceId}] Error handling survey reply:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Post (or update) the survey result in the summary channel
+   * @param {Object} survey - Survey
+   */
+  async postSummary(survey) {
+    try {
+      if (!this.channelId || !this.discordClient) return;
+
+      const embed = new EmbedBuilder()
+        .setColor(survey.rating >= 4 ? 0x57f287 : survey.rating === 3 ? 0xfee75c : 0xed4245)
+        .setTitle(`${STARS[survey.rating]} ${survey.rating}/5 from ${survey.username || survey.phoneNumber}`)
+        .addFields(
+          { name: "Agent", value: survey.agentId ? `<@${survey.agentId}>` : "Unassigned", inline: true },
+          { name: "Customer", value: `+${survey.phoneNumber}`, inline: true }
+        )
+        .setTimestamp(survey.ratedAt);
+
+      if (survey.comment) {
+        embed.setDescription(`> ${survey.comment.replace(/\n/g, "\n> ")}`);
+      }
+
+      // Add the comment to the post made for the rating
+      if (survey.summaryMessage) {
+        const channel = await this.discordClient.channels.fetch(survey.summaryMessage.channelId);
+        const message = await channel?.messages.fetch(survey.summaryMessage.messageId).catch(() => null);
+        if (message) {
+          await message.edit({ embeds: [embed] });
+          return;
+        }
+      }
+
+      const channel = await this.discordClient.channels.fetch(this.channelId);
+      if (!channel) return;
+
+      const message = await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+      survey.summaryMessage = { channelId: channel.id, messageId: message.id };
+      this.saveSurveys();
+    } catch (error) {
+      console.error(
+        `[CsatManager:${this.instanceId}] Error posting survey summary:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Rated surveys in a time range
+   * @param {number} since - Start timestamp
+   * @returns {Array<Object>}
+   */
+  getRatings(since = 0) {
+    return [...this.surveys.values()].filter(
+      (survey) => survey.rating && survey.ratedAt >= since
+    );
+  }
+
+  /**
+   * Average and count of a list of ratings
+   * @param {Array<Object>} surveys - Rated surveys
+   * @returns {string} - e.g. "4.3 ⭐ (12)"
+   */
+  formatAverage(surveys) {
+    if (surveys.length === 0) return "No ratings";
+    const average = surveys.reduce((sum, survey) => sum + survey.rating, 0) / surveys.length;
+    return `${average.toFixed(1)} ⭐ (${surveys.length})`;
+  }
+
+  /**
+   * Build the CSAT report for a period
+   * @param {number} days - Period length in days (0 = all time)
+   * @param {string} [agentId] - Only this agent's tickets
+   * @returns {EmbedBuilder}
+   */
+  buildReport(days, agentId = null) {
+    const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+    const ratings = this.getRatings(since).filter(
+      (survey) => !agentId || survey.agentId === agentId
+    );
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle(`📊 Customer Satisfaction - ${days ? `last ${days} days` : "all time"}`)
+      .setDescription(
+        ratings.length
+          ? `**Overall:** ${this.formatAverage(ratings)}\n` +
+              [5, 4, 3, 2, 1]
+                .map((score) => `${score}⭐ ${ratings.filter((survey) => survey.rating === score).length}`)
+                .join(" · ")
+          : "No ratings in this period."
+      );
+
+    if (agentId) {
+      embed.addFields({ name: "Agent", value: `<@${agentId}>` });
+    }
+
+    if (ratings.length === 0) return embed;
+
+    // Per agent
+    const byAgent = new Map();
+    for (const survey of ratings) {
+      const key = survey.agentId || "unassigned";
+      if (!byAgent.has(key)) byAgent.set(key, []);
+      byAgent.get(key).push(survey);
+    }
+
+    const agentLines = [...byAgent.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .slice(0, 15)
+      .map(([agentId, surveys]) =>
+        `${agentId === "unassigned" ? "Unassigned" : `<@${agentId}>`}: ${this.formatAverage(surveys)}`
+      );
+    embed.addFields({ name: "By Agent", value: agentLines.join("\n").substring(0, 1024) });
+
+    // Per calendar week (per day for short periods), UTC
+    const daily = days > 0 && days <= 14;
+    const byPeriod = new Map();
+    for (const survey of ratings) {
+      const date = new Date(survey.ratedAt);
+      if (!daily) {
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      }
+      const key = date.toISOString().substring(0, 10);
+      if (!byPeriod.has(key)) byPeriod.set(key, []);
+      byPeriod.get(key).push(survey);
+    }
+
+    const periodLines = [...byPeriod.entries()]
+      .sort((a, b) => b[0].localeCompare(a[0]))
+      .slice(0, 12)
+      .map(([key, surveys]) => `${daily ? key : `Week of ${key}`}: ${this.formatAverage(surveys)}`);
+    embed.addFields({ name: daily ? "By Day" : "By Week", value: periodLines.join("\n").substring(0, 1024) });
+
+    // Latest comments
+    const comments = ratings
+      .filter((survey) => survey.comment)
+      .sort((a, b) => b.ratedAt - a.ratedAt)
+      .slice(0, 3)
+      .map((survey) => `${STARS[survey.rating]} "${survey.comment.replace(/\s+/g, " ").substring(0, 120)}"`);
+    if (comments.length) {
+      embed.addFields({ name: "Latest Comments", value: comments.join("\n").substring(0, 1024) });
+    }
+
+    return embed;
+  }
+}
+
+module.exports = CsatManager;
@@ -0,0 +1,165 @@
+// modules/managers/DepartmentManager.js
+
+// Numbered menu, so keep it short enough to read on a phone
+const MAX_DEPARTMENTS = 10;
+
+/**
+ * Lets new customers pick a department before their ticket is created.
+ * Each department has its own Discord category, ping role and intro message.
+ *
+ * Interactive list messages aren't delivered to regular WhatsApp accounts
+ * through the Web API, so the menu is numbered text.
+ *
+ * Department shape (settings.departments.list):
+ * { id, name, categoryId, roleId, introMessage }
+ */
+class DepartmentManager {
+  /**
+   * Create a new department manager
+   * @param {string} instanceId - Instance ID
+   */
+  constructor(instanceId = "default") {
+    this.instanceId = instanceId;
+
+    const defaults = DepartmentManager.getDefaults();
+    this.enabled = defaults.enabled;
+    this.menuMessage = defaults.menuMessage;
+    this.departments = defaults.list;
+  }
+
+  /**
+   * Default department settings (settings.departments)
+   * @returns {Object}
+   */
+  static getDefaults() {
+    return {
+      enabled: false,
+      menuMessage:
+        "Thanks, {name}! Which team can help you?\n\n{menu}\n\nReply with the number of your choice.",
+      list: [],
+    };
+  }
+
+  /**
+   * Most departments the menu can hold
+   * @returns {number}
+   */
+  static get MAX_DEPARTMENTS() {
+    return MAX_DEPARTMENTS;
+  }
+
+  /**
+   * Turn a department name into a stable ID
+   * @param {string} name - Department name
+   * @returns {string}
+   */
+  static toId(name) {
+    return String(name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 32);
+  }
+
+  /**
+   * Apply department settings
+   * @param {Object} config - settings.departments
+   */
+  setConfig(config = {}) {
+    const merged = { ...DepartmentManager.getDefaults(), ...config };
+
+    this.enabled = !!merged.enabled;
+    this.menuMessage = merged.menuMessage;
+    this.departments = Array.isArray(merged.list)
+      ? merged.list.filter((department) => department?.id && department.categoryId)
+      : [];
+
+    console.log(
+      `[DepartmentManager:${this.instanceId}] ${this.enabled ? "Enabled" : "Disabled"} with ${this.departments.length} department(s)`
+    );
+  }
+
+  /**
+   * Whether customers get the department menu
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled && this.departments.length > 0;
+  }
+
+  /**
+   * Get all departments in menu order
+   * @returns {Array<Object>}
+   */
+  getDepartments() {
+    return this.departments;
+  }
+
+  /**
+   * Get a department by ID
+   * @param {string} id - Department ID
+   * @returns {Object|null}
+   */
+  getDepartment(id) {
+    if (!id) return null;
+    return this.departments.find((department) => department.id === id) || null;
+  }
+
+  /**
+   * Check if a category holds tickets of one of the departments
+   * @param {string} categoryId - Discord category ID
+   * @returns {boolean}
+   */
+  hasCategory(categoryId) {
+    return !!categoryId && this.departments.some((department) => department.categoryId === categoryId);
+  }
+
+  /**
+   * Get the categories used by departments
+   * @returns {Array<string>}
+   */
+  getCategoryIds() {
+    return [...new Set(this.departments.map((department) => department.categoryId))];
+  }
+
+  /**
+   * Build the numbered menu sent to the customer
+   * @param {string} name - Customer name
+   * @returns {string}
+   */
+  buildMenu(name) {
+    const menu = this.departments
+      .map((department, index) => `${index + 1}. ${department.name}`)
+      .join("\n");
+
+    const message = this.menuMessage.includes("{menu}")
+      ? this.menuMessage
+      : `${this.menuMessage}\n\n{menu}`;
+
+    return message.replace(/{name}/g, name || "there").replace(/{menu}/g, menu);
+  }
+
+  /**
+   * Read a department choice from a reply ("2", "2️⃣", "2. Tech" or "tech")
+   * @param {string} text - Message text
+   * @returns {Object|null} - Department or null
+   */
+  parseChoice(text) {
+    const input = String(text || "").trim();
+    if (!input) return null;
+
+    const number = input.match(/^(\d{1,2})(?:️?⃣)?(?:[.)]|\s|$)/);
+    if (number) {
+      return this.departments[parseInt(number[1], 10) - 1] || null;
+    }
+
+    const lower = input.toLowerCase();
+    return (
+      this.departments.find((department) => department.name.toLowerCase() === lower) ||
+      this.departments.find((department) => lower.includes(department.name.toLowerCase())) ||
+      null
+    );
+  }
+}
+
+module.exports = DepartmentManager;
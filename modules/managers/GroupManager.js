@@ -0,0 +1,169 @@
+// modules/managers/GroupManager.js
+
+/**
+ * Opt-in bridging of WhatsApp groups. Each allowlisted group maps to one
+ * ticket channel, keyed by its group ID (the JID without "@g.us").
+ *
+ * Settings shape (customSettings.groupMode):
+ * {
+ *   enabled: boolean,
+ *   groups: { "<groupId>": { name, addedBy, addedAt } }
+ * }
+ */
+class GroupManager {
+  /**
+   * Create a new group manager
+   * @param {string} instanceId - Instance ID
+   */
+  constructor(instanceId = "default") {
+    this.instanceId = instanceId;
+    this.enabled = false;
+    this.groups = {};
+
+    // groupId -> Map(number -> display name), learned from incoming messages
+    this.participants = new Map();
+  }
+
+  /**
+   * Default group mode settings
+   * @returns {Object}
+   */
+  static getDefaults() {
+    return { enabled: false, groups: {} };
+  }
+
+  /**
+   * Apply group mode settings
+   * @param {Object} config - { enabled, groups }
+   */
+  setConfig(config = {}) {
+    this.enabled = config.enabled === true;
+    this.groups = config.groups || {};
+  }
+
+  /**
+   * Strip the JID suffix from a group ID
+   * @param {string} jid - Group JID or ID
+   * @returns {string}
+   */
+  toGroupId(jid) {
+    return String(jid || "").replace(/@g\.us$/, "");
+  }
+
+  /**
+   * Whether a JID is a WhatsApp group
+   * @param {string} jid - Chat JID
+   * @returns {boolean}
+   */
+  isGroupJid(jid) {
+    return typeof jid === "string" && jid.endsWith("@g.us");
+  }
+
+  /**
+   * Whether messages from a group should be bridged
+   * @param {string} jid - Group JID or ID
+   * @returns {boolean}
+   */
+  isAllowed(jid) {
+    return this.enabled && !!this.groups[this.toGroupId(jid)];
+  }
+
+  /**
+   * Whether a ticket's user ID belongs to an allowlisted group
+   * @param {string} userId - User ID from the channel map
+   * @returns {boolean}
+   */
+  isGroupTicket(userId) {
+    return !!this.groups[this.toGroupId(userId)];
+  }
+
+  /**
+   * Get an allowlisted group
+   * @param {string} jid - Group JID or ID
+   * @returns {Object|null} - { name, addedBy, addedAt }
+   */
+  getGroup(jid) {
+    return this.groups[this.toGroupId(jid)] || null;
+  }
+
+  /**
+   * Remember a participant's name for mentions
+   * @param {string} jid - Group JID or ID
+   * @param {string} number - Participant phone number
+   * @param {string} name - Display name (WhatsApp push name)
+   */
+  rememberParticipant(jid, number, name) {
+    if (!number || !name) return;
+
+    const groupId = this.toGroupId(jid);
+    if (!this.participants.has(groupId)) {
+      this.participants.set(groupId, new Map());
+    }
+    this.participants.get(groupId).set(number, name);
+  }
+
+  /**
+   * Get a participant's known name
+   * @param {string} jid - Group JID or ID
+   * @param {string} number - Participant phone number
+   * @returns {string|null}
+   */
+  getParticipantName(jid, number) {
+    return this.participants.get(this.toGroupId(jid))?.get(number) || null;
+  }
+
+  /**
+   * Replace "@<number>" mentions in a group message with names
+   * @param {string} jid - Group JID or ID
+   * @param {string} text - Message text
+   * @param {string[]} mentionedJids - contextInfo.mentionedJid
+   * @param {string} [ownNumber] - Our own number (shown as the support team)
+   * @returns {string}
+   */
+  resolveMentions(jid, text, mentionedJids = [], ownNumber = null) {
+    let resolved = text || "";
+
+    for (const mentioned of mentionedJids) {
+      const number = String(mentioned).split("@")[0].split(":")[0];
+      const name =
+        number === ownNumber
+          ? "Support"
+          : this.getParticipantName(jid, number) || `+${number}`;
+
+      resolved = resolved.split(`@${number}`).join(`**@${name}**`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Turn "@Name" / "@+number" in an agent reply into real WhatsApp mentions
+   * @param {string} jid - Group JID or ID
+   * @param {string} text - Reply text
+   * @returns {Object} - { text, mentions } (mentions are participant JIDs)
+   */
+  buildMentions(jid, text) {
+    const mentions = new Set();
+    let result = text || "";
+
+    // Longest names first so "@Ann Marie" wins over "@Ann"
+    const known = [...(this.participants.get(this.toGroupId(jid)) || new Map())]
+      .sort((a, b) => b[1].length - a[1].length);
+
+    for (const [number, name] of known) {
+      if (result.includes(`@${name}`)) {
+        result = result.split(`@${name}`).join(`@${number}`);
+        mentions.add(`${number}@s.whatsapp.net`);
+      }
+    }
+
+    result = result.replace(/@\+?(\d{7,15})\b/g, (match, number) => {
+      mentions.add(`${number}@s.whatsapp.net`);
+      return `@${number}`;
+    });
+
+    return { text: result, mentions: [...mentions] };
+  }
+}
+
+module.exports = GroupManager;
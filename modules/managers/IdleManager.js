@@ -0,0 +1,386 @@
+// modules/managers/IdleManager.js
+const fs = require("fs");
+const path = require("path");
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+
+// How often open tickets are checked
+const CHECK_INTERVAL_MS = 60000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Nudges customers who went quiet and auto-closes tickets nobody answers
+ *
+ * Idle time is measured from the lastActivity on the customer's user card,
+ * so it keeps counting across restarts. Per-ticket progress is kept in
+ * idle_state.json, keyed by channel ID:
+ * {
+ *   activityAt,   // lastActivity the entry belongs to (a new reply resets it)
+ *   nudgedAt,     // reminder sent to WhatsApp
+ *   warnedAt,     // auto-close warning posted in the channel
+ *   snoozedUntil, // no auto-close before this
+ *   snoozedBy
+ * }
+ */
+class IdleManager {
+  /**
+   * Create a new idle manager
+   * @param {string} instanceId - Instance ID
+   */
+  constructor(instanceId = "default") {
+    this.instanceId = instanceId;
+    this.channelManager = null;
+    this.userCardManager = null;
+    this.ticketManager = null;
+    this.whatsAppClient = null;
+
+    this.enabled = false;
+    this.nudgeAfterHours = 24;
+    this.closeAfterHours = 72;
+    this.warnBeforeHours = 2;
+    this.snoozeHours = 24;
+    this.nudgeMessage = IdleManager.getDefaults().nudgeMessage;
+
+    // channelId -> state
+    this.states = new Map();
+
+    this.checkInterval = null;
+    this.checking = false;
+
+    this.baseDir = path.join(__dirname, "..", "..", "instances", this.instanceId);
+    this.statePath = path.join(this.baseDir, "idle_state.json");
+
+    this.loadStates();
+  }
+
+  /**
+   * Default idle policy (settings.idlePolicy)
+   * @returns {Object}
+   */
+  static getDefaults() {
+    return {
+      enabled: false,
+      nudgeAfterHours: 24,
+      closeAfterHours: 72,
+      warnBeforeHours: 2,
+      snoozeHours: 24,
+      nudgeMessage:
+        "Hi {name}! 👋 Just checking in - do you still need help? Reply here to keep your ticket open.",
+    };
+  }
+
+  /**
+   * Apply the idle policy from settings
+   * @param {Object} policy - settings.idlePolicy
+   */
+  setConfig(policy = {}) {
+    const config = { ...IdleManager.getDefaults(), ...policy };
+
+    this.enabled = !!config.enabled;
+    this.nudgeAfterHours = Number(config.nudgeAfterHours) || 0;
+    this.closeAfterHours = Number(config.closeAfterHours) || 0;
+    this.warnBeforeHours = Number(config.warnBeforeHours) || 0;
+    this.snoozeHours = Number(config.snoozeHours) || 24;
+    this.nudgeMessage = config.nudgeMessage || IdleManager.getDefaults().nudgeMessage;
+  }
+
+  /**
+   * Set the managers tickets are read from and closed through
+   * @param {Object} managers - { channelManager, userCardManager, ticketManager }
+   */
+  setManagers({ channelManager, userCardManager, ticketManager }) {
+    this.channelManager = channelManager;
+    this.userCardManager = userCardManager;
+    this.ticketManager = ticketManager;
+  }
+
+  /**
+   * Set WhatsApp client used for reminders
+   * @param {Object} whatsAppClient - WhatsApp client
+   */
+  setWhatsAppClient(whatsAppClient) {
+    this.whatsAppClient = whatsAppClient;
+  }
+
+  /**
+   * Load per-ticket idle state from disk
+   */
+  loadStates() {
+    try {
+      if (!fs.existsSync(this.statePath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.statePath, "utf8"));
+      for (const [channelId, state] of Object.entries(data)) {
+        this.states.set(channelId, state);
+      }
+    } catch (error) {
+      console.error(
+        `[IdleManager:${this.instanceId}] Error loading idle state:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save per-ticket idle state to disk
+   */
+  saveStates() {
+    try {
+      if (!fs.existsSync(this.baseDir)) {
+        fs.mkdirSync(this.baseDir, { recursive: true });
+      }
+
+      const data = Object.fromEntries(this.states.entries());
+      fs.writeFileSync(this.statePath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[IdleManager:${this.instanceId}] Error saving idle state:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Time of the customer's last message, from their user card
+   * @param {string} phoneNumber - Customer number
+   * @returns {number|null}
+   */
+  getLastActivity(phoneNumber) {
+    const card = this.userCardManager?.getUserInfo(phoneNumber);
+    return card?.lastActivity || card?.lastSeen || null;
+  }
+
+  /**
+   * Get the idle state of a ticket, starting over when the customer replied
+   * @param {string} channelId - Ticket channel ID
+   * @param {number} activityAt - Customer's last activity
+   * @returns {Object}
+   */
+  getState(channelId, activityAt) {
+    let state = this.states.get(channelId);
+    if (!state || state.activityAt !== activityAt) {
+      state = { activityAt, nudgedAt: null, warnedAt: null, snoozedUntil: null, snoozedBy: null };
+      this.states.set(channelId, state);
+    }
+    return state;
+  }
+
+  /**
+   * When a ticket is due to auto-close
+   * @param {Object} state - Idle state
+   * @returns {number|null} - Timestamp, or null if auto-close is off
+   */
+  getCloseAt(state) {
+    if (!this.closeAfterHours) return null;
+    return Math.max(
+      state.activityAt + this.closeAfterHours * HOUR_MS,
+      state.snoozedUntil || 0
+    );
+  }
+
+  /**
+   * Postpone auto-close of a ticket
+   * @param {string} channelId - Ticket channel ID
+   * @param {string} userId - Discord user ID of the agent
+   * @returns {number|null} - New close time, or null if the ticket isn't tracked
+   */
+  snooze(channelId, userId) {
+    const phoneNumber = this.channelManager?.getPhoneNumberByChannelId(channelId);
+    const activityAt = phoneNumber && this.getLastActivity(phoneNumber);
+    if (!activityAt) return null;
+
+    const state = this.getState(channelId, activityAt);
+    state.snoozedUntil = Date.now() + this.snoozeHours * HOUR_MS;
+    state.snoozedBy = userId;
+    // Warn again before the new deadline
+    state.warnedAt = null;
+    this.saveStates();
+
+    return this.getCloseAt(state);
+  }
+
+  /**
+   * Start checking open tickets
+   */
+  start() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+    this.checkInterval = setInterval(() => this.checkTickets(), CHECK_INTERVAL_MS);
+    this.checkInterval.unref?.();
+  }
+
+  /**
+   * Stop checking open tickets
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Nudge, warn about or close every idle ticket
+   */
+  async checkTickets() {
+    if (this.checking || !this.enabled || !this.channelManager || !this.ticketManager) return;
+    this.checking = true;
+
+    try {
+      const channelMap = this.channelManager.getChannelMap();
+      const openChannels = new Set(Object.values(channelMap));
+
+      // Forget tickets that were closed
+      let changed = false;
+      for (const channelId of this.states.keys()) {
+        if (!openChannels.has(channelId)) {
+          this.states.delete(channelId);
+          changed = true;
+        }
+      }
+      if (changed) {
+        this.saveStates();
+      }
+
+      for (const [phoneNumber, channelId] of Object.entries(channelMap)) {
+        await this.checkTicket(phoneNumber, channelId);
+      }
+    } catch (error) {
+      console.error(
+        `[IdleManager:${this.instanceId}] Error checking idle tickets:`,
+        error
+      );
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Apply the idle policy to one ticket
+   * @param {string} phoneNumber - Customer number
+   * @param {string} channelId - Ticket channel ID
+   */
+  async checkTicket(phoneNumber, channelId) {
+    try {
+      const activityAt = this.getLastActivity(phoneNumber);
+      if (!activityAt) return;
+
+      const now = Date.now();
+      const state = this.getState(channelId, activityAt);
+
+      // Reminder to the customer
+      if (
+        this.nudgeAfterHours &&
+        !state.nudgedAt &&
+        now >= activityAt + this.nudgeAfterHours * HOUR_MS &&
+        this.whatsAppClient?.isReady
+      ) {
+        await this.sendNudge(phoneNumber, channelId, state);
+      }
+
+      const closeAt = this.getCloseAt(state);
+      if (!closeAt) return;
+
+      // Agents always get the warning (and the snooze button) before a close
+      if (!state.warnedAt) {
+        if (now >= closeAt - this.warnBeforeHours * HOUR_MS) {
+          await this.sendWarning(channelId, state, closeAt);
+        }
+        return;
+      }
+
+      if (now >= Math.max(closeAt, state.warnedAt + this.warnBeforeHours * HOUR_MS)) {
+        await this.closeIdleTicket(phoneNumber, channelId);
+      }
+    } catch (error) {
+      console.error(
+        `[IdleManager:${this.instanceId}] Error checking ticket ${channelId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Send the inactivity reminder to the customer
+   * @param {string} phoneNumber - Customer number
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} state - Idle state
+   */
+  async sendNudge(phoneNumber, channelId, state) {
+    const username = this.userCardManager?.getUserInfo(phoneNumber)?.username || "there";
+    const text = this.nudgeMessage.replace(/{name}/g, username);
+
+    await this.whatsAppClient.sendTextMessage(phoneNumber, text);
+    state.nudgedAt = Date.now();
+    this.saveStates();
+
+    const channel = await this.ticketManager.getDiscordChannel(channelId);
+    if (channel) {
+      await channel.send({
+        content: `🔔 No reply for ${this.nudgeAfterHours}h - sent the customer a reminder:\n> ${text.replace(/\n/g, "\n> ")}`,
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    console.log(
+      `[IdleManager:${this.instanceId}] Sent inactivity reminder to ${phoneNumber}`
+    );
+  }
+
+  /**
+   * Warn agents in the channel that the ticket is about to close
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} state - Idle state
+   * @param {number} closeAt - Planned close time
+   */
+  async sendWarning(channelId, state, closeAt) {
+    const channel = await this.ticketManager.getDiscordChannel(channelId);
+    if (!channel) return;
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId("idle_snooze")
+        .setLabel(`Keep Open ${this.snoozeHours}h`)
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("💤")
+    );
+
+    state.warnedAt = Date.now();
+    const closesAt = Math.max(closeAt, state.warnedAt + this.warnBeforeHours * HOUR_MS);
+    this.saveStates();
+
+    await channel.send({
+      content: `⏳ The customer hasn't replied since <t:${Math.floor(state.activityAt / 1000)}:f>. ` +
+        `This ticket will close automatically <t:${Math.floor(closesAt / 1000)}:R>.`,
+      components: [row],
+    });
+  }
+
+  /**
+   * Close a ticket that stayed idle past the deadline
+   * @param {string} phoneNumber - Customer number
+   * @param {string} channelId - Ticket channel ID
+   */
+  async closeIdleTicket(phoneNumber, channelId) {
+    console.log(
+      `[IdleManager:${this.instanceId}] Auto-closing idle ticket for ${phoneNumber}, channel: ${channelId}`
+    );
+
+    const channel = await this.ticketManager.getDiscordChannel(channelId);
+    if (channel) {
+      await channel.send({ content: "💤 Closing this ticket automatically after no reply from the customer." });
+    }
+
+    const success = await this.ticketManager.closeTicket(channelId, true, null, {
+      reason: "idle",
+    });
+    if (success) {
+      this.states.delete(channelId);
+      this.saveStates();
+    }
+  }
+}
+
+module.exports = IdleManager;
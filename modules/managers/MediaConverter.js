@@ -300,6 +300,114 @@ class MediaConverter {
     });
   }
 
+  /**
+   * Convert audio (e.g. a WhatsApp voice note) to 16 kHz mono WAV for speech recognition
+   * @param {string} inputPath - Path to audio file
+   * @param {Object} options - Conversion options
+   * @param {string} options.outputDir - Directory for the WAV file (default temp dir)
+   * @param {number} options.sampleRate - Sample rate in Hz (default 16000)
+   * @returns {Promise<string>} - Path to the WAV file
+   */
+  async convertToWav(inputPath, options = {}) {
+    try {
+      if (!fs.existsSync(inputPath)) {
+        throw new Error(`Audio file not found: ${inputPath}`);
+      }
+
+      const sampleRate = options.sampleRate || 16000;
+      const outputPath = path.join(
+        options.outputDir || this.tempDir,
+        `speech_${Date.now()}_${path.basename(inputPath, path.extname(inputPath))}.wav`
+      );
+
+      console.log(`[MediaConverter:${this.instanceId}] Converting audio to WAV: ${inputPath} -> ${outputPath}`);
+
+      return new Promise((resolve, reject) => {
+        const command = `ffmpeg -y -i "${inputPath}" -ar ${sampleRate} -ac 1 -c:a pcm_s16le "${outputPath}"`;
+
+        exec(command, (error) => {
+          if (error) {
+            console.error(`[MediaConverter:${this.instanceId}] FFmpeg error:`, error);
+            reject(error);
+            return;
+          }
+
+          console.log(`[MediaConverter:${this.instanceId}] WAV conversion complete: ${outputPath}`);
+          resolve(outputPath);
+        });
+      });
+    } catch (error) {
+      console.error(`[MediaConverter:${this.instanceId}] Error converting audio to WAV:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transcode audio to a WhatsApp voice note (mono 48 kHz Opus in an Ogg container)
+   * @param {string} inputPath - Path to audio file
+   * @param {Object} options - Conversion options
+   * @param {string} options.outputDir - Directory for the output file (default temp dir)
+   * @returns {Promise<string>} - Path to the .ogg file
+   */
+  async convertToVoiceNote(inputPath, options = {}) {
+    try {
+      if (!fs.existsSync(inputPath)) {
+        throw new Error(`Audio file not found: ${inputPath}`);
+      }
+
+      const outputPath = path.join(
+        options.outputDir || this.tempDir,
+        `voice_note_${Date.now()}.ogg`
+      );
+
+      console.log(`[MediaConverter:${this.instanceId}] Converting audio to voice note: ${inputPath} -> ${outputPath}`);
+
+      return new Promise((resolve, reject) => {
+        const command = `ffmpeg -y -i "${inputPath}" -vn -ac 1 -ar 48000 -c:a libopus -b:a 32k -application voip -f ogg "${outputPath}"`;
+
+        exec(command, (error) => {
+          if (error) {
+            console.error(`[MediaConverter:${this.instanceId}] FFmpeg error:`, error);
+            reject(error);
+            return;
+          }
+
+          console.log(`[MediaConverter:${this.instanceId}] Voice note conversion complete: ${outputPath}`);
+          resolve(outputPath);
+        });
+      });
+    } catch (error) {
+      console.error(`[MediaConverter:${this.instanceId}] Error converting voice note:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resample a voice message waveform to the 64 values (0-100) WhatsApp shows
+   * @param {Buffer|Uint8Array} samples - Waveform bytes (0-255), e.g. Discord's decoded waveform
+   * @param {number} length - Number of output bars (default 64)
+   * @returns {Uint8Array|null} - Waveform, or null without samples
+   */
+  resampleWaveform(samples, length = 64) {
+    if (!samples || samples.length === 0) return null;
+
+    const waveform = new Uint8Array(length);
+    const bucket = samples.length / length;
+
+    for (let i = 0; i < length; i++) {
+      // Peak of each bucket keeps short loud syllables visible
+      const start = Math.floor(i * bucket);
+      const end = Math.max(start + 1, Math.floor((i + 1) * bucket));
+      let peak = 0;
+      for (let j = start; j < end && j < samples.length; j++) {
+        peak = Math.max(peak, samples[j]);
+      }
+      waveform[i] = Math.round((peak / 255) * 100);
+    }
+
+    return waveform;
+  }
+
   /**
    * Clean up a file
    * @param {string} filePath - Path to file to clean up
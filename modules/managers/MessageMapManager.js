@@ -0,0 +1,277 @@
+// modules/managers/MessageMapManager.js
+const fs = require("fs");
+const path = require("path");
+const SaveScheduler = require("../../utils/SaveScheduler");
+
+// Delivery states of an outgoing message, in the order they can happen
+const STATUS_ORDER = ["sent", "delivered", "read"];
+
+/**
+ * Keeps track of which Discord message mirrors which WhatsApp message,
+ * per ticket channel, so edits/deletes/replies can be bridged later
+ */
+class MessageMapManager {
+  /**
+   * Create a new message map manager
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Options
+   */
+  constructor(instanceId = "default", options = {}) {
+    this.instanceId = instanceId;
+    this.maxPerChannel = options.maxPerChannel || 500;
+
+    // channelId -> array of mapping entries (oldest first)
+    this.channelMappings = new Map();
+
+    // Lookup indexes
+    this.byDiscordId = new Map();
+    this.byWhatsAppId = new Map();
+
+    this.mappingsPath = path.join(
+      __dirname,
+      "..",
+      "..",
+      "instances",
+      this.instanceId,
+      "message_mappings.json"
+    );
+
+    // Statuses and reactions change on every message, so writes are batched
+    this.saveScheduler = new SaveScheduler(() => this.saveMappings());
+
+    this.loadMappings();
+  }
+
+  /**
+   * Load message mappings from disk
+   */
+  loadMappings() {
+    try {
+      if (!fs.existsSync(this.mappingsPath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.mappingsPath, "utf8"));
+
+      for (const [channelId, entries] of Object.entries(data)) {
+        if (!Array.isArray(entries)) continue;
+
+        this.channelMappings.set(channelId, entries);
+        for (const entry of entries) {
+          this.indexEntry(entry);
+        }
+      }
+
+      console.log(
+        `[MessageMapManager:${this.instanceId}] Loaded message mappings for ${this.channelMappings.size} channels`
+      );
+    } catch (error) {
+      console.error(
+        `[MessageMapManager:${this.instanceId}] Error loading message mappings:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save message mappings to disk
+   */
+  saveMappings() {
+    try {
+      const dir = path.dirname(this.mappingsPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const data = {};
+      for (const [channelId, entries] of this.channelMappings.entries()) {
+        data[channelId] = entries;
+      }
+
+      fs.writeFileSync(this.mappingsPath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[MessageMapManager:${this.instanceId}] Error saving message mappings:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Write pending changes now (on disconnect)
+   */
+  flush() {
+    this.saveScheduler.flush();
+  }
+
+  /**
+   * Add an entry to the lookup indexes
+   * @param {Object} entry - Mapping entry
+   * @private
+   */
+  indexEntry(entry) {
+    if (entry.discordMessageId) {
+      this.byDiscordId.set(entry.discordMessageId, entry);
+    }
+    if (entry.waKey?.id) {
+      this.byWhatsAppId.set(entry.waKey.id, entry);
+    }
+  }
+
+  /**
+   * Remove an entry from the lookup indexes
+   * @param {Object} entry - Mapping entry
+   * @private
+   */
+  unindexEntry(entry) {
+    if (entry.discordMessageId) {
+      this.byDiscordId.delete(entry.discordMessageId);
+    }
+    if (entry.waKey?.id) {
+      this.byWhatsAppId.delete(entry.waKey.id);
+    }
+  }
+
+  /**
+   * Record that a Discord message and a WhatsApp message mirror each other
+   * @param {string} channelId - Ticket channel ID
+   * @param {string} discordMessageId - Discord message ID
+   * @param {Object} waKey - WhatsApp message key ({ remoteJid, id, fromMe, participant })
+   * @param {string} direction - "incoming" (WhatsApp -> Discord) or "outgoing" (Discord -> WhatsApp)
+   * @returns {Object|null} - Stored entry or null
+   */
+  addMapping(channelId, discordMessageId, waKey, direction) {
+    try {
+      if (!channelId || !discordMessageId || !waKey?.id) {
+        return null;
+      }
+
+      const entry = {
+        channelId,
+        discordMessageId,
+        waKey: {
+          remoteJid: waKey.remoteJid,
+          id: waKey.id,
+          fromMe: !!waKey.fromMe,
+          ...(waKey.participant ? { participant: waKey.participant } : {}),
+        },
+        direction,
+        ...(direction === "outgoing" ? { status: "sent" } : {}),
+        timestamp: Date.now(),
+      };
+
+      const entries = this.channelMappings.get(channelId) || [];
+      entries.push(entry);
+
+      // Keep the per-channel history bounded
+      while (entries.length > this.maxPerChannel) {
+        this.unindexEntry(entries.shift());
+      }
+
+      this.channelMappings.set(channelId, entries);
+      this.indexEntry(entry);
+      this.saveScheduler.schedule();
+
+      return entry;
+    } catch (error) {
+      console.error(
+        `[MessageMapManager:${this.instanceId}] Error adding message mapping:`,
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Get the mapping for a Discord message
+   * @param {string} discordMessageId - Discord message ID
+   * @returns {Object|null} - Mapping entry or null
+   */
+  getByDiscordId(discordMessageId) {
+    return this.byDiscordId.get(discordMessageId) || null;
+  }
+
+  /**
+   * Get the mapping for a WhatsApp message
+   * @param {string} waMessageId - WhatsApp message key ID
+   * @returns {Object|null} - Mapping entry or null
+   */
+  getByWhatsAppId(waMessageId) {
+    return this.byWhatsAppId.get(waMessageId) || null;
+  }
+
+  /**
+   * Record a delivery state for a WhatsApp message
+   * @param {string} waMessageId - WhatsApp message key ID
+   * @param {string} status - "sent", "delivered" or "read"
+   * @returns {Object|null} - Updated entry, or null if unknown or not newer
+   */
+  updateStatus(waMessageId, status) {
+    const entry = this.byWhatsAppId.get(waMessageId);
+    if (!entry) return null;
+
+    const rank = STATUS_ORDER.indexOf(status);
+    if (rank === -1 || rank <= STATUS_ORDER.indexOf(entry.status)) {
+      return null;
+    }
+
+    entry.status = status;
+    entry.statusAt = Date.now();
+    this.saveScheduler.schedule();
+    return entry;
+  }
+
+  /**
+   * Remember the reaction one side currently has on a mirrored message
+   * @param {Object} entry - Mapping entry
+   * @param {string} side - "customer", "agent" or "status" (the bot's receipt reaction)
+   * @param {string|null} emoji - Reaction emoji, or null when removed
+   */
+  setReaction(entry, side, emoji) {
+    if (!entry) return;
+
+    entry.reactions = { ...(entry.reactions || {}), [side]: emoji || null };
+    this.saveScheduler.schedule();
+  }
+
+  /**
+   * Remove the mapping for a Discord message
+   * @param {string} discordMessageId - Discord message ID
+   * @returns {boolean} - Whether a mapping was removed
+   */
+  removeByDiscordId(discordMessageId) {
+    const entry = this.byDiscordId.get(discordMessageId);
+    if (!entry) return false;
+
+    const entries = this.channelMappings.get(entry.channelId) || [];
+    this.channelMappings.set(
+      entry.channelId,
+      entries.filter((e) => e !== entry)
+    );
+    this.unindexEntry(entry);
+    this.saveScheduler.schedule();
+    return true;
+  }
+
+  /**
+   * Forget all mappings for a ticket channel
+   * @param {string} channelId - Ticket channel ID
+   */
+  removeChannel(channelId) {
+    const entries = this.channelMappings.get(channelId);
+    if (!entries) return;
+
+    for (const entry of entries) {
+      this.unindexEntry(entry);
+    }
+
+    this.channelMappings.delete(channelId);
+    this.saveScheduler.schedule();
+
+    console.log(
+      `[MessageMapManager:${this.instanceId}] Removed message mappings for channel ${channelId}`
+    );
+  }
+}
+
+module.exports = MessageMapManager;
@@ -0,0 +1,324 @@
+// modules/managers/NotificationManager.js
+const fs = require("fs");
+const path = require("path");
+const { EmbedBuilder } = require("discord.js");
+
+// How often unanswered tickets are checked for escalation
+const CHECK_INTERVAL_MS = 60000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Lets the team know when a ticket opens
+ *
+ * - pings the configured role and/or on-call user in the new channel
+ * - posts a summary to the ticket feed channel
+ * - pings again if no agent has written in the ticket after N minutes
+ *
+ * Tickets waiting for a first reply are kept in notify_state.json, keyed by
+ * channel ID, so escalations survive restarts:
+ * { phoneNumber, username, openedAt, escalatedAt }
+ */
+class NotificationManager {
+  /**
+   * Create a new notification manager
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - { discordClient }
+   */
+  constructor(instanceId = "default", options = {}) {
+    this.instanceId = instanceId;
+    this.discordClient = options.discordClient || null;
+    this.channelManager = null;
+
+    const defaults = NotificationManager.getDefaults();
+    this.enabled = defaults.enabled;
+    this.roleId = defaults.roleId;
+    this.userId = defaults.userId;
+    this.feedChannelId = defaults.feedChannelId;
+    this.escalateAfterMinutes = defaults.escalateAfterMinutes;
+
+    // channelId -> pending ticket
+    this.pending = new Map();
+
+    this.checkInterval = null;
+    this.checking = false;
+
+    this.baseDir = path.join(__dirname, "..", "..", "instances", this.instanceId);
+    this.statePath = path.join(this.baseDir, "notify_state.json");
+
+    this.loadState();
+  }
+
+  /**
+   * Default notification rules (settings.notifications)
+   * @returns {Object}
+   */
+  static getDefaults() {
+    return {
+      enabled: false,
+      roleId: null,
+      userId: null,
+      feedChannelId: null,
+      escalateAfterMinutes: 0,
+    };
+  }
+
+  /**
+   * Apply notification rules from settings
+   * @param {Object} config - settings.notifications
+   */
+  setConfig(config = {}) {
+    const merged = { ...NotificationManager.getDefaults(), ...config };
+
+    this.enabled = !!merged.enabled;
+    this.roleId = merged.roleId || null;
+    this.userId = merged.userId || null;
+    this.feedChannelId = merged.feedChannelId || null;
+    this.escalateAfterMinutes = Number(merged.escalateAfterMinutes) || 0;
+  }
+
+  /**
+   * Set channel manager used to find open tickets
+   * @param {Object} channelManager - Channel manager
+   */
+  setChannelManager(channelManager) {
+    this.channelManager = channelManager;
+  }
+
+  /**
+   * Load tickets waiting for a first reply
+   */
+  loadState() {
+    try {
+      if (!fs.existsSync(this.statePath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.statePath, "utf8"));
+      for (const [channelId, entry] of Object.entries(data)) {
+        this.pending.set(channelId, entry);
+      }
+    } catch (error) {
+      console.error(
+        `[NotificationManager:${this.instanceId}] Error loading notification state:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save tickets waiting for a first reply
+   */
+  saveState() {
+    try {
+      if (!fs.existsSync(this.baseDir)) {
+        fs.mkdirSync(this.baseDir, { recursive: true });
+      }
+
+      const data = Object.fromEntries(this.pending.entries());
+      fs.writeFileSync(this.statePath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[NotificationManager:${this.instanceId}] Error saving notification state:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Mentions for the configured role and on-call user (while notifications
+   * are enabled) plus the department's own role
+   * @param {Object} [department] - Department of the ticket
+   * @returns {{ content: string, allowedMentions: Object }|null}
+   */
+  getMentions(department = null) {
+    const roles = [];
+    const users = [];
+    if (this.enabled && this.roleId) roles.push(this.roleId);
+    if (this.enabled && this.userId) users.push(this.userId);
+    if (department?.roleId && !roles.includes(department.roleId)) {
+      roles.push(department.roleId);
+    }
+    if (roles.length === 0 && users.length === 0) return null;
+
+    return {
+      content: [
+        ...roles.map((roleId) => `<@&${roleId}>`),
+        ...users.map((userId) => `<@${userId}>`),
+      ].join(" "),
+      allowedMentions: { roles, users },
+    };
+  }
+
+  /**
+   * Notify the team about a ticket that was just opened. This is the one
+   * ping for a new ticket: the department's role is pinged here too, even
+   * when notifications are off.
+   * @param {Object} ticket - { channel, phoneNumber, username, department, reopened }
+   */
+  async notifyNewTicket({ channel, phoneNumber, username, department = null, reopened = false }) {
+    if (!channel) return;
+
+    try {
+      const mentions = this.getMentions(department);
+      if (mentions) {
+        const what = department ? `**${department.name}** ticket` : "ticket";
+        await channel.send({
+          content: `🔔 ${mentions.content} ${reopened ? `Reopened ${what}` : `New ${what}`} from **${username}**`,
+          allowedMentions: mentions.allowedMentions,
+        });
+      }
+
+      if (!this.enabled) return;
+
+      await this.postToFeed({ channel, phoneNumber, username, department, reopened });
+
+      if (this.escalateAfterMinutes > 0 && this.getMentions()) {
+        this.pending.set(channel.id, {
+          phoneNumber,
+          username,
+          openedAt: Date.now(),
+          escalatedAt: null,
+        });
+        this.saveState();
+      }
+    } catch (error) {
+      console.error(
+        `[NotificationManager:${this.instanceId}] Error notifying about ticket ${channel.id}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Post a ticket summary to the feed channel
+   * @param {Object} ticket - { channel, phoneNumber, username, department, reopened }
+   */
+  async postToFeed({ channel, phoneNumber, username, department, reopened }) {
+    if (!this.feedChannelId || !this.discordClient) return;
+
+    const feed = await this.discordClient.channels
+      .fetch(this.feedChannelId)
+      .catch(() => null);
+    if (!feed || typeof feed.send !== "function") {
+      console.warn(
+        `[NotificationManager:${this.instanceId}] Ticket feed channel not found: ${this.feedChannelId}`
+      );
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(reopened ? 0x5865f2 : 0x00ae86)
+      .setTitle(reopened ? "🔄 Ticket reopened" : "📥 New ticket")
+      .addFields(
+        { name: "Customer", value: username, inline: true },
+        { name: "WhatsApp", value: `\`${phoneNumber}\``, inline: true },
+        { name: "Channel", value: `<#${channel.id}>`, inline: true }
+      )
+      .setTimestamp();
+
+    if (department) {
+      embed.addFields({ name: "Department", value: department.name, inline: true });
+    }
+
+    await feed.send({ embeds: [embed], allowedMentions: { parse: [] } });
+  }
+
+  /**
+   * An agent wrote in the ticket, so it no longer needs escalating
+   * @param {string} channelId - Ticket channel ID
+   */
+  markAnswered(channelId) {
+    if (this.pending.delete(channelId)) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * Start checking unanswered tickets
+   */
+  start() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+    this.checkInterval = setInterval(() => this.checkPending(), CHECK_INTERVAL_MS);
+    this.checkInterval.unref?.();
+  }
+
+  /**
+   * Stop checking unanswered tickets
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Escalate every ticket nobody answered in time
+   */
+  async checkPending() {
+    if (this.checking || this.pending.size === 0) return;
+    this.checking = true;
+
+    try {
+      const openChannels = this.channelManager
+        ? new Set(Object.values(this.channelManager.getChannelMap()))
+        : null;
+
+      let changed = false;
+      for (const [channelId, entry] of this.pending.entries()) {
+        // Forget tickets that were closed or are already escalated
+        if ((openChannels && !openChannels.has(channelId)) || entry.escalatedAt) {
+          this.pending.delete(channelId);
+          changed = true;
+          continue;
+        }
+
+        if (!this.enabled || !this.escalateAfterMinutes) continue;
+
+        if (Date.now() >= entry.openedAt + this.escalateAfterMinutes * MINUTE_MS) {
+          await this.escalate(channelId, entry);
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        this.saveState();
+      }
+    } catch (error) {
+      console.error(
+        `[NotificationManager:${this.instanceId}] Error checking unanswered tickets:`,
+        error
+      );
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Ping the team a second time
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} entry - Pending ticket
+   */
+  async escalate(channelId, entry) {
+    entry.escalatedAt = Date.now();
+
+    const mentions = this.getMentions();
+    const channel = this.discordClient
+      ? await this.discordClient.channels.fetch(channelId).catch(() => null)
+      : null;
+    if (!channel || !mentions) return;
+
+    await channel.send({
+      content: `⏰ ${mentions.content} **${entry.username}** has been waiting ${this.escalateAfterMinutes} minute${this.escalateAfterMinutes === 1 ? "" : "s"} without a reply.`,
+      allowedMentions: mentions.allowedMentions,
+    });
+
+    console.log(
+      `[NotificationManager:${this.instanceId}] Escalated unanswered ticket ${channelId}`
+    );
+  }
+}
+
+module.exports = NotificationManager;
@@ -0,0 +1,227 @@
+// modules/managers/ScheduleManager.js
+const fs = require("fs");
+const path = require("path");
+
+// How often due messages are checked
+const CHECK_INTERVAL_MS = 15000;
+
+/**
+ * Queues agent messages to be sent to a ticket's customer later
+ *
+ * Item shape (scheduled_messages.json, keyed by ID):
+ * {
+ *   id, channelId, phoneNumber, content, agentId, agentName,
+ *   createdAt, sendAt, status: "pending" | "sent" | "failed" | "cancelled",
+ *   sentAt, error
+ * }
+ */
+class ScheduleManager {
+  /**
+   * Create a new schedule manager
+   * @param {string} instanceId - Instance ID
+   */
+  constructor(instanceId = "default") {
+    this.instanceId = instanceId;
+
+    // id -> item
+    this.items = new Map();
+
+    // Sends an item (set by start)
+    this.sender = null;
+    this.checkInterval = null;
+    this.checking = false;
+
+    this.baseDir = path.join(__dirname, "..", "..", "instances", this.instanceId);
+    this.schedulePath = path.join(this.baseDir, "scheduled_messages.json");
+
+    this.loadItems();
+  }
+
+  /**
+   * Load scheduled messages from disk
+   */
+  loadItems() {
+    try {
+      if (!fs.existsSync(this.schedulePath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.schedulePath, "utf8"));
+      for (const [id, item] of Object.entries(data)) {
+        this.items.set(id, item);
+      }
+
+      console.log(
+        `[ScheduleManager:${this.instanceId}] Loaded ${this.getPending().length} pending scheduled messages`
+      );
+    } catch (error) {
+      console.error(
+        `[ScheduleManager:${this.instanceId}] Error loading scheduled messages:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save scheduled messages to disk (pending items and the last week of history)
+   */
+  saveItems() {
+    try {
+      if (!fs.existsSync(this.baseDir)) {
+        fs.mkdirSync(this.baseDir, { recursive: true });
+      }
+
+      const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
+      for (const [id, item] of this.items.entries()) {
+        if (item.status !== "pending" && item.sendAt < cutoff) {
+          this.items.delete(id);
+        }
+      }
+
+      const data = Object.fromEntries(this.items.entries());
+      fs.writeFileSync(this.schedulePath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[ScheduleManager:${this.instanceId}] Error saving scheduled messages:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Queue a message
+   * @param {Object} options - Item fields
+   * @param {string} options.channelId - Ticket channel ID
+   * @param {string} options.phoneNumber - Customer number
+   * @param {string} options.content - Message text
+   * @param {string} options.agentId - Discord user ID of the agent
+   * @param {string} options.agentName - Name shown to the customer
+   * @param {number} options.sendAt - Timestamp to send at
+   * @returns {Object} - Scheduled item
+   */
+  schedule({ channelId, phoneNumber, content, agentId, agentName, sendAt }) {
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+    const item = {
+      id,
+      channelId,
+      phoneNumber,
+      content,
+      agentId,
+      agentName,
+      createdAt: Date.now(),
+      sendAt,
+      status: "pending",
+      sentAt: null,
+      error: null,
+    };
+
+    this.items.set(id, item);
+    this.saveItems();
+
+    console.log(
+      `[ScheduleManager:${this.instanceId}] Scheduled ${id} for ${new Date(sendAt).toISOString()} in channel ${channelId}`
+    );
+    return item;
+  }
+
+  /**
+   * Get pending items, soonest first
+   * @param {string} [channelId] - Only items of this ticket channel
+   * @returns {Array<Object>}
+   */
+  getPending(channelId = null) {
+    return [...this.items.values()]
+      .filter((item) => item.status === "pending")
+      .filter((item) => !channelId || item.channelId === channelId)
+      .sort((a, b) => a.sendAt - b.sendAt);
+  }
+
+  /**
+   * Cancel a pending item
+   * @param {string} id - Item ID
+   * @param {string} [channelId] - Only cancel when it belongs to this channel
+   * @returns {Object|null} - Cancelled item or null
+   */
+  cancel(id, channelId = null) {
+    const item = this.items.get(String(id || "").trim().toLowerCase());
+    if (!item || item.status !== "pending") return null;
+    if (channelId && item.channelId !== channelId) return null;
+
+    item.status = "cancelled";
+    this.saveItems();
+    return item;
+  }
+
+  /**
+   * Cancel everything still pending for a ticket channel (e.g. when it closes)
+   * @param {string} channelId - Ticket channel ID
+   * @returns {number} - Number of cancelled items
+   */
+  cancelForChannel(channelId) {
+    const pending = this.getPending(channelId);
+    for (const item of pending) {
+      item.status = "cancelled";
+    }
+    if (pending.length > 0) {
+      this.saveItems();
+    }
+    return pending.length;
+  }
+
+  /**
+   * Start checking for due messages
+   * @param {Function} sender - async (item) => ({ success, retry, error })
+   */
+  start(sender) {
+    this.sender = sender;
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+    this.checkInterval = setInterval(() => this.sendDue(), CHECK_INTERVAL_MS);
+    this.checkInterval.unref?.();
+  }
+
+  /**
+   * Stop checking for due messages
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Send every item that is due (items missed during downtime go out late)
+   */
+  async sendDue() {
+    if (this.checking || !this.sender) return;
+    this.checking = true;
+
+    try {
+      const due = this.getPending().filter((item) => item.sendAt <= Date.now());
+
+      for (const item of due) {
+        const result = await this.sender(item);
+
+        // e.g. WhatsApp not connected yet - try again on the next check
+        if (result?.retry) continue;
+
+        item.status = result?.success ? "sent" : "failed";
+        item.sentAt = Date.now();
+        item.error = result?.success ? null : result?.error || "Unknown error";
+        this.saveItems();
+      }
+    } catch (error) {
+      console.error(
+        `[ScheduleManager:${this.instanceId}] Error sending scheduled messages:`,
+        error
+      );
+    } finally {
+      this.checking = false;
+    }
+  }
+}
+
+module.exports = ScheduleManager;
@@ -0,0 +1,241 @@
+// modules/managers/SnippetManager.js
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+/**
+ * Stores canned responses ("snippets") agents can send to customers
+ */
+class SnippetManager {
+  /**
+   * Create a new snippet manager
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - Options
+   * @param {string} [options.assetsDir] - Directory for snippet media
+   */
+  constructor(instanceId = "default", options = {}) {
+    this.instanceId = instanceId;
+
+    // name -> snippet
+    this.snippets = new Map();
+
+    this.baseDir = path.join(__dirname, "..", "..", "instances", this.instanceId);
+    this.snippetsPath = path.join(this.baseDir, "snippets.json");
+    this.assetsDir = options.assetsDir || path.join(this.baseDir, "assets");
+
+    this.loadSnippets();
+  }
+
+  /**
+   * Normalize a snippet name (lowercase, no spaces)
+   * @param {string} name - Snippet name
+   * @returns {string} - Normalized name
+   */
+  normalizeName(name) {
+    return String(name || "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, "-")
+      .replace(/[^a-z0-9_-]/g, "");
+  }
+
+  /**
+   * Load snippets from disk
+   */
+  loadSnippets() {
+    try {
+      if (!fs.existsSync(this.snippetsPath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.snippetsPath, "utf8"));
+      for (const [name, snippet] of Object.entries(data)) {
+        this.snippets.set(name, snippet);
+      }
+
+      console.log(
+        `[SnippetManager:${this.instanceId}] Loaded ${this.snippets.size} snippets`
+      );
+    } catch (error) {
+      console.error(
+        `[SnippetManager:${this.instanceId}] Error loading snippets:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save snippets to disk
+   */
+  saveSnippets() {
+    try {
+      if (!fs.existsSync(this.baseDir)) {
+        fs.mkdirSync(this.baseDir, { recursive: true });
+      }
+
+      const data = Object.fromEntries(this.snippets.entries());
+      fs.writeFileSync(this.snippetsPath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[SnippetManager:${this.instanceId}] Error saving snippets:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get a snippet by name
+   * @param {string} name - Snippet name
+   * @returns {Object|null} - Snippet or null
+   */
+  getSnippet(name) {
+    return this.snippets.get(this.normalizeName(name)) || null;
+  }
+
+  /**
+   * Get all snippets sorted by name
+   * @returns {Array<Object>} - Snippets
+   */
+  getAllSnippets() {
+    return [...this.snippets.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Create or update a snippet's text
+   * @param {string} name - Snippet name
+   * @param {string} content - Snippet text ({name} and {phoneNumber} placeholders)
+   * @param {string} [updatedBy] - Discord user ID of the editor
+   * @returns {Object|null} - Saved snippet or null if the name is invalid
+   */
+  setSnippet(name, content, updatedBy = null) {
+    const key = this.normalizeName(name);
+    if (!key) return null;
+
+    const existing = this.snippets.get(key);
+    const snippet = {
+      name: key,
+      content,
+      media: existing?.media || null,
+      createdBy: existing?.createdBy || updatedBy,
+      updatedBy,
+      updatedAt: Date.now(),
+    };
+
+    this.snippets.set(key, snippet);
+    this.saveSnippets();
+    return snippet;
+  }
+
+  /**
+   * Delete a snippet and its media
+   * @param {string} name - Snippet name
+   * @returns {boolean} - Whether a snippet was deleted
+   */
+  deleteSnippet(name) {
+    const snippet = this.getSnippet(name);
+    if (!snippet) return false;
+
+    this.removeMediaFile(snippet);
+    this.snippets.delete(snippet.name);
+    this.saveSnippets();
+    return true;
+  }
+
+  /**
+   * Attach media to a snippet (downloaded into the instance assets directory)
+   * @param {string} name - Snippet name
+   * @param {Object} attachment - Discord attachment ({ url, name, contentType })
+   * @returns {Promise<Object|null>} - Updated snippet or null if not found
+   */
+  async setSnippetMedia(name, attachment) {
+    const snippet = this.getSnippet(name);
+    if (!snippet) return null;
+
+    if (!fs.existsSync(this.assetsDir)) {
+      fs.mkdirSync(this.assetsDir, { recursive: true });
+    }
+
+    const response = await axios.get(attachment.url, {
+      responseType: "arraybuffer",
+    });
+
+    const ext = path.extname(attachment.name || "").toLowerCase() || ".bin";
+    const file = `snippet_${snippet.name}${ext}`;
+
+    // Replace any previous media (extension may differ)
+    this.removeMediaFile(snippet);
+    fs.writeFileSync(path.join(this.assetsDir, file), Buffer.from(response.data));
+
+    snippet.media = {
+      file,
+      mimetype: attachment.contentType || "application/octet-stream",
+      originalName: attachment.name || file,
+    };
+    snippet.updatedAt = Date.now();
+    this.saveSnippets();
+    return snippet;
+  }
+
+  /**
+   * Remove the media from a snippet
+   * @param {string} name - Snippet name
+   * @returns {Object|null} - Updated snippet or null if not found
+   */
+  clearSnippetMedia(name) {
+    const snippet = this.getSnippet(name);
+    if (!snippet) return null;
+
+    this.removeMediaFile(snippet);
+    snippet.media = null;
+    snippet.updatedAt = Date.now();
+    this.saveSnippets();
+    return snippet;
+  }
+
+  /**
+   * Get the full path of a snippet's media file
+   * @param {Object} snippet - Snippet
+   * @returns {string|null} - Path, or null if there is no media on disk
+   */
+  getMediaPath(snippet) {
+    if (!snippet?.media?.file) return null;
+
+    const mediaPath = path.join(this.assetsDir, snippet.media.file);
+    return fs.existsSync(mediaPath) ? mediaPath : null;
+  }
+
+  /**
+   * Delete a snippet's media file from disk
+   * @param {Object} snippet - Snippet
+   * @private
+   */
+  removeMediaFile(snippet) {
+    try {
+      const mediaPath = this.getMediaPath(snippet);
+      if (mediaPath) {
+        fs.unlinkSync(mediaPath);
+      }
+    } catch (error) {
+      console.error(
+        `[SnippetManager:${this.instanceId}] Error removing snippet media:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Fill in a snippet's placeholders
+   * @param {Object} snippet - Snippet
+   * @param {Object} values - { name, phoneNumber }
+   * @returns {string} - Snippet text
+   */
+  render(snippet, values = {}) {
+    return (snippet.content || "")
+      .replace(/{name}/g, values.name || "there")
+      .replace(/{phoneNumber}/g, values.phoneNumber || "");
+  }
+}
+
+module.exports = SnippetManager;
@@ -10,6 +10,8 @@ const {
 const path = require("path");
 const fs = require("fs");
 const glob = require('glob');
+const TicketUtil = require("../../utils/TicketUtil");
+const TicketPriority = require("../../utils/TicketPriority");
 
 /**
  * Manages Discord support tickets
@@ -36,6 +38,11 @@ class TicketManager {
     this.categoryId = categoryId;
     this.userCardManager = null;
     this.transcriptManager = null;
+    this.messageMapManager = null;
+    this.scheduleManager = null;
+    this.csatManager = null;
+    this.notificationManager = null;
+    this.ticketRegistryManager = null;
     this.instanceId = options.instanceId || "default";
     this.customIntroMessage = options.customIntroMessages || null;
     this.customCloseMessage = options.customCloseMessages || null;
@@ -43,6 +50,43 @@ class TicketManager {
     // Store the complete custom settings
     this.customSettings = options.customSettings || null;
 
+    // Assigned agents keyed by ticket channel ID
+    this.ticketClaims = new Map();
+    this.claimsPath = path.join(
+      __dirname,
+      "..",
+      "..",
+      "instances",
+      this.instanceId,
+      "ticket_claims.json"
+    );
+    this.loadClaims();
+
+    // Priority and tags keyed by ticket channel ID
+    this.ticketMeta = new Map();
+    this.metaPath = path.join(
+      __dirname,
+      "..",
+      "..",
+      "instances",
+      this.instanceId,
+      "ticket_meta.json"
+    );
+    this.loadMeta();
+
+    // Closed tickets kept as read-only channels instead of being deleted
+    this.archiveMode = { enabled: false, categoryId: null, onReturn: "reopen" };
+    this.archivedTickets = new Map();
+    this.archivePath = path.join(
+      __dirname,
+      "..",
+      "..",
+      "instances",
+      this.instanceId,
+      "archived_tickets.json"
+    );
+    this.loadArchive();
+
     console.log(
       `[TicketManager:${this.instanceId}] Initialized with category ID: ${this.categoryId}`
     );
@@ -64,6 +108,58 @@ class TicketManager {
     this.transcriptManager = transcriptManager;
   }
 
+  /**
+   * Set message map manager
+   * @param {Object} messageMapManager - Message map manager
+   */
+  setMessageMapManager(messageMapManager) {
+    this.messageMapManager = messageMapManager;
+  }
+
+  /**
+   * Set schedule manager
+   * @param {Object} scheduleManager - Schedule manager
+   */
+  setScheduleManager(scheduleManager) {
+    this.scheduleManager = scheduleManager;
+  }
+
+  /**
+   * Set CSAT manager
+   * @param {Object} csatManager - CSAT manager
+   */
+  setCsatManager(csatManager) {
+    this.csatManager = csatManager;
+  }
+
+  /**
+   * Set notification manager
+   * @param {Object} notificationManager - Notification manager
+   */
+  setNotificationManager(notificationManager) {
+    this.notificationManager = notificationManager;
+  }
+
+  /**
+   * Set ticket registry that records every ticket's lifecycle
+   * @param {Object} ticketRegistryManager - TicketRegistryManager instance
+   */
+  setTicketRegistryManager(ticketRegistryManager) {
+    this.ticketRegistryManager = ticketRegistryManager;
+  }
+
+  /**
+   * Set archive mode
+   * @param {Object} config - { enabled, categoryId, onReturn: "reopen" | "summary" }
+   */
+  setArchiveMode(config = {}) {
+    this.archiveMode = {
+      enabled: !!config.enabled,
+      categoryId: config.categoryId || null,
+      onReturn: config.onReturn === "summary" ? "summary" : "reopen",
+    };
+  }
+
   /**
    * Set custom intro message
    * @param {string} message - Custom intro message
@@ -106,9 +202,12 @@ class TicketManager {
    * Create a new ticket
    * @param {string} phoneNumber - Phone number
    * @param {string} username - Username
+   * @param {Object} [options] - Ticket options
+   * @param {Object} [options.initiatedBy] - Agent (guild member) who started the conversation
+   * @param {Object} [options.department] - Department the customer picked
    * @returns {Promise<Object>} - Created channel
    */
-  async createTicket(phoneNumber, username) {
+  async createTicket(phoneNumber, username, options = {}) {
     try {
       // Check if inputs are valid
       if (!phoneNumber || !username) {
@@ -177,8 +276,19 @@ class TicketManager {
         return null;
       }
 
-      // Get the category by ID
-      const category = guild.channels.cache.get(this.categoryId);
+      // Get the category by ID - the department's own category if it has one
+      const department = options.department || null;
+      let category = department?.categoryId
+        ? guild.channels.cache.get(department.categoryId)
+        : null;
+      if (department && (!category || category.type !== ChannelType.GuildCategory)) {
+        console.error(
+          `[TicketManager:${this.instanceId}] Category of department ${department.name} not found: ${department.categoryId}, using the default category`
+        );
+        category = null;
+      }
+
+      category = category || guild.channels.cache.get(this.categoryId);
       if (!category || category.type !== ChannelType.GuildCategory) {
         console.error(
           `[TicketManager:${this.instanceId}] Category not found or invalid: ${this.categoryId}`
@@ -186,16 +296,47 @@ class TicketManager {
         return null;
       }
 
-      // Clean phone number and format username for channel name
-      const cleanPhone = phoneNumber.replace(/\D/g, "");
-      const formattedUsername = updatedUsername
-        .toLowerCase()
-        .replace(/[^a-z0-9]/g, "-")
-        .replace(/-+/g, "-")
-        .substring(0, 25);
-
-      // Create channel name with clipboard emoji and username
-      const channelName = `📋-${formattedUsername}`;
+      // Clean phone number
+      // (old-style WhatsApp group IDs are "<creator>-<timestamp>" and keep the hyphen)
+      const cleanPhone = /^\d+-\d+$/.test(phoneNumber)
+        ? phoneNumber
+        : phoneNumber.replace(/\D/g, "");
+
+      // Create channel name with the priority emoji and username
+      const channelName = TicketPriority.channelName(updatedUsername);
+
+      // Returning customers get their archived channel back
+      const archivedTicket = this.archivedTickets.get(cleanPhone);
+      if (
+        archivedTicket &&
+        this.archiveMode.enabled &&
+        this.archiveMode.onReturn === "reopen"
+      ) {
+        const reopened = await this.reopenArchivedTicket(
+          cleanPhone,
+          updatedUsername,
+          channelName,
+          category.id
+        );
+        if (reopened) {
+          this.registerTicket(reopened, cleanPhone, updatedUsername, {
+            ...options,
+            reopened: true,
+          });
+          if (options.initiatedBy) {
+            await this.claimTicket(reopened.id, options.initiatedBy);
+          } else if (this.notificationManager) {
+            await this.notificationManager.notifyNewTicket({
+              channel: reopened,
+              phoneNumber,
+              username: updatedUsername,
+              department,
+              reopened: true,
+            });
+          }
+          return reopened;
+        }
+      }
 
       // Create channel
       console.log(
@@ -230,6 +371,10 @@ class TicketManager {
 
       // Map channel to phone number in channel manager
       await this.channelManager.addChannelMapping(cleanPhone, channel.id);
+      this.registerTicket(channel, cleanPhone, updatedUsername, options);
+
+      // Keep higher priority tickets above the new one
+      await this.sortTicketChannels(category);
 
       // Get intro message template
       let introMessage = this.getIntroMessage();
@@ -271,13 +416,34 @@ class TicketManager {
         )
         .setTimestamp();
 
-      // Create button row with edit and close buttons with specific IDs
+      if (department) {
+        embed.addFields({
+          name: "Department",
+          value: department.name,
+          inline: false,
+        });
+      }
+
+      // Outbound conversations started from Discord
+      if (options.initiatedBy) {
+        embed.addFields({
+          name: "Started By",
+          value: `<@${options.initiatedBy.id}> (agent-initiated)`,
+          inline: false,
+        });
+      }
+
+      // Create button row with edit, claim and close buttons with specific IDs
       // IMPORTANT: Use consistent and simplified button IDs
       const row = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
           .setCustomId(`edit-user-${phoneNumber}`)
           .setLabel("Edit")
           .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId(`claim-ticket`)
+          .setLabel("Claim")
+          .setStyle(ButtonStyle.Success),
         new ButtonBuilder()
           .setCustomId(`close`) // Changed to just 'close' for simplicity
           .setLabel("Close")
@@ -302,6 +468,14 @@ class TicketManager {
         });
       }
 
+      // Otherwise recap the archived ticket
+      if (archivedTicket && this.archivedTickets.has(cleanPhone)) {
+        const summary = await this.buildArchiveSummary(archivedTicket);
+        if (summary) {
+          await channel.send({ embeds: [summary] });
+        }
+      }
+
       // Send the transcript message
       await channel.send({
         content: "📝 Transcript",
@@ -317,7 +491,13 @@ class TicketManager {
       // Send the ticket info embed and pin it
       const embedMsg = await channel.send({
         embeds: [embed],
-        components: [row],
+        components: [
+          row,
+          ...TicketUtil.buildMetadataRows(
+            this.getTicketMeta(channel.id),
+            this.getKnownTags()
+          ),
+        ],
       });
       await embedMsg.pin();
 
@@ -337,6 +517,18 @@ class TicketManager {
         );
       }
 
+      // The agent who reached out owns the conversation
+      if (options.initiatedBy) {
+        await this.claimTicket(channel.id, options.initiatedBy);
+      } else if (this.notificationManager) {
+        await this.notificationManager.notifyNewTicket({
+          channel,
+          phoneNumber,
+          username: updatedUsername,
+          department,
+        });
+      }
+
       console.log(
         `[TicketManager:${this.instanceId}] Ticket channel created successfully: ${channel.id}`
       );
@@ -350,6 +542,40 @@ class TicketManager {
     }
   }
 
+  /**
+   * Add a newly opened ticket to the ticket registry
+   * @param {Object} channel - Ticket channel
+   * @param {string} phoneNumber - Customer number
+   * @param {string} username - Customer name
+   * @param {Object} [options] - createTicket options, plus reopened for archived channels
+   */
+  registerTicket(channel, phoneNumber, username, options = {}) {
+    if (!this.ticketRegistryManager) return;
+
+    try {
+      // A reopened archived channel continues the ticket last closed in it
+      const previous = options.reopened
+        ? this.ticketRegistryManager
+            .getTicketsByPhone(phoneNumber)
+            .find((ticket) => ticket.channelId === channel.id)
+        : null;
+
+      this.ticketRegistryManager.openTicket({
+        phoneNumber,
+        channelId: channel.id,
+        username,
+        department: options.department || null,
+        openedBy: options.initiatedBy || null,
+        reopenedFrom: previous?.ticketId || null,
+      });
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error registering ticket:`,
+        error
+      );
+    }
+  }
+
   /**
    * Get a Discord channel by ID
    * @param {string} channelId - Discord channel ID
@@ -417,9 +643,13 @@ class TicketManager {
    * @param {string} userId - User ID or phone number
    * @param {Object|string} message - Message data or text
    * @param {boolean} [isMedia=false] - Whether message contains media
+   * @param {Object} [options] - Reply options
+   * @param {string} [options.replyTo] - Discord message ID to reply to
+   * @param {string} [options.quoteText] - Quoted text to show when there is nothing to reply to
+   * @param {string} [options.senderName] - Name to show instead of the user card name (group participants)
    * @returns {Promise<boolean|string>} - Success status or message ID
    */
-  async forwardUserMessage(userId, message, isMedia = false) {
+  async forwardUserMessage(userId, message, isMedia = false, options = {}) {
     try {
       if (!userId) {
         console.error(`[TicketManager:${this.instanceId}] Missing userId`);
@@ -455,6 +685,9 @@ class TicketManager {
           );
         }
       }
+      if (options.senderName) {
+        username = options.senderName;
+      }
 
       let content = "";
       let files = [];
@@ -498,11 +731,23 @@ class TicketManager {
         }
       }
 
+      // Show quoted text that has no mirrored Discord message
+      if (options.quoteText) {
+        const quote = options.quoteText.replace(/\s+/g, " ").substring(0, 100);
+        content += `\n> ↩️ *In reply to:* ${quote}`;
+      }
+
+      // Reply to the mirrored message when the customer quoted one
+      const reply = options.replyTo
+        ? { messageReference: options.replyTo, failIfNotExists: false }
+        : undefined;
+
       // Send to Discord channel
       try {
         const sentMessage = await channel.send({
           content: content,
           files: files,
+          reply,
           allowedMentions: { parse: [] }, // Don't ping anyone
         });
 
@@ -519,6 +764,7 @@ class TicketManager {
           try {
             const fallbackMessage = await channel.send({
               content: `${content}\n\n❌ *Failed to send media attachments.*`,
+              reply,
               allowedMentions: { parse: [] },
             });
             return fallbackMessage.id;
@@ -683,14 +929,641 @@ class TicketManager {
     }
   }
 
+  /**
+   * Load ticket claims from disk
+   */
+  loadClaims() {
+    try {
+      if (fs.existsSync(this.claimsPath)) {
+        const data = JSON.parse(fs.readFileSync(this.claimsPath, "utf8"));
+
+        for (const [channelId, claim] of Object.entries(data)) {
+          this.ticketClaims.set(channelId, claim);
+        }
+
+        console.log(
+          `[TicketManager:${this.instanceId}] Loaded ${this.ticketClaims.size} ticket claims`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error loading ticket claims:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save ticket claims to disk
+   */
+  saveClaims() {
+    try {
+      const dir = path.dirname(this.claimsPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const data = {};
+      for (const [channelId, claim] of this.ticketClaims.entries()) {
+        data[channelId] = claim;
+      }
+
+      fs.writeFileSync(this.claimsPath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error saving ticket claims:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the agent assigned to a ticket
+   * @param {string} channelId - Ticket channel ID
+   * @returns {Object|null} - Claim ({ agentId, agentName, claimedAt }) or null
+   */
+  getTicketClaim(channelId) {
+    return this.ticketClaims.get(channelId) || null;
+  }
+
+  /**
+   * Assign a ticket to an agent (also used for transfers)
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} member - Discord guild member taking the ticket
+   * @returns {Promise<Object|null>} - New claim or null on failure
+   */
+  async claimTicket(channelId, member) {
+    try {
+      if (!channelId || !member) {
+        return null;
+      }
+
+      const claim = {
+        agentId: member.id,
+        agentName: member.displayName || member.user?.username || member.id,
+        claimedAt: Date.now(),
+      };
+
+      this.ticketClaims.set(channelId, claim);
+      this.saveClaims();
+      this.ticketRegistryManager?.recordAssignment(channelId, member);
+
+      console.log(
+        `[TicketManager:${this.instanceId}] Ticket ${channelId} assigned to ${claim.agentName} (${claim.agentId})`
+      );
+
+      await this.updateClaimDisplay(channelId);
+      return claim;
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error claiming ticket:`,
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Remove the agent assignment from a ticket
+   * @param {string} channelId - Ticket channel ID
+   * @returns {Promise<boolean>} - Whether a claim was removed
+   */
+  async unclaimTicket(channelId) {
+    try {
+      if (!this.ticketClaims.has(channelId)) {
+        return false;
+      }
+
+      this.ticketClaims.delete(channelId);
+      this.saveClaims();
+      this.ticketRegistryManager?.recordEvent(channelId, "unassigned");
+
+      console.log(
+        `[TicketManager:${this.instanceId}] Ticket ${channelId} unassigned`
+      );
+
+      await this.updateClaimDisplay(channelId);
+      return true;
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error unclaiming ticket:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Show the current assignment in the pinned Ticket Tool embed
+   * @param {string} channelId - Ticket channel ID
+   * @returns {Promise<boolean>} - Success
+   */
+  async updateClaimDisplay(channelId) {
+    const channel = await this.getDiscordChannel(channelId);
+    if (!channel) return false;
+
+    const message = await TicketUtil.findTicketInfoMessage(channel, null);
+    if (!message) return false;
+
+    const claim = this.getTicketClaim(channelId);
+    return await TicketUtil.setTicketInfoField(
+      message,
+      "Assigned Agent",
+      claim ? `<@${claim.agentId}>` : null
+    );
+  }
+
+  /**
+   * Load ticket priority and tags from disk
+   */
+  loadMeta() {
+    try {
+      if (fs.existsSync(this.metaPath)) {
+        const data = JSON.parse(fs.readFileSync(this.metaPath, "utf8"));
+
+        for (const [channelId, meta] of Object.entries(data)) {
+          this.ticketMeta.set(channelId, meta);
+        }
+      }
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error loading ticket metadata:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save ticket priority and tags to disk
+   */
+  saveMeta() {
+    try {
+      const dir = path.dirname(this.metaPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const data = Object.fromEntries(this.ticketMeta.entries());
+      fs.writeFileSync(this.metaPath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error saving ticket metadata:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the priority and tags of a ticket
+   * @param {string} channelId - Ticket channel ID
+   * @returns {Object} - { priority, tags, updatedAt, updatedBy, reopenedAt }
+   */
+  getTicketMeta(channelId) {
+    return {
+      priority: TicketPriority.DEFAULT,
+      tags: [],
+      ...(this.ticketMeta.get(channelId) || {}),
+    };
+  }
+
+  /**
+   * Get every tag used on open tickets, most used first
+   * @returns {Array<string>}
+   */
+  getKnownTags() {
+    const counts = new Map();
+    for (const meta of this.ticketMeta.values()) {
+      for (const tag of meta.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([tag]) => tag);
+  }
+
+  /**
+   * Count open tickets per priority and tag
+   * @param {Array<string>} channelIds - Open ticket channel IDs
+   * @returns {Object} - { priorities: { urgent, high, normal, low }, tags: { tag: count } }
+   */
+  getMetaCounts(channelIds) {
+    const priorities = {};
+    for (const level of TicketPriority.getLevels()) {
+      priorities[level.value] = 0;
+    }
+    const tags = {};
+
+    for (const channelId of channelIds) {
+      const meta = this.getTicketMeta(channelId);
+      priorities[TicketPriority.get(meta.priority).value]++;
+      for (const tag of meta.tags) {
+        tags[tag] = (tags[tag] || 0) + 1;
+      }
+    }
+
+    return { priorities, tags };
+  }
+
+  /**
+   * Change the priority and/or tags of a ticket
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} changes - { priority, tags }
+   * @param {Object} [member] - Discord guild member making the change
+   * @returns {Promise<Object|null>} - Updated metadata or null on failure
+   */
+  async updateTicketMeta(channelId, changes, member = null) {
+    try {
+      const previous = this.getTicketMeta(channelId);
+      const meta = { ...previous };
+
+      if (changes.priority !== undefined) {
+        if (!TicketPriority.isValid(changes.priority)) {
+          throw new Error(`Unknown priority: ${changes.priority}`);
+        }
+        meta.priority = changes.priority;
+      }
+
+      if (changes.tags !== undefined) {
+        meta.tags = [
+          ...new Set(
+            changes.tags.map((tag) => TicketPriority.normalizeTag(tag)).filter(Boolean)
+          ),
+        ];
+        if (meta.tags.length > TicketPriority.MAX_TAGS) {
+          throw new Error(`A ticket can have at most ${TicketPriority.MAX_TAGS} tags`);
+        }
+      }
+
+      meta.updatedAt = Date.now();
+      meta.updatedBy = member?.id || null;
+
+      this.ticketMeta.set(channelId, meta);
+      this.saveMeta();
+      this.ticketRegistryManager?.recordMeta(channelId, meta, member);
+
+      console.log(
+        `[TicketManager:${this.instanceId}] Ticket ${channelId} priority: ${meta.priority}, tags: ${meta.tags.join(", ") || "none"}`
+      );
+
+      await this.updateMetaDisplay(channelId, meta.priority !== previous.priority);
+      return meta;
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error updating ticket metadata:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Show priority and tags in the pinned Ticket Tool embed and, when the
+   * priority changed, in the channel name and position
+   * @param {string} channelId - Ticket channel ID
+   * @param {boolean} [priorityChanged] - Rename and re-sort the channel
+   * @returns {Promise<boolean>} - Success
+   */
+  async updateMetaDisplay(channelId, priorityChanged = false) {
+    const channel = await this.getDiscordChannel(channelId);
+    if (!channel) return false;
+
+    const meta = this.getTicketMeta(channelId);
+
+    const message = await TicketUtil.findTicketInfoMessage(channel, null);
+    if (message && message.editable && message.embeds[0]) {
+      const embed = EmbedBuilder.from(message.embeds[0]);
+      const fields = (embed.data.fields || []).filter(
+        (field) => field.name !== "Priority" && field.name !== "Tags"
+      );
+      fields.push({
+        name: "Priority",
+        value: TicketPriority.format(meta.priority),
+        inline: true,
+      });
+      if (meta.tags.length > 0) {
+        fields.push({
+          name: "Tags",
+          value: meta.tags.map((tag) => `\`#${tag}\``).join(" "),
+          inline: true,
+        });
+      }
+      embed.setFields(fields);
+
+      await message.edit({
+        embeds: [embed],
+        components: [
+          ...message.components.filter((row) => !TicketUtil.isMetadataRow(row)),
+          ...TicketUtil.buildMetadataRows(meta, this.getKnownTags()),
+        ],
+      });
+    }
+
+    if (priorityChanged) {
+      // Renames are rate limited by Discord, so don't fail the update over it
+      const name = TicketPriority.replacePrefix(
+        channel.name,
+        TicketPriority.get(meta.priority).emoji
+      );
+      if (name !== channel.name) {
+        channel
+          .setName(name, "Ticket priority changed")
+          .catch((renameError) =>
+            console.error(
+              `[TicketManager:${this.instanceId}] Error renaming ticket channel:`,
+              renameError
+            )
+          );
+      }
+
+      await this.sortTicketChannels(channel.parent);
+    }
+
+    return true;
+  }
+
+  /**
+   * Order the ticket channels of a category by priority, most urgent on top
+   * (channels of the same priority keep their order)
+   * @param {Object} category - Discord category channel
+   */
+  async sortTicketChannels(category) {
+    try {
+      if (!category?.children) return;
+
+      const channels = [...category.children.cache.values()]
+        .filter((channel) => channel.type === ChannelType.GuildText)
+        .sort((a, b) => a.rawPosition - b.rawPosition);
+      const positions = channels.map((channel) => channel.rawPosition);
+
+      const sorted = [...channels].sort(
+        (a, b) =>
+          TicketPriority.rank(this.getTicketMeta(a.id).priority) -
+          TicketPriority.rank(this.getTicketMeta(b.id).priority)
+      );
+
+      const updates = sorted
+        .map((channel, index) => ({ channel: channel.id, position: positions[index] }))
+        .filter((update, index) => sorted[index].rawPosition !== update.position);
+
+      if (updates.length > 0) {
+        await category.guild.channels.setPositions(updates);
+      }
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error sorting ticket channels:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Load archived tickets from disk
+   */
+  loadArchive() {
+    try {
+      if (fs.existsSync(this.archivePath)) {
+        const data = JSON.parse(fs.readFileSync(this.archivePath, "utf8"));
+
+        for (const [phoneNumber, entry] of Object.entries(data)) {
+          this.archivedTickets.set(phoneNumber, entry);
+        }
+      }
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error loading archived tickets:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save archived tickets to disk
+   */
+  saveArchive() {
+    try {
+      const dir = path.dirname(this.archivePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const data = Object.fromEntries(this.archivedTickets.entries());
+      fs.writeFileSync(this.archivePath, JSON.stringify(data, null, 2), "utf8");
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error saving archived tickets:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Lock or unlock writing in a ticket channel (the bot keeps its access)
+   * @param {Object} channel - Discord channel
+   * @param {boolean} readOnly - Lock (true) or unlock (false)
+   */
+  async setChannelReadOnly(channel, readOnly) {
+    const value = readOnly ? false : null;
+    const targets = new Set([channel.guild.roles.everyone.id]);
+    for (const overwrite of channel.permissionOverwrites.cache.values()) {
+      targets.add(overwrite.id);
+    }
+    targets.delete(channel.guild.members.me.id);
+
+    for (const id of targets) {
+      await channel.permissionOverwrites.edit(id, {
+        SendMessages: value,
+        AddReactions: value,
+        CreatePublicThreads: value,
+        CreatePrivateThreads: value,
+        SendMessagesInThreads: value,
+      });
+    }
+  }
+
+  /**
+   * Move a closed ticket's channel to the archive category as read-only
+   * (the phone mapping must already be removed)
+   * @param {Object} channel - Ticket channel
+   * @param {string} phoneNumber - Customer number
+   * @param {string} username - Customer name
+   * @returns {Promise<boolean>} - Whether the channel was archived
+   */
+  async archiveChannel(channel, phoneNumber, username) {
+    try {
+      const category = channel.guild.channels.cache.get(
+        this.archiveMode.categoryId
+      );
+      if (!category || category.type !== ChannelType.GuildCategory) {
+        console.error(
+          `[TicketManager:${this.instanceId}] Archive category not found: ${this.archiveMode.categoryId}, deleting channel instead`
+        );
+        return false;
+      }
+
+      const previousName = channel.name;
+      await channel.setParent(category.id, { lockPermissions: false });
+      await this.setChannelReadOnly(channel, true);
+
+      await channel.send({
+        content: `🔒 Ticket closed and archived <t:${Math.floor(Date.now() / 1000)}:f>. Messages here are no longer sent to WhatsApp.`,
+      });
+
+      // Renames are rate limited by Discord, so don't fail the close over it
+      channel
+        .setName(TicketPriority.replacePrefix(previousName, "🔒"))
+        .catch((renameError) =>
+          console.error(
+            `[TicketManager:${this.instanceId}] Error renaming archived channel:`,
+            renameError
+          )
+        );
+
+      this.archivedTickets.set(phoneNumber, {
+        channelId: channel.id,
+        username,
+        openedAt: channel.createdTimestamp,
+        closedAt: Date.now(),
+      });
+      this.saveArchive();
+
+      console.log(
+        `[TicketManager:${this.instanceId}] Ticket channel archived: ${channel.id}`
+      );
+      return true;
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error archiving channel:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Move a customer's archived channel back into the ticket category
+   * @param {string} phoneNumber - Customer number
+   * @param {string} username - Customer name
+   * @param {string} channelName - Name for the reopened channel
+   * @param {string} [categoryId] - Category to move it to (defaults to the ticket category)
+   * @returns {Promise<Object|null>} - Reopened channel, or null if it's gone
+   */
+  async reopenArchivedTicket(phoneNumber, username, channelName, categoryId = this.categoryId) {
+    const entry = this.archivedTickets.get(phoneNumber);
+    if (!entry) return null;
+
+    try {
+      const channel = await this.getDiscordChannel(entry.channelId);
+      if (!channel) {
+        // Someone deleted the archived channel
+        this.archivedTickets.delete(phoneNumber);
+        this.saveArchive();
+        return null;
+      }
+
+      await channel.setParent(categoryId, { lockPermissions: false });
+      await this.setChannelReadOnly(channel, false);
+      await this.channelManager.addChannelMapping(phoneNumber, channel.id);
+
+      this.archivedTickets.delete(phoneNumber);
+      this.saveArchive();
+
+      const notice = await channel.send({
+        content: `🔓 **Ticket reopened** - ${username} wrote again <t:${Math.floor(Date.now() / 1000)}:R>. Messages here go to WhatsApp again.`,
+        allowedMentions: { parse: [] },
+      });
+
+      // The earlier sessions are already transcribed, so the next transcript starts here
+      this.ticketMeta.set(channel.id, {
+        ...(this.ticketMeta.get(channel.id) || {}),
+        reopenedAt: notice.createdTimestamp,
+      });
+      this.saveMeta();
+
+      channel
+        .setName(channelName)
+        .catch((renameError) =>
+          console.error(
+            `[TicketManager:${this.instanceId}] Error renaming reopened channel:`,
+            renameError
+          )
+        );
+
+      console.log(
+        `[TicketManager:${this.instanceId}] Reopened archived channel ${channel.id} for ${phoneNumber}`
+      );
+      return channel;
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error reopening archived channel:`,
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Summarize an archived ticket for the customer's new ticket channel
+   * @param {Object} entry - Archived ticket entry
+   * @returns {Promise<EmbedBuilder|null>}
+   */
+  async buildArchiveSummary(entry) {
+    try {
+      const channel = await this.getDiscordChannel(entry.channelId);
+      if (!channel) return null;
+
+      const messages = [
+        ...(await channel.messages.fetch({ limit: 100 })).values(),
+      ].reverse();
+
+      // Customer messages are relayed by the bot as "**Name**: text"
+      const conversation = messages.filter(
+        (message) => !message.author.bot || /^(\*\*.+?\*\*:|💬 )/.test(message.content)
+      );
+      const customerCount = conversation.filter((message) => message.author.bot && message.content.startsWith("**")).length;
+
+      const lastLines = conversation
+        .slice(-5)
+        .map((message) => {
+          const text = (message.content || "[attachment]").replace(/\s+/g, " ");
+          const line = message.author.bot ? text : `**${message.member?.displayName || message.author.username}**: ${text}`;
+          return line.length > 150 ? `${line.substring(0, 150)}…` : line;
+        });
+
+      return new EmbedBuilder()
+        .setColor(0x99aab5)
+        .setTitle("🗂️ Previous Ticket")
+        .setDescription(
+          `Archived in <#${channel.id}>\n` +
+            `Opened <t:${Math.floor(entry.openedAt / 1000)}:f> · Closed <t:${Math.floor(entry.closedAt / 1000)}:f>\n` +
+            `${customerCount} customer / ${conversation.length - customerCount} agent messages`
+        )
+        .addFields({
+          name: "Last messages",
+          value: lastLines.join("\n").substring(0, 1024) || "No messages",
+        });
+    } catch (error) {
+      console.error(
+        `[TicketManager:${this.instanceId}] Error summarizing archived ticket:`,
+        error
+      );
+      return null;
+    }
+  }
+
   /**
    * Close a ticket
    * @param {string} channelId - Channel ID
    * @param {boolean} sendMessage - Whether to send closing message
    * @param {Object} [interaction] - Optional interaction for updating
+   * @param {Object} [options] - Details for the ticket registry
+   * @param {string} [options.reason="agent"] - Why the ticket closed ("agent", "idle", ...)
+   * @param {string} [options.note] - Reason the agent gave
+   * @param {Object} [options.closedBy] - Agent who closed it (defaults to the interaction user)
    * @returns {Promise<boolean>} - Success
    */
-  async closeTicket(channelId, sendMessage = true, interaction = null) {
+  async closeTicket(channelId, sendMessage = true, interaction = null, options = {}) {
     try {
       console.log(
         `[TicketManager:${this.instanceId}] Closing ticket, channel: ${channelId}`
@@ -769,7 +1642,8 @@ class TicketManager {
           transcriptPath = await this.transcriptManager.createAndSaveTranscript(
             channel,
             username,
-            phoneNumber
+            phoneNumber,
+            this.getTicketMeta(channelId)
           );
         } catch (transcriptError) {
           console.error(
@@ -818,20 +1692,78 @@ class TicketManager {
         );
       }
 
+      // Ask the customer to rate the ticket (credited to the assigned agent, else the closer)
+      if (this.csatManager) {
+        const claim = this.getTicketClaim(channelId);
+        await this.csatManager.sendSurvey({
+          phoneNumber,
+          username,
+          channelId,
+          agentId: claim?.agentId || interaction?.user?.id || null,
+          agentName:
+            claim?.agentName ||
+            interaction?.member?.displayName ||
+            interaction?.user?.username ||
+            null,
+        });
+      }
+
+      // Record the close (tickets opened before the registry existed are added now)
+      if (this.ticketRegistryManager) {
+        try {
+          this.ticketRegistryManager.getOrRegister(channelId, {
+            phoneNumber,
+            username,
+            openedAt: channel.createdTimestamp,
+          });
+          this.ticketRegistryManager.closeTicket(channelId, {
+            closedBy:
+              options.closedBy || interaction?.member || interaction?.user || null,
+            reason: options.reason || "agent",
+            note: options.note || null,
+          });
+        } catch (registryError) {
+          console.error(
+            `[TicketManager:${this.instanceId}] Error recording closed ticket:`,
+            registryError
+          );
+        }
+      }
+
       // IMPORTANT: Remove from channel manager BEFORE deleting the channel
       await this.channelManager.removeChannel(phoneNumber);
 
-      // Delete the channel
-      try {
-        await channel.delete(`Ticket closed by support agent`);
-        console.log(
-          `[TicketManager:${this.instanceId}] Ticket channel deleted: ${channelId}`
-        );
-      } catch (deleteError) {
-        console.error(
-          `[TicketManager:${this.instanceId}] Error deleting channel:`,
-          deleteError
-        );
+      // Drop the assignment and message mappings along with the channel
+      if (this.ticketClaims.delete(channelId)) {
+        this.saveClaims();
+      }
+      if (this.ticketMeta.delete(channelId)) {
+        this.saveMeta();
+      }
+      if (this.messageMapManager) {
+        this.messageMapManager.removeChannel(channelId);
+      }
+      if (this.scheduleManager) {
+        this.scheduleManager.cancelForChannel(channelId);
+      }
+
+      // Keep the channel read-only in the archive, or delete it
+      const archived =
+        this.archiveMode.enabled &&
+        (await this.archiveChannel(channel, phoneNumber, username));
+
+      if (!archived) {
+        try {
+          await channel.delete(`Ticket closed by support agent`);
+          console.log(
+            `[TicketManager:${this.instanceId}] Ticket channel deleted: ${channelId}`
+          );
+        } catch (deleteError) {
+          console.error(
+            `[TicketManager:${this.instanceId}] Error deleting channel:`,
+            deleteError
+          );
+        }
       }
 
       // ADDED: Update interaction reply if we replied earlier
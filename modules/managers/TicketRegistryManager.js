@@ -0,0 +1,449 @@
+// modules/managers/TicketRegistryManager.js
+const fs = require("fs");
+const path = require("path");
+const SaveScheduler = require("../../utils/SaveScheduler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record of every ticket an instance handled, open or closed
+ *
+ * channel_mappings.json only knows which channel a customer has right now;
+ * the registry keeps one entry per ticket for reporting. Tickets are kept in
+ * ticket_registry.json:
+ * {
+ *   nextId,
+ *   tickets: [{
+ *     ticketId,        // 1, 2, 3... per instance
+ *     phoneNumber, channelId, username, department, priority, tags,
+ *     status,          // "open" or "closed"
+ *     openedAt, openedBy,
+ *     closedAt, closedBy, closeReason, closeNote,
+ *     agents,          // [{ id, name, assignedAt }] everyone the ticket was assigned to
+ *     messages,        // { customer, agent }
+ *     firstResponseAt, firstResponseMs,
+ *     reopenedFrom,    // ticketId of the archived ticket this one continues
+ *     history          // [{ event, at, by, details }]
+ *   }]
+ * }
+ */
+class TicketRegistryManager {
+  /**
+   * Create a new ticket registry
+   * @param {string} instanceId - Instance ID
+   */
+  constructor(instanceId = "default") {
+    this.instanceId = instanceId;
+
+    // ticketId -> ticket
+    this.tickets = new Map();
+
+    // channelId -> ticketId of the open ticket in that channel
+    this.openByChannel = new Map();
+
+    this.nextId = 1;
+
+    this.registryPath = path.join(
+      __dirname,
+      "..",
+      "..",
+      "instances",
+      this.instanceId,
+      "ticket_registry.json"
+    );
+
+    // Message counters change on every relayed message, so they are only
+    // written every few seconds (lifecycle events are saved right away)
+    this.saveScheduler = new SaveScheduler(() => this.saveRegistry(), 5000);
+
+    this.loadRegistry();
+  }
+
+  /**
+   * Load tickets from disk
+   */
+  loadRegistry() {
+    try {
+      if (!fs.existsSync(this.registryPath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.registryPath, "utf8"));
+      for (const ticket of data.tickets || []) {
+        this.tickets.set(ticket.ticketId, ticket);
+        if (ticket.status === "open") {
+          this.openByChannel.set(ticket.channelId, ticket.ticketId);
+        }
+      }
+
+      let highestId = 0;
+      for (const ticketId of this.tickets.keys()) {
+        highestId = Math.max(highestId, ticketId);
+      }
+      this.nextId = Math.max(Number(data.nextId) || 1, highestId + 1);
+
+      console.log(
+        `[TicketRegistryManager:${this.instanceId}] Loaded ${this.tickets.size} tickets (${this.openByChannel.size} open)`
+      );
+    } catch (error) {
+      console.error(
+        `[TicketRegistryManager:${this.instanceId}] Error loading ticket registry:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save tickets to disk
+   */
+  saveRegistry() {
+    try {
+      const dir = path.dirname(this.registryPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const data = {
+        nextId: this.nextId,
+        tickets: [...this.tickets.values()],
+      };
+      // Not pretty-printed - the file keeps every ticket ever handled
+      fs.writeFileSync(this.registryPath, JSON.stringify(data), "utf8");
+    } catch (error) {
+      console.error(
+        `[TicketRegistryManager:${this.instanceId}] Error saving ticket registry:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Who did something, as stored in the registry
+   * @param {Object} member - Guild member or user
+   * @returns {Object|null} - { id, name }
+   */
+  toActor(member) {
+    if (!member?.id) return null;
+    return {
+      id: member.id,
+      name:
+        member.displayName || member.user?.username || member.username || member.id,
+    };
+  }
+
+  /**
+   * Add an event to a ticket's history
+   * @param {Object} ticket - Ticket
+   * @param {string} event - Event name
+   * @param {Object|null} [by] - { id, name } of the agent
+   * @param {Object} [details] - Extra data for the event
+   */
+  addHistory(ticket, event, by = null, details = undefined) {
+    ticket.history.push({ event, at: Date.now(), by, ...(details ? { details } : {}) });
+  }
+
+  /**
+   * Register a ticket that was just opened
+   * (a ticket still open in the same channel is closed first)
+   * @param {Object} ticket - Ticket data
+   * @param {string} ticket.phoneNumber - Customer number
+   * @param {string} ticket.channelId - Ticket channel ID
+   * @param {string} ticket.username - Customer name
+   * @param {Object} [ticket.department] - Department the customer picked
+   * @param {Object} [ticket.openedBy] - Agent (guild member) who started the conversation
+   * @param {number} [ticket.reopenedFrom] - Archived ticket this one continues
+   * @returns {Object} - Registered ticket
+   */
+  openTicket({ phoneNumber, channelId, username, department = null, openedBy = null, reopenedFrom = null }) {
+    if (this.openByChannel.has(channelId)) {
+      this.closeTicket(channelId, { reason: "replaced" });
+    }
+
+    const ticket = {
+      ticketId: this.nextId++,
+      phoneNumber,
+      channelId,
+      username,
+      department: department?.id || null,
+      priority: "normal",
+      tags: [],
+      status: "open",
+      openedAt: Date.now(),
+      openedBy: this.toActor(openedBy),
+      closedAt: null,
+      closedBy: null,
+      closeReason: null,
+      closeNote: null,
+      agents: [],
+      messages: { customer: 0, agent: 0 },
+      firstResponseAt: null,
+      firstResponseMs: null,
+      reopenedFrom,
+      history: [],
+    };
+    this.addHistory(ticket, reopenedFrom ? "reopened" : "opened", ticket.openedBy);
+
+    this.tickets.set(ticket.ticketId, ticket);
+    this.openByChannel.set(channelId, ticket.ticketId);
+    this.saveRegistry();
+
+    console.log(
+      `[TicketRegistryManager:${this.instanceId}] Registered ticket #${ticket.ticketId} for ${phoneNumber} in ${channelId}`
+    );
+    return ticket;
+  }
+
+  /**
+   * Get the open ticket in a channel
+   * @param {string} channelId - Ticket channel ID
+   * @returns {Object|null}
+   */
+  getOpenTicket(channelId) {
+    const ticketId = this.openByChannel.get(channelId);
+    return ticketId ? this.tickets.get(ticketId) || null : null;
+  }
+
+  /**
+   * Get the open ticket in a channel, registering tickets opened before the
+   * registry existed
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} [fallback] - { phoneNumber, username, openedAt } if it has to be registered
+   * @returns {Object|null}
+   */
+  getOrRegister(channelId, fallback = null) {
+    const ticket = this.getOpenTicket(channelId);
+    if (ticket || !fallback?.phoneNumber) return ticket;
+
+    const registered = this.openTicket({
+      phoneNumber: fallback.phoneNumber,
+      channelId,
+      username: fallback.username || "Unknown User",
+    });
+    if (fallback.openedAt) {
+      registered.openedAt = fallback.openedAt;
+      registered.history[0].at = fallback.openedAt;
+    }
+    return registered;
+  }
+
+  /**
+   * Count a message in a ticket (the first agent message is the first response)
+   * @param {string} channelId - Ticket channel ID
+   * @param {string} role - "customer" or "agent"
+   * @param {Object} [member] - Agent who wrote the message
+   */
+  recordMessage(channelId, role, member = null) {
+    const ticket = this.getOpenTicket(channelId);
+    if (!ticket) return;
+
+    if (role === "agent") {
+      ticket.messages.agent++;
+
+      if (!ticket.firstResponseAt) {
+        ticket.firstResponseAt = Date.now();
+        ticket.firstResponseMs = ticket.firstResponseAt - ticket.openedAt;
+        this.addHistory(ticket, "first_response", this.toActor(member));
+      }
+    } else {
+      ticket.messages.customer++;
+    }
+
+    this.saveScheduler.schedule();
+  }
+
+  /**
+   * Write pending message counts now (on disconnect)
+   */
+  flush() {
+    this.saveScheduler.flush();
+  }
+
+  /**
+   * Record that a ticket was assigned to an agent
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} member - Agent (guild member)
+   */
+  recordAssignment(channelId, member) {
+    const ticket = this.getOpenTicket(channelId);
+    const agent = this.toActor(member);
+    if (!ticket || !agent) return;
+
+    if (!ticket.agents.some((existing) => existing.id === agent.id)) {
+      ticket.agents.push({ ...agent, assignedAt: Date.now() });
+    }
+    this.addHistory(ticket, "assigned", agent);
+    this.saveRegistry();
+  }
+
+  /**
+   * Record a new priority or tags on a ticket
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} meta - { priority, tags }
+   * @param {Object} [member] - Agent who made the change
+   */
+  recordMeta(channelId, { priority, tags }, member = null) {
+    const ticket = this.getOpenTicket(channelId);
+    if (!ticket) return;
+
+    const changes = {};
+    if (priority !== ticket.priority) changes.priority = priority;
+    if (tags.join(",") !== ticket.tags.join(",")) changes.tags = tags;
+    if (Object.keys(changes).length === 0) return;
+
+    Object.assign(ticket, changes);
+    this.addHistory(ticket, "updated", this.toActor(member), changes);
+    this.saveRegistry();
+  }
+
+  /**
+   * Record any other change to an open ticket (e.g. "unassigned")
+   * @param {string} channelId - Ticket channel ID
+   * @param {string} event - Event name
+   * @param {Object} [member] - Agent who made the change
+   * @param {Object} [details] - Extra data for the event
+   */
+  recordEvent(channelId, event, member = null, details = undefined) {
+    const ticket = this.getOpenTicket(channelId);
+    if (!ticket) return;
+
+    this.addHistory(ticket, event, this.toActor(member), details);
+    this.saveRegistry();
+  }
+
+  /**
+   * Mark the open ticket in a channel as closed
+   * @param {string} channelId - Ticket channel ID
+   * @param {Object} [options] - Close details
+   * @param {Object} [options.closedBy] - Agent (guild member) who closed it
+   * @param {string} [options.reason="agent"] - Why it closed ("agent", "idle", ...)
+   * @param {string} [options.note] - Reason the agent gave
+   * @returns {Object|null} - Closed ticket
+   */
+  closeTicket(channelId, { closedBy = null, reason = "agent", note = null } = {}) {
+    const ticket = this.getOpenTicket(channelId);
+    if (!ticket) return null;
+
+    ticket.status = "closed";
+    ticket.closedAt = Date.now();
+    ticket.closedBy = this.toActor(closedBy);
+    ticket.closeReason = reason;
+    ticket.closeNote = note || null;
+    this.addHistory(ticket, "closed", ticket.closedBy, { reason });
+
+    this.openByChannel.delete(channelId);
+    this.saveRegistry();
+
+    console.log(
+      `[TicketRegistryManager:${this.instanceId}] Ticket #${ticket.ticketId} closed (${reason})`
+    );
+    return ticket;
+  }
+
+  /**
+   * Get a ticket by ID
+   * @param {number|string} ticketId - Ticket ID
+   * @returns {Object|null}
+   */
+  getTicket(ticketId) {
+    return this.tickets.get(Number(ticketId)) || null;
+  }
+
+  /**
+   * Get a customer's tickets, newest first
+   * @param {string} phoneNumber - Customer number
+   * @returns {Array<Object>}
+   */
+  getTicketsByPhone(phoneNumber) {
+    return this.query({ phoneNumber, limit: 0 });
+  }
+
+  /**
+   * Find tickets, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status] - "open" or "closed"
+   * @param {string} [filters.phoneNumber] - Customer number
+   * @param {string} [filters.agentId] - Assigned agent
+   * @param {string} [filters.department] - Department ID
+   * @param {string} [filters.closeReason] - Close reason
+   * @param {number} [filters.from] - Opened at or after this timestamp
+   * @param {number} [filters.to] - Opened before this timestamp
+   * @param {number} [filters.limit=50] - Maximum results (0 for all)
+   * @returns {Array<Object>}
+   */
+  query(filters = {}) {
+    const limit = filters.limit === undefined ? 50 : filters.limit;
+
+    const results = [...this.tickets.values()]
+      .filter((ticket) => {
+        if (filters.status && ticket.status !== filters.status) return false;
+        if (filters.phoneNumber && ticket.phoneNumber !== filters.phoneNumber) return false;
+        if (filters.department && ticket.department !== filters.department) return false;
+        if (filters.closeReason && ticket.closeReason !== filters.closeReason) return false;
+        if (filters.from && ticket.openedAt < filters.from) return false;
+        if (filters.to && ticket.openedAt >= filters.to) return false;
+        if (
+          filters.agentId &&
+          !ticket.agents.some((agent) => agent.id === filters.agentId)
+        ) {
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => b.openedAt - a.openedAt);
+
+    return limit > 0 ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Summarize tickets, e.g. "how many tickets did we handle last week"
+   * @param {Object} [filters] - Same filters as query() (defaults to the last 7 days)
+   * @returns {Object} - { total, open, closed, messages, avgFirstResponseMs,
+   *   avgResolutionMs, closeReasons, agents }
+   */
+  getStats(filters = {}) {
+    const tickets = this.query({
+      from: Date.now() - 7 * DAY_MS,
+      ...filters,
+      limit: 0,
+    });
+
+    const average = (values) =>
+      values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null;
+
+    const closed = tickets.filter((ticket) => ticket.status === "closed");
+    const closeReasons = {};
+    for (const ticket of closed) {
+      closeReasons[ticket.closeReason] = (closeReasons[ticket.closeReason] || 0) + 1;
+    }
+
+    const agents = {};
+    for (const ticket of tickets) {
+      for (const agent of ticket.agents) {
+        agents[agent.id] = agents[agent.id] || { name: agent.name, tickets: 0 };
+        agents[agent.id].tickets++;
+      }
+    }
+
+    return {
+      total: tickets.length,
+      open: tickets.length - closed.length,
+      closed: closed.length,
+      messages: {
+        customer: tickets.reduce((sum, ticket) => sum + ticket.messages.customer, 0),
+        agent: tickets.reduce((sum, ticket) => sum + ticket.messages.agent, 0),
+      },
+      avgFirstResponseMs: average(
+        tickets
+          .filter((ticket) => ticket.firstResponseMs !== null)
+          .map((ticket) => ticket.firstResponseMs)
+      ),
+      avgResolutionMs: average(closed.map((ticket) => ticket.closedAt - ticket.openedAt)),
+      closeReasons,
+      agents,
+    };
+  }
+}
+
+module.exports = TicketRegistryManager;
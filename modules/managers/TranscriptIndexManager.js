@@ -0,0 +1,445 @@
+// modules/managers/TranscriptIndexManager.js
+const fs = require("fs");
+const path = require("path");
+const RelayedMessage = require("../../utils/RelayedMessage");
+
+/**
+ * Full-text search index over transcript messages.
+ * Tickets and messages are persisted to transcript_index.json; the word index
+ * is rebuilt in memory on load.
+ */
+class TranscriptIndexManager {
+  /**
+   * Create a new transcript index
+   * @param {Object} options - Options
+   * @param {string} options.instanceId - Instance ID
+   * @param {string} options.baseDir - Transcripts directory (paths are stored relative to it)
+   */
+  constructor(options = {}) {
+    this.instanceId = options.instanceId || "default";
+    this.baseDir =
+      options.baseDir ||
+      path.join(__dirname, "..", "..", "instances", this.instanceId, "transcripts");
+    this.indexPath = path.join(
+      __dirname,
+      "..",
+      "..",
+      "instances",
+      this.instanceId,
+      "transcript_index.json"
+    );
+
+    // ticketId -> ticket record
+    this.tickets = new Map();
+
+    // Indexed messages ({ ticketId, author, role, content, timestamp })
+    this.messages = [];
+
+    // word -> Set of message positions
+    this.words = new Map();
+
+    this.loadIndex();
+  }
+
+  /**
+   * Load the index from disk
+   */
+  loadIndex() {
+    try {
+      if (!fs.existsSync(this.indexPath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.indexPath, "utf8"));
+
+      for (const ticket of data.tickets || []) {
+        this.tickets.set(ticket.ticketId, ticket);
+      }
+      for (const message of data.messages || []) {
+        this.indexMessage(message);
+      }
+
+      console.log(
+        `[TranscriptIndexManager:${this.instanceId}] Loaded ${this.messages.length} messages from ${this.tickets.size} tickets`
+      );
+    } catch (error) {
+      console.error(
+        `[TranscriptIndexManager:${this.instanceId}] Error loading transcript index:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Save the index to disk
+   */
+  saveIndex() {
+    try {
+      const dir = path.dirname(this.indexPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      fs.writeFileSync(
+        this.indexPath,
+        JSON.stringify({
+          tickets: [...this.tickets.values()],
+          messages: this.messages,
+        }),
+        "utf8"
+      );
+    } catch (error) {
+      console.error(
+        `[TranscriptIndexManager:${this.instanceId}] Error saving transcript index:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Split text into lowercase search words
+   * @param {string} text - Text
+   * @returns {string[]} - Words
+   */
+  tokenize(text) {
+    return (text || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length >= 2);
+  }
+
+  /**
+   * Add a message to the in-memory word index
+   * @param {Object} message - Indexed message
+   * @private
+   */
+  indexMessage(message) {
+    const position = this.messages.push(message) - 1;
+
+    for (const word of new Set(this.tokenize(`${message.author} ${message.content}`))) {
+      if (!this.words.has(word)) {
+        this.words.set(word, new Set());
+      }
+      this.words.get(word).add(position);
+    }
+  }
+
+  /**
+   * Turn Discord ticket channel messages into index entries
+   * (call before the messages are rendered, which strips the customer prefix)
+   * @param {Array} messages - Discord messages, oldest first
+   * @returns {Array<Object>} - { author, role, content, timestamp }
+   */
+  buildEntries(messages) {
+    const entries = [];
+
+    for (const message of messages) {
+      const { role, author, content: text } = RelayedMessage.classify(message);
+
+      // Other bot messages are ticket notices, not conversation
+      if (role === "bot") continue;
+
+      const attachments = [...message.attachments.values()]
+        .map((attachment) => `[${attachment.name}]`)
+        .join(" ");
+      const content = [text, attachments].filter(Boolean).join(" ").trim();
+      if (!content) continue;
+
+      entries.push({
+        author,
+        role,
+        content,
+        timestamp: message.createdTimestamp,
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Index a saved transcript session
+   * @param {Object} ticket - { ticketId, channelName, username, phoneNumber, transcriptPath, transcriptUrl }
+   * @param {Array<Object>} entries - Entries from buildEntries()
+   */
+  addTranscript(ticket, entries) {
+    try {
+      if (this.tickets.has(ticket.ticketId)) {
+        // Ticket re-saved: drop its old messages first
+        this.removeTickets((t) => t.ticketId === ticket.ticketId, false);
+      }
+
+      this.tickets.set(ticket.ticketId, {
+        ...ticket,
+        phoneNumber: String(ticket.phoneNumber || "").replace(/\D/g, ""),
+        transcriptPath: ticket.transcriptPath
+          ? path.relative(this.baseDir, ticket.transcriptPath)
+          : null,
+        indexedAt: Date.now(),
+      });
+
+      for (const entry of entries) {
+        this.indexMessage({ ticketId: ticket.ticketId, ...entry });
+      }
+
+      this.saveIndex();
+
+      console.log(
+        `[TranscriptIndexManager:${this.instanceId}] Indexed ${entries.length} messages for ticket ${ticket.ticketId}`
+      );
+    } catch (error) {
+      console.error(
+        `[TranscriptIndexManager:${this.instanceId}] Error indexing transcript:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Remove tickets (and their messages) matching a filter, then rebuild the word index
+   * @param {Function} filter - (ticket) => boolean
+   * @param {boolean} [save=true] - Whether to save afterwards
+   * @returns {number} - Number of removed tickets
+   */
+  removeTickets(filter, save = true) {
+    const removed = new Set(
+      [...this.tickets.values()].filter(filter).map((t) => t.ticketId)
+    );
+    if (removed.size === 0) return 0;
+
+    for (const ticketId of removed) {
+      this.tickets.delete(ticketId);
+    }
+
+    const remaining = this.messages.filter((m) => !removed.has(m.ticketId));
+    this.messages = [];
+    this.words = new Map();
+    for (const message of remaining) {
+      this.indexMessage(message);
+    }
+
+    if (save) this.saveIndex();
+    return removed.size;
+  }
+
+  /**
+   * Search indexed messages
+   * @param {string} query - Search text (all words must match, prefixes allowed)
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.user] - Customer name or phone number (partial match)
+   * @param {number} [filters.from] - Earliest timestamp
+   * @param {number} [filters.to] - Latest timestamp
+   * @param {number} [filters.limit=10] - Maximum results
+   * @returns {Object} - { total, results: [{ message, ticket, snippet }] }
+   */
+  search(query, filters = {}) {
+    const queryWords = this.tokenize(query);
+    if (queryWords.length === 0) {
+      return { total: 0, results: [] };
+    }
+
+    // Intersect the positions of every query word (prefix match)
+    let positions = null;
+    for (const queryWord of queryWords) {
+      const matches = new Set();
+      for (const [word, wordPositions] of this.words) {
+        if (word.startsWith(queryWord)) {
+          for (const position of wordPositions) matches.add(position);
+        }
+      }
+
+      positions = positions
+        ? new Set([...positions].filter((p) => matches.has(p)))
+        : matches;
+      if (positions.size === 0) break;
+    }
+
+    const user = (filters.user || "").toLowerCase();
+    const userDigits = user.replace(/\D/g, "");
+
+    const hits = [...positions]
+      .map((position) => this.messages[position])
+      .filter((message) => {
+        if (filters.from && message.timestamp < filters.from) return false;
+        if (filters.to && message.timestamp > filters.to) return false;
+
+        if (user) {
+          const ticket = this.tickets.get(message.ticketId);
+          const nameMatch = ticket?.username?.toLowerCase().includes(user);
+          const phoneMatch = userDigits && ticket?.phoneNumber?.includes(userDigits);
+          if (!nameMatch && !phoneMatch) return false;
+        }
+
+        return true;
+      })
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return {
+      total: hits.length,
+      results: hits.slice(0, filters.limit || 10).map((message) => ({
+        message,
+        ticket: this.tickets.get(message.ticketId) || null,
+        snippet: this.makeSnippet(message.content, queryWords[0]),
+      })),
+    };
+  }
+
+  /**
+   * Cut a short excerpt around the first match
+   * @param {string} content - Message content
+   * @param {string} word - Word to center on
+   * @returns {string} - Excerpt
+   */
+  makeSnippet(content, word) {
+    const text = content.replace(/\s+/g, " ");
+    const index = text.toLowerCase().indexOf(word);
+    const start = Math.max(0, index - 50);
+    const end = Math.min(text.length, (index === -1 ? 0 : index) + 100);
+
+    return `${start > 0 ? "…" : ""}${text.substring(start, end)}${end < text.length ? "…" : ""}`;
+  }
+
+  /**
+   * Index master transcripts written before the search index existed
+   * @returns {Object} - { files, sessions, messages }
+   */
+  backfill() {
+    const stats = { files: 0, sessions: 0, messages: 0 };
+
+    if (!fs.existsSync(this.baseDir)) {
+      return stats;
+    }
+
+    for (const masterPath of this.findMasterTranscripts(this.baseDir)) {
+      try {
+        const relativePath = path.relative(this.baseDir, masterPath);
+        const html = fs.readFileSync(masterPath, "utf8");
+        const fallbackTime = fs.statSync(masterPath).mtimeMs;
+
+        const username = this.decodeHtml(
+          (html.match(/<p><strong>User:<\/strong>\s*([\s\S]*?)<\/p>/) || [])[1] || "Unknown User"
+        );
+        const phoneNumber =
+          (html.match(/<p><strong>WhatsApp:<\/strong>\s*([\s\S]*?)<\/p>/) || [])[1] || "";
+
+        // Each "New conversation" separator starts another ticket session
+        const sessions = html.split('<div class="separator">');
+
+        // Sessions saved since the index existed are already indexed
+        const alreadyIndexed = [...this.tickets.values()].filter(
+          (t) => t.transcriptPath === relativePath && !t.backfilled
+        ).length;
+
+        for (let i = 0; i < sessions.length - alreadyIndexed; i++) {
+          const ticketId = `backfill:${relativePath}#${i}`;
+          if (this.tickets.has(ticketId)) continue;
+
+          const entries = this.parseSessionHtml(sessions[i], username, fallbackTime);
+          if (entries.length === 0) continue;
+
+          this.tickets.set(ticketId, {
+            ticketId,
+            channelName: null,
+            username,
+            phoneNumber: phoneNumber.replace(/\D/g, ""),
+            transcriptPath: relativePath,
+            transcriptUrl: null,
+            indexedAt: Date.now(),
+            backfilled: true,
+          });
+          for (const entry of entries) {
+            this.indexMessage({ ticketId, ...entry });
+          }
+
+          stats.sessions++;
+          stats.messages += entries.length;
+        }
+
+        stats.files++;
+      } catch (error) {
+        console.error(
+          `[TranscriptIndexManager:${this.instanceId}] Error backfilling ${masterPath}:`,
+          error
+        );
+      }
+    }
+
+    this.saveIndex();
+
+    console.log(
+      `[TranscriptIndexManager:${this.instanceId}] Backfill indexed ${stats.messages} messages in ${stats.sessions} sessions from ${stats.files} transcripts`
+    );
+    return stats;
+  }
+
+  /**
+   * Find all master transcript files below a directory
+   * @param {string} dir - Directory
+   * @returns {string[]} - File paths
+   * @private
+   */
+  findMasterTranscripts(dir) {
+    const files = [];
+
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      const itemPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        files.push(...this.findMasterTranscripts(itemPath));
+      } else if (item.name.endsWith("-transcript-master.html")) {
+        files.push(itemPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse the messages of one transcript session
+   * @param {string} html - Session HTML
+   * @param {string} username - Customer name
+   * @param {number} fallbackTime - Timestamp for unparseable dates
+   * @returns {Array<Object>} - Index entries
+   * @private
+   */
+  parseSessionHtml(html, username, fallbackTime) {
+    const entries = [];
+    const messagePattern =
+      /<div class="message">\s*<div class="author">([\s\S]*?)<\/div>\s*<div class="content">\s*<div class="time">([\s\S]*?)<\/div>\s*(?:<div class="reply">[\s\S]*?<\/div>\s*)?<div class="text">([\s\S]*?)<\/div>/g;
+
+    let match;
+    while ((match = messagePattern.exec(html)) !== null) {
+      const author = this.decodeHtml(match[1]).trim();
+      const content = this.decodeHtml(
+        match[3].replace(/<span class="edited">[\s\S]*?<\/span>/g, "").replace(/<[^>]+>/g, " ")
+      ).trim();
+      if (!content) continue;
+
+      const parsedTime = Date.parse(match[2].trim());
+
+      entries.push({
+        author,
+        role: author === username ? "customer" : "agent",
+        content,
+        timestamp: isNaN(parsedTime) ? fallbackTime : parsedTime,
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Decode the few HTML entities transcripts can contain
+   * @param {string} text - HTML text
+   * @returns {string} - Plain text
+   * @private
+   */
+  decodeHtml(text) {
+    return text
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, "&");
+  }
+}
+
+module.exports = TranscriptIndexManager;
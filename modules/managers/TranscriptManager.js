@@ -2,7 +2,48 @@
 const { EmbedBuilder, AttachmentBuilder } = require("discord.js");
 const path = require("path");
 const fs = require("fs");
+const axios = require("axios");
 const MediaManager = require("../../utils/MediaManager");
+const TicketUtil = require("../../utils/TicketUtil");
+const TicketPriority = require("../../utils/TicketPriority");
+const RelayedMessage = require("../../utils/RelayedMessage");
+const TranscriptIndexManager = require("./TranscriptIndexManager");
+const RendererRegistry = require("../renderers/RendererRegistry");
+
+// Images up to this size are embedded in the HTML; other media is only saved next to it
+const INLINE_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Attachments bigger than this are not archived (the original link is kept)
+const MAX_ARCHIVED_MEDIA_BYTES = 100 * 1024 * 1024;
+
+// Styles for replies, reactions and archived media (added to older master transcripts too)
+const SESSION_STYLES = `
+    .reply {
+      color: #666;
+      font-size: 0.9em;
+      border-left: 3px solid #ccc;
+      padding-left: 6px;
+      margin-bottom: 3px;
+    }
+    .reactions {
+      margin-top: 5px;
+      font-size: 0.9em;
+    }
+    .reactions span {
+      background-color: #eef0ff;
+      border-radius: 8px;
+      padding: 1px 6px;
+      margin-right: 4px;
+    }
+    .edited {
+      color: #999;
+      font-size: 0.8em;
+    }
+    .warning {
+      background-color: #fff4e5;
+      border-left: 5px solid #f0a020;
+      padding: 5px 10px;
+    }`;
 
 /**
  * Manages chat transcripts
@@ -19,6 +60,9 @@ class TranscriptManager {
     this.guildId = options.guildId || null;
     this.isDisabled = false;
 
+    // Formats posted to the transcript channel ("html" is the master transcript)
+    this.transcriptFormats = options.transcriptFormats || ["html"];
+
     // Set up media manager
     this.baseDir =
       options.baseDir ||
@@ -35,6 +79,12 @@ class TranscriptManager {
       baseDir: this.baseDir,
     });
 
+    // Full-text search over saved transcripts
+    this.searchIndex = new TranscriptIndexManager({
+      instanceId: this.instanceId,
+      baseDir: this.baseDir,
+    });
+
     console.log(`[TranscriptManager:${this.instanceId}] Initialized`);
   }
 
@@ -45,6 +95,7 @@ class TranscriptManager {
   setBaseDir(dir) {
     this.baseDir = dir;
     this.mediaManager.baseDir = dir;
+    this.searchIndex.baseDir = dir;
   }
 
   /**
@@ -412,9 +463,10 @@ class TranscriptManager {
    * @param {Object} channel - Discord channel
    * @param {string} username - Username
    * @param {string} phoneNumber - Phone number
+   * @param {Object} [ticket] - Ticket metadata ({ priority, tags, reopenedAt })
    * @returns {Promise<string>} - Path to transcript
    */
-  async createAndSaveTranscript(channel, username, phoneNumber) {
+  async createAndSaveTranscript(channel, username, phoneNumber, ticket = {}) {
     try {
       // Check if disabled
       if (this.isDisabled) {
@@ -438,16 +490,28 @@ class TranscriptManager {
       const masterPath = path.join(userDir, masterFilename);
       const masterExists = fs.existsSync(masterPath);
 
-      // Fetch messages from the channel (up to 100)
-      const messages = await channel.messages.fetch({ limit: 100 });
-
-      // Sort messages by timestamp (oldest first)
-      const sortedMessages = Array.from(messages.values()).sort(
-        (a, b) => a.createdTimestamp - b.createdTimestamp
+      // Fetch the channel history (oldest first); a reopened archived channel
+      // only from the reopen on, as its earlier sessions are already transcribed
+      const { messages, complete } = await TicketUtil.fetchAllMessages(
+        channel,
+        undefined,
+        ticket.reopenedAt
       );
 
       // Filter out system messages and only keep user/staff messages
-      const filteredMessages = this.filterMessagesForTranscript(sortedMessages);
+      const filteredMessages = this.filterMessagesForTranscript(messages);
+
+      // Collect search entries from the raw Discord messages
+      const indexEntries = this.searchIndex.buildEntries(filteredMessages);
+
+      // Structured record of this session, with media archived next to the transcript
+      const session = await this.buildSessionRecord(
+        channel,
+        filteredMessages,
+        userDir,
+        { username, phoneNumber, complete, priority: ticket.priority, tags: ticket.tags }
+      );
+      this.saveSessionRecord(userDir, session);
 
       let html = "";
 
@@ -474,9 +538,14 @@ class TranscriptManager {
           html =
             existingHtml.substring(0, insertPosition) +
             separator +
-            this.formatMessagesHtml(filteredMessages) +
+            this.formatSessionHtml(session, userDir) +
             existingHtml.substring(insertPosition);
 
+          // Older transcripts predate the reply/reaction styles
+          if (!html.includes(".reactions {")) {
+            html = html.replace("</style>", `${SESSION_STYLES}\n  </style>`);
+          }
+
           // Update the "Last Updated" timestamp
           html = html.replace(
             /<p><strong>Last Updated:<\/strong>.*?<\/p>/,
@@ -490,7 +559,8 @@ class TranscriptManager {
           html = this.createTranscriptContent(
             username,
             phoneNumber,
-            filteredMessages
+            session,
+            userDir
           );
         }
       } else {
@@ -501,7 +571,8 @@ class TranscriptManager {
         html = this.createTranscriptContent(
           username,
           phoneNumber,
-          filteredMessages
+          session,
+          userDir
         );
       }
 
@@ -511,6 +582,8 @@ class TranscriptManager {
         `[TranscriptManager:${this.instanceId}] Updated master transcript at ${masterPath}`
       );
 
+      let transcriptMessage = null;
+
       // If we need to send to a transcript channel, create a temporary copy
       if (this.transcriptChannelId && this.discordClient && this.guildId) {
         // Create a temporary copy for sending to the channel
@@ -522,7 +595,13 @@ class TranscriptManager {
         fs.copyFileSync(masterPath, tempPath);
 
         // Send to transcript channel
-        await this.sendTranscriptToChannel(tempPath, username, phoneNumber);
+        transcriptMessage = await this.sendTranscriptToChannel(
+          tempPath,
+          username,
+          phoneNumber,
+          session,
+          userDir
+        );
 
         // Delete the temporary file
         if (fs.existsSync(tempPath)) {
@@ -531,11 +610,22 @@ class TranscriptManager {
             `[TranscriptManager:${this.instanceId}] Deleted temporary transcript: ${tempPath}`
           );
         }
-
-        // Return the master path since the temp file is deleted
-        return masterPath;
       }
 
+      // Make the session searchable
+      this.searchIndex.addTranscript(
+        {
+          ticketId: channel.id,
+          channelName: channel.name,
+          username,
+          phoneNumber,
+          transcriptPath: masterPath,
+          transcriptUrl: transcriptMessage ? transcriptMessage.url : null,
+        },
+        indexEntries
+      );
+
+      // Return the master path (the temp copy is deleted)
       return masterPath;
     } catch (error) {
       console.error(
@@ -586,10 +676,11 @@ class TranscriptManager {
    * Create complete transcript HTML content
    * @param {string} username - Username
    * @param {string} phoneNumber - Phone number
-   * @param {Array} messages - Filtered messages
+   * @param {Object} session - Session record from buildSessionRecord()
+   * @param {string} userDir - Directory the transcript is saved in
    * @returns {string} - Complete HTML content
    */
-  createTranscriptContent(username, phoneNumber, messages) {
+  createTranscriptContent(username, phoneNumber, session, userDir) {
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -658,7 +749,7 @@ class TranscriptManager {
     .update-info {
       font-style: italic;
       color: #666;
-    }
+    }${SESSION_STYLES}
   </style>
 </head>
 <body>
@@ -672,95 +763,320 @@ class TranscriptManager {
     <p><strong>Last Updated:</strong> ${new Date().toLocaleString()}</p>
   </div>
   <h2>Conversation</h2>
-  ${this.formatMessagesHtml(messages)}
+  ${this.formatSessionHtml(session, userDir)}
 </body>
 </html>`;
   }
 
   /**
-   * Format messages as HTML, filtering out system messages
-   * @param {Array} messages - Array of Discord messages
-   * @returns {string} - HTML content
+   * Build the structured record of a ticket session
+   * @param {Object} channel - Discord channel
+   * @param {Array} messages - Filtered Discord messages, oldest first
+   * @param {string} userDir - Directory the transcript is saved in
+   * @param {Object} details - { username, phoneNumber, complete, priority, tags }
+   * @returns {Promise<Object>} - Session record
    */
-  formatMessagesHtml(messages) {
-    let html = "";
+  async buildSessionRecord(channel, messages, userDir, details = {}) {
+    const savedAt = new Date();
+    const sessionId = `${savedAt.toISOString().replace(/[:.]/g, "-")}-${channel.id}`;
+    const mediaDir = path.join("media", sessionId);
+    const records = new Map();
 
     for (const message of messages) {
+      const relayed = RelayedMessage.classify(message);
+      const authorName = relayed.author;
+      const role = relayed.role;
+      const content = relayed.voiceNote ? `🎙️ ${relayed.content}` : relayed.content;
+
+      // Only include relevant embeds (skip ticket tool embeds)
+      const embeds = message.embeds
+        .filter(
+          (embed) =>
+            embed.title !== "Ticket Tool" &&
+            !embed.description?.includes("transcript") &&
+            !embed.title?.includes("Transcript")
+        )
+        .map((embed) => ({
+          title: embed.title || null,
+          description: embed.description || null,
+          url: embed.url || null,
+          fields: (embed.fields || []).map((field) => ({
+            name: field.name,
+            value: field.value,
+          })),
+          image: embed.image?.url || embed.thumbnail?.url || null,
+          footer: embed.footer?.text || null,
+        }));
+
+      const attachments = [];
+      for (const attachment of message.attachments.values()) {
+        attachments.push(
+          await this.archiveAttachment(attachment, message.id, userDir, mediaDir)
+        );
+      }
+
       // Skip empty messages
-      if (
-        !message.content &&
-        message.attachments.size === 0 &&
-        message.embeds.length === 0
-      ) {
+      if (!content && attachments.length === 0 && embeds.length === 0) {
         continue;
       }
 
-      // Get the author name
-      let authorName = message.member?.nickname || message.author.username;
+      let replyTo = null;
+      if (message.reference?.messageId) {
+        const original = records.get(message.reference.messageId);
+        replyTo = {
+          messageId: message.reference.messageId,
+          author: original ? original.author.name : null,
+          excerpt: original
+            ? original.content.substring(0, 100) ||
+              (original.attachments[0] ? `[${original.attachments[0].name}]` : "")
+            : null,
+        };
+      }
+
+      records.set(message.id, {
+        id: message.id,
+        author: {
+          id: message.author.id,
+          name: authorName,
+          bot: message.author.bot,
+        },
+        role,
+        content,
+        timestamp: message.createdTimestamp,
+        editedAt: message.editedTimestamp || null,
+        replyTo,
+        attachments,
+        embeds,
+        reactions: [...message.reactions.cache.values()].map((reaction) => ({
+          emoji: reaction.emoji.id ? `:${reaction.emoji.name}:` : reaction.emoji.name,
+          count: reaction.count,
+        })),
+      });
+    }
 
-      // If the message is from a bot and is a user message (from WhatsApp)
-      const isWhatsAppUserMessage =
-        message.author.bot &&
-        message.content.includes("**") &&
-        message.content.includes(":");
+    return {
+      sessionId,
+      instanceId: this.instanceId,
+      ticketId: channel.id,
+      channelName: channel.name,
+      username: details.username || null,
+      phoneNumber: details.phoneNumber || null,
+      priority: details.priority || null,
+      tags: details.tags || [],
+      savedAt: savedAt.getTime(),
+      complete: details.complete !== false,
+      messages: [...records.values()],
+    };
+  }
 
-      if (isWhatsAppUserMessage) {
-        // Extract the username from the message format "**Username**: message"
-        const match = message.content.match(/^\*\*(.*?)\*\*:/);
-        if (match && match[1]) {
-          authorName = match[1];
-          // Remove the prefix from the content
-          message.content = message.content.replace(/^\*\*.*?\*\*: /, "");
-        }
+  /**
+   * Download an attachment next to the transcript so it outlives the Discord CDN link
+   * @param {Object} attachment - Discord attachment
+   * @param {string} messageId - Discord message ID
+   * @param {string} userDir - Directory the transcript is saved in
+   * @param {string} mediaDir - Media directory relative to userDir
+   * @returns {Promise<Object>} - Attachment record ({ file } is relative to userDir)
+   */
+  async archiveAttachment(attachment, messageId, userDir, mediaDir) {
+    const record = {
+      name: attachment.name,
+      contentType: attachment.contentType || "application/octet-stream",
+      size: attachment.size,
+      url: attachment.url,
+      file: null,
+    };
+
+    if (attachment.size > MAX_ARCHIVED_MEDIA_BYTES) {
+      console.log(
+        `[TranscriptManager:${this.instanceId}] Not archiving ${attachment.name} (${attachment.size} bytes)`
+      );
+      return record;
+    }
+
+    try {
+      const targetDir = path.join(userDir, mediaDir);
+      if (!fs.existsSync(targetDir)) {
+        fs.mkdirSync(targetDir, { recursive: true });
       }
 
+      const response = await axios.get(attachment.url, {
+        responseType: "arraybuffer",
+        timeout: 60000,
+      });
+
+      const safeName = (attachment.name || "file").replace(/[^a-zA-Z0-9._-]/g, "_");
+      const file = path.join(mediaDir, `${messageId}-${safeName}`);
+      fs.writeFileSync(path.join(userDir, file), Buffer.from(response.data));
+
+      // Stored with forward slashes so the HTML links work everywhere
+      record.file = file.split(path.sep).join("/");
+    } catch (error) {
+      console.error(
+        `[TranscriptManager:${this.instanceId}] Error archiving attachment ${attachment.name}:`,
+        error.message
+      );
+    }
+
+    return record;
+  }
+
+  /**
+   * Save a session record as JSON in the user's sessions directory
+   * @param {string} userDir - Directory the transcript is saved in
+   * @param {Object} session - Session record
+   * @returns {string|null} - Path to the record
+   */
+  saveSessionRecord(userDir, session) {
+    try {
+      const sessionsDir = path.join(userDir, "sessions");
+      if (!fs.existsSync(sessionsDir)) {
+        fs.mkdirSync(sessionsDir, { recursive: true });
+      }
+
+      const recordPath = path.join(sessionsDir, `${session.sessionId}.json`);
+      fs.writeFileSync(recordPath, JSON.stringify(session, null, 2), "utf8");
+      console.log(
+        `[TranscriptManager:${this.instanceId}] Saved session record with ${session.messages.length} messages to ${recordPath}`
+      );
+      return recordPath;
+    } catch (error) {
+      console.error(
+        `[TranscriptManager:${this.instanceId}] Error saving session record:`,
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Format a session as HTML
+   * @param {Object} session - Session record
+   * @param {string} userDir - Directory the transcript is saved in
+   * @returns {string} - HTML content
+   */
+  formatSessionHtml(session, userDir) {
+    let html = "";
+
+    if (session.priority || session.tags?.length > 0) {
+      html += `
+  <p class="update-info">Priority: ${this.escapeHtml(TicketPriority.get(session.priority).label)}${
+    session.tags?.length > 0 ? ` • Tags: ${this.escapeHtml(session.tags.map((tag) => `#${tag}`).join(" "))}` : ""
+  }</p>`;
+    }
+
+    if (!session.complete) {
+      html += `
+  <div class="warning">⚠️ This ticket was too long to archive completely; only the latest ${session.messages.length} messages are included.</div>`;
+    }
+
+    return html + this.formatMessagesHtml(session.messages, userDir);
+  }
+
+  /**
+   * Format session messages as HTML
+   * @param {Array} messages - Message records from buildSessionRecord()
+   * @param {string} userDir - Directory the transcript is saved in
+   * @returns {string} - HTML content
+   */
+  formatMessagesHtml(messages, userDir) {
+    let html = "";
+
+    for (const message of messages) {
       html += `
   <div class="message">
-    <div class="author">${authorName}</div>
+    <div class="author">${this.escapeHtml(message.author.name)}</div>
     <div class="content">
-      <div class="time">${message.createdAt.toLocaleString()}</div>
-      <div class="text">${message.content || ""}</div>`;
+      <div class="time">${new Date(message.timestamp).toLocaleString()}</div>`;
+
+      if (message.replyTo) {
+        html += `
+      <div class="reply">↩️ ${
+        message.replyTo.author
+          ? `In reply to <strong>${this.escapeHtml(message.replyTo.author)}</strong>: ${this.escapeHtml(message.replyTo.excerpt)}`
+          : "In reply to a message that is no longer available"
+      }</div>`;
+      }
+
+      html += `
+      <div class="text">${this.escapeHtml(message.content).replace(/\n/g, "<br>")}${
+        message.editedAt ? ' <span class="edited">(edited)</span>' : ""
+      }</div>`;
 
       // Add attachments
-      if (message.attachments.size > 0) {
-        for (const [id, attachment] of message.attachments) {
-          html += `
+      for (const attachment of message.attachments) {
+        const name = this.escapeHtml(attachment.name);
+        const href = this.escapeHtml(attachment.file || attachment.url);
+        let preview = "";
+
+        if (attachment.contentType.startsWith("image/")) {
+          // Small images are embedded so copies of the transcript stay complete
+          let src = attachment.file || attachment.url;
+          if (attachment.file && attachment.size <= INLINE_IMAGE_BYTES) {
+            try {
+              const data = fs.readFileSync(path.join(userDir, attachment.file));
+              src = `data:${attachment.contentType};base64,${data.toString("base64")}`;
+            } catch (error) {
+              console.error(
+                `[TranscriptManager:${this.instanceId}] Error embedding ${attachment.file}:`,
+                error.message
+              );
+            }
+          }
+          preview = `<br><img src="${this.escapeHtml(src)}" alt="${name}" style="max-width:400px; max-height:300px;">`;
+        } else if (attachment.file && attachment.contentType.startsWith("audio/")) {
+          preview = `<br><audio controls src="${href}"></audio>`;
+        } else if (attachment.file && attachment.contentType.startsWith("video/")) {
+          preview = `<br><video controls src="${href}" style="max-width:400px;"></video>`;
+        }
+
+        html += `
       <div class="attachment">
-        <a href="${attachment.url}" target="_blank">${attachment.name}</a>
-        ${
-          attachment.contentType?.startsWith("image/")
-            ? `<br><img src="${attachment.url}" alt="${attachment.name}" style="max-width:400px; max-height:300px;">`
-            : ""
+        <a href="${href}" target="_blank">${name}</a>${
+          attachment.file
+            ? ` (<a href="${this.escapeHtml(attachment.url)}" target="_blank">original link</a>)`
+            : " (not archived)"
         }
+        ${preview}
       </div>`;
-        }
       }
 
-      // Only include relevant embeds (skip ticket tool embeds)
-      const relevantEmbeds = message.embeds.filter(
-        (embed) =>
-          embed.title !== "Ticket Tool" &&
-          !embed.description?.includes("transcript") &&
-          !embed.title?.includes("Transcript")
-      );
-
-      if (relevantEmbeds.length > 0) {
-        for (const embed of relevantEmbeds) {
-          html += `
+      for (const embed of message.embeds) {
+        html += `
       <div class="embed">
-        ${embed.title ? `<div><strong>${embed.title}</strong></div>` : ""}
-        ${embed.description ? `<div>${embed.description}</div>` : ""}`;
+        ${
+          embed.title
+            ? `<div><strong>${
+                embed.url
+                  ? `<a href="${this.escapeHtml(embed.url)}" target="_blank">${this.escapeHtml(embed.title)}</a>`
+                  : this.escapeHtml(embed.title)
+              }</strong></div>`
+            : ""
+        }
+        ${embed.description ? `<div>${this.escapeHtml(embed.description).replace(/\n/g, "<br>")}</div>` : ""}`;
 
-          if (embed.fields && embed.fields.length > 0) {
-            for (const field of embed.fields) {
-              html += `
-        <div><strong>${field.name}:</strong> ${field.value}</div>`;
-            }
-          }
+        for (const field of embed.fields) {
+          html += `
+        <div><strong>${this.escapeHtml(field.name)}:</strong> ${this.escapeHtml(field.value)}</div>`;
+        }
 
+        if (embed.image) {
           html += `
-      </div>`;
+        <img src="${this.escapeHtml(embed.image)}" alt="" style="max-width:400px; max-height:300px;">`;
         }
+        if (embed.footer) {
+          html += `
+        <div class="time">${this.escapeHtml(embed.footer)}</div>`;
+        }
+
+        html += `
+      </div>`;
+      }
+
+      if (message.reactions.length > 0) {
+        html += `
+      <div class="reactions">${message.reactions
+        .map((reaction) => `<span>${this.escapeHtml(reaction.emoji)} ${reaction.count}</span>`)
+        .join("")}</div>`;
       }
 
       html += `
@@ -771,14 +1087,73 @@ class TranscriptManager {
     return html;
   }
 
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - Text
+   * @returns {string} - Escaped text
+   */
+  escapeHtml(text) {
+    return String(text || "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Build the transcript files for the configured formats
+   * @param {string} filepath - Path to the HTML transcript
+   * @param {string} baseName - File name without extension
+   * @param {Object|null} session - Session record for the other formats
+   * @param {string|null} userDir - Directory archived media paths are relative to
+   * @returns {Promise<Array<AttachmentBuilder>>} - Attachments
+   */
+  async buildTranscriptFiles(filepath, baseName, session, userDir) {
+    const files = [];
+
+    for (const format of this.transcriptFormats) {
+      if (format === "html") {
+        files.push(new AttachmentBuilder(filepath, { name: `${baseName}.html` }));
+        continue;
+      }
+
+      const renderer = RendererRegistry.get(format);
+      if (!renderer || !session) continue;
+
+      try {
+        const content = await renderer.render(session, { userDir });
+        files.push(
+          new AttachmentBuilder(Buffer.from(content), {
+            name: `${baseName}.${renderer.extension}`,
+          })
+        );
+      } catch (error) {
+        console.error(
+          `[TranscriptManager:${this.instanceId}] Error rendering ${format} transcript:`,
+          error
+        );
+      }
+    }
+
+    // Never post a transcript without any file
+    if (files.length === 0) {
+      files.push(new AttachmentBuilder(filepath, { name: `${baseName}.html` }));
+    }
+
+    return files;
+  }
+
   /**
    * Send transcript to channel
    * @param {string} filepath - Path to transcript
    * @param {string} username - Username
    * @param {string} phoneNumber - Phone number
-   * @returns {Promise<boolean>} - Success
+   * @param {Object} [session] - Session record, needed for formats other than HTML
+   * @param {string} [userDir] - Directory archived media paths are relative to
+   * @returns {Promise<Object|boolean>} - Sent message, or false on failure
    */
-  async sendTranscriptToChannel(filepath, username, phoneNumber) {
+  async sendTranscriptToChannel(filepath, username, phoneNumber, session = null, userDir = null) {
     try {
       // Check if we have what we need
       if (!this.transcriptChannelId || !this.discordClient || !this.guildId) {
@@ -822,20 +1197,39 @@ class TranscriptManager {
         )
         .setTimestamp();
 
-      // Create attachment
-      const attachment = new AttachmentBuilder(filepath, {
-        name: `transcript-${username
-          .toLowerCase()
-          .replace(/[^a-z0-9]/g, "-")}-${Date.now()}.html`,
-      });
+      if (session?.priority) {
+        embed.addFields({
+          name: "Priority",
+          value: TicketPriority.format(session.priority),
+          inline: true,
+        });
+      }
+      if (session?.tags?.length > 0) {
+        embed.addFields({
+          name: "Tags",
+          value: session.tags.map((tag) => `\`#${tag}\``).join(" "),
+          inline: true,
+        });
+      }
+
+      // Create attachments in the configured formats
+      const files = await this.buildTranscriptFiles(
+        filepath,
+        `transcript-${username.toLowerCase().replace(/[^a-z0-9]/g, "-")}-${Date.now()}`,
+        session,
+        userDir
+      );
 
       // Send to channel
-      await channel.send({ embeds: [embed], files: [attachment] });
+      const sentMessage = await channel.send({
+        embeds: [embed],
+        files,
+      });
       console.log(
         `[TranscriptManager:${this.instanceId}] Sent transcript to channel ${this.transcriptChannelId}`
       );
 
-      return true;
+      return sentMessage;
     } catch (error) {
       console.error(
         `[TranscriptManager:${this.instanceId}] Error sending transcript to channel:`,
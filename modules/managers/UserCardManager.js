@@ -303,6 +303,69 @@ class UserCardManager {
     }
   }
   
+  /**
+   * Merge fields into a user card, keeping everything else
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} fields - Fields to set (e.g. { optedOut: true })
+   * @returns {Promise<boolean>} - Success status
+   */
+  async mergeUserInfo(phoneNumber, fields) {
+    try {
+      const cleanPhone = this.cleanPhoneNumber(phoneNumber);
+      const existingInfo = this.userCards.get(cleanPhone) || {};
+
+      return await this.setUserInfo(cleanPhone, { ...existingInfo, ...fields });
+    } catch (error) {
+      console.error(`[UserCardManager:${this.instanceId}] Error merging user info:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Normalize a customer tag (lowercase, no spaces)
+   * @param {string} tag - Tag
+   * @returns {string} - Normalized tag
+   */
+  normalizeTag(tag) {
+    return String(tag || "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, "-")
+      .replace(/[^a-z0-9_-]/g, "");
+  }
+  
+  /**
+   * Add a tag to a user card
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} tag - Tag
+   * @returns {Promise<string[]|null>} - Tags after the change, or null if the tag is invalid
+   */
+  async addTag(phoneNumber, tag) {
+    const key = this.normalizeTag(tag);
+    if (!key) return null;
+    
+    const tags = new Set(this.getUserInfo(phoneNumber)?.tags || []);
+    tags.add(key);
+    await this.mergeUserInfo(phoneNumber, { tags: [...tags] });
+    return [...tags];
+  }
+  
+  /**
+   * Remove a tag from a user card
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} tag - Tag
+   * @returns {Promise<string[]|null>} - Tags after the change, or null if the user has no card
+   */
+  async removeTag(phoneNumber, tag) {
+    const userInfo = this.getUserInfo(phoneNumber);
+    if (!userInfo) return null;
+    
+    const key = this.normalizeTag(tag);
+    const tags = (userInfo.tags || []).filter(existing => existing !== key);
+    await this.mergeUserInfo(phoneNumber, { tags });
+    return tags;
+  }
+  
   /**
    * Get the number of user cards
    * @returns {number} - Count of user cards
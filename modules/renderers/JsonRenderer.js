@@ -0,0 +1,77 @@
+// modules/renderers/JsonRenderer.js
+const TranscriptRenderer = require("./TranscriptRenderer");
+
+// Bump when fields are renamed or removed (adding fields keeps the version)
+const SCHEMA_VERSION = 1;
+
+/**
+ * Machine-readable transcript with a stable schema for compliance/CRM tooling
+ */
+class JsonRenderer extends TranscriptRenderer {
+  constructor() {
+    super({
+      format: "json",
+      label: "JSON",
+      extension: "json",
+      description: "Stable schema with message IDs, authors, direction and attachments",
+    });
+  }
+
+  /**
+   * Render a session as JSON
+   * @param {Object} session - Session record
+   * @returns {Promise<string>}
+   */
+  async render(session) {
+    const iso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+    const transcript = {
+      schema: "whatsapp-discord-bridge/transcript",
+      schemaVersion: SCHEMA_VERSION,
+      instanceId: session.instanceId,
+      ticket: {
+        id: session.ticketId,
+        channelName: session.channelName,
+        priority: session.priority || null,
+        tags: session.tags || [],
+      },
+      session: {
+        id: session.sessionId,
+        savedAt: iso(session.savedAt),
+        complete: session.complete,
+        messageCount: session.messages.length,
+      },
+      customer: {
+        name: session.username,
+        phoneNumber: (session.phoneNumber || "").replace(/\D/g, "") || null,
+      },
+      messages: session.messages.map((message) => ({
+        id: message.id,
+        timestamp: iso(message.timestamp),
+        editedAt: iso(message.editedAt),
+        direction: this.getDirection(message),
+        author: {
+          id: message.author.id,
+          name: message.author.name,
+          role: message.role,
+          bot: message.author.bot,
+        },
+        content: message.content,
+        replyTo: message.replyTo ? { messageId: message.replyTo.messageId } : null,
+        attachments: message.attachments.map((attachment) => ({
+          name: attachment.name,
+          contentType: attachment.contentType,
+          size: attachment.size,
+          file: attachment.file,
+          url: attachment.url,
+        })),
+        embeds: message.embeds,
+        reactions: message.reactions,
+      })),
+    };
+
+    return JSON.stringify(transcript, null, 2);
+  }
+}
+
+module.exports = JsonRenderer;
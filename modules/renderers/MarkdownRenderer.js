@@ -0,0 +1,81 @@
+// modules/renderers/MarkdownRenderer.js
+const TranscriptRenderer = require("./TranscriptRenderer");
+
+/**
+ * Markdown transcript (readable on GitHub, wikis and most ticketing tools)
+ */
+class MarkdownRenderer extends TranscriptRenderer {
+  constructor() {
+    super({
+      format: "markdown",
+      label: "Markdown",
+      extension: "md",
+      description: "Readable in wikis and ticketing tools",
+    });
+  }
+
+  /**
+   * Render a session as Markdown
+   * @param {Object} session - Session record
+   * @returns {Promise<string>}
+   */
+  async render(session) {
+    const lines = [
+      `# Support Ticket Transcript: ${session.username}`,
+      "",
+      `- **WhatsApp:** ${(session.phoneNumber || "").replace(/\D/g, "")}`,
+      `- **Ticket:** #${session.channelName} (${session.ticketId})`,
+      `- **Instance:** ${session.instanceId}`,
+      ...this.describeTicket(session).map(([label, value]) => `- **${label}:** ${value}`),
+      `- **Saved:** ${this.formatTime(session.savedAt)}`,
+      "",
+    ];
+
+    if (!session.complete) {
+      lines.push(
+        `> ⚠️ This ticket was too long to archive completely; only the latest ${session.messages.length} messages are included.`,
+        ""
+      );
+    }
+
+    for (const message of session.messages) {
+      lines.push(`### ${message.author.name} · ${this.formatTime(message.timestamp)}`);
+
+      if (message.replyTo) {
+        lines.push(
+          message.replyTo.author
+            ? `> ↩️ *In reply to ${message.replyTo.author}:* ${message.replyTo.excerpt}`
+            : "> ↩️ *In reply to a message that is no longer available*",
+          ""
+        );
+      }
+      if (message.content) {
+        lines.push(message.content + (message.editedAt ? " *(edited)*" : ""));
+      }
+      for (const attachment of message.attachments) {
+        const link = `[${attachment.name}](${encodeURI(attachment.file || attachment.url)})`;
+        lines.push(
+          attachment.contentType.startsWith("image/") ? `!${link}` : `📎 ${link}`
+        );
+      }
+      for (const embed of message.embeds) {
+        if (embed.title) lines.push(`> **${embed.title}**`);
+        if (embed.description) {
+          lines.push(...embed.description.split("\n").map((line) => `> ${line}`));
+        }
+        for (const field of embed.fields) {
+          lines.push(`> **${field.name}:** ${field.value}`);
+        }
+      }
+      if (message.reactions.length > 0) {
+        lines.push("", message.reactions.map((r) => `${r.emoji} ${r.count}`).join(" · "));
+      }
+
+      lines.push("");
+    }
+
+    return lines.join("\n");
+  }
+}
+
+module.exports = MarkdownRenderer;
@@ -0,0 +1,154 @@
+// modules/renderers/PdfRenderer.js
+const fs = require("fs");
+const path = require("path");
+const { createCanvas, loadImage } = require("canvas");
+const TranscriptRenderer = require("./TranscriptRenderer");
+
+// A4 in PDF points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const LINE_HEIGHT = 15;
+const MAX_IMAGE_WIDTH = 300;
+const MAX_IMAGE_HEIGHT = 220;
+
+/**
+ * PDF transcript drawn with node-canvas (archived images are embedded)
+ */
+class PdfRenderer extends TranscriptRenderer {
+  constructor() {
+    super({
+      format: "pdf",
+      label: "PDF",
+      extension: "pdf",
+      description: "Printable document with embedded images",
+    });
+  }
+
+  /**
+   * Render a session as PDF
+   * @param {Object} session - Session record
+   * @param {Object} context - { userDir }
+   * @returns {Promise<Buffer>}
+   */
+  async render(session, context = {}) {
+    const canvas = createCanvas(PAGE_WIDTH, PAGE_HEIGHT, "pdf");
+    const ctx = canvas.getContext("2d");
+    const maxWidth = PAGE_WIDTH - MARGIN * 2;
+    let y = MARGIN;
+
+    const newPage = () => {
+      ctx.addPage(PAGE_WIDTH, PAGE_HEIGHT);
+      y = MARGIN;
+    };
+
+    const write = (text, { font = "11px sans-serif", color = "#333333", indent = 0 } = {}) => {
+      ctx.font = font;
+      ctx.fillStyle = color;
+
+      for (const line of this.wrapText(ctx, text, maxWidth - indent)) {
+        if (y + LINE_HEIGHT > PAGE_HEIGHT - MARGIN) newPage();
+        ctx.fillText(line, MARGIN + indent, y + LINE_HEIGHT - 4);
+        y += LINE_HEIGHT;
+      }
+    };
+
+    write("Support Ticket Transcript", { font: "bold 18px sans-serif", color: "#5865F2" });
+    y += 6;
+    write(`User: ${session.username}`);
+    write(`WhatsApp: ${(session.phoneNumber || "").replace(/\D/g, "")}`);
+    write(`Ticket: #${session.channelName} (${session.ticketId})`);
+    write(`Instance: ${session.instanceId}`);
+    for (const [label, value] of this.describeTicket(session)) {
+      write(`${label}: ${value}`);
+    }
+    write(`Saved: ${this.formatTime(session.savedAt)}`);
+    if (!session.complete) {
+      write(
+        `⚠️ Only the latest ${session.messages.length} messages are included.`,
+        { color: "#b36b00" }
+      );
+    }
+    y += LINE_HEIGHT;
+
+    for (const message of session.messages) {
+      write(`${message.author.name}  ·  ${this.formatTime(message.timestamp)}`, {
+        font: "bold 11px sans-serif",
+        color: message.role === "customer" ? "#128C7E" : "#5865F2",
+      });
+
+      if (message.content) {
+        write(message.content + (message.editedAt ? " (edited)" : ""), { indent: 10 });
+      }
+      for (const line of this.describeExtras(message)) {
+        write(line, { font: "10px sans-serif", color: "#666666", indent: 10 });
+      }
+
+      // Embed archived images below the message
+      for (const attachment of message.attachments) {
+        if (!attachment.file || !context.userDir || !attachment.contentType.startsWith("image/")) {
+          continue;
+        }
+
+        try {
+          const imagePath = path.join(context.userDir, attachment.file);
+          if (!fs.existsSync(imagePath)) continue;
+
+          const image = await loadImage(imagePath);
+          const scale = Math.min(1, MAX_IMAGE_WIDTH / image.width, MAX_IMAGE_HEIGHT / image.height);
+          const width = image.width * scale;
+          const height = image.height * scale;
+
+          if (y + height > PAGE_HEIGHT - MARGIN) newPage();
+          ctx.drawImage(image, MARGIN + 10, y + 4, width, height);
+          y += height + 8;
+        } catch (error) {
+          console.error(`[PdfRenderer] Could not embed ${attachment.name}:`, error.message);
+        }
+      }
+
+      y += LINE_HEIGHT / 2;
+    }
+
+    return canvas.toBuffer("application/pdf");
+  }
+
+  /**
+   * Split text into lines that fit the page width
+   * @param {Object} ctx - Canvas context (with the font set)
+   * @param {string} text - Text
+   * @param {number} maxWidth - Maximum line width
+   * @returns {string[]}
+   */
+  wrapText(ctx, text, maxWidth) {
+    const lines = [];
+
+    for (const paragraph of String(text).split("\n")) {
+      let line = "";
+
+      for (const word of paragraph.split(" ")) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width <= maxWidth || !line) {
+          line = candidate;
+        } else {
+          lines.push(line);
+          line = word;
+        }
+
+        // Break words longer than a whole line (e.g. URLs)
+        while (ctx.measureText(line).width > maxWidth && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && ctx.measureText(line.substring(0, cut)).width > maxWidth) cut--;
+          lines.push(line.substring(0, cut));
+          line = line.substring(cut);
+        }
+      }
+
+      lines.push(line);
+    }
+
+    return lines;
+  }
+}
+
+module.exports = PdfRenderer;
@@ -0,0 +1,65 @@
+// modules/renderers/RendererRegistry.js
+const JsonRenderer = require("./JsonRenderer");
+const MarkdownRenderer = require("./MarkdownRenderer");
+const TextRenderer = require("./TextRenderer");
+const PdfRenderer = require("./PdfRenderer");
+
+/**
+ * Registry of transcript export formats.
+ * "html" is the master transcript kept by TranscriptManager; every other
+ * format is rendered from the session record by a registered renderer.
+ */
+class RendererRegistry {
+  constructor() {
+    // format -> renderer
+    this.renderers = new Map();
+
+    this.register(new JsonRenderer());
+    this.register(new MarkdownRenderer());
+    this.register(new TextRenderer());
+    this.register(new PdfRenderer());
+  }
+
+  /**
+   * Register (or replace) a renderer
+   * @param {Object} renderer - TranscriptRenderer instance
+   */
+  register(renderer) {
+    this.renderers.set(renderer.format, renderer);
+  }
+
+  /**
+   * Get a renderer by format
+   * @param {string} format - Format key
+   * @returns {Object|null}
+   */
+  get(format) {
+    return this.renderers.get(format) || null;
+  }
+
+  /**
+   * All selectable formats, including the HTML master transcript
+   * @returns {Array<Object>} - { format, label, description }
+   */
+  getFormats() {
+    return [
+      { format: "html", label: "HTML", description: "Master transcript with every past session" },
+      ...[...this.renderers.values()].map((renderer) => ({
+        format: renderer.format,
+        label: renderer.label,
+        description: renderer.description,
+      })),
+    ];
+  }
+
+  /**
+   * Check whether a format can be selected
+   * @param {string} format - Format key
+   * @returns {boolean}
+   */
+  isValidFormat(format) {
+    return format === "html" || this.renderers.has(format);
+  }
+}
+
+module.exports = new RendererRegistry();
@@ -0,0 +1,53 @@
+// modules/renderers/TextRenderer.js
+const TranscriptRenderer = require("./TranscriptRenderer");
+
+/**
+ * Plain text transcript
+ */
+class TextRenderer extends TranscriptRenderer {
+  constructor() {
+    super({
+      format: "text",
+      label: "Plain text",
+      extension: "txt",
+      description: "One message per block, no formatting",
+    });
+  }
+
+  /**
+   * Render a session as plain text
+   * @param {Object} session - Session record
+   * @returns {Promise<string>}
+   */
+  async render(session) {
+    const lines = [
+      "SUPPORT TICKET TRANSCRIPT",
+      `User: ${session.username}`,
+      `WhatsApp: ${(session.phoneNumber || "").replace(/\D/g, "")}`,
+      `Ticket: #${session.channelName} (${session.ticketId})`,
+      `Instance: ${session.instanceId}`,
+      ...this.describeTicket(session).map(([label, value]) => `${label}: ${value}`),
+      `Saved: ${this.formatTime(session.savedAt)}`,
+      "",
+    ];
+
+    if (!session.complete) {
+      lines.push(
+        `WARNING: only the latest ${session.messages.length} messages are included.`,
+        ""
+      );
+    }
+
+    for (const message of session.messages) {
+      lines.push(`[${this.formatTime(message.timestamp)}] ${message.author.name}:`);
+      if (message.content) {
+        lines.push(message.content + (message.editedAt ? " (edited)" : ""));
+      }
+      lines.push(...this.describeExtras(message), "");
+    }
+
+    return lines.join("\n");
+  }
+}
+
+module.exports = TextRenderer;
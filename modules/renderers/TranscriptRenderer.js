@@ -0,0 +1,115 @@
+// modules/renderers/TranscriptRenderer.js
+const TicketPriority = require("../../utils/TicketPriority");
+
+/**
+ * Base class for transcript export formats.
+ * Renderers turn a session record (see TranscriptManager.buildSessionRecord)
+ * into a file posted alongside the HTML transcript.
+ */
+class TranscriptRenderer {
+  /**
+   * Create a new renderer
+   * @param {Object} options - Renderer options
+   * @param {string} options.format - Format key stored in settings (e.g. "json")
+   * @param {string} options.label - Name shown in /edit-messages
+   * @param {string} options.extension - File extension without the dot
+   * @param {string} [options.description] - Short description for the format picker
+   */
+  constructor(options) {
+    this.format = options.format;
+    this.label = options.label;
+    this.extension = options.extension;
+    this.description = options.description || "";
+  }
+
+  /**
+   * Render a session
+   * @param {Object} session - Session record
+   * @param {Object} context - { userDir } (directory archived media paths are relative to)
+   * @returns {Promise<Buffer|string>} - File content
+   */
+  async render(session, context = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Direction of a message relative to the customer
+   * @param {Object} message - Message record
+   * @returns {string} - "inbound" (from the customer), "outbound" (from staff) or "system"
+   */
+  getDirection(message) {
+    if (message.role === "customer") return "inbound";
+    if (message.role === "agent") return "outbound";
+    return "system";
+  }
+
+  /**
+   * Format a timestamp for human-readable outputs
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {string}
+   */
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString();
+  }
+
+  /**
+   * Priority and tags of the ticket, as "Priority: High" / "Tags: #vip #refund"
+   * @param {Object} session - Session record
+   * @returns {string[]} - Label/value pairs, empty for sessions saved without them
+   */
+  describeTicket(session) {
+    const details = [];
+    if (session.priority) {
+      details.push(["Priority", TicketPriority.get(session.priority).label]);
+    }
+    if (session.tags?.length > 0) {
+      details.push(["Tags", session.tags.map((tag) => `#${tag}`).join(" ")]);
+    }
+    return details;
+  }
+
+  /**
+   * Describe an attachment in one line
+   * @param {Object} attachment - Attachment record
+   * @returns {string}
+   */
+  describeAttachment(attachment) {
+    const location = attachment.file || attachment.url;
+    return `${attachment.name} (${attachment.contentType}) ${location}`;
+  }
+
+  /**
+   * Plain-text lines for a message's reply, attachments, embeds and reactions
+   * @param {Object} message - Message record
+   * @returns {string[]}
+   */
+  describeExtras(message) {
+    const lines = [];
+
+    if (message.replyTo) {
+      lines.push(
+        message.replyTo.author
+          ? `↩️ In reply to ${message.replyTo.author}: ${message.replyTo.excerpt}`
+          : "↩️ In reply to a message that is no longer available"
+      );
+    }
+    for (const attachment of message.attachments) {
+      lines.push(`📎 ${this.describeAttachment(attachment)}`);
+    }
+    for (const embed of message.embeds) {
+      lines.push(`[Embed] ${[embed.title, embed.description].filter(Boolean).join(" - ")}`);
+      for (const field of embed.fields) {
+        lines.push(`  ${field.name}: ${field.value}`);
+      }
+    }
+    if (message.reactions.length > 0) {
+      lines.push(
+        `Reactions: ${message.reactions.map((r) => `${r.emoji} ${r.count}`).join("  ")}`
+      );
+    }
+
+    return lines;
+  }
+}
+
+module.exports = TranscriptRenderer;
@@ -0,0 +1,63 @@
+// modules/speech/SpeechBackend.js
+const { execFile } = require("child_process");
+
+/**
+ * Base class for speech-to-text engines.
+ * Backends receive a 16 kHz mono WAV file and return the recognized text.
+ */
+class SpeechBackend {
+  /**
+   * Create a new backend
+   * @param {Object} options - Backend options
+   * @param {string} options.name - Backend key (STT_BACKEND)
+   * @param {string} options.defaultBinary - Binary used when no path is configured
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.defaultBinary = options.defaultBinary;
+  }
+
+  /**
+   * Transcribe a WAV file
+   * @param {string} wavPath - Path to 16 kHz mono WAV
+   * @param {Object} config - { binaryPath, modelPath, language, timeoutSeconds }
+   * @returns {Promise<string>} - Recognized text
+   */
+  async transcribe(wavPath, config) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Run the engine binary and collect its output
+   * @param {Object} config - Speech config
+   * @param {string[]} args - Arguments
+   * @returns {Promise<string>} - stdout
+   */
+  run(config, args) {
+    const binary = config.binaryPath || this.defaultBinary;
+
+    return new Promise((resolve, reject) => {
+      execFile(
+        binary,
+        args,
+        {
+          timeout: (config.timeoutSeconds || 120) * 1000,
+          maxBuffer: 10 * 1024 * 1024,
+        },
+        (error, stdout, stderr) => {
+          if (error) {
+            error.message = `${this.name} failed: ${error.message}${
+              stderr ? `\n${stderr.toString().slice(-500)}` : ""
+            }`;
+            reject(error);
+            return;
+          }
+
+          resolve(stdout.toString());
+        }
+      );
+    });
+  }
+}
+
+module.exports = SpeechBackend;
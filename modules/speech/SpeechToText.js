@@ -0,0 +1,107 @@
+// modules/speech/SpeechToText.js
+const fs = require("fs");
+const mediaConverter = require("../managers/MediaConverter");
+const WhisperCppBackend = require("./WhisperCppBackend");
+const VoskBackend = require("./VoskBackend");
+
+// name -> backend
+const backends = new Map();
+
+/**
+ * Optional speech-to-text for incoming voice notes.
+ * The engine runs locally; which one is a host setting (environment):
+ *   STT_BACKEND          whisper.cpp (default) or vosk
+ *   STT_BINARY_PATH      path to the engine binary
+ *   STT_MODEL_PATH       path to the model
+ *   STT_LANGUAGE         language code, or "auto" (default)
+ *   STT_TIMEOUT_SECONDS  per voice note (default 120)
+ * Each instance switches it on with the voiceTranscription setting.
+ */
+class SpeechToText {
+  /**
+   * Register (or replace) a speech backend
+   * @param {Object} backend - SpeechBackend instance
+   */
+  static registerBackend(backend) {
+    backends.set(backend.name, backend);
+  }
+
+  /**
+   * Create speech-to-text for an instance
+   * @param {Object} options - Options
+   * @param {string} options.instanceId - Instance ID
+   * @param {string} options.tempDir - Directory for converted audio
+   */
+  constructor(options = {}) {
+    this.instanceId = options.instanceId || "default";
+    this.tempDir = options.tempDir;
+    this.enabled = false;
+
+    this.config = {
+      backend: process.env.STT_BACKEND || "whisper.cpp",
+      binaryPath: process.env.STT_BINARY_PATH || null,
+      modelPath: process.env.STT_MODEL_PATH || null,
+      language: process.env.STT_LANGUAGE || "auto",
+      timeoutSeconds: parseInt(process.env.STT_TIMEOUT_SECONDS, 10) || 120,
+    };
+
+    // Recognition is CPU heavy, so voice notes are transcribed one at a time
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Get the configured backend
+   * @returns {Object|null}
+   */
+  getBackend() {
+    return backends.get(this.config.backend) || null;
+  }
+
+  /**
+   * Whether voice notes should be transcribed
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.enabled && !!this.getBackend();
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} audioPath - Path to the audio (any format ffmpeg reads)
+   * @returns {Promise<string|null>} - Text, or null if nothing was recognized
+   */
+  async transcribe(audioPath) {
+    const backend = this.getBackend();
+    if (!backend) {
+      throw new Error(`Unknown speech backend "${this.config.backend}"`);
+    }
+
+    // Convert right away; the original temp file is cleaned up by the caller
+    const wavPath = await mediaConverter.convertToWav(audioPath, {
+      outputDir: this.tempDir,
+    });
+
+    const job = this.queue.then(async () => {
+      try {
+        const startedAt = Date.now();
+        const text = (await backend.transcribe(wavPath, this.config)).trim();
+
+        console.log(
+          `[SpeechToText:${this.instanceId}] ${backend.name} transcribed ${audioPath} in ${Date.now() - startedAt}ms`
+        );
+        return text || null;
+      } finally {
+        mediaConverter.cleanup(wavPath);
+      }
+    });
+
+    // Keep the queue going after a failed job
+    this.queue = job.catch(() => {});
+    return job;
+  }
+}
+
+SpeechToText.registerBackend(new WhisperCppBackend());
+SpeechToText.registerBackend(new VoskBackend());
+
+module.exports = SpeechToText;
@@ -0,0 +1,37 @@
+// modules/speech/VoskBackend.js
+const SpeechBackend = require("./SpeechBackend");
+
+/**
+ * Offline transcription with Vosk's vosk-transcriber CLI (pip install vosk)
+ * STT_MODEL_PATH points at an unpacked Vosk model; without it the model for
+ * STT_LANGUAGE is downloaded on first use.
+ */
+class VoskBackend extends SpeechBackend {
+  constructor() {
+    super({
+      name: "vosk",
+      defaultBinary: "vosk-transcriber",
+    });
+  }
+
+  /**
+   * Transcribe a WAV file
+   * @param {string} wavPath - Path to 16 kHz mono WAV
+   * @param {Object} config - { binaryPath, modelPath, language, timeoutSeconds }
+   * @returns {Promise<string>} - Recognized text
+   */
+  async transcribe(wavPath, config) {
+    const args = ["-i", wavPath, "-t", "txt"];
+
+    if (config.modelPath) {
+      args.push("-m", config.modelPath);
+    } else if (config.language && config.language !== "auto") {
+      args.push("-l", config.language);
+    }
+
+    const output = await this.run(config, args);
+    return output.replace(/\s+/g, " ").trim();
+  }
+}
+
+module.exports = VoskBackend;
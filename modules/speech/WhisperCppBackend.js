@@ -0,0 +1,44 @@
+// modules/speech/WhisperCppBackend.js
+const SpeechBackend = require("./SpeechBackend");
+
+/**
+ * Offline transcription with whisper.cpp (https://github.com/ggerganov/whisper.cpp)
+ * STT_BINARY_PATH points at whisper-cli (or the older "main"), STT_MODEL_PATH at a ggml model.
+ */
+class WhisperCppBackend extends SpeechBackend {
+  constructor() {
+    super({
+      name: "whisper.cpp",
+      defaultBinary: "whisper-cli",
+    });
+  }
+
+  /**
+   * Transcribe a WAV file
+   * @param {string} wavPath - Path to 16 kHz mono WAV
+   * @param {Object} config - { binaryPath, modelPath, language, timeoutSeconds }
+   * @returns {Promise<string>} - Recognized text
+   */
+  async transcribe(wavPath, config) {
+    if (!config.modelPath) {
+      throw new Error("whisper.cpp needs a model (set STT_MODEL_PATH)");
+    }
+
+    const output = await this.run(config, [
+      "-m", config.modelPath,
+      "-f", wavPath,
+      "-l", config.language || "auto",
+      "--no-timestamps",
+      "--no-prints",
+    ]);
+
+    return output
+      .split("\n")
+      .map((line) => line.trim())
+      // Silence comes back as markers like [BLANK_AUDIO]
+      .filter((line) => line && !/^\[[A-Z _]+\]$/.test(line))
+      .join(" ");
+  }
+}
+
+module.exports = WhisperCppBackend;
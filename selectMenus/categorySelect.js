@@ -26,6 +26,21 @@ class CategorySelectMenu extends SelectMenu {
         return;
       }
       
+      // Each WhatsApp number needs its own ticket category
+      const setupInstanceId = global.setupStorage.getSetupParams(guildId)?.instanceId || guildId;
+      const InstanceManager = require('../core/InstanceManager');
+      const categoryOwner = Object.entries(InstanceManager.configs || {}).find(
+        ([id, config]) => String(config.categoryId) === categoryId && id !== setupInstanceId
+      );
+
+      if (categoryOwner) {
+        await InteractionTracker.safeReply(interaction, {
+          content: "❌ That category is already used by another WhatsApp number. Please pick a different one.",
+          ephemeral: true
+        });
+        return;
+      }
+
       // Save to setup storage
       global.setupStorage.saveSetupParams(guildId, {
         guildId: guildId,
@@ -20,6 +20,16 @@ class EditCategorySelectMenu extends SelectMenu {
       // Get the selected category ID
       const newCategoryId = interaction.values[0];
       
+      // Each WhatsApp number needs its own ticket category
+      const categoryOwner = interaction.client._instanceRoutes?.get(newCategoryId)?.instance;
+      if (instance && categoryOwner && categoryOwner.instanceId !== instance.instanceId) {
+        await interaction.followUp({
+          content: "❌ That category is already used by another WhatsApp number. Please pick a different one.",
+          ephemeral: true
+        });
+        return;
+      }
+      
       // Update instance directly
       if (instance) {
         const oldCategoryId = instance.categoryId;
@@ -60,6 +70,12 @@ class EditCategorySelectMenu extends SelectMenu {
               configs[instance.instanceId].categoryId = newCategoryId;
               fs.writeFileSync(configPath, JSON.stringify(configs, null, 2), 'utf8');
             }
+            
+            // Keep the in-memory copy in sync so the next save doesn't revert it
+            const InstanceManager = require('../core/InstanceManager');
+            if (InstanceManager.configs?.[instance.instanceId]) {
+              InstanceManager.configs[instance.instanceId].categoryId = newCategoryId;
+            }
           } catch (configError) {
             console.error(`[EditCategorySelect] Error updating config file:`, configError);
           }
@@ -0,0 +1,57 @@
+// selectMenus/instanceSelect.js
+const SelectMenu = require('../templates/SelectMenu');
+const InteractionTracker = require('../utils/InteractionTracker');
+const InstanceSelector = require('../utils/InstanceSelector');
+
+class InstanceSelectMenu extends SelectMenu {
+  constructor() {
+    super({
+      regex: /^instance_select:/
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction);
+
+      const commandName = interaction.customId.split(':')[1];
+      const instanceId = interaction.values[0];
+
+      const selected = InstanceSelector.getGuildInstances(interaction.guildId)
+        .find(inst => inst.instanceId === instanceId);
+
+      if (!selected) {
+        await InteractionTracker.safeEdit(interaction, {
+          content: "❌ That WhatsApp number is no longer configured. Run the command again.",
+          components: []
+        });
+        return;
+      }
+
+      // Follow-up buttons and forms of this command act on the picked number
+      InstanceSelector.remember(interaction, selected.instanceId);
+
+      const ModuleLoader = require('../core/ModuleLoader');
+      const command = interaction.client.commands?.get(commandName) || ModuleLoader.getCommand(commandName);
+
+      if (!command || typeof command.execute !== 'function') {
+        await InteractionTracker.safeEdit(interaction, {
+          content: `❌ Unknown command: ${commandName}`,
+          components: []
+        });
+        return;
+      }
+
+      console.log(`[InstanceSelect] Running /${commandName} for instance ${selected.instanceId}`);
+      await command.execute(interaction, selected);
+    } catch (error) {
+      console.error("Error handling instance selection:", error);
+      await InteractionTracker.safeEdit(interaction, {
+        content: `❌ Error: ${error.message}`,
+        components: []
+      });
+    }
+  }
+}
+
+module.exports = new InstanceSelectMenu();
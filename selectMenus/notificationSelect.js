@@ -0,0 +1,60 @@
+// selectMenus/notificationSelect.js
+const SelectMenu = require('../templates/SelectMenu');
+const NotificationManager = require('../modules/managers/NotificationManager');
+const EditNotificationsCategory = require('../buttons/editMessages/categories/editNotificationsCategory');
+
+// Select menu -> notification setting it changes
+const SETTING_KEYS = {
+  notify_role_select: 'roleId',
+  notify_user_select: 'userId',
+  notify_feed_select: 'feedChannelId'
+};
+
+class NotificationSelectMenu extends SelectMenu {
+  constructor() {
+    super({
+      regex: /^notify_(role|user|feed)_select$/
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await interaction.deferUpdate().catch(err => {
+        console.error(`[NotificationSelect] Error deferring update:`, err);
+      });
+
+      if (!instance) {
+        await interaction.editReply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+
+      const key = SETTING_KEYS[interaction.customId];
+      const notifications = {
+        ...NotificationManager.getDefaults(),
+        ...(instance.customSettings?.notifications || {}),
+        [key]: interaction.values[0] || null
+      };
+
+      await instance.saveSettings({ notifications });
+      console.log(`[NotificationSelect] Set ${key} to ${notifications[key] || 'none'} for ${instance.instanceId}`);
+
+      await interaction.editReply(EditNotificationsCategory.buildView(instance));
+    } catch (error) {
+      console.error("[NotificationSelect] Error updating notification settings:", error);
+
+      try {
+        await interaction.editReply({
+          content: `❌ Error: ${error.message}`,
+          components: []
+        });
+      } catch (replyError) {
+        console.error("[NotificationSelect] Error sending error message:", replyError);
+      }
+    }
+  }
+}
+
+module.exports = new NotificationSelectMenu();
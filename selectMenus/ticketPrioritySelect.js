@@ -0,0 +1,50 @@
+// selectMenus/ticketPrioritySelect.js
+const SelectMenu = require('../templates/SelectMenu');
+const InteractionTracker = require('../utils/InteractionTracker');
+const TicketPriority = require('../utils/TicketPriority');
+
+class TicketPrioritySelectMenu extends SelectMenu {
+  constructor() {
+    super({
+      customId: 'ticket_priority_select'
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction);
+
+      const ticketManager = instance?.managers?.ticketManager;
+      const channelManager = instance?.managers?.channelManager;
+
+      if (!ticketManager || !channelManager?.getPhoneNumberByChannelId(interaction.channelId)) {
+        await interaction.followUp({
+          content: "❌ This is no longer an active WhatsApp ticket.",
+          ephemeral: true
+        });
+        return;
+      }
+
+      const priority = interaction.values[0];
+      const previous = ticketManager.getTicketMeta(interaction.channelId).priority;
+      if (priority === previous) {
+        return;
+      }
+
+      await ticketManager.updateTicketMeta(interaction.channelId, { priority }, interaction.member);
+
+      await interaction.channel.send({
+        content: `${TicketPriority.get(priority).emoji} Priority set to **${TicketPriority.get(priority).label}** by <@${interaction.user.id}>.`,
+        allowedMentions: { parse: [] }
+      });
+    } catch (error) {
+      console.error("Error setting ticket priority:", error);
+      await interaction.followUp({
+        content: `❌ Error: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+}
+
+module.exports = new TicketPrioritySelectMenu();
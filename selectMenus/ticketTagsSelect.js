@@ -0,0 +1,56 @@
+// selectMenus/ticketTagsSelect.js
+const SelectMenu = require('../templates/SelectMenu');
+const InteractionTracker = require('../utils/InteractionTracker');
+
+class TicketTagsSelectMenu extends SelectMenu {
+  constructor() {
+    super({
+      customId: 'ticket_tags_select'
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await InteractionTracker.safeDefer(interaction);
+
+      const ticketManager = instance?.managers?.ticketManager;
+      const channelManager = instance?.managers?.channelManager;
+
+      if (!ticketManager || !channelManager?.getPhoneNumberByChannelId(interaction.channelId)) {
+        await interaction.followUp({
+          content: "❌ This is no longer an active WhatsApp ticket.",
+          ephemeral: true
+        });
+        return;
+      }
+
+      const previous = ticketManager.getTicketMeta(interaction.channelId).tags;
+      const tags = interaction.values;
+
+      const added = tags.filter(tag => !previous.includes(tag));
+      const removed = previous.filter(tag => !tags.includes(tag));
+      if (added.length === 0 && removed.length === 0) {
+        return;
+      }
+
+      await ticketManager.updateTicketMeta(interaction.channelId, { tags }, interaction.member);
+
+      const changes = [
+        ...added.map(tag => `+\`#${tag}\``),
+        ...removed.map(tag => `-\`#${tag}\``)
+      ];
+      await interaction.channel.send({
+        content: `🏷️ Tags updated by <@${interaction.user.id}>: ${changes.join(' ')}`,
+        allowedMentions: { parse: [] }
+      });
+    } catch (error) {
+      console.error("Error setting ticket tags:", error);
+      await interaction.followUp({
+        content: `❌ Error: ${error.message}`,
+        ephemeral: true
+      }).catch(() => {});
+    }
+  }
+}
+
+module.exports = new TicketTagsSelectMenu();
@@ -0,0 +1,52 @@
+// selectMenus/transcriptFormatsSelect.js
+const SelectMenu = require('../templates/SelectMenu');
+const RendererRegistry = require('../modules/renderers/RendererRegistry');
+const EditTranscriptCategory = require('../buttons/editMessages/categories/editTranscriptCategory');
+
+class TranscriptFormatsSelectMenu extends SelectMenu {
+  constructor() {
+    super({
+      customId: 'transcript_formats_select'
+    });
+  }
+
+  async execute(interaction, instance) {
+    try {
+      await interaction.deferUpdate().catch(err => {
+        console.error(`[TranscriptFormatsSelect] Error deferring update:`, err);
+      });
+
+      if (!instance) {
+        await interaction.editReply({
+          content: '❌ Could not find WhatsApp configuration. Please run `/setup` first.',
+          components: []
+        });
+        return;
+      }
+
+      const formats = interaction.values.filter(format => RendererRegistry.isValidFormat(format));
+      if (formats.length === 0) {
+        formats.push('html');
+      }
+
+      console.log(`[TranscriptFormatsSelect] Setting transcript formats to ${formats.join(', ')}`);
+
+      await instance.saveSettings({ transcriptFormats: formats });
+
+      await interaction.editReply(EditTranscriptCategory.buildView(instance));
+    } catch (error) {
+      console.error(`[TranscriptFormatsSelect] Error saving transcript formats:`, error);
+
+      try {
+        await interaction.editReply({
+          content: `❌ Error: ${error.message}`,
+          components: []
+        });
+      } catch (replyError) {
+        console.error(`[TranscriptFormatsSelect] Error sending error message:`, replyError);
+      }
+    }
+  }
+}
+
+module.exports = new TranscriptFormatsSelectMenu();
@@ -10,12 +10,14 @@ class Command {
    * @param {string} options.name - Command name
    * @param {string} options.description - Command description
    * @param {Array} [options.options] - Command options
+   * @param {Array} [options.subcommands] - Subcommands ({ name, description, options })
    * @param {Object} [options.permissions] - Command permissions
    */
   constructor(options) {
     this.name = options.name;
     this.description = options.description;
     this.options = options.options || [];
+    this.subcommands = options.subcommands || [];
     this.permissions = options.permissions || null;
     
     // Build command data
@@ -30,60 +32,85 @@ class Command {
       }
     }
     
+    // Add subcommands if any
+    if (this.subcommands && Array.isArray(this.subcommands)) {
+      for (const subcommand of this.subcommands) {
+        this.addSubcommand(subcommand);
+      }
+    }
+    
     // Set permissions if any
     if (this.permissions) {
       this.data.setDefaultMemberPermissions(this.permissions);
     }
   }
   
+  /**
+   * Add a subcommand to the command
+   * @param {Object} subcommand - Subcommand data
+   */
+  addSubcommand(subcommand) {
+    this.data.addSubcommand(sub => {
+      sub.setName(subcommand.name)
+         .setDescription(subcommand.description);
+      
+      for (const option of subcommand.options || []) {
+        this.addOption(option, sub);
+      }
+      
+      return sub;
+    });
+  }
+  
   /**
    * Add an option to the command
    * @param {Object} option - Option data
+   * @param {Object} [builder] - Builder to add to (defaults to the command itself)
    */
-  addOption(option) {
+  addOption(option, builder = this.data) {
     switch (option.type) {
       case 'string':
-        this.data.addStringOption(opt => 
+        builder.addStringOption(opt => 
           this.configureOption(opt, option)
         );
         break;
       case 'integer':
-        this.data.addIntegerOption(opt => 
+        builder.addIntegerOption(opt => 
           this.configureOption(opt, option)
         );
         break;
       case 'number':
-        this.data.addNumberOption(opt => 
+        builder.addNumberOption(opt => 
           this.configureOption(opt, option)
         );
         break;
       case 'boolean':
-        this.data.addBooleanOption(opt => 
+        builder.addBooleanOption(opt => 
           this.configureOption(opt, option)
         );
         break;
       case 'user':
-        this.data.addUserOption(opt => 
+        builder.addUserOption(opt => 
           this.configureOption(opt, option)
         );
         break;
       case 'channel':
-        this.data.addChannelOption(opt => 
+        builder.addChannelOption(opt => 
           this.configureOption(opt, option)
         );
         break;
       case 'role':
-        this.data.addRoleOption(opt => 
+        builder.addRoleOption(opt => 
           this.configureOption(opt, option)
         );
         break;
       case 'mentionable':
-        this.data.addMentionableOption(opt => 
+        builder.addMentionableOption(opt => 
           this.configureOption(opt, option)
         );
         break;
       case 'attachment':
-        this.data.addAttachmentOption(opt => 
+        builder.addAttachmentOption(opt => 
           this.configureOption(opt, option)
         );
         break;
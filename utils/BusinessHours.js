@@ -0,0 +1,288 @@
+// utils/BusinessHours.js - Weekly opening hours with timezone and holidays
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = {
+  sun: 'Sunday',
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday'
+};
+
+/**
+ * Helpers for the per-instance business hours schedule.
+ *
+ * Settings shape (customSettings.businessHours):
+ * {
+ *   enabled: boolean,
+ *   timezone: 'Europe/London',
+ *   schedule: { mon: [{ open: '09:00', close: '17:00' }], ... },
+ *   holidays: ['2026-12-25'],
+ *   noticeCooldownMinutes: 60
+ * }
+ */
+class BusinessHours {
+  /**
+   * Default business hours settings (disabled, Mon-Fri 09:00-17:00 UTC)
+   * @returns {Object} - Default settings
+   */
+  static getDefaults() {
+    const weekday = [{ open: '09:00', close: '17:00' }];
+    return {
+      enabled: false,
+      timezone: 'UTC',
+      schedule: {
+        mon: weekday,
+        tue: weekday,
+        wed: weekday,
+        thu: weekday,
+        fri: weekday,
+        sat: [],
+        sun: []
+      },
+      holidays: [],
+      noticeCooldownMinutes: 60
+    };
+  }
+
+  /**
+   * Check whether a timezone name is valid
+   * @param {string} timezone - IANA timezone (e.g. Europe/London)
+   * @returns {boolean}
+   */
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get weekday, date and minutes-since-midnight of a moment in a timezone
+   * @param {Date} date - Moment in time
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} - { day: 'mon', date: 'YYYY-MM-DD', minutes }
+   */
+  static getLocalParts(date, timezone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || 'UTC',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+
+    for (const part of formatter.formatToParts(date)) {
+      parts[part.type] = part.value;
+    }
+
+    return {
+      day: parts.weekday.toLowerCase().substring(0, 3),
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+  }
+
+  /**
+   * Convert "HH:MM" to minutes since midnight
+   * @param {string} time - Time string
+   * @returns {number}
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(n => parseInt(n, 10));
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to a timestamp
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM
+   * @param {string} timezone - IANA timezone
+   * @returns {number} - Milliseconds since the epoch
+   */
+  static toTimestamp(date, time, timezone) {
+    const [year, month, day] = date.split('-').map(n => parseInt(n, 10));
+    const wallClock = Date.UTC(year, month - 1, day) + this.toMinutes(time) * 60000;
+
+    // Shift by the zone's offset, then once more in case that crossed a DST change
+    let timestamp = wallClock;
+    for (let i = 0; i < 2; i++) {
+      const local = this.getLocalParts(new Date(timestamp), timezone);
+      const localAsUtc = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000;
+      timestamp = wallClock - (localAsUtc - timestamp);
+    }
+    return timestamp;
+  }
+
+  /**
+   * Check whether the business is open at a given moment
+   * @param {Object} config - Business hours settings
+   * @param {Date} [date] - Moment to check (defaults to now)
+   * @returns {boolean} - True when open, or when business hours are disabled
+   */
+  static isOpen(config, date = new Date()) {
+    if (!config || !config.enabled) return true;
+
+    const local = this.getLocalParts(date, config.timezone);
+    if ((config.holidays || []).includes(local.date)) return false;
+
+    const intervals = config.schedule?.[local.day] || [];
+    return intervals.some(interval =>
+      local.minutes >= this.toMinutes(interval.open) &&
+      local.minutes < this.toMinutes(interval.close)
+    );
+  }
+
+  /**
+   * Find the next opening time
+   * @param {Object} config - Business hours settings
+   * @param {Date} [date] - Moment to search from (defaults to now)
+   * @returns {Object|null} - { dayOffset, day, date, time } or null if never open in the next two weeks
+   */
+  static getNextOpen(config, date = new Date()) {
+    if (!config) return null;
+
+    for (let offset = 0; offset <= 14; offset++) {
+      const local = this.getLocalParts(
+        new Date(date.getTime() + offset * 24 * 60 * 60 * 1000),
+        config.timezone
+      );
+      if ((config.holidays || []).includes(local.date)) continue;
+
+      const intervals = [...(config.schedule?.[local.day] || [])]
+        .sort((a, b) => this.toMinutes(a.open) - this.toMinutes(b.open));
+
+      for (const interval of intervals) {
+        if (offset === 0 && this.toMinutes(interval.open) <= local.minutes) continue;
+
+        return { dayOffset: offset, day: local.day, date: local.date, time: interval.open };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe the next opening time for customers (e.g. "tomorrow at 09:00 (Europe/London)")
+   * @param {Object} config - Business hours settings
+   * @param {Date} [date] - Moment to search from (defaults to now)
+   * @returns {string}
+   */
+  static formatNextOpen(config, date = new Date()) {
+    const next = this.getNextOpen(config, date);
+    if (!next) return 'soon';
+
+    let label;
+    if (next.dayOffset === 0) {
+      label = 'today';
+    } else if (next.dayOffset === 1) {
+      label = 'tomorrow';
+    } else {
+      label = `on ${DAY_NAMES[next.day]} ${next.date}`;
+    }
+
+    return `${label} at ${next.time} (${config.timezone || 'UTC'})`;
+  }
+
+  /**
+   * Parse a schedule written one rule per line, e.g.
+   *   mon-fri 09:00-17:00
+   *   sat 10:00-13:00, 14:00-16:00
+   *   sun closed
+   * @param {string} text - Schedule text
+   * @returns {Object} - Schedule keyed by day
+   * @throws {Error} - When a line can't be parsed
+   */
+  static parseSchedule(text) {
+    const schedule = { sun: [], mon: [], tue: [], wed: [], thu: [], fri: [], sat: [] };
+
+    for (const rawLine of (text || '').split('\n')) {
+      const line = rawLine.trim().toLowerCase();
+      if (!line) continue;
+
+      const match = line.match(/^([a-z]{3})(?:\s*-\s*([a-z]{3}))?\s+(.+)$/);
+      if (!match || !DAYS.includes(match[1]) || (match[2] && !DAYS.includes(match[2]))) {
+        throw new Error(`Invalid schedule line "${rawLine.trim()}"`);
+      }
+
+      // Expand day ranges, wrapping around the week (e.g. fri-mon)
+      const days = [];
+      const start = DAYS.indexOf(match[1]);
+      const end = match[2] ? DAYS.indexOf(match[2]) : start;
+      for (let i = start; ; i = (i + 1) % 7) {
+        days.push(DAYS[i]);
+        if (i === end) break;
+      }
+
+      let intervals = [];
+      if (match[3].trim() !== 'closed') {
+        intervals = match[3].split(',').map(range => {
+          const times = range.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+          if (!times) {
+            throw new Error(`Invalid time range "${range.trim()}"`);
+          }
+
+          const open = `${times[1].padStart(2, '0')}:${times[2]}`;
+          const close = `${times[3].padStart(2, '0')}:${times[4]}`;
+          if (this.toMinutes(open) >= this.toMinutes(close) || this.toMinutes(close) > 24 * 60) {
+            throw new Error(`Invalid time range "${range.trim()}" (split ranges that cross midnight)`);
+          }
+
+          return { open, close };
+        });
+      }
+
+      for (const day of days) {
+        schedule[day] = intervals;
+      }
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Format a schedule back into the editable text form
+   * @param {Object} schedule - Schedule keyed by day
+   * @returns {string}
+   */
+  static formatSchedule(schedule) {
+    return ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+      .map(day => {
+        const intervals = schedule?.[day] || [];
+        const hours = intervals.length > 0
+          ? intervals.map(i => `${i.open}-${i.close}`).join(', ')
+          : 'closed';
+        return `${day} ${hours}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Parse holiday dates (YYYY-MM-DD), separated by commas or new lines
+   * @param {string} text - Holiday text
+   * @returns {string[]}
+   * @throws {Error} - When a date is invalid
+   */
+  static parseHolidays(text) {
+    return (text || '')
+      .split(/[\n,]/)
+      .map(d => d.trim())
+      .filter(Boolean)
+      .map(d => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(d) || isNaN(new Date(`${d}T00:00:00Z`).getTime())) {
+          throw new Error(`Invalid holiday date "${d}" (use YYYY-MM-DD)`);
+        }
+        return d;
+      });
+  }
+}
+
+module.exports = BusinessHours;
@@ -0,0 +1,63 @@
+// utils/Duration.js - Parse and format human durations ("1h30m", "2 days")
+
+const UNITS = {
+  w: 7 * 24 * 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  h: 60 * 60 * 1000,
+  m: 60 * 1000,
+  s: 1000
+};
+
+/**
+ * Helpers for durations typed by agents
+ */
+class Duration {
+  /**
+   * Parse a duration such as "30m", "2h", "1d 4h" or "90 minutes"
+   * @param {string} text - Duration text
+   * @returns {number|null} - Milliseconds, or null if the text isn't a duration
+   */
+  static parse(text) {
+    const input = String(text || '').trim().toLowerCase();
+    if (!input) return null;
+
+    const pattern = /(\d+(?:\.\d+)?)\s*(weeks?|w|days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)/g;
+    let total = 0;
+    let consumed = '';
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      total += parseFloat(match[1]) * UNITS[match[2][0]];
+      consumed += match[0];
+    }
+
+    // Reject leftovers like "2h later"
+    if (!total || consumed.replace(/\s+/g, '') !== input.replace(/[\s,]+|and/g, '')) {
+      return null;
+    }
+
+    return Math.round(total);
+  }
+
+  /**
+   * Format milliseconds as "1d 2h 30m"
+   * @param {number} ms - Milliseconds
+   * @returns {string}
+   */
+  static format(ms) {
+    let remaining = Math.max(0, Math.round(ms / 1000) * 1000);
+    const parts = [];
+
+    for (const unit of ['d', 'h', 'm']) {
+      const count = Math.floor(remaining / UNITS[unit]);
+      if (count) {
+        parts.push(`${count}${unit}`);
+        remaining -= count * UNITS[unit];
+      }
+    }
+
+    return parts.join(' ') || `${Math.round(remaining / 1000)}s`;
+  }
+}
+
+module.exports = Duration;
@@ -0,0 +1,182 @@
+// utils/InstanceSelector.js - Pick which WhatsApp number a command acts on
+const { ActionRowBuilder, StringSelectMenuBuilder } = require('discord.js');
+const InteractionTracker = require('./InteractionTracker');
+
+// How long a picked number sticks for a user's follow-up buttons and forms
+const SELECTION_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Servers can connect several WhatsApp numbers, each with its own ticket
+ * category. Commands run inside a ticket category act on that number;
+ * everywhere else the user picks one from a select menu.
+ */
+class InstanceSelector {
+  constructor() {
+    // `${guildId}:${userId}` -> { instanceId, selectedAt }
+    this.selections = new Map();
+  }
+
+  /**
+   * Get all instances of a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Array<Object>} - Instances
+   */
+  getGuildInstances(guildId) {
+    const InstanceManager = require('../core/InstanceManager');
+    return InstanceManager.getInstancesByGuildId(guildId);
+  }
+
+  /**
+   * Human readable name of an instance
+   * @param {Object} instance - Instance
+   * @param {Object} [guild] - Discord guild, used for the category name
+   * @returns {string} - Label
+   */
+  getLabel(instance, guild = null) {
+    if (instance.name) return instance.name;
+
+    const category = guild?.channels?.cache?.get(instance.categoryId);
+    if (category) return category.name;
+
+    return instance.instanceId === instance.guildId ? 'Main number' : instance.instanceId;
+  }
+
+  /**
+   * Find the instance a channel belongs to: by ticket category, by the
+   * ticket channel mapping or by archive category
+   * @param {Object} client - Discord client
+   * @param {Object} channel - Discord channel
+   * @returns {Object|null} - Instance or null
+   */
+  findInstanceForChannel(client, channel) {
+    if (!channel || !client?._instanceRoutes) return null;
+
+    if (channel.parentId && client._instanceRoutes.has(channel.parentId)) {
+      return client._instanceRoutes.get(channel.parentId).instance || null;
+    }
+
+    for (const routeInfo of client._instanceRoutes.values()) {
+      const instance = routeInfo.instance;
+      if (!instance || instance.guildId !== channel.guildId) continue;
+
+      const channelMap = instance.managers?.channelManager?.channelMap;
+      if (channelMap) {
+        for (const mappedChannelId of channelMap.values()) {
+          if (mappedChannelId === channel.id) return instance;
+        }
+      }
+
+      const archiveCategoryId = instance.managers?.ticketManager?.archiveMode?.categoryId;
+      if (channel.parentId && archiveCategoryId === channel.parentId) {
+        return instance;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Remember the number a user picked
+   * @param {Interaction} interaction - Discord interaction
+   * @param {string} instanceId - Instance ID
+   */
+  remember(interaction, instanceId) {
+    this.selections.set(`${interaction.guildId}:${interaction.user.id}`, {
+      instanceId,
+      selectedAt: Date.now()
+    });
+  }
+
+  /**
+   * Get the number a user picked recently
+   * @param {Interaction} interaction - Discord interaction
+   * @returns {string|null} - Instance ID or null
+   */
+  getRemembered(interaction) {
+    if (!interaction.guildId || !interaction.user) return null;
+
+    const key = `${interaction.guildId}:${interaction.user.id}`;
+    const selection = this.selections.get(key);
+    if (!selection) return null;
+
+    if (Date.now() - selection.selectedAt > SELECTION_TTL_MS) {
+      this.selections.delete(key);
+      return null;
+    }
+
+    return selection.instanceId;
+  }
+
+  /**
+   * Check if an interaction is a pick from the instance select menu
+   * @param {Interaction} interaction - Discord interaction
+   * @returns {boolean}
+   */
+  isSelection(interaction) {
+    return typeof interaction.isStringSelectMenu === 'function' &&
+      interaction.isStringSelectMenu() &&
+      interaction.customId.startsWith('instance_select:');
+  }
+
+  /**
+   * Build the instance select menu
+   * @param {Array<Object>} instances - Instances to choose from
+   * @param {string} commandName - Command to run after the pick
+   * @param {Object} [guild] - Discord guild
+   * @returns {ActionRowBuilder}
+   */
+  buildSelectMenu(instances, commandName, guild = null) {
+    const options = instances.slice(0, 25).map(instance => {
+      const connected = typeof instance.isConnected === 'function' && instance.isConnected();
+      const category = guild?.channels?.cache?.get(instance.categoryId);
+
+      return {
+        label: this.getLabel(instance, guild).substring(0, 100),
+        value: instance.instanceId,
+        description: `${connected ? '🟢 Connected' : '🔴 Disconnected'}${category ? ` • ${category.name}` : ''}`.substring(0, 100)
+      };
+    });
+
+    return new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`instance_select:${commandName}`)
+        .setPlaceholder('Select a WhatsApp number')
+        .addOptions(options)
+    );
+  }
+
+  /**
+   * Work out which instance a command should act on. If the server has
+   * several numbers and the channel doesn't tell which one, the user is
+   * asked to pick and null is returned; the command runs again with the pick.
+   * @param {Interaction} interaction - Deferred Discord interaction
+   * @param {Object} instance - Instance found by the interaction handler
+   * @param {string} commandName - Name of the command
+   * @returns {Promise<Object|null>} - Instance to use, or null while waiting for a pick
+   */
+  async resolve(interaction, instance, commandName) {
+    if (this.isSelection(interaction) || !interaction.guildId) {
+      return instance;
+    }
+
+    const instances = this.getGuildInstances(interaction.guildId);
+    if (instances.length <= 1) {
+      return instance;
+    }
+
+    const channelInstance = this.findInstanceForChannel(interaction.client, interaction.channel);
+    if (channelInstance) {
+      return channelInstance;
+    }
+
+    await InteractionTracker.safeEdit(interaction, {
+      content: `📱 This server has ${instances.length} WhatsApp numbers. Which one do you want to use?`,
+      embeds: [],
+      components: [this.buildSelectMenu(instances, commandName, interaction.guild)]
+    });
+
+    return null;
+  }
+}
+
+module.exports = new InstanceSelector();
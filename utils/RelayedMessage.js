@@ -0,0 +1,64 @@
+// utils/RelayedMessage.js - Tell who wrote a message in a ticket channel
+
+// Customer messages are relayed as "**Name**: text"
+const CUSTOMER_PREFIX = /^\*\*(.+?)\*\*:\s*/;
+// Snippets, opening and scheduled messages are posted as "💬 **Agent** *(snippet `name`)*: text"
+const AGENT_PREFIX = /^💬 \*\*(.+?)\*\* \*\((?:snippet `[^`]+`|opening message|scheduled message)\)\*:\s*/;
+// Voice note transcripts are posted as "🎙️ **Name** *(voice note)*: text"
+const VOICE_NOTE_PREFIX = /^🎙️ \*\*(.+?)\*\* \*\(voice note\)\*:\s*/;
+
+/**
+ * Helpers for messages the bot relays into ticket channels
+ */
+class RelayedMessage {
+  /**
+   * Work out the real author and role of a ticket channel message.
+   * Messages agents type are their own; the bot posts customer messages,
+   * voice note transcripts and agent snippets with a prefix naming the author.
+   * @param {Object} message - Discord message
+   * @returns {Object} - { role, author, content, voiceNote }, where role is
+   *   "customer", "agent" or "bot" (ticket notices), and content has the prefix removed
+   */
+  static classify(message) {
+    const author = message.member?.nickname || message.author.username;
+    const content = message.content || "";
+
+    if (!message.author.bot) {
+      return { role: "agent", author, content, voiceNote: false };
+    }
+
+    const customer = content.match(CUSTOMER_PREFIX);
+    if (customer) {
+      return {
+        role: "customer",
+        author: customer[1],
+        content: content.substring(customer[0].length),
+        voiceNote: false,
+      };
+    }
+
+    const voiceNote = content.match(VOICE_NOTE_PREFIX);
+    if (voiceNote) {
+      return {
+        role: "customer",
+        author: voiceNote[1],
+        content: content.substring(voiceNote[0].length),
+        voiceNote: true,
+      };
+    }
+
+    const agent = content.match(AGENT_PREFIX);
+    if (agent) {
+      return {
+        role: "agent",
+        author: agent[1],
+        content: content.substring(agent[0].length),
+        voiceNote: false,
+      };
+    }
+
+    return { role: "bot", author, content, voiceNote: false };
+  }
+}
+
+module.exports = RelayedMessage;
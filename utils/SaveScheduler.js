@@ -0,0 +1,47 @@
+// utils/SaveScheduler.js - Coalesce frequent saves of a JSON file into one write
+
+const DEFAULT_DELAY_MS = 2000;
+
+/**
+ * Runs a save function at most once per delay, however often it is asked to.
+ * Managers that change their data on every relayed message use it so a busy
+ * ticket doesn't rewrite the whole file for each message.
+ */
+class SaveScheduler {
+  /**
+   * Create a new save scheduler
+   * @param {Function} save - Writes the data to disk
+   * @param {number} [delayMs=2000] - How long changes are collected before writing
+   */
+  constructor(save, delayMs = DEFAULT_DELAY_MS) {
+    this.save = save;
+    this.delayMs = delayMs;
+    this.timer = null;
+  }
+
+  /**
+   * Save after the delay (no-op if a save is already scheduled)
+   */
+  schedule() {
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.save();
+    }, this.delayMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Write a scheduled save now (e.g. on shutdown)
+   */
+  flush() {
+    if (!this.timer) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.save();
+  }
+}
+
+module.exports = SaveScheduler;
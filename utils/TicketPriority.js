@@ -0,0 +1,139 @@
+// utils/TicketPriority.js - Ticket priority levels, tags and channel names
+
+// Most urgent first; the emoji leads the ticket channel name
+const LEVELS = [
+  { value: 'urgent', label: 'Urgent', emoji: '🔴' },
+  { value: 'high', label: 'High', emoji: '🟠' },
+  { value: 'normal', label: 'Normal', emoji: '📋' },
+  { value: 'low', label: 'Low', emoji: '🔵' }
+];
+
+const DEFAULT_PRIORITY = 'normal';
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * Helpers for ticket priority and tags
+ */
+class TicketPriority {
+  /**
+   * Priority used when none was set
+   * @returns {string}
+   */
+  static get DEFAULT() {
+    return DEFAULT_PRIORITY;
+  }
+
+  /**
+   * Most tags a ticket can have
+   * @returns {number}
+   */
+  static get MAX_TAGS() {
+    return MAX_TAGS;
+  }
+
+  /**
+   * All priority levels, most urgent first
+   * @returns {Array<Object>} - { value, label, emoji }
+   */
+  static getLevels() {
+    return LEVELS;
+  }
+
+  /**
+   * Check if a value is a priority level
+   * @param {string} value - Priority
+   * @returns {boolean}
+   */
+  static isValid(value) {
+    return LEVELS.some(level => level.value === value);
+  }
+
+  /**
+   * Get a priority level, falling back to normal
+   * @param {string} value - Priority
+   * @returns {Object} - { value, label, emoji }
+   */
+  static get(value) {
+    return LEVELS.find(level => level.value === value) ||
+      LEVELS.find(level => level.value === DEFAULT_PRIORITY);
+  }
+
+  /**
+   * Sort rank of a priority (0 is the most urgent)
+   * @param {string} value - Priority
+   * @returns {number}
+   */
+  static rank(value) {
+    return LEVELS.indexOf(this.get(value));
+  }
+
+  /**
+   * Priority with its emoji, e.g. "🔴 Urgent"
+   * @param {string} value - Priority
+   * @returns {string}
+   */
+  static format(value) {
+    const level = this.get(value);
+    return `${level.emoji} ${level.label}`;
+  }
+
+  /**
+   * Ticket channel name for a customer, e.g. "🔴-jane-doe"
+   * @param {string} username - Customer name
+   * @param {string} [priority] - Priority
+   * @returns {string}
+   */
+  static channelName(username, priority = DEFAULT_PRIORITY) {
+    const formattedUsername = String(username || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .substring(0, 25);
+
+    return `${this.get(priority).emoji}-${formattedUsername}`;
+  }
+
+  /**
+   * Swap the emoji prefix of an existing ticket channel name
+   * @param {string} channelName - Current channel name
+   * @param {string} prefix - New prefix emoji (e.g. a priority emoji or "🔒")
+   * @returns {string}
+   */
+  static replacePrefix(channelName, prefix) {
+    return channelName.includes('-')
+      ? channelName.replace(/^[^-]*-/, `${prefix}-`)
+      : `${prefix}-${channelName}`;
+  }
+
+  /**
+   * Clean up a tag typed by an agent ("#VIP Customer" -> "vip-customer")
+   * @param {string} tag - Tag
+   * @returns {string} - Tag, or empty string if nothing is left
+   */
+  static normalizeTag(tag) {
+    return String(tag || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^#+/, '')
+      .replace(/\s+/g, '-')
+      .replace(/[^a-z0-9_-]/g, '')
+      .substring(0, MAX_TAG_LENGTH);
+  }
+
+  /**
+   * Parse a comma separated list of tags
+   * @param {string} text - Tags text
+   * @returns {Array<string>} - Unique, normalized tags
+   */
+  static parseTags(text) {
+    const tags = String(text || '')
+      .split(',')
+      .map(tag => this.normalizeTag(tag))
+      .filter(Boolean);
+
+    return [...new Set(tags)];
+  }
+}
+
+module.exports = TicketPriority;
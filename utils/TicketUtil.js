@@ -1,5 +1,9 @@
 // utils/TicketUtil.js - Helper utilities for ticket operations
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const TicketPriority = require('./TicketPriority');
+
+// Safety cap for paging through a channel's history (100 messages per request)
+const MAX_HISTORY_MESSAGES = 10000;
 
 /**
  * Utility functions for ticket operations
@@ -112,6 +116,9 @@ class TicketUtil {
         )
         .setTimestamp();
       
+      // Keep any extra fields (e.g. Assigned Agent) from the existing embed
+      this.carryOverFields(embed, message.embeds[0]);
+      
       // Preserve original timestamp if it exists
       if (message.embeds[0].timestamp) {
         embed.setTimestamp(message.embeds[0].timestamp);
@@ -128,6 +135,10 @@ class TicketUtil {
             .setCustomId(`edit-user-${phoneNumber}`)
             .setLabel("Edit")
             .setStyle(ButtonStyle.Primary),
+          new ButtonBuilder()
+            .setCustomId('claim-ticket')
+            .setLabel("Claim")
+            .setStyle(ButtonStyle.Success),
           new ButtonBuilder()
             .setCustomId(`close-ticket-${message.channel.id}`)
             .setLabel("Close")
@@ -150,6 +161,119 @@ class TicketUtil {
     }
   }
   
+  /**
+   * Copy fields other than the base ones from a previous Ticket Tool embed
+   * @param {EmbedBuilder} embed - Newly built embed
+   * @param {Object} previousEmbed - Embed being replaced
+   * @returns {EmbedBuilder} - The updated embed
+   */
+  static carryOverFields(embed, previousEmbed) {
+    if (!previousEmbed || !previousEmbed.fields) {
+      return embed;
+    }
+    
+    const baseFields = ['Opened Ticket', 'Notes'];
+    const extraFields = previousEmbed.fields.filter(field => !baseFields.includes(field.name));
+    
+    if (extraFields.length > 0) {
+      embed.addFields(extraFields.map(field => ({
+        name: field.name,
+        value: field.value,
+        inline: field.inline || false
+      })));
+    }
+    
+    return embed;
+  }
+  
+  /**
+   * Set, replace or remove a single field on the ticket info embed
+   * @param {Object} message - Ticket info message
+   * @param {string} name - Field name
+   * @param {string|null} value - Field value, or null to remove the field
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setTicketInfoField(message, name, value) {
+    try {
+      if (!message || !message.editable || !message.embeds[0]) {
+        console.error(`[TicketUtil] Message is not editable or has no embed`);
+        return false;
+      }
+      
+      const embed = EmbedBuilder.from(message.embeds[0]);
+      const fields = (embed.data.fields || []).filter(field => field.name !== name);
+      
+      if (value) {
+        fields.push({ name, value, inline: false });
+      }
+      
+      embed.setFields(fields);
+      
+      await message.edit({
+        embeds: [embed],
+        components: message.components
+      });
+      
+      console.log(`[TicketUtil] Set "${name}" field on ticket info embed`);
+      return true;
+    } catch (error) {
+      console.error(`[TicketUtil] Error setting ticket info field:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Build the priority and tag select menus shown under the ticket info embed
+   * @param {Object} meta - Ticket metadata ({ priority, tags })
+   * @param {Array<string>} knownTags - Tags used on this server's tickets
+   * @returns {Array<ActionRowBuilder>} - Select menu rows
+   */
+  static buildMetadataRows(meta, knownTags = []) {
+    const priorityRow = new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('ticket_priority_select')
+        .setPlaceholder('Set priority')
+        .addOptions(TicketPriority.getLevels().map(level => ({
+          label: level.label,
+          value: level.value,
+          emoji: { name: level.emoji },
+          default: level.value === meta.priority
+        })))
+    );
+
+    // Tags are typed with /ticket tag; the menu offers the ones already in use
+    const tags = [...new Set([...meta.tags, ...knownTags])].slice(0, 25);
+    if (tags.length === 0) {
+      return [priorityRow];
+    }
+
+    const tagRow = new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('ticket_tags_select')
+        .setPlaceholder('Tags (add new ones with /ticket tag)')
+        .setMinValues(0)
+        .setMaxValues(Math.min(tags.length, TicketPriority.MAX_TAGS))
+        .addOptions(tags.map(tag => ({
+          label: `#${tag}`,
+          value: tag,
+          default: meta.tags.includes(tag)
+        })))
+    );
+
+    return [priorityRow, tagRow];
+  }
+
+  /**
+   * Check if a message component row holds the priority or tag menu
+   * @param {Object} row - Action row of a message
+   * @returns {boolean}
+   */
+  static isMetadataRow(row) {
+    return (row.components || []).some(component =>
+      component.customId === 'ticket_priority_select' || component.customId === 'ticket_tags_select'
+    );
+  }
+
   /**
    * Create new ticket info message if it doesn't exist
    * @param {Object} channel - Discord channel
@@ -188,6 +312,10 @@ class TicketUtil {
           .setCustomId(`edit-user-${phoneNumber}`)
           .setLabel("Edit")
           .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId('claim-ticket')
+          .setLabel("Claim")
+          .setStyle(ButtonStyle.Success),
         new ButtonBuilder()
           .setCustomId(`close-ticket-${channel.id}`)
           .setLabel("Close")
@@ -247,6 +375,43 @@ class TicketUtil {
     // If not found, create a new one
     return await this.createTicketInfoMessage(channel, username, phoneNumber, instance);
   }
+
+  /**
+   * Fetch a channel's whole message history, paging past Discord's 100-message limit
+   * @param {Object} channel - Discord channel
+   * @param {number} maxMessages - Stop after this many messages
+   * @param {number} [since] - Only fetch messages sent at or after this timestamp (ms)
+   * @returns {Promise<Object>} - { messages (oldest first), complete }
+   */
+  static async fetchAllMessages(channel, maxMessages = MAX_HISTORY_MESSAGES, since = null) {
+    const messages = [];
+    const oldestFirst = () => messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    let before;
+
+    while (messages.length < maxMessages) {
+      const limit = Math.min(100, maxMessages - messages.length);
+      const batch = await channel.messages.fetch({ limit, ...(before ? { before } : {}) });
+      let reachedSince = false;
+
+      for (const message of batch.values()) {
+        if (since && message.createdTimestamp < since) {
+          reachedSince = true;
+          continue;
+        }
+        messages.push(message);
+      }
+
+      if (batch.size < limit || reachedSince) {
+        return { messages: oldestFirst(), complete: true };
+      }
+
+      // Batches come newest first, so continue from the oldest one
+      before = batch.last().id;
+    }
+
+    console.warn(`[TicketUtil] Stopped fetching history of #${channel.name} after ${messages.length} messages`);
+    return { messages: oldestFirst(), complete: false };
+  }
 }
 
-module.exports = TicketUtil;
\ No newline at end of file
+module.exports = TicketUtil;
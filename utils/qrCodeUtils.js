@@ -21,11 +21,14 @@ static async generateQRCode(options) {
     }
     
     const guildId = options.guildId;
-    console.log(`Generating QR code for guild ${guildId}`);
+    console.log(`Generating QR code for guild ${guildId}${options.instanceId ? ` (instance ${options.instanceId})` : ''}`);
     
     // CRITICAL FIX: First check if instance exists and is already connected
+    // Servers with several numbers pass the instance ID of the number to connect
     const InstanceManager = require('../core/InstanceManager');
-    const existingInstance = InstanceManager.getInstanceByGuildId(guildId);
+    const existingInstance = options.instanceId
+      ? InstanceManager.getInstanceById(options.instanceId)
+      : InstanceManager.getInstanceByGuildId(guildId);
     
     if (existingInstance && existingInstance.isConnected && existingInstance.isConnected()) {
       console.log(`[QRCodeUtils] Guild ${guildId} already has a connected WhatsApp instance`);
@@ -46,6 +49,8 @@ static async generateQRCode(options) {
         // Create with exact options passed in
         instance = await InstanceManager.createInstance({
           guildId: guildId,
+          instanceId: options.instanceId,
+          name: options.name,
           categoryId: options.categoryId,
           transcriptChannelId: options.transcriptChannelId,
           vouchChannelId: options.vouchChannelId,
@@ -126,9 +131,10 @@ static async generateQRCode(options) {
    * @param {Object} interaction - Discord interaction
    * @param {string} qrCode - QR code string data
    * @param {string} guildId - Guild ID
+   * @param {string} [instanceId] - Instance ID (defaults to the guild ID)
    * @returns {Promise<boolean>} - Success status
    */
-  static async displayQRCode(interaction, qrCode, guildId) {
+  static async displayQRCode(interaction, qrCode, guildId, instanceId = guildId) {
     try {
       // Validate inputs
       if (!interaction || typeof interaction.editReply !== "function") {
@@ -148,7 +154,7 @@ static async generateQRCode(options) {
 
       // Create directory for QR code if it doesn't exist
       const instancesDir = path.join(__dirname, '..', 'instances');
-      const guildDir = path.join(instancesDir, guildId);
+      const guildDir = path.join(instancesDir, instanceId);
       const tempDir = path.join(guildDir, 'temp');
 
       // Create directories if they don't exist
@@ -236,14 +242,14 @@ static async generateQRCode(options) {
       }
 
       // Store the interaction data for updates when connection status changes
-      global.qrCodeMessages.set(guildId, {
+      global.qrCodeMessages.set(instanceId, {
         interaction,
         message,
         embedData: embed.toJSON(),
       });
 
       // Set up connection status updates
-      this.startConnectionStatusUpdates(guildId, interaction, embed);
+      this.startConnectionStatusUpdates(instanceId, interaction, embed);
 
       return true;
     } catch (error) {
@@ -271,25 +277,25 @@ static async generateQRCode(options) {
 
   /**
    * Set up connection status updates for the QR code message
-   * @param {string} guildId - Guild ID
+   * @param {string} instanceId - Instance ID (the guild ID for a server's first number)
    * @param {Object} interaction - Discord interaction
    * @param {Object} embed - Original embed
    */
-  static startConnectionStatusUpdates(guildId, interaction, embed) {
+  static startConnectionStatusUpdates(instanceId, interaction, embed) {
     const InstanceManager = require('../core/InstanceManager');
     
     // Set up a connection status updater for this instance
-    const instance = InstanceManager.getInstanceByGuildId(guildId);
+    const instance = InstanceManager.getInstanceById(instanceId) || InstanceManager.getInstanceByGuildId(instanceId);
     if (instance) {
       // Set up onReady handler to update message
       instance.onReady(async () => {
         try {
-          console.log(`WhatsApp connected for guild ${guildId}, updating QR code message`);
+          console.log(`WhatsApp connected for instance ${instanceId}, updating QR code message`);
 
           // Get stored data
-          const storedData = global.qrCodeMessages.get(guildId);
+          const storedData = global.qrCodeMessages.get(instanceId);
           if (!storedData) {
-            console.log(`No stored QR code message data found for guild ${guildId}`);
+            console.log(`No stored QR code message data found for instance ${instanceId}`);
             return;
           }
 
@@ -322,9 +328,9 @@ static async generateQRCode(options) {
           });
 
           // Clean up the stored data
-          global.qrCodeMessages.delete(guildId);
+          global.qrCodeMessages.delete(instanceId);
 
-          console.log(`QR code message updated to show successful connection for guild ${guildId}`);
+          console.log(`QR code message updated to show successful connection for instance ${instanceId}`);
         } catch (updateError) {
           console.error(`Error updating QR code message on connection: ${updateError.message}`);
         }
@@ -546,6 +552,8 @@ static async generateQRCode(options) {
         // Get a new QR code
         const qrCode = await this.generateQRCode({
           guildId: interaction.guild.id,
+          instanceId: instance.instanceId,
+          name: instance.name,
           categoryId: instance.categoryId,
           transcriptChannelId: instance.transcriptChannelId,
           vouchChannelId: instance.vouchChannelId || instance.transcriptChannelId,
@@ -571,7 +579,7 @@ static async generateQRCode(options) {
         }
 
         // Display the QR code
-        return await this.displayQRCode(interaction, qrCode, interaction.guild.id);
+        return await this.displayQRCode(interaction, qrCode, interaction.guild.id, instance.instanceId);
       } catch (qrError) {
         console.error(`[Instance:${instance.instanceId}] Error generating QR code:`, qrError);
         await interaction.editReply({
@@ -643,6 +651,8 @@ static async generateQRCode(options) {
       // Get a new QR code
       const qrCode = await this.generateQRCode({
         guildId: interaction.guild.id,
+        instanceId: instance.instanceId,
+        name: instance.name,
         categoryId: instance.categoryId,
         transcriptChannelId: instance.transcriptChannelId,
         vouchChannelId: instance.vouchChannelId || instance.transcriptChannelId,
@@ -668,7 +678,7 @@ static async generateQRCode(options) {
       }
       
       // Display the QR code
-      return await this.displayQRCode(interaction, qrCode, interaction.guild.id);
+      return await this.displayQRCode(interaction, qrCode, interaction.guild.id, instance.instanceId);
     } catch (error) {
       console.error(`[QRCodeUtils] Error refreshing QR code:`, error);
       